@@ -68,7 +68,9 @@ import { logger } from './utils/logger.js';
             dataResult.specificationData,
             dataResult.paperModeGroups,
             dataResult.specModeGroups,
-            Alpine
+            Alpine,
+            dataResult.specifications,
+            dataResult.contentProblems
         ));
 
         const originalEvaluate = Alpine.evaluate;
@@ -103,11 +105,48 @@ import { logger } from './utils/logger.js';
     }
 })();
 
+/**
+ * Works out which specification to load (the one the student picked, or the registry default)
+ */
+async function loadActiveSpecification() {
+    const { loadSpecificationRegistry, getSpecification, SPECIFICATION_STORAGE_KEY } = await import('./data/specifications.js');
+    const registry = await loadSpecificationRegistry();
+
+    let savedId = null;
+    try {
+        const { idbGet } = await import('./utils/indexeddb.js');
+        savedId = await idbGet(SPECIFICATION_STORAGE_KEY);
+    } catch (error) {
+        logger.warn('Could not read the chosen specification:', error);
+    }
+
+    return { registry, active: getSpecification(registry, savedId) };
+}
+
 async function loadDataWithFallback() {
+    const specifications = await loadActiveSpecification();
+    const { loadManifest, getStaleBundleFiles } = await import('./data/manifest.js');
+
+    // Without the manifest the bundle next to it is used as it is, with no way to tell if it's out of date
+    let manifest = null;
+    try {
+        manifest = await loadManifest(specifications.active.manifest);
+    } catch (error) {
+        logger.warn('Could not load the content manifest, using the combined bundle without checking it:', error.message);
+    }
+    const linkHealthLoaded = manifest ? installLinkHealth(manifest) : Promise.resolve();
+
     try {
         const startTime = performance.now();
 
-        const response = await fetch('./resources/combined-data.json', {
+        const bundle = manifest
+            ? manifest.bundle
+            : specifications.active.manifest.replace(/[^/]*$/, 'combined-data.json');
+        if (!bundle) {
+            throw new Error(`No combined bundle for ${specifications.active.id}`);
+        }
+
+        const response = await fetch(`./${bundle}`, {
             cache: 'default'
         });
 
@@ -117,6 +156,13 @@ async function loadDataWithFallback() {
 
         const data = await response.json();
 
+        // A bundle built before the CSVs were last edited would hide the edits
+        const staleFiles = manifest ? getStaleBundleFiles(manifest, data.meta?.sources) : [];
+        if (staleFiles.length > 0) {
+            logger.warn(`${bundle} is out of date, loading the CSV files instead:`, staleFiles);
+            throw new Error('Bundle out of date');
+        }
+
         window.getResourcesForSection = await createOptimizedResourceGetter(data.resourceData);
 
         if (data.revisionMappings) {
@@ -137,34 +183,54 @@ async function loadDataWithFallback() {
             specModeGroups = data.specModeGroups;
         } else {
             const { loadGroups } = await import('./data/unified-csv-loader.js');
-            const groups = await loadGroups();
+            const groups = await loadGroups(manifest);
             paperModeGroups = groups.paperModeGroups;
             specModeGroups = groups.specModeGroups;
         }
 
+        await linkHealthLoaded;
+
         return {
             specificationData: data.specificationData,
             resourcesLoaded: true,
             paperModeGroups: paperModeGroups,
-            specModeGroups: specModeGroups
+            specModeGroups: specModeGroups,
+            specifications,
+            contentProblems: { errors: [], warnings: [] }
         };
 
     } catch (jsonError) {
+        // The CSV files are only known from the manifest
+        if (!manifest) throw jsonError;
+
         // Import and use existing CSV loader
         const { loadAllData, getResourcesForSection } = await import('./data/unified-csv-loader.js');
-        const result = await loadAllData();
+        const result = await loadAllData(manifest);
 
         window.getResourcesForSection = getResourcesForSection;
+        await linkHealthLoaded;
 
         return {
             specificationData: result.specificationData,
             resourcesLoaded: result.resourcesLoaded,
             paperModeGroups: result.paperModeGroups,
-            specModeGroups: result.specModeGroups
+            specModeGroups: result.specModeGroups,
+            specifications,
+            contentProblems: result.contentProblems
         };
     }
 }
 
+/**
+ * Makes the last link audit available to the revision view, so broken resources can be flagged
+ */
+async function installLinkHealth(manifest) {
+    const { loadLinkAudit, getLinkHealth } = await import('./utils/link-audit.js');
+    const report = await loadLinkAudit(manifest.linkAudit);
+
+    window.getLinkHealth = url => getLinkHealth(report, url);
+}
+
 async function createOptimizedResourceGetter(resourceData) {
     const startTime = performance.now();
 
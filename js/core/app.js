@@ -6,14 +6,17 @@ import { setupWatchers } from './watchers.js';
 import { analyticCalculationMethods } from '../features/analytics/calculations.js';
 import { analyticChartMethods } from '../features/analytics/charts.js';
 import { analyticInsightMethods } from '../features/analytics/insights.js';
+import { analyticHistoryMethods } from '../features/analytics/history.js';
 import { revisionMethods } from '../features/revision/index.js';
 import { confidenceRatingMethods } from '../features/confidence/rating.js';
+import { confidenceSuggestionMethods } from '../features/confidence/suggestions.js';
 import { settingsMethods } from '../features/settings/index.js';
 import { userNotesMethods } from '../features/notes/index.js';
 import { flashcardMethods } from '../features/flashcards/index.js';
 import { mindmapMethods } from '../features/mindmaps/index.js';
 import { tagManagementMethods } from '../features/tags/index.js';
 import { viewManagementMethods } from '../features/views/index.js';
+import { plannerMethods } from '../features/planner/index.js';
 
 // Existing module imports
 import { searchMethods } from '../features/search/index.js';
@@ -24,8 +27,12 @@ import { dataManagementMethods, enhancedDataManagement } from '../features/auth/
 import { dateUtils } from '../utils/date.js';
 import { revisionAreaColorMethods } from '../utils/revision-colors.js';
 import { buildTopicLookup } from '../utils/topic-lookup.js';
+import { parseSpecificationRegistry, getSpecification } from '../data/specifications.js';
+import { getPaperOptions, filterGroupsForOption, getExcludedOptionSections } from '../utils/paper-options.js';
 import { modalMethods } from '../utils/modals.js';
-import { SearchIndex } from '../utils/search-index.js';
+import { WorkerSearchIndex, clearSavedSearchIndexes } from '../utils/search-client.js';
+import { getCardSearchText } from '../utils/card-types.js';
+import { collectResourceItems, getResourceSearchFields } from '../utils/resource-search.js';
 
 let authMethodsLoaded = false;
 let authLoadingPromise = null;
@@ -36,23 +43,74 @@ let staticSpecificationData = null;
 let staticPaperModeGroups = null;
 let staticSpecModeGroups = null;
 let staticTopicLookup = null;
+let staticSpecifications = null;
+let staticContentProblems = { errors: [], warnings: [] };
+
+// Groups without the Paper 3 options the student isn't taking (rebuilt only when the option changes)
+let optionGroupsCache = null;
+
+function getOptionGroups(option) {
+    if (!optionGroupsCache || optionGroupsCache.option !== option) {
+        optionGroupsCache = {
+            option,
+            paperModeGroups: filterGroupsForOption(staticPaperModeGroups, option),
+            specModeGroups: filterGroupsForOption(staticSpecModeGroups, option),
+            excludedSections: getExcludedOptionSections(staticPaperModeGroups, option)
+        };
+    }
+    return optionGroupsCache;
+}
 
-// ⚡ PERFORMANCE: Search indexes for O(1) lookups
+// ⚡ PERFORMANCE: Search indexes, built and searched in a worker and saved in IndexedDB between visits
 let auditCardsIndex = null;
 let notesIndex = null;
 let flashcardsIndex = null;
 let mindmapsIndex = null;
+let resourcesIndex = null;
 let searchIndexesInitialized = false;
+const SEARCH_INDEX_NAMES = ['topics', 'notes', 'flashcards', 'mindmaps', 'resources'];
+
+// Weighted fields for each search index (title > objectives > content, see DEFAULT_FIELD_WEIGHTS)
+const getTopicSearchFields = topic => ({
+    title: topic.title || '',
+    objectives: (topic.learningObjectives || []).join(' '),
+    content: `${topic.id || ''} ${topic.prompt || ''} ${(topic.examples || []).join(' ')}`
+});
+
+const getNoteSearchFields = note => ({
+    title: note.title || '',
+    content: `${note.content || ''} ${(note.tags || []).join(' ')}`
+});
+
+const getDeckSearchFields = deck => ({
+    title: deck.name || '',
+    content: `${(deck.tags || []).join(' ')} ${(deck.cards || []).map(getCardSearchText).join(' ')}`
+});
+
+const getMindmapSearchFields = mindmap => ({
+    title: mindmap.title || '',
+    content: `${(mindmap.shapes || []).map(shape => shape.text || '').join(' ')} ${(mindmap.tags || []).join(' ')}`
+});
+
+// Stand-in until the indexes are built
+const EMPTY_SEARCH_INDEX = { searchRanked: async () => [], complete: async () => [], items: new Map() };
 
 // ⚡ MEMORY FIX: Chart instances stored outside Alpine reactive state
 // Storing Map in reactive state prevents garbage collection of destroyed charts
 let chartInstancesMap = new Map();
 
-export function createApp(specificationData, paperModeGroups, specModeGroups, Alpine) {
+export function createApp(specificationData, paperModeGroups, specModeGroups, Alpine, specifications = null, contentProblems = null) {
+    if (!specifications) {
+        const registry = parseSpecificationRegistry(null);
+        specifications = { registry, active: getSpecification(registry, null) };
+    }
+    staticSpecifications = specifications;
+    staticContentProblems = contentProblems || { errors: [], warnings: [] };
     staticSpecificationData = specificationData;
     staticPaperModeGroups = paperModeGroups;
     staticSpecModeGroups = specModeGroups;
     staticTopicLookup = buildTopicLookup(specificationData);
+    optionGroupsCache = null;
     return () => {
         const state = createState();
         const { currentGroups, currentSection, availablePapers, bannerTitle, bannerIcon, ...stateProps } = state;
@@ -65,14 +123,28 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
                 return staticSpecificationData;
             },
             get paperModeGroups() {
-                return staticPaperModeGroups;
+                return getOptionGroups(this.paper3Option).paperModeGroups;
             },
             get specModeGroups() {
-                return staticSpecModeGroups;
+                return getOptionGroups(this.paper3Option).specModeGroups;
+            },
+            get paper3Options() {
+                return getPaperOptions(staticPaperModeGroups);
             },
             get topicLookup() {
                 return staticTopicLookup;
             },
+            // The board/subject whose content is loaded (see resources/specifications.json)
+            get activeSpecification() {
+                return staticSpecifications.active;
+            },
+            get specifications() {
+                return staticSpecifications.registry.specifications;
+            },
+            // Missing or malformed files listed in the content manifest (see manifest.js)
+            get contentProblems() {
+                return staticContentProblems;
+            },
 
             // ⚡ MEMORY FIX: Chart instances getter (non-reactive)
             get chartInstances() {
@@ -87,7 +159,7 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
             },
 
             get currentGroups() {
-                return this.viewMode === 'spec' ? staticSpecModeGroups["All Topics"] : staticPaperModeGroups[this.selectedPaper] || [];
+                return this.viewMode === 'spec' ? this.specModeGroups["All Topics"] : this.paperModeGroups[this.selectedPaper] || [];
             },
             get currentSection() {
                 return staticSpecificationData[this.activeSection];
@@ -95,6 +167,14 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
             get availablePapers() {
                 return this.viewMode === 'paper' ? ['Paper 1', 'Paper 2', 'Paper 3'] : ['All Topics'];
             },
+
+            /**
+             * Whether a section counts towards progress and analytics
+             * (false for Paper 3 options the student isn't taking)
+             */
+            isSectionInScope(sectionKey) {
+                return !getOptionGroups(this.paper3Option).excludedSections.has(sectionKey);
+            },
             get bannerTitle() {
                 if (this._bannerCacheDirty) {
                     this._computeBannerCache();
@@ -228,6 +308,14 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
                 return this._cachedReviewCards;
             },
 
+            get leechCardsCached() {
+                if (this._cachedLeechCardsDirty) {
+                    this._cachedLeechCards = this.getLeechCards();
+                    this._cachedLeechCardsDirty = false;
+                }
+                return this._cachedLeechCards;
+            },
+
             get notesForCurrentSectionCached() {
                 if (this._cachedNotesForCurrentSectionDirty) {
                     try {
@@ -397,6 +485,13 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
 
                     setupWatchers(this);
 
+                    if (staticContentProblems.errors.length > 0) {
+                        this.showAlert(
+                            `Some revision content couldn't be loaded: ${staticContentProblems.errors.join('; ')}`,
+                            'Content Problems'
+                        );
+                    }
+
                     // ⚡ PERFORMANCE OPTIMIZATION: Search indexes deferred to first search
                     // This saves ~80-120ms during app initialization
                     // Indexes will be built lazily when user performs first search
@@ -422,9 +517,11 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
 
             /**
              * ⚡ PERFORMANCE: Lazy search index initialization saves ~80-120ms on startup
+             * The worker restores the saved indexes and re-indexes only what changed, so this doesn't block searching.
              */
             _ensureSearchIndexes() {
-                if (searchIndexesInitialized) {
+                // Built for this user (after logging in as someone else, their own indexes are used)
+                if (searchIndexesInitialized && notesIndex?.name === this.getStoragePrefix() + 'notes') {
                     return;
                 }
 
@@ -433,10 +530,15 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
             },
 
             _initializeSearchIndexes() {
-                auditCardsIndex = new SearchIndex();
-                notesIndex = new SearchIndex();
-                flashcardsIndex = new SearchIndex();
-                mindmapsIndex = new SearchIndex();
+                // Saved indexes are kept per user and specification, like the data they index
+                const prefix = this.getStoragePrefix();
+                const indexFor = (index, name, getFields) =>
+                    index?.name === prefix + name ? index : new WorkerSearchIndex(prefix + name, getFields);
+                auditCardsIndex = indexFor(auditCardsIndex, 'topics', getTopicSearchFields);
+                notesIndex = indexFor(notesIndex, 'notes', getNoteSearchFields);
+                flashcardsIndex = indexFor(flashcardsIndex, 'flashcards', getDeckSearchFields);
+                mindmapsIndex = indexFor(mindmapsIndex, 'mindmaps', getMindmapSearchFields);
+                resourcesIndex = indexFor(resourcesIndex, 'resources', getResourceSearchFields);
 
                 logger.debug('[Search Index] Building indexes...');
                 logger.debug('[Search Index] specificationData keys:', Object.keys(this.specificationData || {}).length);
@@ -460,29 +562,25 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
                         });
                     });
                 });
-                auditCardsIndex.buildIndex(auditCards, topic => topic._searchText);
-
-                notesIndex.buildIndex(Object.values(this.userNotes), note =>
-                    `${note.title || ''} ${note.content || ''} ${(note.tags || []).join(' ')}`
-                );
-
-                flashcardsIndex.buildIndex(Object.values(this.flashcardDecks), deck => {
-                    const deckText = `${deck.name || ''} ${(deck.tags || []).join(' ')}`;
-                    const cardsText = (deck.cards || []).map(card => `${card.front || ''} ${card.back || ''}`).join(' ');
-                    return `${deckText} ${cardsText}`;
-                });
-
-                mindmapsIndex.buildIndex(Object.values(this.mindmaps), mindmap => {
-                    const shapesText = (mindmap.shapes || []).map(shape => shape.text || '').join(' ');
-                    return `${mindmap.title || ''} ${shapesText} ${(mindmap.tags || []).join(' ')}`;
+                // Curated videos, notes, simulations and questions, and each revision section's notes
+                const resources = collectResourceItems(window.revisionMapping, window.getResourcesForSection, window.revisionSectionTitles);
+
+                const indexes = [auditCardsIndex, notesIndex, flashcardsIndex, mindmapsIndex, resourcesIndex];
+                Promise.all([
+                    auditCardsIndex.buildIndex(auditCards),
+                    notesIndex.buildIndex(Object.values(this.userNotes)),
+                    flashcardsIndex.buildIndex(Object.values(this.flashcardDecks)),
+                    mindmapsIndex.buildIndex(Object.values(this.mindmaps)),
+                    resourcesIndex.buildIndex(resources)
+                ]).then(stats => {
+                    logger.debug('[Search Index] Indexes built:');
+                    stats.forEach((stat, i) => {
+                        if (!stat) return;
+                        logger.debug(`  - ${indexes[i].name}:`, stat.items, 'items,', stat.words, 'words',
+                            stat.restored ? `(restored, ${stat.added} added, ${stat.updated} updated, ${stat.removed} removed)` : '(built)');
+                    });
                 });
 
-                logger.debug('[Search Index] Indexes built:');
-                logger.debug('  - Audit cards:', auditCardsIndex.items.size, 'items,', auditCardsIndex.index.size, 'words');
-                logger.debug('  - Notes:', notesIndex.items.size, 'items,', notesIndex.index.size, 'words');
-                logger.debug('  - Flashcards:', flashcardsIndex.items.size, 'items,', flashcardsIndex.index.size, 'words');
-                logger.debug('  - Mindmaps:', mindmapsIndex.items.size, 'items,', mindmapsIndex.index.size, 'words');
-
                 // Show sample indexed content to verify no code leaking in
                 if (notesIndex.items.size > 0) {
                     const firstNote = Array.from(notesIndex.items.values())[0];
@@ -502,6 +600,15 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
                 this._ensureSearchIndexes();
             },
 
+            /**
+             * Deletes this user's saved search indexes; they're built again from scratch on the next search
+             */
+            async _clearSearchIndexes() {
+                const prefix = this.getStoragePrefix();
+                await clearSavedSearchIndexes(SEARCH_INDEX_NAMES.map(name => prefix + name));
+                searchIndexesInitialized = false;
+            },
+
             // ⚡ PERFORMANCE: Search index getters for search queries
             _getNotesIndex() {
                 this._ensureSearchIndexes();
@@ -520,16 +627,12 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
 
             _updateNoteInIndex(note) {
                 if (!notesIndex || !note.id) return;
-                notesIndex.updateItem(note, n =>
-                    `${n.title || ''} ${n.content || ''} ${(n.tags || []).join(' ')}`
-                );
+                notesIndex.updateItem(note);
             },
 
             _addNoteToIndex(note) {
                 if (!notesIndex || !note.id) return;
-                notesIndex.addItem(note, n =>
-                    `${n.title || ''} ${n.content || ''} ${(n.tags || []).join(' ')}`
-                );
+                notesIndex.addItem(note);
             },
 
             _removeNoteFromIndex(noteId) {
@@ -539,20 +642,12 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
 
             _updateFlashcardDeckInIndex(deck) {
                 if (!flashcardsIndex || !deck.id) return;
-                flashcardsIndex.updateItem(deck, d => {
-                    const deckText = `${d.name || ''} ${(d.tags || []).join(' ')}`;
-                    const cardsText = (d.cards || []).map(card => `${card.front || ''} ${card.back || ''}`).join(' ');
-                    return `${deckText} ${cardsText}`;
-                });
+                flashcardsIndex.updateItem(deck);
             },
 
             _addFlashcardDeckToIndex(deck) {
                 if (!flashcardsIndex || !deck.id) return;
-                flashcardsIndex.addItem(deck, d => {
-                    const deckText = `${d.name || ''} ${(d.tags || []).join(' ')}`;
-                    const cardsText = (d.cards || []).map(card => `${card.front || ''} ${card.back || ''}`).join(' ');
-                    return `${deckText} ${cardsText}`;
-                });
+                flashcardsIndex.addItem(deck);
             },
 
             _removeFlashcardDeckFromIndex(deckId) {
@@ -562,18 +657,12 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
 
             _updateMindmapInIndex(mindmap) {
                 if (!mindmapsIndex || !mindmap.id) return;
-                mindmapsIndex.updateItem(mindmap, m => {
-                    const shapesText = (m.shapes || []).map(shape => shape.text || '').join(' ');
-                    return `${m.title || ''} ${shapesText} ${(m.tags || []).join(' ')}`;
-                });
+                mindmapsIndex.updateItem(mindmap);
             },
 
             _addMindmapToIndex(mindmap) {
                 if (!mindmapsIndex || !mindmap.id) return;
-                mindmapsIndex.addItem(mindmap, m => {
-                    const shapesText = (m.shapes || []).map(shape => shape.text || '').join(' ');
-                    return `${m.title || ''} ${shapesText} ${(m.tags || []).join(' ')}`;
-                });
+                mindmapsIndex.addItem(mindmap);
             },
 
             _removeMindmapFromIndex(mindmapId) {
@@ -582,19 +671,23 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
             },
 
             _getAuditCardsIndex() {
-                return auditCardsIndex || { search: () => new Set(), getItems: () => [], items: new Map() };
+                return auditCardsIndex || EMPTY_SEARCH_INDEX;
             },
 
             _getNotesIndex() {
-                return notesIndex || { search: () => new Set(), getItems: () => [], items: new Map() };
+                return notesIndex || EMPTY_SEARCH_INDEX;
             },
 
             _getFlashcardsIndex() {
-                return flashcardsIndex || { search: () => new Set(), getItems: () => [], items: new Map() };
+                return flashcardsIndex || EMPTY_SEARCH_INDEX;
             },
 
             _getMindmapsIndex() {
-                return mindmapsIndex || { search: () => new Set(), getItems: () => [], items: new Map() };
+                return mindmapsIndex || EMPTY_SEARCH_INDEX;
+            },
+
+            _getResourcesIndex() {
+                return resourcesIndex || EMPTY_SEARCH_INDEX;
             },
 
             async loadAuthModule() {
@@ -633,7 +726,7 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
             },
 
             loadSavedData() {
-                enhancedDataManagement.loadSavedData.call(this);
+                return enhancedDataManagement.loadSavedData.call(this);
             },
 
             clearAllData() {
@@ -672,6 +765,10 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
                 return enhancedDataManagement.getStoragePrefix.call(this);
             },
 
+            getSpecificationStoragePrefix() {
+                return enhancedDataManagement.getSpecificationStoragePrefix.call(this);
+            },
+
             saveDataType(type, data) {
                 return enhancedDataManagement.saveDataType.call(this, type, data);
             },
@@ -716,14 +813,17 @@ export function createApp(specificationData, paperModeGroups, specModeGroups, Al
             ...analyticCalculationMethods,
             ...analyticChartMethods,
             ...analyticInsightMethods,
+            ...analyticHistoryMethods,
             ...revisionMethods,
             ...confidenceRatingMethods,
+            ...confidenceSuggestionMethods,
             ...settingsMethods,
             ...userNotesMethods,
             ...flashcardMethods,
             ...mindmapMethods,
             ...tagManagementMethods,
             ...viewManagementMethods,
+            ...plannerMethods,
 
             /**
              * NEW: Renders HTML content and processes any math equations using KaTeX.
@@ -11,6 +11,7 @@ export function createState() {
     return {
         darkMode: false,
         selectedPaper: 'All Topics',
+        paper3Option: '', // Chosen Paper 3 option topic (e.g. 'astrophysics'); blank = not chosen yet
         activeSection: 'measurements_errors',
         sidebarVisible: true,
         expandedGroups: {},
@@ -38,10 +39,13 @@ export function createState() {
         showBackupPrompt: false,
         searchVisible: false,
         searchQuery: '',
+        searchCompletions: [],
+        searchQueryErrors: [],
+        savedSearches: [],
         searchResults: [],
         searchPagination: null,
         searchTimer: null,
-        searchFilters: ['audit', 'notes', 'flashcards', 'mindmaps'],
+        searchFilters: ['audit', 'notes', 'flashcards', 'mindmaps', 'resources'],
         searchSortBy: 'relevance',
         searchSortDirection: 'asc',
         showAdvancedSearch: false,
@@ -73,6 +77,13 @@ export function createState() {
         noteEditorContent: '',
         noteEditorId: null,
         noteEditorTags: [],
+        noteEditorMarkdownMode: false,
+        noteEditorMarkdown: '',
+        noteHistory: {},
+        showNoteHistory: false,
+        noteHistoryCompareFrom: null,
+        noteHistoryCompareTo: 'current',
+        noteHistoryDiff: null,
         editorSelectionUpdate: 0,
         noteEditorSelection: null,
         notesViewMode: 'card',
@@ -95,6 +106,13 @@ export function createState() {
         flashcardEditorTags: [],
         flashcardEditorCardsExpanded: false,
         flashcardEditorEditingCardIndex: null,
+        flashcardEditorCardType: 'basic',
+        flashcardEditorOcclusionImage: '',
+        flashcardEditorOcclusionMasks: [],
+        flashcardEditorOcclusionDraft: null,
+        showFlashcardImport: false,
+        flashcardImportPreview: null,
+        flashcardImportTags: [],
         showFlashcardTest: false,
         testFlashcards: [],
         currentTestCardIndex: 0,
@@ -105,6 +123,17 @@ export function createState() {
         showTestResults: false,
         testReviewMode: null,
         testResultsHistory: [],
+        flashcardSchedules: {},
+        flashcardCardHistory: {},
+        testIsDueReview: false,
+        testAnswerMode: 'flip',
+        testTypedAnswer: '',
+        testAnswerFeedback: {},
+        testTimeLimits: null,
+        testCardTimes: {}, // card ID → ms spent on it in this test
+        testElapsedMs: 0,
+        testTimedOut: false,
+        testConfidenceSuggestions: [],
 
         showTestArea: false,
         showTestSetList: false,
@@ -115,6 +144,10 @@ export function createState() {
         testSetBuilderCards: [],
         testSetBuilderSearch: '',
         testSetBuilderExpandedDecks: {},
+        testSetBuilderTimeLimitMinutes: '',
+        testSetBuilderCardTimeLimitSeconds: '',
+        testSetBuilderMode: 'manual', // 'manual' (hand-picked cards) or 'smart' (rules resolved at start)
+        testSetBuilderRules: { papers: [], groups: [], maxConfidence: null, missedWithinDays: null, limit: null },
         testSetSort: 'updated',
         flashcardViewMode: 'card',
         flashcardCardSort: 'updated',
@@ -142,9 +175,19 @@ export function createState() {
         showingAnalytics: false,
         analyticsData: null,
         analyticsHistoryData: [],
+        analyticsRangeFrom: '', // Trend chart range (YYYY-MM-DD); blank = last 12 weeks
+        analyticsRangeTo: '',
+        analyticsTrendPaper: 'Paper 1',
         criticalTopicsPage: 0,
         strongTopicsPage: 0,
         recommendationsPage: 0,
+
+        // Revision planner
+        showRevisionPlanner: false,
+        examDates: { 'Paper 1': '', 'Paper 2': '', 'Paper 3': '' }, // YYYY-MM-DD; blank = not set
+        plannerTopicsPerDay: 3,
+        plannerCompleted: {}, // YYYY-MM-DD → topic IDs ticked off that day
+        revisionPlan: [],
         // ⚡ MEMORY FIX: chartInstances moved outside reactive state (see app.js) to prevent garbage collection issues
 
         // NOTE: Large read-only data (specificationData, groups, topicLookup) stored outside reactive state to save 300-400MB
@@ -160,6 +203,8 @@ export function createState() {
         tagSelectorShowSelected: false,
 
         revisionAreaIndicatorStyle: 'outline',
+        typedAnswerTolerance: 2,
+        confidenceSuggestionsEnabled: false, // Opt-in: suggest confidence levels from flashcard results
 
         // ⚡ PERFORMANCE: Cached computed values to avoid recalculating on every render
         _cachedNotesGrouped: [],
@@ -180,6 +225,10 @@ export function createState() {
         _cachedCurrentTagsDirty: true,
         _cachedReviewCards: [],
         _cachedReviewCardsDirty: true,
+        _cachedLeechCards: [],
+        _cachedLeechCardsDirty: true,
+        _cachedTopicSparklines: {},
+        _cachedTopicSparklinesDirty: true,
         _cachedNotesForCurrentSection: [],
         _cachedNotesForCurrentSectionDirty: true,
         _cachedFlashcardDecksForCurrentSection: [],
@@ -23,6 +23,12 @@ export function setupWatchers(app) {
         app.saveToLocalStorage();
     });
 
+    app.$watch('paper3Option', () => {
+        app._bannerCacheDirty = true;
+        app.saveToLocalStorage();
+        if (app.hasExamDates()) app.refreshRevisionPlan();
+    });
+
     app.$watch('selectedPaper', () => {
         // Close note preview when changing paper (do this first to prevent flicker)
         if (app.notePreviewId) {
@@ -38,6 +44,14 @@ export function setupWatchers(app) {
         confidenceSaveTimer = setTimeout(() => app.saveData(), 500);
     });
 
+    // Re-plan revision once ratings settle (confidence drives which topics come first)
+    let revisionPlanTimer = null;
+    app.$watch('confidenceLevels', () => {
+        if (!app.hasExamDates()) return;
+        if (revisionPlanTimer) clearTimeout(revisionPlanTimer);
+        revisionPlanTimer = setTimeout(() => app.refreshRevisionPlan(), 1000);
+    });
+
     // ⚡ PERFORMANCE: Banner cache invalidation watchers (reduces initial RAM spike by 25-35MB)
     const bannerDependencies = ['searchVisible', 'showingAnalytics', 'showingRevision',
         'viewType', 'showingMainMenu', 'lastExpandedGroup',
@@ -164,20 +178,27 @@ export function setupWatchers(app) {
     app.$watch('advancedSearchTags', () => { app._cachedFilteredDecksForBuilderDirty = true; });
     app.$watch('testSetBuilderSearch', () => { app._cachedFilteredDecksForBuilderDirty = true; });
 
+    app.$watch('analyticsHistoryData', () => { app._cachedTopicSparklinesDirty = true; });
+    app.$watch('confidenceLevels', () => { app._cachedTopicSparklinesDirty = true; });
+
     app.$watch('criticalTopicsPage', () => { app._cachedCriticalTopicsPageDirty = true; });
     app.$watch('analyticsData', () => { app._cachedCriticalTopicsPageDirty = true; });
     app.$watch('strongTopicsPage', () => { app._cachedStrongTopicsPageDirty = true; });
     app.$watch('analyticsData', () => { app._cachedStrongTopicsPageDirty = true; });
 
-    const currentTagsDeps = ['tagSelectorContext', 'noteEditorTags', 'flashcardEditorTags', 'mindmapEditorTags'];
+    const currentTagsDeps = ['tagSelectorContext', 'noteEditorTags', 'flashcardEditorTags', 'flashcardImportTags', 'mindmapEditorTags'];
     currentTagsDeps.forEach(prop => {
         app.$watch(prop, () => { app._cachedCurrentTagsDirty = true; });
     });
 
     app.$watch('testFlashcards', () => { app._cachedReviewCardsDirty = true; });
+    app.$watch('showFlashcardTest', visible => { visible ? app.startTestTimer() : app.stopTestTimer(); });
     app.$watch('testReviewMode', () => { app._cachedReviewCardsDirty = true; });
     app.$watch('testAnswers', () => { app._cachedReviewCardsDirty = true; });
 
+    app.$watch('flashcardDecks', () => { app._cachedLeechCardsDirty = true; });
+    app.$watch('flashcardCardHistory', () => { app._cachedLeechCardsDirty = true; });
+
     const revisionSectionDeps = ['currentRevisionSection', 'userNotes', 'flashcardDecks', 'mindmaps'];
     revisionSectionDeps.forEach(prop => {
         app.$watch(prop, () => {
@@ -0,0 +1,178 @@
+// js/data/bundle-builder.js
+// Builds and checks combined-data.json from the CSV files listed in a content manifest
+// Used by: tools/build-data.js
+
+import { convertSubjectCSV, convertGroupsCSV, PAPERS } from '../utils/csv-converter.js';
+import { getResourceCreator, createRevisionSection } from '../utils/resource-schema.js';
+
+export const BUNDLE_VERSION = '2.0';
+
+// Resource types whose rows are links (revision sections hold notes instead)
+const LINK_RESOURCE_TYPES = ['videos', 'notes', 'simulations', 'questions'];
+
+/**
+ * Converts parsed manifest files into the combined-data.json structure
+ * The output only depends on the files (in manifest order) and the options, so rebuilding unchanged CSVs gives the same JSON.
+ *
+ * @param {Array} files - [{ kind, type, path, rows }] from getManifestFiles(), with the parsed rows added
+ * @param {Object} options - { sources (path → sha256), buildTime, generatedBy }
+ * @returns {Object} The bundle
+ */
+export function buildCombinedData(files, { sources = {}, buildTime = null, generatedBy = 'tools/build-data.js' } = {}) {
+    const revisionMappings = {
+        revisionMapping: {},
+        revisionSectionTitles: {},
+        topicToSectionMapping: {}
+    };
+
+    let specificationData = {};
+    files.filter(file => file.kind === 'subject').forEach(file => {
+        specificationData = { ...specificationData, ...convertSubjectCSV(file.rows, revisionMappings) };
+    });
+
+    const resourceData = {};
+    files.filter(file => file.kind === 'resource').forEach(file => {
+        resourceData[file.type] = file.rows;
+    });
+
+    const groupsFile = files.find(file => file.kind === 'groups');
+    const groups = convertGroupsCSV(groupsFile ? groupsFile.rows : []);
+
+    return {
+        specificationData,
+        resourceData,
+        revisionMappings,
+        revisionSectionTitles: revisionMappings.revisionSectionTitles,
+        paperModeGroups: groups.paperModeGroups,
+        specModeGroups: groups.specModeGroups,
+        buildTime,
+        version: BUNDLE_VERSION,
+        meta: {
+            totalSections: Object.keys(specificationData).length,
+            resourceTypes: Object.keys(resourceData).length,
+            revisionSections: Object.keys(revisionMappings.revisionMapping).length,
+            groupsIncluded: Boolean(groupsFile),
+            filesProcessed: files.length,
+            generatedBy,
+            sizeReduction: `${files.length} files → 1 file`,
+            sources
+        }
+    };
+}
+
+/**
+ * Finds topic IDs used more than once (progress is saved by topic ID, so duplicates share ratings)
+ *
+ * @returns {Array} Errors
+ */
+export function findDuplicateTopicIds(files) {
+    const seen = new Map();
+    const errors = [];
+
+    files.filter(file => file.kind === 'subject').forEach(file => {
+        file.rows.forEach((row, index) => {
+            const topicId = row.topic_id?.trim();
+            if (!topicId) {
+                if (row.section_name) errors.push(`${file.path} row ${index + 1}: missing topic_id`);
+                return;
+            }
+            if (seen.has(topicId)) {
+                errors.push(`${file.path} row ${index + 1}: duplicate topic_id ${topicId} (also in ${seen.get(topicId)})`);
+            } else {
+                seen.set(topicId, file.path);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Checks every revision resource row belongs to a section in the subject CSVs and converts cleanly
+ *
+ * @param {Object} revisionMapping - section_id → topic IDs, from the built bundle
+ * @returns {Array} Errors
+ */
+export function findOrphanResources(files, revisionMapping) {
+    const errors = [];
+
+    files.filter(file => file.kind === 'resource').forEach(file => {
+        const createResource = file.type === 'revisionsections' ? createRevisionSection : getResourceCreator(file.type);
+
+        file.rows.forEach((row, index) => {
+            const sectionId = row.section_id?.toString().trim();
+            const where = `${file.path} row ${index + 1}`;
+
+            if (!sectionId) {
+                errors.push(`${where}: missing section_id`);
+            } else if (!revisionMapping[sectionId]) {
+                errors.push(`${where}: section_id ${sectionId} isn't used by any topic`);
+            }
+
+            const resource = createResource(row);
+            if (LINK_RESOURCE_TYPES.includes(file.type) && !resource.url) {
+                errors.push(`${where}: "${resource.title}" has no url`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Checks groups.csv against the subject sections
+ * Sections that no group shows can't be reached in the app, so they're reported as warnings.
+ *
+ * @returns {Object} { errors, warnings }
+ */
+export function findBrokenGroups(files, specificationData) {
+    const errors = [];
+    const groupsFile = files.find(file => file.kind === 'groups');
+    if (!groupsFile) return { errors: ['No groups file'], warnings: [] };
+
+    const grouped = new Set();
+    groupsFile.rows.forEach((row, index) => {
+        const where = `${groupsFile.path} row ${index + 1}`;
+
+        if (!PAPERS.includes(row.paper) && row.paper !== 'All Topics') {
+            errors.push(`${where}: unknown paper "${row.paper}"`);
+        }
+        if (row.type !== 'single' && row.type !== 'group') {
+            errors.push(`${where}: type must be "single" or "group" (not "${row.type}")`);
+        }
+        if (row.type === 'group' && !row.group_title?.trim()) {
+            errors.push(`${where}: group has no group_title`);
+        }
+        if (!/^\d+$/.test(row.order?.trim() || '')) {
+            errors.push(`${where}: order must be a whole number (not "${row.order}")`);
+        }
+        if (!specificationData[row.section_name]) {
+            errors.push(`${where}: section ${row.section_name || '(blank)'} isn't in any subject CSV`);
+        }
+        grouped.add(row.section_name);
+    });
+
+    const warnings = Object.keys(specificationData)
+        .filter(sectionName => !grouped.has(sectionName))
+        .map(sectionName => `Section ${sectionName} isn't in ${groupsFile.path}, so it won't be shown`);
+
+    return { errors, warnings };
+}
+
+/**
+ * Runs every content check on a built bundle
+ *
+ * @returns {Object} { errors, warnings }
+ */
+export function validateCombinedData(files, bundle) {
+    const groups = findBrokenGroups(files, bundle.specificationData);
+
+    return {
+        errors: [
+            ...findDuplicateTopicIds(files),
+            ...findOrphanResources(files, bundle.revisionMappings.revisionMapping),
+            ...groups.errors
+        ],
+        warnings: groups.warnings
+    };
+}
@@ -0,0 +1,179 @@
+// js/data/manifest.js
+// Content manifest - the CSV files a specification is built from, with content hashes
+// Used by: app-loader.js, unified-csv-loader.js, sw.js (precache list), csv-converter.html, tools/update-manifest.js
+
+import { parseCSV } from '../utils/csv-parser.js';
+
+export const MANIFEST_VERSION = 1;
+
+// Revision resource files, in the order they're listed in the manifest
+export const RESOURCE_TYPES = ['videos', 'notes', 'simulations', 'questions', 'revisionsections'];
+
+// Columns a file needs before it can be loaded
+const REQUIRED_COLUMNS = {
+    subject: ['section_id', 'topic_id', 'section_name', 'section_title', 'section_paper', 'topic_title'],
+    groups: ['paper', 'order', 'type', 'section_name'],
+    resource: ['section_id', 'title']
+};
+
+function isFileEntry(entry) {
+    return entry && typeof entry.path === 'string' && entry.path.trim() !== '';
+}
+
+/**
+ * Checks the manifest's structure (not the files it lists)
+ *
+ * @returns {Array} Problems found (empty if the manifest is usable)
+ */
+export function validateManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object') return ['Manifest must be a JSON object'];
+
+    const errors = [];
+    if (manifest.version !== MANIFEST_VERSION) {
+        errors.push(`Unsupported manifest version ${manifest.version} (expected ${MANIFEST_VERSION})`);
+    }
+    if (!Array.isArray(manifest.subjects) || manifest.subjects.length === 0) {
+        errors.push('subjects must list at least one CSV file');
+    } else {
+        manifest.subjects.forEach((entry, index) => {
+            if (!isFileEntry(entry)) errors.push(`subjects[${index}] has no path`);
+        });
+    }
+    if (!isFileEntry(manifest.groups)) {
+        errors.push('groups must have a path');
+    }
+    (Array.isArray(manifest.resources) ? manifest.resources : []).forEach((entry, index) => {
+        if (!isFileEntry(entry)) errors.push(`resources[${index}] has no path`);
+        else if (!RESOURCE_TYPES.includes(entry.type)) errors.push(`${entry.path}: unknown resource type "${entry.type}"`);
+    });
+    if (manifest.bundle !== undefined && typeof manifest.bundle !== 'string') {
+        errors.push('bundle must be a path');
+    }
+    if (manifest.linkAudit !== undefined && typeof manifest.linkAudit !== 'string') {
+        errors.push('linkAudit must be a path');
+    }
+
+    const paths = getManifestFiles(manifest).map(file => file.path);
+    paths.filter((path, index) => paths.indexOf(path) !== index).forEach(path => {
+        errors.push(`${path} is listed more than once`);
+    });
+
+    return errors;
+}
+
+/**
+ * Lists every CSV file in the manifest
+ *
+ * @returns {Array} [{ kind: 'subject'|'groups'|'resource', type, path, sha256 }]
+ */
+export function getManifestFiles(manifest) {
+    const files = [];
+    (manifest?.subjects || []).filter(isFileEntry).forEach(entry => {
+        files.push({ kind: 'subject', path: entry.path, sha256: entry.sha256 });
+    });
+    if (isFileEntry(manifest?.groups)) {
+        files.push({ kind: 'groups', path: manifest.groups.path, sha256: manifest.groups.sha256 });
+    }
+    (manifest?.resources || []).filter(isFileEntry).forEach(entry => {
+        files.push({ kind: 'resource', type: entry.type, path: entry.path, sha256: entry.sha256 });
+    });
+    return files;
+}
+
+/**
+ * Gets a SHA-256 hash as hex (works in browsers, workers and Node)
+ */
+export async function sha256Hex(data) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    const hash = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Checks a parsed CSV has rows and the columns its kind needs
+ *
+ * @returns {Array} Problems found
+ */
+export function checkCSVColumns(kind, rows, path) {
+    if (rows.length === 0) return [`${path} is empty or not a CSV file`];
+
+    const columns = Object.keys(rows[0]);
+    const missing = (REQUIRED_COLUMNS[kind] || []).filter(column => !columns.includes(column));
+    return missing.length > 0 ? [`${path} is missing column(s): ${missing.join(', ')}`] : [];
+}
+
+/**
+ * Parses a listed file and checks it against the manifest
+ * A hash mismatch is only a warning (the file still loads), but the manifest needs updating.
+ *
+ * @param {Object} file - Entry from getManifestFiles()
+ * @param {ArrayBuffer|Uint8Array} bytes - The file's contents
+ * @returns {Promise<Object>} { rows, errors, warnings } - rows is empty if the file can't be used
+ */
+export async function readManifestFile(file, bytes) {
+    const warnings = [];
+    if (file.sha256) {
+        const actual = await sha256Hex(bytes);
+        if (actual !== file.sha256) {
+            warnings.push(`${file.path} has changed since the manifest was updated (run node tools/update-manifest.js)`);
+        }
+    }
+
+    const rows = parseCSV(new TextDecoder().decode(bytes));
+    const errors = checkCSVColumns(file.kind, rows, file.path);
+    return { rows: errors.length > 0 ? [] : rows, errors, warnings };
+}
+
+/**
+ * Fetches and checks a manifest
+ * @throws {Error} If the manifest is missing or invalid (the message lists the problems)
+ */
+export async function loadManifest(path) {
+    const response = await fetch(`./${path}`, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Content manifest ${path} not found (HTTP ${response.status})`);
+    }
+
+    let manifest;
+    try {
+        manifest = await response.json();
+    } catch (error) {
+        throw new Error(`Content manifest ${path} is not valid JSON: ${error.message}`);
+    }
+
+    const errors = validateManifest(manifest);
+    if (errors.length > 0) {
+        throw new Error(`Content manifest ${path} is invalid: ${errors.join('; ')}`);
+    }
+    return manifest;
+}
+
+/**
+ * Fetches a listed file and checks it against the manifest
+ *
+ * @param {Function} fetcher - Optional stand-in for fetch (Node tools use one that reads from disk)
+ * @returns {Promise<Object>} { rows, errors, warnings }
+ */
+export async function fetchManifestFile(file, fetcher = fetch) {
+    try {
+        const response = await fetcher(`./${file.path}`);
+        if (!response.ok) {
+            return { rows: [], errors: [`${file.path} is listed in the manifest but could not be loaded (HTTP ${response.status})`], warnings: [] };
+        }
+        return await readManifestFile(file, await response.arrayBuffer());
+    } catch (error) {
+        return { rows: [], errors: [`${file.path} could not be loaded: ${error.message}`], warnings: [] };
+    }
+}
+
+/**
+ * Finds the CSV files that changed after a combined-data.json bundle was built
+ *
+ * @param {Object} sources - The bundle's meta.sources (path → sha256)
+ * @returns {Array} Paths that are new or different
+ */
+export function getStaleBundleFiles(manifest, sources) {
+    return getManifestFiles(manifest)
+        .filter(file => !sources || sources[file.path] !== file.sha256)
+        .map(file => file.path);
+}
@@ -0,0 +1,107 @@
+// js/data/specifications.js
+// Specification registry - the boards/subjects the app can load (resources/specifications.json)
+
+import { logger } from '../utils/logger.js';
+
+export const REGISTRY_PATH = 'resources/specifications.json';
+
+// IndexedDB key holding the ID of the specification the student picked
+export const SPECIFICATION_STORAGE_KEY = 'physicsAuditSpecification';
+
+// Used when the registry can't be loaded, so the app still starts with the original content
+// Each specification's files are listed in its content manifest (see manifest.js)
+export const DEFAULT_SPECIFICATION = {
+    id: 'aqa-physics',
+    board: 'AQA',
+    subject: 'Physics',
+    level: 'A-Level',
+    title: 'AQA A-Level Physics',
+    icon: 'atom',
+    manifest: 'resources/manifest.json'
+};
+
+/**
+ * Checks a registry entry has everything the loader needs
+ *
+ * @returns {Array} Problems found (empty if the entry is usable)
+ */
+export function validateSpecification(spec) {
+    const errors = [];
+    if (!spec || typeof spec !== 'object') return ['Specification must be an object'];
+
+    if (typeof spec.id !== 'string' || !/^[a-z0-9-]+$/.test(spec.id)) {
+        errors.push('id must be lower-case letters, numbers and dashes');
+    }
+    ['title', 'manifest'].forEach(field => {
+        if (typeof spec[field] !== 'string' || spec[field].trim() === '') {
+            errors.push(`${field} is required`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Reads the registry JSON, dropping entries that aren't valid
+ *
+ * @param {Object} registry - { defaultSpecification, specifications: [...] }
+ * @returns {Object} { defaultId, specifications }
+ */
+export function parseSpecificationRegistry(registry) {
+    const seen = new Set();
+    const specifications = (Array.isArray(registry?.specifications) ? registry.specifications : [])
+        .filter(spec => {
+            const errors = validateSpecification(spec);
+            if (errors.length > 0 || seen.has(spec.id)) {
+                logger.warn(`Skipping specification ${spec?.id || '(no id)'}:`, errors.length > 0 ? errors : ['duplicate id']);
+                return false;
+            }
+            seen.add(spec.id);
+            return true;
+        });
+
+    if (specifications.length === 0) {
+        specifications.push(DEFAULT_SPECIFICATION);
+    }
+
+    const defaultId = specifications.some(spec => spec.id === registry?.defaultSpecification)
+        ? registry.defaultSpecification
+        : specifications[0].id;
+
+    return { defaultId, specifications };
+}
+
+/**
+ * Loads the registry, falling back to the built-in AQA Physics entry
+ */
+export async function loadSpecificationRegistry() {
+    try {
+        const response = await fetch(`./${REGISTRY_PATH}`, { cache: 'default' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return parseSpecificationRegistry(await response.json());
+    } catch (error) {
+        logger.warn('Specification registry not available, using AQA Physics:', error);
+        return parseSpecificationRegistry(null);
+    }
+}
+
+/**
+ * Finds a specification by ID (the registry default if the ID isn't registered)
+ */
+export function getSpecification(registry, id) {
+    return registry.specifications.find(spec => spec.id === id)
+        || registry.specifications.find(spec => spec.id === registry.defaultId);
+}
+
+/**
+ * Gets the storage key prefix that keeps each specification's user data apart
+ * The original AQA Physics content has no prefix, so existing saved data is still found.
+ *
+ * @example
+ * getSpecificationStoragePrefix('ocr-a-physics') // 'spec_ocr-a-physics_'
+ */
+export function getSpecificationStoragePrefix(specId) {
+    if (!specId || specId === DEFAULT_SPECIFICATION.id) return '';
+    return `spec_${specId}_`;
+}
@@ -3,8 +3,9 @@
 // Now uses shared utilities to eliminate code duplication
 
 import { logger } from '../utils/logger.js';
-import { parseCSV, loadCSVFile } from '../utils/csv-parser.js';
 import { convertSubjectCSV, convertGroupsCSV } from '../utils/csv-converter.js';
+import { DEFAULT_SPECIFICATION } from './specifications.js';
+import { loadManifest, getManifestFiles, fetchManifestFile } from './manifest.js';
 import {
     createVideoResource,
     createNoteResource,
@@ -13,6 +14,28 @@ import {
     createRevisionSection
 } from '../utils/resource-schema.js';
 
+// ========================================
+// MANIFEST FILES
+// ========================================
+
+// Problems found in the listed files during the last load
+let contentProblems = { errors: [], warnings: [] };
+
+// Load a file listed in the manifest, recording any problems with it
+async function loadListedFile(file, fetcher = fetch) {
+    const { rows, errors, warnings } = await fetchManifestFile(file, fetcher);
+    errors.forEach(error => logger.error(`Content error: ${error}`));
+    warnings.forEach(warning => logger.warn(`Content warning: ${warning}`));
+    contentProblems.errors.push(...errors);
+    contentProblems.warnings.push(...warnings);
+    return rows;
+}
+
+// Get the problems found in the content files during the last load
+export function getContentProblems() {
+    return contentProblems;
+}
+
 // ========================================
 // SUBJECT DATA LOADING
 // ========================================
@@ -23,9 +46,9 @@ let revisionSectionTitles = {};
 let topicToSectionMapping = {};
 
 // Load subject specification data from CSV and convert to JS structure
-async function loadSubjectCSV(filename) {
+async function loadSubjectCSV(file) {
     try {
-        const csvData = await loadCSVFile(`resources/subject-cards/${filename}`);
+        const csvData = await loadListedFile(file);
 
         if (csvData.length === 0) {
             return {};
@@ -41,38 +64,25 @@ async function loadSubjectCSV(filename) {
         return sections;
 
     } catch (error) {
-        logger.error(`Error loading subject CSV ${filename}:`, error);
+        logger.error(`Error loading subject CSV ${file.path}:`, error);
         return {};
     }
 }
 
 // Load all subject specification data
-export async function loadAllSubjectData() {
+// The subject CSVs are listed in the specification's content manifest (resources/manifest.json)
+export async function loadAllSubjectData(manifest) {
     // Reset revision mappings before loading
     revisionMapping = {};
     revisionSectionTitles = {};
     topicToSectionMapping = {};
 
-    // List of all CSV subject files
-    const csvFiles = [
-        'measurements.csv',
-        'particles.csv',
-        'waves.csv',
-        'mechanics.csv',
-        'electricity.csv',
-        'periodic-motion.csv',
-        'thermal.csv',
-        'fields.csv',
-        'magnetic-fields.csv',
-        'nuclear.csv'
-    ];
-
     let allData = {};
 
     // Load all CSV files in parallel
-    const loadPromises = csvFiles.map(filename => {
-        return loadSubjectCSV(filename);
-    });
+    const loadPromises = getManifestFiles(manifest)
+        .filter(file => file.kind === 'subject')
+        .map(file => loadSubjectCSV(file));
 
     // Wait for all files to load
     const allSubjectData = await Promise.all(loadPromises);
@@ -118,8 +128,8 @@ let allResources = {
 };
 
 // Load videos from CSV
-async function loadVideos() {
-    const data = await loadCSVFile('resources/revision/videos.csv');
+async function loadVideos(file, fetcher) {
+    const data = file ? await loadListedFile(file, fetcher) : [];
     allResources.videos = {};
 
     data.forEach((video) => {
@@ -143,8 +153,8 @@ async function loadVideos() {
 }
 
 // Load notes from CSV
-async function loadNotes() {
-    const data = await loadCSVFile('resources/revision/notes.csv');
+async function loadNotes(file, fetcher) {
+    const data = file ? await loadListedFile(file, fetcher) : [];
     allResources.notes = {};
 
     data.forEach((note) => {
@@ -168,8 +178,8 @@ async function loadNotes() {
 }
 
 // Load simulations from CSV
-async function loadSimulations() {
-    const data = await loadCSVFile('resources/revision/simulations.csv');
+async function loadSimulations(file, fetcher) {
+    const data = file ? await loadListedFile(file, fetcher) : [];
     allResources.simulations = {};
 
     data.forEach((sim) => {
@@ -193,8 +203,8 @@ async function loadSimulations() {
 }
 
 // Load questions from CSV
-async function loadQuestions() {
-    const data = await loadCSVFile('resources/revision/questions.csv');
+async function loadQuestions(file, fetcher) {
+    const data = file ? await loadListedFile(file, fetcher) : [];
     allResources.questions = {};
 
     data.forEach((question) => {
@@ -218,8 +228,8 @@ async function loadQuestions() {
 }
 
 // Load revision sections from CSV
-async function loadRevisionSections() {
-    const data = await loadCSVFile('resources/revision/revisionsections.csv');
+async function loadRevisionSections(file, fetcher) {
+    const data = file ? await loadListedFile(file, fetcher) : [];
     allResources.sections = {};
 
     data.forEach((section) => {
@@ -233,13 +243,17 @@ async function loadRevisionSections() {
 }
 
 // Load all resource types
-export async function loadAllCSVResources() {
+// fetcher is an optional stand-in for fetch (tools/audit-links.js reads the CSVs from disk)
+export async function loadAllCSVResources(manifest, fetcher = fetch) {
+    const files = getManifestFiles(manifest).filter(file => file.kind === 'resource');
+    const fileOfType = type => files.find(file => file.type === type);
+
     const results = await Promise.all([
-        loadVideos(),
-        loadNotes(),
-        loadSimulations(),
-        loadQuestions(),
-        loadRevisionSections()
+        loadVideos(fileOfType('videos'), fetcher),
+        loadNotes(fileOfType('notes'), fetcher),
+        loadSimulations(fileOfType('simulations'), fetcher),
+        loadQuestions(fileOfType('questions'), fetcher),
+        loadRevisionSections(fileOfType('revisionsections'), fetcher)
     ]);
 
     const [videoCount, noteCount, simCount, questionCount, sectionCount] = results;
@@ -248,6 +262,11 @@ export async function loadAllCSVResources() {
     return totalResources > 0;
 }
 
+// Get every loaded resource, keyed by type then section ID
+export function getAllResources() {
+    return allResources;
+}
+
 // Get all resources for a section
 export function getResourcesForSection(sectionId) {
     const sectionIdStr = sectionId ? sectionId.toString().trim() : '';
@@ -268,8 +287,8 @@ export function getResourcesForSection(sectionId) {
 // ========================================
 
 // Load groups configuration from CSV
-export async function loadGroups() {
-    const data = await loadCSVFile('resources/groups.csv');
+export async function loadGroups(manifest) {
+    const data = await loadListedFile(getManifestFiles(manifest).find(file => file.kind === 'groups'));
 
     // Use shared converter
     const groups = convertGroupsCSV(data);
@@ -281,21 +300,27 @@ export async function loadGroups() {
 // UNIFIED INITIALIZATION
 // ========================================
 
-// Load everything at once
-export async function loadAllData() {
+// Load everything listed in a specification's manifest at once
+export async function loadAllData(manifest = null) {
     try {
+        if (!manifest) {
+            manifest = await loadManifest(DEFAULT_SPECIFICATION.manifest);
+        }
+        contentProblems = { errors: [], warnings: [] };
+
         // Load subject data, resources, and groups in parallel
         const [subjectData, resourcesLoaded, groups] = await Promise.all([
-            loadAllSubjectData(),
-            loadAllCSVResources(),
-            loadGroups()
+            loadAllSubjectData(manifest),
+            loadAllCSVResources(manifest),
+            loadGroups(manifest)
         ]);
 
         return {
             specificationData: subjectData,
             resourcesLoaded: resourcesLoaded,
             paperModeGroups: groups.paperModeGroups,
-            specModeGroups: groups.specModeGroups
+            specModeGroups: groups.specModeGroups,
+            contentProblems
         };
     } catch (error) {
         logger.error('❌ Failed to load CSV data:', error);
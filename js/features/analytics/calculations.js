@@ -33,8 +33,10 @@ export const analyticCalculationMethods = {
         // PERFORMANCE: Build topic-section map once for O(1) lookups
         const sectionMap = this._buildTopicSectionMap();
 
-        // Get all topics from specification data
-        const allTopics = Object.values(this.specificationData).flatMap(section => section.topics);
+        // Get all topics from specification data (Paper 3 options the student isn't taking don't count)
+        const allTopics = Object.entries(this.specificationData)
+            .filter(([sectionKey]) => this.isSectionInScope(sectionKey))
+            .flatMap(([, section]) => section.topics);
         const assessedTopics = allTopics.filter(topic => this.confidenceLevels[topic.id] && this.confidenceLevels[topic.id] > 0);
 
         // Calculate overview metrics
@@ -53,17 +55,25 @@ export const analyticCalculationMethods = {
             const topicInfo = sectionMap.get(topic.id);
             return topicInfo && topicInfo.paper === 'Paper 2';
         });
+        const paper3Topics = allTopics.filter(topic => {
+            const topicInfo = sectionMap.get(topic.id);
+            return topicInfo && topicInfo.paper === 'Paper 3';
+        });
 
         const paper1Assessed = paper1Topics.filter(topic => this.confidenceLevels[topic.id] && this.confidenceLevels[topic.id] > 0);
         const paper2Assessed = paper2Topics.filter(topic => this.confidenceLevels[topic.id] && this.confidenceLevels[topic.id] > 0);
+        const paper3Assessed = paper3Topics.filter(topic => this.confidenceLevels[topic.id] && this.confidenceLevels[topic.id] > 0);
 
         const paper1Progress = paper1Topics.length > 0 ? Math.round((paper1Assessed.length / paper1Topics.length) * 100) : 0;
         const paper2Progress = paper2Topics.length > 0 ? Math.round((paper2Assessed.length / paper2Topics.length) * 100) : 0;
+        const paper3Progress = paper3Topics.length > 0 ? Math.round((paper3Assessed.length / paper3Topics.length) * 100) : 0;
 
         const paper1AvgConfidence = paper1Assessed.length > 0 ?
             (paper1Assessed.reduce((sum, topic) => sum + this.confidenceLevels[topic.id], 0) / paper1Assessed.length) : 0;
         const paper2AvgConfidence = paper2Assessed.length > 0 ?
             (paper2Assessed.reduce((sum, topic) => sum + this.confidenceLevels[topic.id], 0) / paper2Assessed.length) : 0;
+        const paper3AvgConfidence = paper3Assessed.length > 0 ?
+            (paper3Assessed.reduce((sum, topic) => sum + this.confidenceLevels[topic.id], 0) / paper3Assessed.length) : 0;
 
         // PERFORMANCE: Calculate critical and strong topics using O(1) map lookups
         const criticalTopics = allTopics
@@ -103,8 +113,10 @@ export const analyticCalculationMethods = {
                 assessedTopics: assessedTopics.length,
                 paper1Progress,
                 paper2Progress,
+                paper3Progress,
                 paper1AvgConfidence: paper1AvgConfidence.toFixed(1),
-                paper2AvgConfidence: paper2AvgConfidence.toFixed(1)
+                paper2AvgConfidence: paper2AvgConfidence.toFixed(1),
+                paper3AvgConfidence: paper3AvgConfidence.toFixed(1)
             },
             charts: {},
             insights: {
@@ -138,11 +150,17 @@ export const analyticCalculationMethods = {
                     lastStudyDate: 'Never'
                 },
                 masteryProgress,
-                confidenceTrends: []
+                confidenceTrends: [],
+                longTermProgress: {
+                    since: null,
+                    totalChanges: 0,
+                    netLevelChange: 0
+                }
             };
         }
 
         // If we have history data, calculate the full analytics
+        // (the whole course's history, newest first - older changes are daily/weekly roll-ups)
         const history = this.analyticsHistoryData;
         const now = new Date();
 
@@ -186,12 +204,19 @@ export const analyticCalculationMethods = {
                 lastStudyDate: history[0]?.date || 'Never'
             },
             masteryProgress,
-            confidenceTrends
+            confidenceTrends,
+            longTermProgress: {
+                since: history[history.length - 1]?.date || null,
+                totalChanges: history.reduce((sum, change) => sum + (change.changeCount || 1), 0),
+                netLevelChange: history.reduce((sum, change) => sum + ((change.newLevel || 0) - (change.oldLevel || 0)), 0)
+            }
         };
     },
 
     calculateMasteryProgress() {
-        const allTopics = Object.values(this.specificationData).flatMap(section => section.topics);
+        const allTopics = Object.entries(this.specificationData)
+            .filter(([sectionKey]) => this.isSectionInScope(sectionKey))
+            .flatMap(([, section]) => section.topics);
         const masteryLevels = {
             notStarted: allTopics.filter(topic => !this.confidenceLevels[topic.id]).length,
             beginning: allTopics.filter(topic => this.confidenceLevels[topic.id] === 1).length,
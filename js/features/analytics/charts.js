@@ -1,5 +1,13 @@
 // js/features/analytics/charts.js - Chart.js rendering methods
 
+import { buildConfidenceTimeline, averageTimelineSeries, getSparklinePoints } from '../../utils/confidence-timeline.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TREND_COLORS = ['#3b82f6', '#ef4444', '#22c55e', '#f97316', '#a855f7', '#14b8a6', '#eab308', '#ec4899', '#64748b', '#0ea5e9'];
+
+// Topic sparklines cover the last 12 weeks
+const SPARKLINE_WEEKS = 12;
+
 export const analyticChartMethods = {
     destroyChart(chartId) {
         if (this.chartInstances.has(chartId)) {
@@ -30,6 +38,9 @@ export const analyticChartMethods = {
 
             // Paper Readiness Charts
             this.renderPaperReadinessCharts();
+
+            // Confidence over time
+            this.renderConfidenceTrendCharts();
         });
     },
 
@@ -177,11 +188,9 @@ export const analyticChartMethods = {
 
         // Calculate confidence distribution for the specified paper
         const distribution = [0, 0, 0, 0, 0];
-        const allTopics = Object.values(this.specificationData).flatMap(section => section.topics);
-        const paperTopics = allTopics.filter(topic => {
-            const section = Object.values(this.specificationData).find(s => s.topics.some(t => t.id === topic.id));
-            return section && section.paper === `Paper ${paperNumber}`;
-        });
+        const paperTopics = Object.entries(this.specificationData)
+            .filter(([sectionKey, section]) => section.paper === `Paper ${paperNumber}` && this.isSectionInScope(sectionKey))
+            .flatMap(([, section]) => section.topics);
 
         paperTopics.forEach(topic => {
             const level = this.confidenceLevels[topic.id];
@@ -222,5 +231,148 @@ export const analyticChartMethods = {
     renderPaperReadinessCharts() {
         this.renderPaperChart(1, 'paper1Chart', 'paper1Chart');
         this.renderPaperChart(2, 'paper2Chart', 'paper2Chart');
+        this.renderPaperChart(3, 'paper3Chart', 'paper3Chart');
+    },
+
+    /**
+     * Gets the date range for the trend charts (defaults to the last 12 weeks)
+     * @returns {Object} { from, to } in ms
+     */
+    getAnalyticsRange() {
+        const to = this.analyticsRangeTo ? Date.parse(this.analyticsRangeTo) + DAY_MS - 1 : Date.now();
+        const from = this.analyticsRangeFrom ? Date.parse(this.analyticsRangeFrom) : to - 12 * 7 * DAY_MS;
+        return from <= to ? { from, to } : { from: to, to: from };
+    },
+
+    /**
+     * Sets the range to the last N weeks (or the whole history if weeks is null) and redraws
+     */
+    setAnalyticsRangePreset(weeks) {
+        const today = new Date();
+        let from;
+        if (weeks === null) {
+            const oldest = this.analyticsHistoryData[this.analyticsHistoryData.length - 1];
+            from = oldest ? new Date(oldest.timestamp) : today;
+        } else {
+            from = new Date(today.getTime() - weeks * 7 * DAY_MS);
+        }
+
+        this.analyticsRangeFrom = from.toISOString().slice(0, 10);
+        this.analyticsRangeTo = today.toISOString().slice(0, 10);
+        this.renderConfidenceTrendCharts();
+    },
+
+    /**
+     * Builds the weekly timeline for the selected range
+     */
+    getConfidenceTimeline(topicIds) {
+        return buildConfidenceTimeline(this.analyticsHistoryData, this.confidenceLevels, topicIds, this.getAnalyticsRange());
+    },
+
+    renderConfidenceTrendCharts() {
+        this.renderPaperTrendChart();
+        this.renderSectionTrendChart();
+    },
+
+    /**
+     * Draws a line chart of average confidence per week
+     * @param {Array} lines - [{ label, topicIds }]
+     */
+    renderTrendChart(chartId, title, lines) {
+        const ctx = document.getElementById(chartId);
+        if (!ctx) return;
+
+        this.destroyChart(chartId);
+
+        const timeline = this.getConfidenceTimeline(lines.flatMap(line => line.topicIds));
+
+        const chart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: timeline.labels.map(label => new Date(label).toLocaleDateString()),
+                datasets: lines.map((line, index) => ({
+                    label: line.label,
+                    data: averageTimelineSeries(timeline, line.topicIds),
+                    borderColor: TREND_COLORS[index % TREND_COLORS.length],
+                    backgroundColor: TREND_COLORS[index % TREND_COLORS.length],
+                    tension: 0.3,
+                    spanGaps: true,
+                    pointRadius: 2
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    },
+                    title: {
+                        display: true,
+                        text: title
+                    }
+                },
+                scales: {
+                    y: {
+                        min: 0,
+                        max: 5,
+                        ticks: {
+                            stepSize: 1
+                        }
+                    }
+                }
+            }
+        });
+
+        this.chartInstances.set(chartId, chart);
+    },
+
+    renderPaperTrendChart() {
+        const lines = Object.keys(this.paperModeGroups || {}).map(paper => ({
+            label: paper,
+            topicIds: Object.values(this.topicLookup)
+                .filter(topic => topic.sectionPaper === paper && this.isSectionInScope(topic.sectionName))
+                .map(topic => topic.topicId)
+        }));
+
+        this.renderTrendChart('paperTrendChart', 'Average Confidence by Paper (weekly)', lines);
+    },
+
+    renderSectionTrendChart() {
+        const lines = Object.entries(this.specificationData)
+            .filter(([sectionKey, section]) => section.paper === this.analyticsTrendPaper && this.isSectionInScope(sectionKey))
+            .map(([, section]) => ({
+                label: section.title,
+                topicIds: (section.topics || []).map(topic => topic.id)
+            }));
+
+        this.renderTrendChart('sectionTrendChart', `Average Confidence by Section - ${this.analyticsTrendPaper} (weekly)`, lines);
+    },
+
+    /**
+     * Gets SVG points for a topic's confidence over the last 12 weeks
+     * @returns {string} Empty if the topic's confidence has never changed
+     */
+    getTopicSparklinePoints(topicId, width = 60, height = 20) {
+        const series = this._getTopicSparklineSeries()[topicId];
+        return series ? getSparklinePoints(series, width, height) : '';
+    },
+
+    /**
+     * Builds the sparkline timelines of every topic with confidence changes in one pass over the history
+     * Cached until the history or confidence levels change.
+     * @returns {Object} Topic ID → level per week
+     */
+    _getTopicSparklineSeries() {
+        if (this._cachedTopicSparklinesDirty) {
+            const topicIds = [...new Set(this.analyticsHistoryData.map(change => change.topicId))];
+            const to = Date.now();
+            this._cachedTopicSparklines = buildConfidenceTimeline(this.analyticsHistoryData, this.confidenceLevels, topicIds, {
+                from: to - (SPARKLINE_WEEKS - 1) * 7 * DAY_MS,
+                to
+            }).series;
+            this._cachedTopicSparklinesDirty = false;
+        }
+        return this._cachedTopicSparklines;
     }
 };
@@ -0,0 +1,71 @@
+// js/features/analytics/history.js - Confidence history store (IndexedDB), with roll-up compaction
+
+import { logger } from '../../utils/logger.js';
+import { idbAddHistoryEntries, idbGetHistoryEntries, idbReplaceHistoryEntries } from '../../utils/indexeddb.js';
+import { compactConfidenceHistory } from '../../utils/confidence-history.js';
+
+export const analyticHistoryMethods = {
+    /**
+     * Gets the owner key that separates each user's history in the shared store
+     */
+    getConfidenceHistoryOwner() {
+        return this.getStoragePrefix() || 'local';
+    },
+
+    /**
+     * Loads the full confidence history into analyticsHistoryData (newest first)
+     *
+     * The first load moves any history saved the old way (a single capped list) into the store.
+     * Every load compacts old changes into daily/weekly roll-ups.
+     *
+     * @param {Array} legacyHistory - History from the old storage key, if any
+     * @returns {Promise<boolean>} True if legacy history was moved into the store
+     */
+    async loadConfidenceHistory(legacyHistory = []) {
+        const owner = this.getConfidenceHistoryOwner();
+
+        try {
+            let entries = await idbGetHistoryEntries(owner);
+            const migrating = entries.length === 0 && legacyHistory.length > 0;
+            if (migrating) {
+                entries = legacyHistory;
+            }
+
+            const compacted = compactConfidenceHistory(entries);
+            if (migrating || compacted.length !== entries.length) {
+                await idbReplaceHistoryEntries(owner, compacted);
+                logger.log(`Confidence history: ${entries.length} entries stored as ${compacted.length}`);
+            }
+
+            this.analyticsHistoryData = compacted;
+            return migrating;
+        } catch (error) {
+            logger.warn('Could not load confidence history, using saved list:', error);
+            this.analyticsHistoryData = legacyHistory;
+            return false;
+        }
+    },
+
+    /**
+     * Stores one new confidence change
+     */
+    async appendConfidenceHistory(change) {
+        try {
+            await idbAddHistoryEntries(this.getConfidenceHistoryOwner(), [JSON.parse(JSON.stringify(change))]);
+        } catch (error) {
+            logger.error('Failed to save confidence change:', error);
+        }
+    },
+
+    /**
+     * Replaces the stored history with analyticsHistoryData (after a backup import or clearing data)
+     */
+    async replaceConfidenceHistory() {
+        try {
+            const entries = JSON.parse(JSON.stringify(this.analyticsHistoryData || []));
+            await idbReplaceHistoryEntries(this.getConfidenceHistoryOwner(), entries);
+        } catch (error) {
+            logger.error('Failed to save confidence history:', error);
+        }
+    }
+};
@@ -5,6 +5,11 @@
 import { storageUtils } from '../../utils/storage.js';
 import { idbGet, idbSet, idbRemove, idbSetBatch } from '../../utils/indexeddb.js';
 import { logger } from '../../utils/logger.js';
+import { ensureCardIds } from '../../utils/deduplication.js';
+import { getSpecificationStoragePrefix } from '../../data/specifications.js';
+import { normalizeSavedSearches } from '../../utils/search-query.js';
+import { normalizeNoteHistory } from '../../utils/note-history.js';
+import { EXAM_PAPERS, DEFAULT_TOPICS_PER_DAY } from '../../utils/revision-planner.js';
 
 // Storage keys for separated data
 const STORAGE_KEYS = {
@@ -14,6 +19,11 @@ const STORAGE_KEYS = {
     confidence: 'physics-confidence-levels',
     analytics: 'physics-analytics-history',
     testResults: 'flashcard-test-results',
+    flashcardSchedules: 'physics-flashcard-schedules',
+    flashcardCardHistory: 'physics-flashcard-history',
+    revisionPlanner: 'physics-revision-planner',
+    savedSearches: 'physics-saved-searches',
+    noteHistory: 'physics-note-history',
     // Old combined key for migration
     oldCombined: 'physicsAuditData',
     oldTeamsPrefix: 'physicsAuditData_teams_'
@@ -64,10 +74,18 @@ export const enhancedDataManagement = {
     },
 
     /**
-     * Get storage key prefix for user
+     * Get storage key prefix for the loaded specification ('' for AQA Physics)
+     */
+    getSpecificationStoragePrefix() {
+        return getSpecificationStoragePrefix(this.activeSpecification?.id);
+    },
+
+    /**
+     * Get storage key prefix for user and specification
      * SECURITY: Validates token before allowing Teams data access
      */
     getStoragePrefix() {
+        const specPrefix = this.getSpecificationStoragePrefix();
         if (this.authMethod === 'teams' && this.user?.id) {
             // SECURITY: Verify token before granting access to Teams data
             if (!this._verifyTeamsToken()) {
@@ -78,9 +96,9 @@ export const enhancedDataManagement = {
                 }
                 return '';
             }
-            return `teams_${this.user.id}_`;
+            return `teams_${this.user.id}_${specPrefix}`;
         }
-        return '';
+        return specPrefix;
     },
 
     /**
@@ -251,11 +269,8 @@ export const enhancedDataManagement = {
                 {
                     key: prefix + STORAGE_KEYS.confidence,
                     value: { data: serializeData(this.confidenceLevels || {}), lastUpdated: timestamp }
-                },
-                {
-                    key: prefix + STORAGE_KEYS.analytics,
-                    value: { data: serializeData(this.analyticsHistoryData || []), lastUpdated: timestamp }
                 }
+                // Confidence history has its own object store and is saved as each change happens
             ];
 
             // ✅ Execute all saves in a single IndexedDB transaction
@@ -315,11 +330,11 @@ export const enhancedDataManagement = {
         });
     },
 
+    /**
+     * Replaces the stored confidence history (new changes are appended as they happen instead)
+     */
     saveAnalyticsHistory() {
-        this.saveDataType('analytics', {
-            data: this.analyticsHistoryData || [],
-            lastUpdated: new Date().toISOString()
-        });
+        return this.replaceConfidenceHistory();
     },
 
     /**
@@ -327,6 +342,11 @@ export const enhancedDataManagement = {
      */
     async migrateOldData() {
         try {
+            // Old combined data predates specifications, so it only belongs to AQA Physics
+            if (this.getSpecificationStoragePrefix()) {
+                return false;
+            }
+
             let oldData = null;
             let oldKey = null;
 
@@ -417,26 +437,33 @@ export const enhancedDataManagement = {
             this.flashcardDecks = flashcardsData.data || {};
             if (this.flashcardDecks && typeof this.flashcardDecks === 'object') {
                 let needsReassign = false;
+                let cardIdsAssigned = false;
                 for (const deck of Object.values(this.flashcardDecks)) {
                     if (deck && deck.pinned === undefined) {
                         deck.pinned = false;
                         needsReassign = true;
                     }
+                    // Give cards from older decks a stable ID for per-card history/scheduling
+                    if (deck && ensureCardIds(deck.id, deck.cards)) {
+                        cardIdsAssigned = true;
+                        needsReassign = true;
+                    }
                 }
                 if (needsReassign) {
                     this.flashcardDecks = { ...this.flashcardDecks };
                 }
+                if (cardIdsAssigned) {
+                    this.saveFlashcardDecks();
+                }
             }
             this.mindmaps = mindmapsData.data || {};
             this.confidenceLevels = confidenceData.data || {};
 
-            // ⚡ MEMORY FIX: Prune analytics history to prevent unbounded growth
-            // Keep only last 500 entries
-            let historyData = analyticsData.data || [];
-            if (historyData.length > 500) {
-                historyData = historyData.slice(0, 500);
+            // Confidence history lives in its own store; the old key is only read to migrate it
+            const migratedHistory = await this.loadConfidenceHistory(analyticsData.data || []);
+            if (migratedHistory) {
+                await storageUtils.remove(prefix + STORAGE_KEYS.analytics);
             }
-            this.analyticsHistoryData = historyData;
 
         } catch (error) {
             logger.warn('Could not load saved data:', error);
@@ -446,6 +473,13 @@ export const enhancedDataManagement = {
             this.flashcardDecks = {};
             this.mindmaps = {};
         }
+
+        // Stores kept apart from the batch above; reloaded here so a login picks up that user's copies
+        await this.loadFlashcardSchedules();
+        await this.loadFlashcardCardHistory();
+        await this.loadRevisionPlanner();
+        await this.loadSavedSearches();
+        await this.loadNoteHistory();
     },
 
 
@@ -457,9 +491,19 @@ export const enhancedDataManagement = {
             confidenceLevels: this.confidenceLevels,
             analyticsHistory: this.analyticsHistoryData || [],
             userNotes: this.userNotes || {},
+            noteHistory: this.noteHistory || {},
             flashcardDecks: this.flashcardDecks || {},
             mindmaps: this.mindmaps || {},
             testResults: testResults || [],
+            flashcardSchedules: this.flashcardSchedules || {},
+            flashcardCardHistory: this.flashcardCardHistory || {},
+            revisionPlanner: {
+                examDates: this.examDates,
+                topicsPerDay: this.plannerTopicsPerDay,
+                completed: this.plannerCompleted || {}
+            },
+            savedSearches: this.savedSearches || [],
+            specification: this.activeSpecification?.id,
             exportDate: new Date().toISOString(),
             exportMethod: this.authMethod === 'teams' ? 'teams_cloud' : 'local',
             storageVersion: "2.0", // Updated version for separated storage
@@ -533,7 +577,13 @@ export const enhancedDataManagement = {
                 }
 
                 if (importedData.confidenceLevels || importedData.userNotes || importedData.flashcardDecks) {
-                    if (confirm('This will replace your current data. Are you sure?')) {
+                    const fromOtherSpecification = typeof importedData.specification === 'string'
+                        && importedData.specification !== this.activeSpecification?.id;
+                    const message = fromOtherSpecification
+                        ? `This backup is from a different specification (${importedData.specification}). It will replace your ${this.activeSpecification.title} data. Are you sure?`
+                        : 'This will replace your current data. Are you sure?';
+
+                    if (confirm(message)) {
                         // Import all data types
                         if (importedData.confidenceLevels) {
                             this.confidenceLevels = importedData.confidenceLevels;
@@ -551,6 +601,9 @@ export const enhancedDataManagement = {
                         }
 
                         if (importedData.flashcardDecks) {
+                            Object.values(importedData.flashcardDecks).forEach(deck => {
+                                if (deck) ensureCardIds(deck.id, deck.cards);
+                            });
                             this.flashcardDecks = importedData.flashcardDecks;
                             this.saveFlashcardDecks();
                         }
@@ -564,6 +617,35 @@ export const enhancedDataManagement = {
                             this.saveDataType('testResults', importedData.testResults);
                         }
 
+                        if (importedData.flashcardSchedules && typeof importedData.flashcardSchedules === 'object') {
+                            this.flashcardSchedules = importedData.flashcardSchedules;
+                            this.saveFlashcardSchedules();
+                        }
+
+                        if (importedData.flashcardCardHistory && typeof importedData.flashcardCardHistory === 'object') {
+                            this.flashcardCardHistory = importedData.flashcardCardHistory;
+                            this.saveFlashcardCardHistory();
+                        }
+
+                        if (importedData.revisionPlanner && typeof importedData.revisionPlanner === 'object') {
+                            Object.keys(this.examDates).forEach(paper => {
+                                const date = importedData.revisionPlanner.examDates?.[paper];
+                                this.examDates[paper] = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : '';
+                            });
+                            this.plannerCompleted = importedData.revisionPlanner.completed || {};
+                            this.setPlannerTopicsPerDay(importedData.revisionPlanner.topicsPerDay);
+                        }
+
+                        if (Array.isArray(importedData.savedSearches)) {
+                            this.savedSearches = normalizeSavedSearches(importedData.savedSearches);
+                            this.saveSavedSearches();
+                        }
+
+                        if (importedData.noteHistory && typeof importedData.noteHistory === 'object') {
+                            this.noteHistory = normalizeNoteHistory(importedData.noteHistory);
+                            this.saveNoteHistory();
+                        }
+
                         // ⚡ PERFORMANCE: Rebuild search indexes after import
                         this._rebuildSearchIndexes();
 
@@ -586,24 +668,41 @@ export const enhancedDataManagement = {
             this.confidenceLevels = {};
             this.analyticsHistoryData = [];
             this.userNotes = {};
+            this.noteHistory = {};
             this.flashcardDecks = {};
+            this.flashcardSchedules = {};
+            this.flashcardCardHistory = {};
             this.mindmaps = {};
+            this.examDates = Object.fromEntries(EXAM_PAPERS.map(paper => [paper, '']));
+            this.plannerTopicsPerDay = DEFAULT_TOPICS_PER_DAY;
+            this.plannerCompleted = {};
+            this.revisionPlan = [];
+            this.savedSearches = [];
 
             // Get storage prefix
             const prefix = this.getStoragePrefix();
 
             // Clear all separated storage keys using IndexedDB
             await storageUtils.remove(prefix + STORAGE_KEYS.notes);
+            await storageUtils.remove(prefix + STORAGE_KEYS.noteHistory);
             await storageUtils.remove(prefix + STORAGE_KEYS.flashcards);
+            await storageUtils.remove(prefix + STORAGE_KEYS.flashcardSchedules);
+            await storageUtils.remove(prefix + STORAGE_KEYS.flashcardCardHistory);
             await storageUtils.remove(prefix + STORAGE_KEYS.mindmaps);
+            await storageUtils.remove(prefix + STORAGE_KEYS.revisionPlanner);
+            await storageUtils.remove(prefix + STORAGE_KEYS.savedSearches);
             await storageUtils.remove(prefix + STORAGE_KEYS.confidence);
             await storageUtils.remove(prefix + STORAGE_KEYS.analytics);
-            await storageUtils.remove(STORAGE_KEYS.testResults);
-
-            // Also clear old combined storage (if any)
-            await storageUtils.remove(STORAGE_KEYS.oldCombined);
-            if (this.authMethod === 'teams' && this.user?.id) {
-                await storageUtils.remove(`${STORAGE_KEYS.oldTeamsPrefix}${this.user.id}`);
+            await storageUtils.remove(this.getSpecificationStoragePrefix() + STORAGE_KEYS.testResults);
+            await this.replaceConfidenceHistory();
+            await this._clearSearchIndexes();
+
+            // Also clear old combined storage (if any - it only belongs to AQA Physics)
+            if (!this.getSpecificationStoragePrefix()) {
+                await storageUtils.remove(STORAGE_KEYS.oldCombined);
+                if (this.authMethod === 'teams' && this.user?.id) {
+                    await storageUtils.remove(`${STORAGE_KEYS.oldTeamsPrefix}${this.user.id}`);
+                }
             }
 
             // For Teams users, also clear cloud storage
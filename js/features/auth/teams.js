@@ -263,7 +263,7 @@ export const teamsAuthMethods = {
         try {
             // For now, we'll store in IndexedDB with user-specific key
             // In production, you might want to use SharePoint or Teams storage
-            const userSpecificKey = `physicsAuditData_teams_${this.user.id}`;
+            const userSpecificKey = `physicsAuditData_teams_${this.getSpecificationStoragePrefix()}${this.user.id}`;
             const parsedData = await idbGet(userSpecificKey);
 
             if (parsedData) {
@@ -298,7 +298,7 @@ export const teamsAuthMethods = {
 
             // For now, save to IndexedDB with user-specific key
             // In production, implement SharePoint/Teams storage
-            const userSpecificKey = `physicsAuditData_teams_${this.user.id}`;
+            const userSpecificKey = `physicsAuditData_teams_${this.getSpecificationStoragePrefix()}${this.user.id}`;
             await idbSet(userSpecificKey, dataToSave);
 
             return true;
@@ -10,28 +10,38 @@ export const confidenceRatingMethods = {
 
         // Track historical data for analytics
         if (oldLevel !== (newLevel || 0)) {
-            const now = new Date();
-            const change = {
-                topicId: topicId,
-                oldLevel: oldLevel,
-                newLevel: newLevel || 0,
-                timestamp: now.toISOString(),
-                date: now.toLocaleDateString(),
-                time: now.toLocaleTimeString(),
-                dayOfWeek: now.toLocaleDateString('en-US', { weekday: 'long' }),
-                studySession: this.getStudySessionId(now) // Group activities by session
-            };
-
-            // Add to history (limit to 100 changes to save memory)
-            this.analyticsHistoryData.unshift(change);
-            if (this.analyticsHistoryData.length > 100) {
-                this.analyticsHistoryData = this.analyticsHistoryData.slice(0, 100);
-            }
+            this.recordConfidenceChange(topicId, oldLevel, newLevel || 0, 'manual');
         }
 
-        // Save both confidence levels and analytics history
+        // The history change is stored as it's recorded
         this.saveConfidenceLevels();
-        this.saveAnalyticsHistory();
+    },
+
+    /**
+     * Adds a confidence change to the analytics history and the history store
+     * @param {string} source - 'manual' (rated by the student) or 'flashcards' (accepted suggestion)
+     * @param {string} [reason] - Why the change was suggested, e.g. "82% correct over 3 sessions"
+     */
+    recordConfidenceChange(topicId, oldLevel, newLevel, source = 'manual', reason = null) {
+        const now = new Date();
+        const change = {
+            topicId: topicId,
+            oldLevel: oldLevel,
+            newLevel: newLevel,
+            source: source,
+            timestamp: now.toISOString(),
+            date: now.toLocaleDateString(),
+            time: now.toLocaleTimeString(),
+            dayOfWeek: now.toLocaleDateString('en-US', { weekday: 'long' }),
+            studySession: this.getStudySessionId(now) // Group activities by session
+        };
+        if (reason) {
+            change.reason = reason;
+        }
+
+        // Newest first; old changes are rolled up when the history is next loaded
+        this.analyticsHistoryData.unshift(change);
+        this.appendConfidenceHistory(change);
     },
 
     // Helper method to group activities into study sessions
@@ -0,0 +1,80 @@
+// js/features/confidence/suggestions.js - Confidence suggestions from flashcard test results (opt-in)
+
+import { logger } from '../../utils/logger.js';
+import { buildConfidenceSuggestion } from '../../utils/confidence-suggestions.js';
+
+export const confidenceSuggestionMethods = {
+    /**
+     * Builds suggestions for every topic tagged on the decks in the finished test
+     * @returns {Array} [{ topicId, topicTitle, currentLevel, level, explanation, selected }]
+     */
+    buildTestConfidenceSuggestions() {
+        // Answers from the test on screen aren't in the card log until the test is saved,
+        // so they join as the newest session
+        const currentSession = new Date().toISOString();
+        const topicIds = new Set();
+        this.testFlashcards.forEach(card => {
+            (this.flashcardDecks[card.deckId]?.tags || []).forEach(tagId => {
+                if (this.topicLookup[tagId]) topicIds.add(tagId);
+            });
+        });
+
+        return [...topicIds].map(topicId => {
+            const answers = [];
+
+            Object.values(this.flashcardDecks)
+                .filter(deck => (deck.tags || []).includes(topicId))
+                .forEach(deck => {
+                    deck.cards.forEach((card, index) => {
+                        answers.push(...this.getCardHistory(card, deck.id, index));
+                    });
+                });
+
+            Object.entries(this.testAnswers).forEach(([index, result]) => {
+                const card = this.testFlashcards[index];
+                if (card && (this.flashcardDecks[card.deckId]?.tags || []).includes(topicId)) {
+                    answers.push({ result, timestamp: currentSession });
+                }
+            });
+
+            const currentLevel = this.confidenceLevels[topicId] || 0;
+            const suggestion = buildConfidenceSuggestion(answers, currentLevel);
+            if (!suggestion) return null;
+
+            return {
+                topicId,
+                topicTitle: this.topicLookup[topicId].topicTitle,
+                currentLevel,
+                level: suggestion.level,
+                explanation: suggestion.explanation,
+                selected: true
+            };
+        }).filter(Boolean);
+    },
+
+    /**
+     * Applies the ticked suggestions and records each change as coming from flashcards
+     */
+    applyConfidenceSuggestions() {
+        const accepted = this.testConfidenceSuggestions.filter(suggestion => suggestion.selected);
+        if (accepted.length === 0) return;
+
+        accepted.forEach(suggestion => {
+            const oldLevel = this.confidenceLevels[suggestion.topicId] || 0;
+            this.confidenceLevels[suggestion.topicId] = suggestion.level;
+            this.recordConfidenceChange(suggestion.topicId, oldLevel, suggestion.level, 'flashcards', suggestion.explanation);
+        });
+
+        this.saveConfidenceLevels();
+
+        this.testConfidenceSuggestions = this.testConfidenceSuggestions.filter(suggestion => !suggestion.selected);
+        logger.log(`Applied ${accepted.length} confidence suggestion(s) from flashcard results`);
+    },
+
+    /**
+     * Ticks or unticks every suggestion
+     */
+    setAllConfidenceSuggestionsSelected(selected) {
+        this.testConfidenceSuggestions = this.testConfidenceSuggestions.map(suggestion => ({ ...suggestion, selected }));
+    }
+};
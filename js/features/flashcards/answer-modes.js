@@ -0,0 +1,168 @@
+// js/features/flashcards/answer-modes.js
+// Typed-answer and multiple-choice test modes (alongside the default flip-and-self-mark mode)
+
+import { checkTypedAnswer, buildMultipleChoiceOptions, stripHTML } from '../../utils/answer-matching.js';
+
+const ANSWER_MODES = ['flip', 'typed', 'choice'];
+
+export const flashcardAnswerModeMethods = {
+    /**
+     * Switches how answers are given during a test
+     * @param {string} mode - 'flip' | 'typed' | 'choice'
+     */
+    setTestAnswerMode(mode) {
+        if (!ANSWER_MODES.includes(mode)) return;
+
+        this.testAnswerMode = mode;
+        this.testTypedAnswer = '';
+        this.saveSettings();
+
+        this.$nextTick(() => {
+            if (window.lucide) {
+                lucide.createIcons();
+            }
+        });
+    },
+
+    /**
+     * Checks whether the current test takes answers by typing or choosing
+     * (due reviews always use flip-and-grade)
+     */
+    usesAnswerInput() {
+        return !this.testIsDueReview && this.testAnswerMode !== 'flip';
+    },
+
+    /**
+     * Gets the feedback recorded for the current card ({ correct, reason, given }) or null
+     */
+    getCurrentAnswerFeedback() {
+        return this.testAnswerFeedback[this.currentTestCardIndex] || null;
+    },
+
+    /**
+     * Checks the typed answer for the current card and reveals the back
+     * Pressing Enter again after feedback moves on to the next card
+     */
+    submitTypedAnswer() {
+        if (this.getCurrentAnswerFeedback()) {
+            this.continueAfterAnswerFeedback();
+            return;
+        }
+
+        const card = this.getCurrentTestCard();
+        if (!card || !this.testTypedAnswer.trim()) return;
+
+        const result = checkTypedAnswer(this.testTypedAnswer, this._getExpectedAnswer(card), {
+            tolerancePercent: this.typedAnswerTolerance
+        });
+
+        this._recordModeAnswer(result.correct, { reason: result.reason, given: this.testTypedAnswer.trim() });
+    },
+
+    /**
+     * Accepts a typed answer the checker marked wrong (e.g. a valid rewording)
+     */
+    overrideTypedAnswerAsCorrect() {
+        const feedback = this.getCurrentAnswerFeedback();
+        if (!feedback || feedback.correct) return;
+
+        this.testAnswers[this.currentTestCardIndex] = 'correct';
+        this.testAnswerFeedback[this.currentTestCardIndex] = { ...feedback, correct: true, reason: 'override' };
+    },
+
+    /**
+     * Gets multiple-choice options for the current card
+     * Options are cached per card so they don't reshuffle on every render
+     */
+    getCurrentChoiceOptions() {
+        const card = this.getCurrentTestCard();
+        if (!card) return [];
+
+        if (!this._choiceOptionsCache) {
+            this._choiceOptionsCache = new Map();
+        }
+
+        const cacheKey = `${this.currentTestCardIndex}:${this.getCardId(card.deckId, card)}`;
+        if (!this._choiceOptionsCache.has(cacheKey)) {
+            const options = buildMultipleChoiceOptions(this._getExpectedAnswer(card), this._getDistractorCandidates(card))
+                .map((option, index) => ({ ...option, key: `${cacheKey}:${index}` }));
+            this._choiceOptionsCache.set(cacheKey, options);
+        }
+
+        return this._choiceOptionsCache.get(cacheKey);
+    },
+
+    /**
+     * Answers the current card with a multiple-choice option
+     */
+    selectChoiceOption(option) {
+        if (!option || this.getCurrentAnswerFeedback()) return;
+        this._recordModeAnswer(option.correct, { reason: option.correct ? 'exact' : 'mismatch', given: stripHTML(option.text), optionKey: option.key });
+    },
+
+    /**
+     * Clears feedback input and moves to the next card (or finishes the test)
+     */
+    continueAfterAnswerFeedback() {
+        this.testTypedAnswer = '';
+
+        if (!this.hasNextTestCard()) {
+            this.finishTest();
+        } else {
+            this.nextTestCard();
+        }
+    },
+
+    /**
+     * Gets the text a typed/choice answer is checked against
+     * (cloze and occlusion prompts carry just the hidden text)
+     */
+    _getExpectedAnswer(card) {
+        return card.answer || card.back;
+    },
+
+    /**
+     * Records an answer from typed/choice mode into the same testAnswers map used by flip mode
+     */
+    _recordModeAnswer(correct, details) {
+        const index = this.currentTestCardIndex;
+        this.testAnswers[index] = correct ? 'correct' : 'incorrect';
+        this.testAnswerFeedback[index] = { correct, ...details };
+        this.testCardFlipped = true;
+    },
+
+    /**
+     * Collects candidate distractors for a card: other answers from the same deck first,
+     * then answers from decks sharing a topic tag, then anything else in the current test
+     */
+    _getDistractorCandidates(card) {
+        const deck = this.flashcardDecks[card.deckId];
+        const expected = this._getExpectedAnswer(card);
+        const otherAnswers = cards => cards
+            .map(other => this._getExpectedAnswer(other))
+            .filter(answer => answer && answer !== expected);
+        const deckAnswers = other => otherAnswers(
+            this.expandCardsForTest((other.cards || []).map(c => ({ ...c, deckId: other.id })))
+        );
+
+        const sameDeck = deck ? deckAnswers(deck) : [];
+
+        const deckTags = deck?.tags || [];
+        const sameTopic = deckTags.length === 0 ? [] : Object.values(this.flashcardDecks)
+            .filter(other => other && other.id !== card.deckId && (other.tags || []).some(tag => deckTags.includes(tag)))
+            .flatMap(deckAnswers);
+
+        const inTest = otherAnswers(this.testFlashcards || []);
+
+        return [sameDeck, sameTopic, inTest];
+    },
+
+    /**
+     * Resets per-test answer mode state (called when a test ends or is reshuffled)
+     */
+    resetAnswerModeState() {
+        this.testTypedAnswer = '';
+        this.testAnswerFeedback = {};
+        this._choiceOptionsCache = null;
+    }
+};
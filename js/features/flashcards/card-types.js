@@ -0,0 +1,287 @@
+// js/features/flashcards/card-types.js
+// Card type authoring (cloze deletion, image occlusion) and expansion of cards into test prompts
+
+import { logger } from '../../utils/logger.js';
+import {
+    CARD_TYPES,
+    getCardType,
+    getClozeNumbers,
+    renderCloze,
+    expandCard,
+    isSafeImageSource
+} from '../../utils/card-types.js';
+
+// Keep occlusion images small enough for IndexedDB and exports
+const MAX_OCCLUSION_IMAGE_BYTES = 2 * 1024 * 1024;
+
+// Ignore accidental clicks when drawing masks (percent of image size)
+const MIN_MASK_SIZE = 2;
+
+export const flashcardCardTypeMethods = {
+    /**
+     * Expands deck cards into the prompts shown in a test
+     * (a cloze card gives one prompt per deletion, an occlusion card one per mask)
+     * @param {Array} cards - Cards that already carry deckId/deckName
+     */
+    expandCardsForTest(cards) {
+        return (cards || []).flatMap((card, index) => expandCard(card, this.getCardId(card.deckId, card, index)));
+    },
+
+    /**
+     * Gets a card's type ('basic' | 'cloze' | 'occlusion')
+     */
+    getCardType(card) {
+        return getCardType(card);
+    },
+
+    /**
+     * Gets the HTML shown for a card's front in lists (cloze deletions highlighted)
+     */
+    getCardPreviewHTML(card) {
+        if (getCardType(card) === 'cloze') {
+            return renderCloze(card.front, null);
+        }
+        return card?.front || '';
+    },
+
+    /**
+     * Gets the position style for an occlusion mask (coordinates are percentages)
+     */
+    getOcclusionMaskStyle(mask) {
+        if (!mask) return '';
+        return `left: ${mask.x}%; top: ${mask.y}%; width: ${mask.width}%; height: ${mask.height}%;`;
+    },
+
+    /**
+     * Gets a safe image source for an occlusion card (empty string if invalid)
+     */
+    getOcclusionImageSource(card) {
+        return isSafeImageSource(card?.image) ? card.image : '';
+    },
+
+    /**
+     * Switches the type of the card being authored in the editor
+     */
+    setFlashcardEditorCardType(type) {
+        if (!CARD_TYPES.includes(type)) return;
+        this.flashcardEditorCardType = type;
+
+        this.$nextTick(() => {
+            if (window.lucide) {
+                lucide.createIcons();
+            }
+        });
+    },
+
+    /**
+     * Wraps the selected text in the front editor as the next cloze deletion
+     */
+    wrapSelectionAsCloze() {
+        const editor = document.getElementById('flashcard-front-editor');
+        const selection = window.getSelection();
+        if (!editor || !selection || selection.rangeCount === 0) return;
+
+        const range = selection.getRangeAt(0);
+        if (range.collapsed || !editor.contains(range.commonAncestorContainer)) return;
+
+        const numbers = getClozeNumbers(editor.innerHTML);
+        const next = numbers.length > 0 ? numbers[numbers.length - 1] + 1 : 1;
+
+        const text = range.toString();
+        range.deleteContents();
+        range.insertNode(document.createTextNode(`{{c${next}::${text}}}`));
+        selection.removeAllRanges();
+
+        this.flashcardEditorCurrentCardFront = editor.innerHTML;
+    },
+
+    /**
+     * Loads an image for an occlusion card from a file input
+     */
+    async loadOcclusionImage(event) {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        if (!file.type.startsWith('image/')) {
+            await this.showAlert('Please choose an image file (PNG, JPG, GIF or WebP).', 'Invalid Image');
+            return;
+        }
+
+        if (file.size > MAX_OCCLUSION_IMAGE_BYTES) {
+            await this.showAlert('Images must be smaller than 2 MB. Try cropping or compressing the diagram first.', 'Image Too Large');
+            return;
+        }
+
+        try {
+            const dataUrl = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(file);
+            });
+
+            if (!isSafeImageSource(dataUrl)) {
+                await this.showAlert('This image format is not supported. Please use PNG, JPG, GIF or WebP.', 'Invalid Image');
+                return;
+            }
+
+            this.flashcardEditorOcclusionImage = dataUrl;
+            this.flashcardEditorOcclusionMasks = [];
+        } catch (error) {
+            logger.error('Failed to read occlusion image:', error);
+            await this.showAlert('Could not read that image. Please try another file.', 'Image Error');
+        }
+    },
+
+    /**
+     * Gets a pointer position as percentages of the image container
+     */
+    _getOcclusionPoint(event) {
+        const rect = event.currentTarget.getBoundingClientRect();
+        const clamp = value => Math.min(100, Math.max(0, value));
+        return {
+            x: clamp(((event.clientX - rect.left) / rect.width) * 100),
+            y: clamp(((event.clientY - rect.top) / rect.height) * 100)
+        };
+    },
+
+    /**
+     * Starts drawing a mask rectangle on the occlusion image
+     */
+    startOcclusionMask(event) {
+        if (!this.flashcardEditorOcclusionImage) return;
+        const start = this._getOcclusionPoint(event);
+        this.flashcardEditorOcclusionDraft = { startX: start.x, startY: start.y, x: start.x, y: start.y, width: 0, height: 0 };
+    },
+
+    /**
+     * Resizes the mask being drawn
+     */
+    updateOcclusionMask(event) {
+        const draft = this.flashcardEditorOcclusionDraft;
+        if (!draft) return;
+
+        const point = this._getOcclusionPoint(event);
+        this.flashcardEditorOcclusionDraft = {
+            ...draft,
+            x: Math.min(draft.startX, point.x),
+            y: Math.min(draft.startY, point.y),
+            width: Math.abs(point.x - draft.startX),
+            height: Math.abs(point.y - draft.startY)
+        };
+    },
+
+    /**
+     * Finishes drawing and keeps the mask if it's big enough
+     */
+    finishOcclusionMask() {
+        const draft = this.flashcardEditorOcclusionDraft;
+        this.flashcardEditorOcclusionDraft = null;
+        if (!draft || draft.width < MIN_MASK_SIZE || draft.height < MIN_MASK_SIZE) return;
+
+        const round = value => Math.round(value * 10) / 10;
+        const nextId = this.flashcardEditorOcclusionMasks.reduce((max, mask) => Math.max(max, mask.id), 0) + 1;
+
+        this.flashcardEditorOcclusionMasks.push({
+            id: nextId,
+            x: round(draft.x),
+            y: round(draft.y),
+            width: round(draft.width),
+            height: round(draft.height),
+            label: ''
+        });
+    },
+
+    /**
+     * Removes a mask from the occlusion card being authored
+     */
+    removeOcclusionMask(maskId) {
+        this.flashcardEditorOcclusionMasks = this.flashcardEditorOcclusionMasks.filter(mask => mask.id !== maskId);
+    },
+
+    /**
+     * Builds a card from the editor inputs for the selected type
+     * @returns {Promise<Object|null>} Card fields, or null if validation failed (an alert has been shown)
+     */
+    async _buildCardFromEditor() {
+        const front = this.flashcardEditorCurrentCardFront.trim();
+        const back = this.flashcardEditorCurrentCardBack.trim();
+
+        switch (this.flashcardEditorCardType) {
+            case 'cloze':
+                if (getClozeNumbers(front).length === 0) {
+                    await this.showAlert('Cloze cards need at least one deletion, e.g. "The unit of {{c1::force}} is the {{c2::newton}}".', 'Missing Cloze');
+                    return null;
+                }
+                return { type: 'cloze', front, back };
+
+            case 'occlusion':
+                if (!this.flashcardEditorOcclusionImage) {
+                    await this.showAlert('Please add an image for this card', 'Missing Image');
+                    return null;
+                }
+                if (this.flashcardEditorOcclusionMasks.length === 0) {
+                    await this.showAlert('Draw at least one box over the part of the image to hide', 'No Masked Regions');
+                    return null;
+                }
+                return {
+                    type: 'occlusion',
+                    front: front || 'What is hidden?',
+                    back,
+                    image: this.flashcardEditorOcclusionImage,
+                    masks: this.flashcardEditorOcclusionMasks.map(mask => ({ ...mask, label: (mask.label || '').trim() }))
+                };
+
+            default:
+                if (!front) {
+                    await this.showAlert('Please enter text for the front of the card', 'Missing Front');
+                    return null;
+                }
+                if (!back) {
+                    await this.showAlert('Please enter text for the back of the card', 'Missing Back');
+                    return null;
+                }
+                return { type: 'basic', front, back };
+        }
+    },
+
+    /**
+     * Loads a card from the deck into the editor inputs
+     */
+    loadCardIntoEditor(index) {
+        const card = this.flashcardEditorCards[index];
+        if (!card) return;
+
+        this.flashcardEditorEditingCardIndex = index;
+        this.flashcardEditorCardType = getCardType(card);
+        this.flashcardEditorCurrentCardFront = card.front || '';
+        this.flashcardEditorCurrentCardBack = card.back || '';
+        this.flashcardEditorOcclusionImage = card.image || '';
+        this.flashcardEditorOcclusionMasks = (card.masks || []).map(mask => ({ ...mask }));
+
+        this.$nextTick(() => {
+            const frontEditor = document.getElementById('flashcard-front-editor');
+            const backEditor = document.getElementById('flashcard-back-editor');
+            if (frontEditor) frontEditor.innerHTML = card.front || '';
+            if (backEditor) backEditor.innerHTML = card.back || '';
+        });
+    },
+
+    /**
+     * Clears the card inputs in the editor (keeps the selected card type)
+     */
+    resetFlashcardEditorCardInputs() {
+        this.flashcardEditorEditingCardIndex = null;
+        this.flashcardEditorCurrentCardFront = '';
+        this.flashcardEditorCurrentCardBack = '';
+        this.flashcardEditorOcclusionImage = '';
+        this.flashcardEditorOcclusionMasks = [];
+        this.flashcardEditorOcclusionDraft = null;
+
+        const frontEditor = document.getElementById('flashcard-front-editor');
+        const backEditor = document.getElementById('flashcard-back-editor');
+        if (frontEditor) frontEditor.innerHTML = '';
+        if (backEditor) backEditor.innerHTML = '';
+    }
+};
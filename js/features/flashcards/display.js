@@ -1,6 +1,8 @@
 // js/features/flashcards/display.js
 // Display and grouping logic for flashcards view
 
+import { getCardType, getCardPromptCount } from '../../utils/card-types.js';
+
 export const flashcardsDisplayMethods = {
     sortFlashcardDecks(decks) {
         if (!Array.isArray(decks) || decks.length === 0) return decks;
@@ -32,6 +34,32 @@ export const flashcardsDisplayMethods = {
         return this.getDeckTestStats(deck).percentageClass;
     },
 
+    /**
+     * Counts a deck's cards by type and the test prompts they produce
+     * (a cloze card gives one prompt per deletion, an occlusion card one per mask)
+     */
+    getDeckCardTypeStats(deck) {
+        const stats = { basic: 0, cloze: 0, occlusion: 0, prompts: 0 };
+
+        (deck?.cards || []).forEach(card => {
+            stats[getCardType(card)]++;
+            stats.prompts += getCardPromptCount(card);
+        });
+
+        return stats;
+    },
+
+    /**
+     * Gets a deck's card count label, e.g. "5 cards" or "5 cards · 9 prompts"
+     */
+    getDeckCardSummary(deck) {
+        const count = deck?.cards?.length || 0;
+        const label = `${count} ${count === 1 ? 'card' : 'cards'}`;
+        const { prompts } = this.getDeckCardTypeStats(deck);
+
+        return prompts !== count ? `${label} · ${prompts} prompts` : label;
+    },
+
     invalidateDeckStatCaches() {
         this._deckResultsCache = null;
         this._deckStatsCache = null;
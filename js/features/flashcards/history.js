@@ -0,0 +1,199 @@
+// js/features/flashcards/history.js
+// Per-card answer history, difficulty sorting and leech detection
+
+import { logger } from '../../utils/logger.js';
+import { generateCardKey } from '../../utils/deduplication.js';
+import { expandCard, getCardPromptIds } from '../../utils/card-types.js';
+import {
+    appendCardAnswer,
+    summarizeCardHistory,
+    getCardDifficultyScore,
+    isLeechCard
+} from '../../utils/card-history.js';
+
+export const flashcardHistoryMethods = {
+    /**
+     * Gets the stable identity for a card (falls back to a content key for cards
+     * copied into old test sets before cards had IDs)
+     */
+    getCardId(deckId, card, index = 0) {
+        return card?.id || generateCardKey(deckId, card, index);
+    },
+
+    /**
+     * Gets the answer log for a card (oldest first)
+     * Cloze and occlusion cards combine the logs of all their prompts
+     */
+    getCardHistory(card, deckId = card?.deckId, index = 0) {
+        if (!card) return [];
+
+        const promptIds = getCardPromptIds(card, this.getCardId(deckId, card, index));
+        if (promptIds.length === 1) {
+            return this.flashcardCardHistory[promptIds[0]] || [];
+        }
+
+        return promptIds
+            .flatMap(promptId => this.flashcardCardHistory[promptId] || [])
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    },
+
+    /**
+     * Records every answer from the finished test into the per-card log
+     * @param {string} timestamp - ISO timestamp shared with the test result entry
+     */
+    recordTestAnswersToHistory(timestamp) {
+        let recorded = 0;
+
+        Object.entries(this.testAnswers).forEach(([index, result]) => {
+            const card = this.testFlashcards[index];
+            if (!card) return;
+
+            const cardId = this.getCardId(card.deckId, card, Number(index));
+            this.flashcardCardHistory[cardId] = appendCardAnswer(this.flashcardCardHistory[cardId], result, timestamp, this.testCardTimes?.[this._getTestCardTimeKey(Number(index))]);
+            recorded++;
+        });
+
+        if (recorded > 0) {
+            this.flashcardCardHistory = { ...this.flashcardCardHistory };
+            this.saveFlashcardCardHistory();
+        }
+    },
+
+    /**
+     * Gets a short miss summary for a card, e.g. "Missed 4 of last 5"
+     * @returns {string} Empty string if the card has never been tested
+     */
+    getCardMissLabel(card, recentWindow = 5) {
+        const summary = summarizeCardHistory(this.getCardHistory(card), recentWindow);
+        if (summary.recentAttempts === 0) return '';
+        return `Missed ${summary.recentMissed} of last ${summary.recentAttempts}`;
+    },
+
+    /**
+     * Gets Tailwind classes for a card's miss badge based on its difficulty
+     */
+    getCardMissLabelClass(card) {
+        const score = getCardDifficultyScore(this.getCardHistory(card));
+        if (score === null || score < 0.25) return 'text-green-600 dark:text-green-400';
+        if (score < 0.5) return 'text-yellow-600 dark:text-yellow-400';
+        return 'text-red-600 dark:text-red-400';
+    },
+
+    /**
+     * Sorts the cards in the deck editor from hardest to easiest
+     * Untested cards go last, keeping their relative order
+     */
+    sortEditorCardsByDifficulty() {
+        const deckId = this.flashcardEditorDeckId;
+        const scored = this.flashcardEditorCards.map((card, index) => ({
+            card,
+            index,
+            score: getCardDifficultyScore(this.getCardHistory(card, deckId, index))
+        }));
+
+        scored.sort((a, b) => {
+            if (a.score === null && b.score === null) return a.index - b.index;
+            if (a.score === null) return 1;
+            if (b.score === null) return -1;
+            return b.score - a.score || a.index - b.index;
+        });
+
+        this.flashcardEditorCards = scored.map(entry => entry.card);
+        this.flashcardEditorEditingCardIndex = null;
+    },
+
+    /**
+     * Gets all cards across all decks that are repeatedly failed
+     * @returns {Array} Leech cards, most-missed first
+     */
+    getLeechCards() {
+        const leeches = [];
+
+        Object.entries(this.flashcardDecks || {}).forEach(([deckId, deck]) => {
+            (deck.cards || []).forEach((card, index) => {
+                const cardId = this.getCardId(deckId, card, index);
+                expandCard({ ...card, deckId: deckId, deckName: deck.name }, cardId).forEach(prompt => {
+                    const history = this.flashcardCardHistory[this.getCardId(deckId, prompt, index)];
+                    if (isLeechCard(history)) {
+                        leeches.push({ ...prompt, _missed: summarizeCardHistory(history).missed });
+                    }
+                });
+            });
+        });
+
+        return leeches.sort((a, b) => b._missed - a._missed);
+    },
+
+    /**
+     * Starts a test containing only leech cards
+     */
+    async startLeechTest() {
+        const leeches = this.getLeechCards();
+
+        if (leeches.length === 0) {
+            await this.showAlert('No repeatedly-missed cards found. Keep testing to build up your history!', 'No Leeches');
+            return;
+        }
+
+        this.testFlashcards = leeches;
+        this.currentTestCardIndex = 0;
+        this.testCardFlipped = false;
+        this.currentTestTitle = 'Leech Cards';
+        this.currentTestSetId = null;
+        this.testAnswers = {};
+        this.testCompleted = false;
+        this.showTestResults = false;
+        this.showFlashcardTest = true;
+
+        this.$nextTick(() => {
+            if (window.lucide) {
+                lucide.createIcons();
+            }
+        });
+    },
+
+    /**
+     * Removes the answer logs for every card in a deleted deck
+     */
+    removeDeckCardHistory(deck) {
+        if (!deck || !Array.isArray(deck.cards)) return;
+
+        let removed = false;
+        deck.cards.forEach((card, index) => {
+            getCardPromptIds(card, this.getCardId(deck.id, card, index)).forEach(promptId => {
+                if (this.flashcardCardHistory[promptId]) {
+                    delete this.flashcardCardHistory[promptId];
+                    removed = true;
+                }
+            });
+        });
+
+        if (removed) {
+            this.flashcardCardHistory = { ...this.flashcardCardHistory };
+            this.saveFlashcardCardHistory();
+        }
+    },
+
+    /**
+     * Saves per-card answer history to IndexedDB
+     */
+    saveFlashcardCardHistory() {
+        this.saveDataType('flashcardCardHistory', {
+            data: this.flashcardCardHistory,
+            lastUpdated: new Date().toISOString()
+        });
+    },
+
+    /**
+     * Loads per-card answer history from IndexedDB
+     */
+    async loadFlashcardCardHistory() {
+        try {
+            const data = await this.loadDataType('flashcardCardHistory', { data: {} });
+            this.flashcardCardHistory = data.data || {};
+        } catch (error) {
+            logger.error('Failed to load flashcard history:', error);
+            this.flashcardCardHistory = {};
+        }
+    }
+};
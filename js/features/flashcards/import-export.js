@@ -0,0 +1,251 @@
+// js/features/flashcards/import-export.js
+// Deck import (Anki .apkg, CSV/TSV, Quizlet text) and per-deck export
+
+import { logger } from '../../utils/logger.js';
+import {
+    parseAnkiPackage,
+    parseDelimitedText,
+    rowsToCards,
+    serializeDeckAsCsv,
+    serializeDeckAsText
+} from '../../utils/deck-formats.js';
+
+// Large Anki packages are mostly media, which isn't imported
+const MAX_IMPORT_FILE_BYTES = 50 * 1024 * 1024;
+
+// Cards shown in the import preview
+const PREVIEW_CARD_COUNT = 5;
+
+export const flashcardImportExportMethods = {
+    /**
+     * Opens the deck import modal
+     * ⚡ Lazy-loads the template on first use
+     */
+    async openFlashcardImport() {
+        try {
+            const { loadTemplateLazy } = await import('../../template-loader.js');
+            await loadTemplateLazy('flashcard-import-modal-container', './templates/flashcard-import-modal.html');
+        } catch (error) {
+            logger.error('❌ Failed to open flashcard import:', error);
+            return;
+        }
+
+        this.flashcardImportPreview = null;
+        this.flashcardImportTags = [];
+        this.showFlashcardImport = true;
+
+        this.$nextTick(() => {
+            if (window.lucide) {
+                lucide.createIcons();
+            }
+        });
+    },
+
+    /**
+     * Closes the deck import modal and discards the preview
+     */
+    closeFlashcardImport() {
+        this.showFlashcardImport = false;
+        this.flashcardImportPreview = null;
+        this.flashcardImportTags = [];
+    },
+
+    /**
+     * Reads a chosen deck file and builds the import preview
+     */
+    async loadFlashcardImportFile(event) {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        if (file.size > MAX_IMPORT_FILE_BYTES) {
+            await this.showAlert('This file is larger than 50 MB. Try exporting the deck without media.', 'File Too Large');
+            return;
+        }
+
+        try {
+            if (/\.(apkg|colpkg)$/i.test(file.name)) {
+                const decks = await parseAnkiPackage(new Uint8Array(await file.arrayBuffer()));
+                if (decks.length === 0) {
+                    await this.showAlert('No cards were found in this Anki package.', 'Empty Deck');
+                    return;
+                }
+
+                this.flashcardImportPreview = {
+                    fileName: file.name,
+                    format: 'anki',
+                    decks,
+                    selectedDeckIndex: 0,
+                    deckName: decks[0].name,
+                    swapSides: false
+                };
+                this.flashcardImportTags = this._matchImportTagsToTopics(decks[0].sourceTags);
+            } else {
+                const parsed = parseDelimitedText(await file.text());
+                if (parsed.rows.length === 0) {
+                    await this.showAlert('No rows were found in this file.', 'Empty File');
+                    return;
+                }
+
+                this.flashcardImportPreview = {
+                    fileName: file.name,
+                    format: 'text',
+                    rows: parsed.rows,
+                    delimiter: parsed.delimiter,
+                    isHTML: parsed.isHTML,
+                    tagsColumn: parsed.tagsColumn,
+                    columnCount: Math.max(...parsed.rows.map(row => row.length)),
+                    frontColumn: 0,
+                    backColumn: 1,
+                    hasHeader: false,
+                    deckName: parsed.deckName || file.name.replace(/\.[^.]+$/, ''),
+                    swapSides: false
+                };
+                const { sourceTags } = rowsToCards(parsed.rows, { tagsColumn: parsed.tagsColumn });
+                this.flashcardImportTags = this._matchImportTagsToTopics(sourceTags);
+            }
+        } catch (error) {
+            logger.error('Failed to read deck file:', error);
+            await this.showAlert(`Could not read this file: ${error.message}`, 'Import Failed');
+            return;
+        }
+
+        this.$nextTick(() => {
+            if (window.lucide) {
+                lucide.createIcons();
+            }
+        });
+    },
+
+    /**
+     * Picks which deck of a multi-deck Anki package to import
+     */
+    selectFlashcardImportDeck(index) {
+        const preview = this.flashcardImportPreview;
+        const deck = preview?.decks?.[index];
+        if (!deck) return;
+
+        preview.selectedDeckIndex = index;
+        preview.deckName = deck.name;
+        this.flashcardImportTags = this._matchImportTagsToTopics(deck.sourceTags);
+    },
+
+    /**
+     * Keeps only source tags that are spec topic IDs (e.g. an Anki tag "physics::3.1.1a")
+     */
+    _matchImportTagsToTopics(sourceTags) {
+        const lookup = this.topicLookup || {};
+        const matched = (sourceTags || [])
+            .map(tag => tag.split('::').pop())
+            .filter(tag => lookup[tag]);
+        return [...new Set(matched)];
+    },
+
+    /**
+     * Gets the cards that would be imported with the current preview settings
+     */
+    getFlashcardImportCards() {
+        const preview = this.flashcardImportPreview;
+        if (!preview) return [];
+
+        const cards = preview.format === 'anki'
+            ? preview.decks[preview.selectedDeckIndex]?.cards || []
+            : rowsToCards(preview.rows, {
+                frontColumn: Number(preview.frontColumn),
+                backColumn: Number(preview.backColumn),
+                hasHeader: preview.hasHeader,
+                isHTML: preview.isHTML,
+                tagsColumn: preview.tagsColumn
+            }).cards;
+
+        // Cloze cards keep their text on the front whichever way round the columns are
+        return preview.swapSides
+            ? cards.map(card => (card.type === 'cloze' ? card : { ...card, front: card.back, back: card.front }))
+            : cards;
+    },
+
+    /**
+     * Gets the first few cards for the preview table
+     */
+    getFlashcardImportPreviewCards() {
+        return this.getFlashcardImportCards().slice(0, PREVIEW_CARD_COUNT);
+    },
+
+    /**
+     * Gets column choices for a CSV/TSV import, labelled with the first row's values
+     */
+    getFlashcardImportColumns() {
+        const preview = this.flashcardImportPreview;
+        if (!preview || preview.format !== 'text') return [];
+
+        const firstRow = preview.rows[0] || [];
+        return Array.from({ length: preview.columnCount }, (_, index) => {
+            const sample = (firstRow[index] || '').replace(/<[^>]*>/g, '').trim();
+            return {
+                index,
+                label: `Column ${index + 1}${sample ? `: ${sample.length > 30 ? sample.substring(0, 30) + '...' : sample}` : ''}`
+            };
+        });
+    },
+
+    /**
+     * Creates a deck from the import preview
+     * Goes through saveFlashcardDeck() so imported decks get the same IDs, validation and indexing as hand-made ones
+     */
+    async importFlashcardDeck() {
+        const preview = this.flashcardImportPreview;
+        if (!preview) return;
+
+        const cards = this.getFlashcardImportCards();
+        if (cards.length === 0) {
+            await this.showAlert('There are no cards to import with these settings. Check the column mapping.', 'No Cards');
+            return;
+        }
+
+        if (this.flashcardImportTags.length === 0) {
+            await this.showAlert('Please add at least one topic tag so the deck appears in the right sections', 'Missing Tags');
+            return;
+        }
+
+        this.flashcardEditorMode = 'create';
+        this.flashcardEditorSectionId = this.currentRevisionSection || null;
+        this.flashcardEditorDeckName = (preview.deckName || '').trim() || 'Imported Deck';
+        this.flashcardEditorDeckId = null;
+        this.flashcardEditorCards = cards.map(card => ({
+            type: card.type,
+            front: this.sanitizeHTML(card.front),
+            back: this.sanitizeHTML(card.back || '')
+        }));
+        this.flashcardEditorTags = [...this.flashcardImportTags];
+
+        await this.saveFlashcardDeck();
+
+        logger.log(`Imported ${cards.length} card(s) from ${preview.fileName}`);
+        this.closeFlashcardImport();
+    },
+
+    /**
+     * Downloads a deck as CSV (Anki import headers) or tab-separated text (Quizlet)
+     * @param {string} deckId - Deck to export
+     * @param {string} format - 'csv' or 'text'
+     */
+    async exportFlashcardDeck(deckId, format = 'csv') {
+        const deck = this.flashcardDecks[deckId];
+        if (!deck) return;
+
+        const { content, skipped } = format === 'text' ? serializeDeckAsText(deck) : serializeDeckAsCsv(deck);
+        const extension = format === 'text' ? 'txt' : 'csv';
+        const safeName = (deck.name || 'deck').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'deck';
+
+        const blob = new Blob([content], { type: format === 'text' ? 'text/plain' : 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${safeName}.${extension}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+
+        if (skipped > 0) {
+            await this.showAlert(`${skipped} image occlusion card(s) were left out because they can't be stored as text.`, 'Export Complete');
+        }
+    }
+};
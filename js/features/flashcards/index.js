@@ -4,6 +4,13 @@
 import { flashcardManagementMethods } from './management.js';
 import { flashcardTestMethods } from './test.js';
 import { testSetMethods } from './test-sets.js';
+import { flashcardReviewMethods } from './review.js';
+import { flashcardHistoryMethods } from './history.js';
+import { flashcardAnswerModeMethods } from './answer-modes.js';
+import { flashcardCardTypeMethods } from './card-types.js';
+import { flashcardImportExportMethods } from './import-export.js';
+import { flashcardStarterDeckMethods } from './starter-decks.js';
+import { flashcardTimingMethods } from './timing.js';
 import { studyMaterialsFilterMethods, flashcardsFilterMethods } from './filter.js';
 import { flashcardsDisplayMethods } from './display.js';
 
@@ -12,6 +19,13 @@ export const flashcardMethods = {
     ...flashcardManagementMethods,
     ...flashcardTestMethods,
     ...testSetMethods,
+    ...flashcardReviewMethods,
+    ...flashcardHistoryMethods,
+    ...flashcardAnswerModeMethods,
+    ...flashcardCardTypeMethods,
+    ...flashcardImportExportMethods,
+    ...flashcardStarterDeckMethods,
+    ...flashcardTimingMethods,
     ...studyMaterialsFilterMethods,
     ...flashcardsFilterMethods,
     ...flashcardsDisplayMethods
@@ -2,6 +2,7 @@
 // CRUD operations for flashcard decks
 
 import { logger } from '../../utils/logger.js';
+import { ensureCardIds } from '../../utils/deduplication.js';
 
 export const flashcardManagementMethods = {
     /**
@@ -38,6 +39,9 @@ export const flashcardManagementMethods = {
         this.flashcardEditorCards = [];
         this.flashcardEditorCurrentCardFront = '';
         this.flashcardEditorCurrentCardBack = '';
+        this.flashcardEditorCardType = 'basic';
+        this.flashcardEditorOcclusionImage = '';
+        this.flashcardEditorOcclusionMasks = [];
 
         // Auto-populate tags only when in Knowledge Audit revision mode
         if (this.showingRevision) {
@@ -80,6 +84,9 @@ export const flashcardManagementMethods = {
         this.flashcardEditorCards = [...deck.cards]; // Copy the cards
         this.flashcardEditorCurrentCardFront = '';
         this.flashcardEditorCurrentCardBack = '';
+        this.flashcardEditorCardType = 'basic';
+        this.flashcardEditorOcclusionImage = '';
+        this.flashcardEditorOcclusionMasks = [];
         this.flashcardEditorTags = [...(deck.tags || [])]; // Copy the tags
         this.showFlashcardEditor = true;
 
@@ -94,37 +101,38 @@ export const flashcardManagementMethods = {
      * Adds current card to the deck being edited
      */
     async addCardToDeck() {
-        // Validation
-        if (!this.flashcardEditorCurrentCardFront.trim()) {
-            await this.showAlert('Please enter text for the front of the card', 'Missing Front');
-            return;
-        }
-
-        if (!this.flashcardEditorCurrentCardBack.trim()) {
-            await this.showAlert('Please enter text for the back of the card', 'Missing Back');
-            return;
-        }
+        // Validation (depends on the selected card type)
+        const card = await this._buildCardFromEditor();
+        if (!card) return;
 
         // Add card to the array
-        this.flashcardEditorCards.push({
-            front: this.flashcardEditorCurrentCardFront.trim(),
-            back: this.flashcardEditorCurrentCardBack.trim()
-        });
+        this.flashcardEditorCards.push(card);
 
         // Clear inputs for next card (after successful validation)
-        this.flashcardEditorCurrentCardFront = '';
-        this.flashcardEditorCurrentCardBack = '';
-
-        // Also clear the contenteditable divs
-        const frontEditor = document.getElementById('flashcard-front-editor');
-        const backEditor = document.getElementById('flashcard-back-editor');
-        if (frontEditor) frontEditor.innerHTML = '';
-        if (backEditor) backEditor.innerHTML = '';
+        this.resetFlashcardEditorCardInputs();
 
         // Show success message
         logger.log(`Card ${this.flashcardEditorCards.length} added to deck`);
     },
 
+    /**
+     * Saves edits to the card currently loaded in the editor
+     * Keeps the card's ID (and any other fields) so its history stays attached
+     */
+    async updateCardInDeck() {
+        const index = this.flashcardEditorEditingCardIndex;
+        if (index === null || !this.flashcardEditorCards[index]) return;
+
+        const card = await this._buildCardFromEditor();
+        if (!card) return;
+
+        // Drop image data if the card is no longer an occlusion card
+        const { image, masks, ...existing } = this.flashcardEditorCards[index];
+        this.flashcardEditorCards[index] = { ...existing, ...card };
+
+        this.resetFlashcardEditorCardInputs();
+    },
+
     /**
      * Removes a card from the deck being edited
      */
@@ -142,7 +150,8 @@ export const flashcardManagementMethods = {
             const hasContent = this.flashcardEditorDeckName.trim() ||
                               this.flashcardEditorCards.length > 0 ||
                               this.flashcardEditorCurrentCardFront.trim() ||
-                              this.flashcardEditorCurrentCardBack.trim();
+                              this.flashcardEditorCurrentCardBack.trim() ||
+                              this.flashcardEditorOcclusionImage;
 
             if (hasContent) {
                 const confirmed = await this.showConfirm(
@@ -168,6 +177,10 @@ export const flashcardManagementMethods = {
         this.flashcardEditorTags = [];
         this.flashcardEditorCardsExpanded = false;
         this.flashcardEditorEditingCardIndex = null;
+        this.flashcardEditorCardType = 'basic';
+        this.flashcardEditorOcclusionImage = '';
+        this.flashcardEditorOcclusionMasks = [];
+        this.flashcardEditorOcclusionDraft = null;
     },
 
     /**
@@ -196,6 +209,7 @@ export const flashcardManagementMethods = {
         if (this.flashcardEditorMode === 'create') {
             // Create new deck
             const deckId = `deck_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            ensureCardIds(deckId, this.flashcardEditorCards);
 
             const newDeck = {
                 id: deckId,
@@ -215,6 +229,7 @@ export const flashcardManagementMethods = {
         } else {
             // Update existing deck
             if (this.flashcardDecks[this.flashcardEditorDeckId]) {
+                ensureCardIds(this.flashcardEditorDeckId, this.flashcardEditorCards);
                 this.flashcardDecks[this.flashcardEditorDeckId].name = this.flashcardEditorDeckName.trim();
                 this.flashcardDecks[this.flashcardEditorDeckId].cards = this.flashcardEditorCards;
                 this.flashcardDecks[this.flashcardEditorDeckId].tags = this.flashcardEditorTags;
@@ -258,6 +273,8 @@ export const flashcardManagementMethods = {
             this._removeFlashcardDeckFromIndex(deckId);
 
             this.saveFlashcardDecks();
+            this.removeDeckSchedules(deckId);
+            this.removeDeckCardHistory(deck);
         }
     },
 
@@ -0,0 +1,170 @@
+// js/features/flashcards/review.js
+// Spaced repetition review ("Due today") across all decks
+
+import { logger } from '../../utils/logger.js';
+import { REVIEW_GRADES, scheduleCard, isCardDue, isNewCard } from '../../utils/spaced-repetition.js';
+import { expandCard } from '../../utils/card-types.js';
+
+// Limit how many never-reviewed cards are introduced per review session
+const NEW_CARDS_PER_SESSION = 20;
+
+export const flashcardReviewMethods = {
+    /**
+     * Gets the schedule key for a card within a deck
+     */
+    getCardScheduleKey(deckId, card, index = 0) {
+        return this.getCardId(deckId, card, index);
+    },
+
+    /**
+     * Gets the stored schedule for a card (null if never reviewed)
+     */
+    getCardSchedule(deckId, card, index = 0) {
+        return this.flashcardSchedules[this.getCardScheduleKey(deckId, card, index)] || null;
+    },
+
+    /**
+     * Collects cards that are due today, plus a limited number of new cards
+     * @returns {Array} Cards ready for a review session (due cards first, most overdue first)
+     */
+    getDueCards(now = new Date()) {
+        const dueCards = [];
+        const newCards = [];
+
+        Object.entries(this.flashcardDecks || {}).forEach(([deckId, deck]) => {
+            (deck.cards || []).forEach((card, index) => {
+                // Cloze and occlusion cards are scheduled per prompt
+                const cardId = this.getCardId(deckId, card, index);
+                expandCard({ ...card, deckId: deckId, deckName: deck.name }, cardId).forEach(prompt => {
+                    const scheduleKey = this.getCardScheduleKey(deckId, prompt, index);
+                    const schedule = this.flashcardSchedules[scheduleKey];
+                    const reviewCard = { ...prompt, scheduleKey };
+
+                    if (isNewCard(schedule)) {
+                        newCards.push(reviewCard);
+                    } else if (isCardDue(schedule, now)) {
+                        dueCards.push(reviewCard);
+                    }
+                });
+            });
+        });
+
+        dueCards.sort((a, b) =>
+            new Date(this.flashcardSchedules[a.scheduleKey].due) - new Date(this.flashcardSchedules[b.scheduleKey].due)
+        );
+
+        return [...dueCards, ...newCards.slice(0, NEW_CARDS_PER_SESSION)];
+    },
+
+    /**
+     * Gets the number of cards in today's review session
+     */
+    getDueCardCount() {
+        return this.getDueCards().length;
+    },
+
+    /**
+     * Starts a review session with every card due today across all decks
+     */
+    async startDueReview() {
+        const cards = this.getDueCards();
+
+        if (cards.length === 0) {
+            await this.showAlert('No cards are due for review today. Check back tomorrow!', 'All Caught Up');
+            return;
+        }
+
+        this.testFlashcards = cards;
+        this.currentTestCardIndex = 0;
+        this.testCardFlipped = false;
+        this.currentTestTitle = 'Due Today';
+        this.currentTestSetId = null;
+        this.testIsDueReview = true;
+        this.testAnswers = {};
+        this.testCompleted = false;
+        this.showTestResults = false;
+        this.showFlashcardTest = true;
+
+        this.$nextTick(() => {
+            if (window.lucide) {
+                lucide.createIcons();
+            }
+        });
+    },
+
+    /**
+     * Grades the current card, updates its schedule and moves on
+     * @param {string} gradeName - 'again' | 'hard' | 'good' | 'easy'
+     */
+    gradeCurrentCard(gradeName) {
+        const grade = REVIEW_GRADES[gradeName];
+        const card = this.getCurrentTestCard();
+        if (!grade || !card) return;
+
+        const scheduleKey = card.scheduleKey || this.getCardScheduleKey(card.deckId, card, this.currentTestCardIndex);
+        this.flashcardSchedules[scheduleKey] = scheduleCard(this.flashcardSchedules[scheduleKey], grade);
+        this.flashcardSchedules = { ...this.flashcardSchedules };
+        this.saveFlashcardSchedules();
+
+        if (grade === REVIEW_GRADES.again) {
+            this.markCardIncorrect();
+        } else {
+            this.markCardCorrect();
+        }
+    },
+
+    /**
+     * Gets a human-readable preview of the next interval for a grade (e.g. "3d")
+     */
+    getGradeIntervalLabel(gradeName) {
+        const card = this.getCurrentTestCard();
+        if (!card) return '';
+
+        const scheduleKey = card.scheduleKey || this.getCardScheduleKey(card.deckId, card, this.currentTestCardIndex);
+        const next = scheduleCard(this.flashcardSchedules[scheduleKey], REVIEW_GRADES[gradeName]);
+        return next.interval >= 30 ? `${Math.round(next.interval / 30)}mo` : `${next.interval}d`;
+    },
+
+    /**
+     * Removes schedules belonging to a deleted deck
+     */
+    removeDeckSchedules(deckId) {
+        const prefix = `${deckId}-card-`;
+        let removed = false;
+
+        Object.keys(this.flashcardSchedules).forEach(key => {
+            if (key.startsWith(prefix)) {
+                delete this.flashcardSchedules[key];
+                removed = true;
+            }
+        });
+
+        if (removed) {
+            this.flashcardSchedules = { ...this.flashcardSchedules };
+            this.saveFlashcardSchedules();
+        }
+    },
+
+    /**
+     * Saves card schedules to IndexedDB
+     */
+    saveFlashcardSchedules() {
+        this.saveDataType('flashcardSchedules', {
+            data: this.flashcardSchedules,
+            lastUpdated: new Date().toISOString()
+        });
+    },
+
+    /**
+     * Loads card schedules from IndexedDB
+     */
+    async loadFlashcardSchedules() {
+        try {
+            const data = await this.loadDataType('flashcardSchedules', { data: {} });
+            this.flashcardSchedules = data.data || {};
+        } catch (error) {
+            logger.error('Failed to load flashcard schedules:', error);
+            this.flashcardSchedules = {};
+        }
+    }
+};
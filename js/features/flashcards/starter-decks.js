@@ -0,0 +1,65 @@
+// js/features/flashcards/starter-decks.js
+// "Generate starter deck" for a revision section or a specification group
+
+import { logger } from '../../utils/logger.js';
+import { buildStarterCards } from '../../utils/starter-deck.js';
+
+export const flashcardStarterDeckMethods = {
+    /**
+     * Generates a starter deck for a revision section and opens it in the editor
+     * @param {string} sectionId - Revision section ID (defaults to the section being viewed)
+     */
+    async generateStarterDeckForRevisionSection(sectionId = this.currentRevisionSection) {
+        const topicIds = window.revisionMapping?.[sectionId] || [];
+        const title = window.revisionSectionTitles?.[sectionId] || sectionId;
+
+        await this._openStarterDeck(`${title} - Starter Deck`, topicIds, sectionId);
+    },
+
+    /**
+     * Generates a starter deck covering every section in a group and opens it in the editor
+     * @param {string} groupTitle - Group title (defaults to the group being viewed)
+     */
+    async generateStarterDeckForGroup(groupTitle = this.lastExpandedGroup) {
+        const group = this.currentGroups.find(item => item.type === 'group' && item.title === groupTitle);
+        if (!group) {
+            logger.warn('Group not found:', groupTitle);
+            return;
+        }
+
+        const topicIds = group.sections.flatMap(key =>
+            (this.specificationData[key]?.topics || []).map(topic => topic.id)
+        );
+
+        await this._openStarterDeck(`${group.title} - Starter Deck`, topicIds, null);
+    },
+
+    /**
+     * Builds the cards for some topics and opens them in the flashcard editor for review
+     * The deck isn't saved until the student saves it, so they can prune or edit cards first
+     */
+    async _openStarterDeck(deckName, topicIds, sectionId) {
+        const topics = this.getTopicsForRevision(topicIds);
+
+        // Key formulas and common mistakes live on the revision sections the topics belong to
+        const revisionSectionIds = [...new Set(topics.map(topic => window.topicToSectionMapping?.[topic.id]).filter(Boolean))];
+        const sections = window.getResourcesForSection
+            ? revisionSectionIds.map(id => window.getResourcesForSection(id).section).filter(Boolean)
+            : [];
+
+        const cards = buildStarterCards({ topics, sections });
+        if (cards.length === 0) {
+            await this.showAlert('There is no specification content to build cards from for this selection.', 'No Content');
+            return;
+        }
+
+        await this.openFlashcardEditor(sectionId);
+
+        this.flashcardEditorDeckName = deckName;
+        this.flashcardEditorCards = cards;
+        this.flashcardEditorTags = topics.map(topic => topic.id);
+        this.flashcardEditorCardsExpanded = true;
+
+        logger.log(`Generated ${cards.length} starter cards for ${topics.length} topic(s)`);
+    }
+};
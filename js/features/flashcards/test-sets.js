@@ -1,6 +1,10 @@
 // js/features/flashcards/test-sets.js
 // Test set creation and management
 
+import { getCardSearchText, expandCard } from '../../utils/card-types.js';
+import { normalizeTimeLimits } from '../../utils/test-timing.js';
+import { createSmartRules, normalizeSmartRules, resolveSmartTestSet, countSmartTestSetCards, describeSmartRules } from '../../utils/smart-test-sets.js';
+
 export const testSetMethods = {
     /**
      * Opens the test area main view
@@ -41,6 +45,10 @@ export const testSetMethods = {
         this.testSetBuilderCards = [];
         this.testSetBuilderSearch = '';
         this.testSetBuilderExpandedDecks = {};
+        this.testSetBuilderTimeLimitMinutes = '';
+        this.testSetBuilderCardTimeLimitSeconds = '';
+        this.testSetBuilderMode = 'manual';
+        this.testSetBuilderRules = createSmartRules();
         this.showTestSetBuilder = true;
     },
 
@@ -56,6 +64,10 @@ export const testSetMethods = {
         this.testSetBuilderCards = [...testSet.cards]; // Clone array
         this.testSetBuilderSearch = '';
         this.testSetBuilderExpandedDecks = {};
+        this.testSetBuilderTimeLimitMinutes = testSet.timeLimits?.totalSeconds ? testSet.timeLimits.totalSeconds / 60 : '';
+        this.testSetBuilderCardTimeLimitSeconds = testSet.timeLimits?.perCardSeconds || '';
+        this.testSetBuilderMode = testSet.type === 'smart' ? 'smart' : 'manual';
+        this.testSetBuilderRules = { ...createSmartRules(), ...testSet.rules };
         this.showTestSetBuilder = true;
     },
 
@@ -69,6 +81,10 @@ export const testSetMethods = {
         this.testSetBuilderCards = [];
         this.testSetBuilderSearch = '';
         this.testSetBuilderExpandedDecks = {};
+        this.testSetBuilderTimeLimitMinutes = '';
+        this.testSetBuilderCardTimeLimitSeconds = '';
+        this.testSetBuilderMode = 'manual';
+        this.testSetBuilderRules = createSmartRules();
     },
 
     /**
@@ -156,7 +172,10 @@ export const testSetMethods = {
             return;
         }
 
-        if (this.testSetBuilderCards.length === 0) {
+        const isSmart = this.testSetBuilderMode === 'smart';
+        const rules = isSmart ? normalizeSmartRules(this.testSetBuilderRules) : null;
+
+        if (!isSmart && this.testSetBuilderCards.length === 0) {
             await this.showAlert('Please add at least one card to the test set', 'No Cards');
             return;
         }
@@ -164,9 +183,10 @@ export const testSetMethods = {
         const timestamp = new Date().toISOString();
         const id = this.currentTestSetId || `testset_${Date.now()}`;
 
-        // Collect unique tags from all cards' decks
+        // Collect unique tags from all cards' decks (smart sets use the decks that match right now)
         const tags = new Set();
-        this.testSetBuilderCards.forEach(card => {
+        const sourceCards = isSmart ? this.resolveSmartTestSetCards({ ...rules, limit: null }) : this.testSetBuilderCards;
+        sourceCards.forEach(card => {
             const deck = this.flashcardDecks[card.deckId];
             if (deck && deck.tags) {
                 deck.tags.forEach(tag => tags.add(tag));
@@ -176,8 +196,11 @@ export const testSetMethods = {
         this.testSets[id] = {
             id: id,
             name: this.testSetBuilderName.trim(),
-            cards: [...this.testSetBuilderCards],
+            type: isSmart ? 'smart' : 'manual',
+            cards: isSmart ? [] : [...this.testSetBuilderCards],
+            rules,
             tags: Array.from(tags),
+            timeLimits: normalizeTimeLimits(this.testSetBuilderTimeLimitMinutes, this.testSetBuilderCardTimeLimitSeconds),
             pinned: this.testSets[id]?.pinned || false,
             testResults: this.testSets[id]?.testResults || [],
             createdAt: this.testSets[id]?.createdAt || timestamp,
@@ -239,16 +262,23 @@ export const testSetMethods = {
         const testSet = this.testSets[testSetId];
         if (!testSet) return;
 
-        if (testSet.cards.length === 0) {
-            await this.showAlert('This test set has no cards', 'Empty Test Set');
+        // Smart sets are resolved now, so they pick up new decks, answers and confidence ratings
+        const cards = testSet.type === 'smart' ? this.resolveSmartTestSetCards(testSet.rules) : testSet.cards;
+
+        if (cards.length === 0) {
+            await this.showAlert(
+                testSet.type === 'smart' ? 'No cards currently match this smart test set\'s rules' : 'This test set has no cards',
+                'Empty Test Set'
+            );
             return;
         }
 
-        this.testFlashcards = [...testSet.cards];
+        this.testFlashcards = this.expandCardsForTest(cards);
         this.currentTestCardIndex = 0;
         this.testCardFlipped = false;
         this.currentTestTitle = testSet.name;
         this.currentTestSetId = testSetId; // Track which test set is being used
+        this.testTimeLimits = testSet.timeLimits || null;
         this.testAnswers = {};
         this.testCompleted = false;
         this.showTestResults = false;
@@ -262,6 +292,83 @@ export const testSetMethods = {
         });
     },
 
+    /**
+     * Gets the cards that currently match a smart test set's rules
+     */
+    resolveSmartTestSetCards(rules) {
+        return resolveSmartTestSet(rules, this._getSmartTestSetContext());
+    },
+
+    /**
+     * What smart rules are matched against: the current decks, topics, confidence and answer history
+     * @private
+     */
+    _getSmartTestSetContext() {
+        return {
+            decks: Object.values(this.flashcardDecks),
+            topicLookup: this.topicLookup,
+            groupSections: this.getSmartRuleGroupSections(),
+            confidenceLevels: this.confidenceLevels,
+            getCardHistory: (card, deckId, index) => this.getCardHistory(card, deckId, index),
+            expandCard: (card, deckId, index) => expandCard(card, this.getCardId(deckId, card, index))
+        };
+    },
+
+    /**
+     * Gets the groups a smart rule can pick from, per paper
+     * Single sections are listed under their own title
+     * @returns {Array} [{ paper, title, sections }]
+     */
+    getSmartRuleGroupOptions() {
+        return Object.entries(this.paperModeGroups || {}).flatMap(([paper, items]) =>
+            items.map(item => item.type === 'group'
+                ? { paper, title: item.title, sections: item.sections }
+                : { paper, title: this.specificationData[item.key]?.title || item.key, sections: [item.key] })
+        );
+    },
+
+    /**
+     * Maps group titles to their specification section keys
+     */
+    getSmartRuleGroupSections() {
+        return Object.fromEntries(this.getSmartRuleGroupOptions().map(option => [option.title, option.sections]));
+    },
+
+    /**
+     * Toggles a paper or group in the smart rules being edited
+     * @param {string} field - 'papers' or 'groups'
+     */
+    toggleSmartRuleValue(field, value) {
+        const values = this.testSetBuilderRules[field] || [];
+        this.testSetBuilderRules[field] = values.includes(value)
+            ? values.filter(item => item !== value)
+            : [...values, value];
+    },
+
+    /**
+     * Gets the cards the smart rules being edited match right now (without the random limit)
+     */
+    getSmartRulePreviewCards() {
+        return this.resolveSmartTestSetCards({ ...this.testSetBuilderRules, limit: null });
+    },
+
+    /**
+     * Describes a smart test set's rules for the test set list
+     */
+    getSmartRulesLabel(rules) {
+        return describeSmartRules(rules);
+    },
+
+    /**
+     * Gets how many cards a test set will test (smart sets are counted now as prompts, capped by their limit)
+     */
+    getTestSetCardCount(testSet) {
+        if (testSet?.type === 'smart') {
+            return countSmartTestSetCards(testSet.rules, this._getSmartTestSetContext());
+        }
+        return Array.isArray(testSet?.cards) ? testSet.cards.length : 0;
+    },
+
     /**
      * Starts a quick play test with 10 random cards from all decks
      */
@@ -328,10 +435,7 @@ export const testSetMethods = {
                 }
 
                 // Search by card content
-                return deck.cards.some(card =>
-                    card.front.toLowerCase().includes(query) ||
-                    card.back.toLowerCase().includes(query)
-                );
+                return deck.cards.some(card => getCardSearchText(card).toLowerCase().includes(query));
             });
         }
 
@@ -428,7 +532,7 @@ export const testSetMethods = {
 
         switch (sortMode) {
             case 'cards':
-                return Array.isArray(testSet?.cards) ? testSet.cards.length : 0;
+                return this.getTestSetCardCount(testSet);
             case 'tries':
                 return Array.isArray(testSet?.testResults) ? testSet.testResults.length : 0;
             case 'percentage': {
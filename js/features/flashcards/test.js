@@ -19,7 +19,7 @@ export const flashcardTestMethods = {
         const allCards = [];
         decks.forEach(deck => {
             deck.cards.forEach(card => {
-                allCards.push({ ...card, deckName: deck.name });
+                allCards.push({ ...card, deckId: deck.id, deckName: deck.name });
             });
         });
 
@@ -28,7 +28,7 @@ export const flashcardTestMethods = {
             return;
         }
 
-        this.testFlashcards = allCards;
+        this.testFlashcards = this.expandCardsForTest(allCards);
         this.currentTestCardIndex = 0;
         this.testCardFlipped = false;
         this.currentTestTitle = 'All Cards';
@@ -56,7 +56,7 @@ export const flashcardTestMethods = {
             return;
         }
 
-        this.testFlashcards = deck.cards.map(card => ({ ...card, deckName: deck.name }));
+        this.testFlashcards = this.expandCardsForTest(deck.cards.map(card => ({ ...card, deckId: deckId, deckName: deck.name })));
         this.currentTestCardIndex = 0;
         this.testCardFlipped = false;
         this.currentTestTitle = deck.name;
@@ -163,16 +163,27 @@ export const flashcardTestMethods = {
 
     /**
      * Shuffles the test flashcards array using Fisher-Yates algorithm
+     * Answers given so far are kept by card position, so they move with their cards.
      */
     shuffleTestCards() {
-        const shuffled = [...this.testFlashcards];
-        for (let i = shuffled.length - 1; i > 0; i--) {
+        const order = this.testFlashcards.map((card, index) => index);
+        for (let i = order.length - 1; i > 0; i--) {
             const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            [order[i], order[j]] = [order[j], order[i]];
         }
-        this.testFlashcards = shuffled;
+
+        const moveAnswers = answers => Object.fromEntries(order
+            .map((oldIndex, newIndex) => [newIndex, answers[oldIndex]])
+            .filter(([, answer]) => answer !== undefined));
+        const answers = moveAnswers(this.testAnswers || {});
+        const feedback = moveAnswers(this.testAnswerFeedback || {});
+
+        this.testFlashcards = order.map(index => this.testFlashcards[index]);
         this.currentTestCardIndex = 0;
         this.testCardFlipped = false;
+        this.resetAnswerModeState();
+        this.testAnswers = answers;
+        this.testAnswerFeedback = feedback;
     },
 
     /**
@@ -242,6 +253,8 @@ export const flashcardTestMethods = {
      * Finishes the test and shows results (but doesn't save yet)
      */
     finishTest() {
+        this.stopTestTimer();
+
         if (!this.hasMarkedAnswers()) {
             // Just close the test if no answers marked
             this.closeFlashcardTest();
@@ -250,6 +263,7 @@ export const flashcardTestMethods = {
 
         this.testCompleted = true;
         this.showTestResults = true;
+        this.testConfidenceSuggestions = this.confidenceSuggestionsEnabled ? this.buildTestConfidenceSuggestions() : [];
 
         // Refresh icons
         this.$nextTick(() => {
@@ -309,11 +323,17 @@ export const flashcardTestMethods = {
             const timestamp = new Date().toISOString();
             const correctCount = this.getCorrectCount();
             const incorrectCount = this.getIncorrectCount();
+            const timing = this.getTestTimingSummary();
 
             const result = {
                 deckName: this.currentTestTitle,
                 correctCount: correctCount,
                 incorrectCount: incorrectCount,
+                answerMode: this.testAnswerMode,
+                timeLimits: this.testTimeLimits,
+                timedOut: this.testTimedOut,
+                averageTimeMs: timing.averageMs,
+                totalTimeMs: this.testElapsedMs,
                 timestamp: timestamp,
                 date: new Date().toLocaleDateString(),
                 time: new Date().toLocaleTimeString()
@@ -330,6 +350,7 @@ export const flashcardTestMethods = {
                 this.invalidateDeckStatCaches();
             }
             this.saveTestResultsHistory();
+            this.recordTestAnswersToHistory(timestamp);
 
             // If this was from a test set (not quick play), also save to the test set
             if (this.currentTestSetId && this.testSets[this.currentTestSetId]) {
@@ -356,10 +377,14 @@ export const flashcardTestMethods = {
         this.testCardFlipped = false;
         this.currentTestTitle = '';
         this.currentTestSetId = null;
+        this.testIsDueReview = false;
         this.testAnswers = {};
         this.testCompleted = false;
         this.showTestResults = false;
         this.testReviewMode = null;
+        this.testTimeLimits = null;
+        this.testConfidenceSuggestions = [];
+        this.resetAnswerModeState();
     },
 
     /**
@@ -371,7 +396,7 @@ export const flashcardTestMethods = {
 
             // ✅ Serialize Alpine.js proxy array to plain array for IndexedDB
             const serialized = JSON.parse(JSON.stringify(this.testResultsHistory || []));
-            await idbSet('flashcard-test-results', serialized);
+            await idbSet(`${this.getSpecificationStoragePrefix()}flashcard-test-results`, serialized);
         } catch (error) {
             logger.error('Failed to save test results:', error);
             await this.showAlert('Failed to save test results. Your browser storage might be full.', 'Save Failed');
@@ -384,7 +409,7 @@ export const flashcardTestMethods = {
     async loadTestResultsHistory() {
         try {
             const { idbGet } = await import('../../utils/indexeddb.js');
-            const saved = await idbGet('flashcard-test-results');
+            const saved = await idbGet(`${this.getSpecificationStoragePrefix()}flashcard-test-results`);
             if (saved) {
                 this.testResultsHistory = saved;
             } else {
@@ -0,0 +1,173 @@
+// js/features/flashcards/timing.js
+// Response-time capture for every test, plus optional exam-style time limits (overall and per card)
+
+import { summarizeCardTimes, formatDuration } from '../../utils/test-timing.js';
+import { stripHTML } from '../../utils/answer-matching.js';
+
+// How often the clock updates; card times are measured from real timestamps, not tick counts
+const TICK_MS = 250;
+
+export const flashcardTimingMethods = {
+    /**
+     * Starts the test clock (called when the test modal opens)
+     */
+    startTestTimer() {
+        this.stopTestTimer();
+
+        this.testCardTimes = {};
+        this.testElapsedMs = 0;
+        this.testTimedOut = false;
+        this._testTimerLastTick = Date.now();
+        this._testTimerInterval = setInterval(() => this._tickTestTimer(), TICK_MS);
+    },
+
+    /**
+     * Stops the test clock (called when the test modal closes)
+     */
+    stopTestTimer() {
+        if (this._testTimerInterval) {
+            clearInterval(this._testTimerInterval);
+            this._testTimerInterval = null;
+        }
+    },
+
+    /**
+     * Adds the time since the last tick to the test and to the card on screen,
+     * then enforces any time limits
+     */
+    _tickTestTimer() {
+        const now = Date.now();
+        const delta = now - (this._testTimerLastTick || now);
+        this._testTimerLastTick = now;
+
+        // The clock pauses on the results and review screens
+        if (!this.showFlashcardTest || this.showTestResults || this.testReviewMode) return;
+
+        this.testElapsedMs += delta;
+
+        if (this.isCurrentCardAnswered()) return;
+
+        const key = this._getTestCardTimeKey(this.currentTestCardIndex);
+        this.testCardTimes[key] = (this.testCardTimes[key] || 0) + delta;
+
+        const limits = this.testTimeLimits;
+        if (!limits) return;
+
+        if (limits.totalSeconds && this.testElapsedMs >= limits.totalSeconds * 1000) {
+            this._finishTimedOutTest();
+        } else if (limits.perCardSeconds && this.testCardTimes[key] >= limits.perCardSeconds * 1000) {
+            this._timeOutCurrentCard();
+        }
+    },
+
+    /**
+     * Gets the key a test card's time is kept under - its card ID, so times stay with their card when the test is shuffled
+     */
+    _getTestCardTimeKey(index) {
+        const card = this.testFlashcards[index];
+        return card ? this.getCardId(card.deckId, card) : String(index);
+    },
+
+    /**
+     * Marks the card on screen as missed and moves on when its time runs out
+     */
+    _timeOutCurrentCard() {
+        const index = this.currentTestCardIndex;
+        this.testAnswers[index] = 'incorrect';
+        this.testAnswerFeedback[index] = { correct: false, reason: 'timeout' };
+        this.testTypedAnswer = '';
+
+        if (!this.hasNextTestCard()) {
+            this.finishTest();
+        } else {
+            this.nextTestCard();
+        }
+    },
+
+    /**
+     * Ends the test when the overall time runs out; unanswered cards count as missed, as in the real exam
+     */
+    _finishTimedOutTest() {
+        this.testTimedOut = true;
+        this.testFlashcards.forEach((card, index) => {
+            if (!this.testAnswers.hasOwnProperty(index)) {
+                this.testAnswers[index] = 'incorrect';
+                this.testAnswerFeedback[index] = { correct: false, reason: 'timeout' };
+            }
+        });
+        this.finishTest();
+    },
+
+    /**
+     * Checks if the running test has a time limit
+     */
+    isTimedTest() {
+        return !!this.testTimeLimits;
+    },
+
+    /**
+     * Gets the time left for the whole test (null if there's no overall limit)
+     */
+    getTestTimeRemaining() {
+        const totalSeconds = this.testTimeLimits?.totalSeconds;
+        if (!totalSeconds) return null;
+        return Math.max(0, totalSeconds * 1000 - this.testElapsedMs);
+    },
+
+    /**
+     * Gets the time left on the current card (null if there's no per-card limit)
+     */
+    getCardTimeRemaining() {
+        const perCardSeconds = this.testTimeLimits?.perCardSeconds;
+        if (!perCardSeconds) return null;
+        return Math.max(0, perCardSeconds * 1000 - (this.testCardTimes[this._getTestCardTimeKey(this.currentTestCardIndex)] || 0));
+    },
+
+    /**
+     * Gets Tailwind classes for a countdown (red in the last 20% of the time)
+     */
+    getCountdownClass(remainingMs, limitSeconds) {
+        if (remainingMs === null || !limitSeconds) return '';
+        return remainingMs <= limitSeconds * 200
+            ? 'text-red-600 dark:text-red-400'
+            : 'text-slate-600 dark:text-slate-400';
+    },
+
+    /**
+     * Gets average time per card and the slowest cards for the results screen
+     * @returns {Object} { cardCount, averageMs, totalMs, slowest: [{ cardId, index, ms, card, label }] }
+     */
+    getTestTimingSummary() {
+        const summary = summarizeCardTimes(this.testCardTimes);
+        const indexes = new Map(this.testFlashcards.map((card, index) => [this._getTestCardTimeKey(index), index]));
+        return {
+            ...summary,
+            slowest: summary.slowest
+                .filter(entry => indexes.has(entry.cardId))
+                .map(entry => {
+                    const index = indexes.get(entry.cardId);
+                    const card = this.testFlashcards[index];
+                    return { ...entry, index, card, label: stripHTML(card.front) };
+                })
+        };
+    },
+
+    /**
+     * Describes a test set's time limits, e.g. "20 min, 30s per card"
+     * @returns {string} Empty string for untimed sets
+     */
+    getTimeLimitsLabel(timeLimits) {
+        if (!timeLimits) return '';
+        const parts = [];
+        if (timeLimits.totalSeconds) parts.push(`${Math.round(timeLimits.totalSeconds / 60)} min`);
+        if (timeLimits.perCardSeconds) parts.push(`${timeLimits.perCardSeconds}s per card`);
+        return parts.join(', ');
+    },
+
+    /**
+     * Formats milliseconds as m:ss for display
+     */
+    formatTestDuration(ms) {
+        return formatDuration(ms);
+    }
+};
@@ -237,6 +237,7 @@ export const noteEditorMethods = {
     exportNoteAsHTML() {
         const title = this.noteEditorTitle || 'Untitled Note';
         const escapedTitle = this.escapeHtml(title);
+        if (this.noteEditorMarkdownMode) this._applyMarkdownToEditor();
         let content = document.getElementById('noteContentEditor')?.innerHTML || '';
 
         // Clean up equations for export
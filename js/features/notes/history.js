@@ -0,0 +1,149 @@
+// js/features/notes/history.js
+// Version history for user notes: snapshots on save, the editor's history panel, diffs and restore
+
+import { logger } from '../../utils/logger.js';
+import { addNoteVersion, diffNoteVersions, normalizeNoteHistory } from '../../utils/note-history.js';
+
+export const noteHistoryMethods = {
+    /**
+     * Keeps the saved version of a note before it's overwritten (see addNoteVersion for throttling)
+     * @param {Object} note - The note as currently saved
+     * @param {Object} options - { force } to keep it even if the last version is recent,
+     *   { nextContent } the content replacing it, so a save that empties the note always keeps a version
+     */
+    recordNoteVersion(note, options = {}) {
+        if (!note?.id) return;
+
+        const versions = addNoteVersion(this.noteHistory[note.id], note, options);
+        if (versions !== this.noteHistory[note.id]) {
+            this.noteHistory = { ...this.noteHistory, [note.id]: versions };
+            this.saveNoteHistory();
+        }
+    },
+
+    /**
+     * Gets a note's saved versions, newest first
+     * @returns {Array} [{ index, title, content, tags, savedAt }] - index is the version's position in storage
+     */
+    getNoteVersions(noteId) {
+        return (this.noteHistory[noteId] || [])
+            .map((version, index) => ({ ...version, index }))
+            .reverse();
+    },
+
+    /**
+     * Forgets a deleted note's versions
+     */
+    removeNoteHistory(noteId) {
+        if (!this.noteHistory[noteId]) return;
+
+        const { [noteId]: removed, ...rest } = this.noteHistory;
+        this.noteHistory = rest;
+        this.saveNoteHistory();
+    },
+
+    /**
+     * Opens or closes the history panel in the note editor, comparing the newest version with the saved note
+     */
+    toggleNoteHistory() {
+        this.showNoteHistory = !this.showNoteHistory;
+        if (!this.showNoteHistory) return;
+
+        const versions = this.noteHistory[this.noteEditorId] || [];
+        this.noteHistoryCompareFrom = versions.length > 0 ? String(versions.length - 1) : null;
+        this.noteHistoryCompareTo = 'current';
+        this.compareNoteVersions();
+
+        this.$nextTick(() => {
+            if (window.lucide) lucide.createIcons();
+        });
+    },
+
+    /**
+     * Gets the content for a history panel selection: 'current' (the saved note) or a version index
+     * @private
+     */
+    _getNoteVersionContent(noteId, ref) {
+        if (ref === 'current') return this.userNotes[noteId]?.content || '';
+        return this.noteHistory[noteId]?.[Number(ref)]?.content ?? null;
+    },
+
+    /**
+     * Diffs the two versions selected in the history panel into noteHistoryDiff
+     */
+    compareNoteVersions() {
+        const noteId = this.noteEditorId;
+        const from = this.noteHistoryCompareFrom === null ? null : this._getNoteVersionContent(noteId, this.noteHistoryCompareFrom);
+        const to = this.noteHistoryCompareTo === null ? null : this._getNoteVersionContent(noteId, this.noteHistoryCompareTo);
+
+        if (from === null || to === null) {
+            this.noteHistoryDiff = null;
+            return;
+        }
+
+        try {
+            this.noteHistoryDiff = diffNoteVersions(from, to);
+        } catch (error) {
+            logger.error('Failed to compare note versions:', error);
+            this.noteHistoryDiff = null;
+        }
+    },
+
+    /**
+     * Selects a version in the history panel and compares it with the saved note
+     */
+    selectNoteVersion(index) {
+        this.noteHistoryCompareFrom = String(index);
+        this.noteHistoryCompareTo = 'current';
+        this.compareNoteVersions();
+    },
+
+    /**
+     * Makes an earlier version the note's content again
+     * The version being replaced is kept first, so a restore can itself be undone from the history.
+     */
+    async restoreNoteVersion(index) {
+        const noteId = this.noteEditorId;
+        const note = this.userNotes[noteId];
+        const version = this.noteHistory[noteId]?.[index];
+        if (!note || !version) return;
+
+        this.recordNoteVersion(note, { force: true });
+
+        note.title = version.title || note.title;
+        note.content = version.content;
+        note.tags = version.tags.length > 0 ? [...version.tags] : note.tags;
+        note.updatedAt = new Date().toISOString();
+
+        // ⚡ PERFORMANCE: Update search index
+        this._updateNoteInIndex(note);
+        this.saveNotes();
+
+        // Reload the editor with the restored version (this drops unsaved edits, which were never a version)
+        this.editNote(noteId);
+        this.selectNoteVersion(this.noteHistory[noteId].length - 1);
+    },
+
+    /**
+     * Saves note version history to IndexedDB
+     */
+    saveNoteHistory() {
+        this.saveDataType('noteHistory', {
+            data: this.noteHistory,
+            lastUpdated: new Date().toISOString()
+        });
+    },
+
+    /**
+     * Loads note version history from IndexedDB
+     */
+    async loadNoteHistory() {
+        try {
+            const data = await this.loadDataType('noteHistory', { data: {} });
+            this.noteHistory = normalizeNoteHistory(data.data);
+        } catch (error) {
+            logger.error('Failed to load note history:', error);
+            this.noteHistory = {};
+        }
+    }
+};
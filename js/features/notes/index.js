@@ -6,6 +6,8 @@ import { noteEditorMethods } from './editor.js';
 import { equationEditorMethods } from './equation-editor.js';
 import { notesFilterMethods } from './filter.js';
 import { notesDisplayMethods } from './display.js';
+import { noteHistoryMethods } from './history.js';
+import { noteMarkdownMethods } from './markdown.js';
 
 // Combine all notes-related methods
 export const userNotesMethods = {
@@ -13,5 +15,7 @@ export const userNotesMethods = {
     ...noteEditorMethods,
     ...equationEditorMethods,
     ...notesFilterMethods,
-    ...notesDisplayMethods
+    ...notesDisplayMethods,
+    ...noteHistoryMethods,
+    ...noteMarkdownMethods
 };
@@ -75,6 +75,7 @@ export const noteManagementMethods = {
         }
 
         this.noteEditorMode = 'edit';
+        this.noteEditorMarkdownMode = false;
         this.noteEditorSectionId = note.sectionId;
         this.noteEditorTitle = note.title;
         this.noteEditorContent = note.content;
@@ -138,7 +139,8 @@ export const noteManagementMethods = {
             const editor = document.getElementById('noteContentEditor');
             const content = editor ? editor.innerHTML : this.noteEditorContent;
             const hasContent = this.noteEditorTitle.trim() ||
-                              (content && content.trim() && content.trim() !== '<br>');
+                              (content && content.trim() && content.trim() !== '<br>') ||
+                              (this.noteEditorMarkdownMode && this.noteEditorMarkdown.trim());
 
             if (hasContent) {
                 const confirmed = await this.showConfirm(
@@ -154,6 +156,10 @@ export const noteManagementMethods = {
 
         // Close and reset
         this.showNoteEditor = false;
+        this.showNoteHistory = false;
+        this.noteHistoryDiff = null;
+        this.noteEditorMarkdownMode = false;
+        this.noteEditorMarkdown = '';
         this.noteEditorMode = 'create';
         this.noteEditorSectionId = null;
         this.noteEditorTitle = '';
@@ -166,6 +172,10 @@ export const noteManagementMethods = {
      * Saves the current note (create or update)
      */
     async saveNote() {
+        if (this.noteEditorMarkdownMode) {
+            this._applyMarkdownToEditor();
+        }
+
         // Get content from contentEditable div
         const editor = document.getElementById('noteContentEditor');
         const content = editor ? editor.innerHTML : this.noteEditorContent;
@@ -210,6 +220,9 @@ export const noteManagementMethods = {
         } else {
             // Update existing note
             if (this.userNotes[this.noteEditorId]) {
+                // Keep the version being overwritten in the note's history
+                this.recordNoteVersion(this.userNotes[this.noteEditorId], { nextContent: content });
+
                 this.userNotes[this.noteEditorId].title = this.noteEditorTitle.trim();
                 this.userNotes[this.noteEditorId].content = content;
                 this.userNotes[this.noteEditorId].tags = this.noteEditorTags;
@@ -251,6 +264,7 @@ export const noteManagementMethods = {
             this._removeNoteFromIndex(noteId);
 
             this.saveNotes();
+            this.removeNoteHistory(noteId);
             if (this.notePreviewId === noteId) {
                 this.notePreviewId = null;
             }
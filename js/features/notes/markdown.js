@@ -0,0 +1,240 @@
+// js/features/notes/markdown.js
+// Markdown for user notes: export (single notes or an Obsidian-style folder), bulk import and the editor's Markdown source mode
+
+import { logger } from '../../utils/logger.js';
+import {
+    markdownToNoteHtml,
+    noteHtmlToMarkdown,
+    noteToMarkdownFile,
+    parseMarkdownFile,
+    toMarkdownFileName
+} from '../../utils/note-markdown.js';
+import { createZip } from '../../utils/zip-writer.js';
+import { readZipEntries, extractZipEntry } from '../../utils/zip-reader.js';
+
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
+
+// Notes bigger than this are almost certainly not notes
+const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Renders equations the way the equation editor does
+ */
+function renderMath(latex, displayMode) {
+    return katex.renderToString(latex, { throwOnError: false, displayMode });
+}
+
+function markdownOptions() {
+    return { renderMath: window.katex ? renderMath : null };
+}
+
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+export const noteMarkdownMethods = {
+    /**
+     * Downloads the note in the editor as a Markdown file
+     */
+    exportNoteAsMarkdown() {
+        const editor = document.getElementById('noteContentEditor');
+        const content = this.noteEditorMarkdownMode
+            ? markdownToNoteHtml(this.noteEditorMarkdown)
+            : (editor?.innerHTML || this.noteEditorContent);
+        const saved = this.userNotes[this.noteEditorId];
+
+        const markdown = noteToMarkdownFile({
+            title: this.noteEditorTitle || 'Untitled Note',
+            content,
+            tags: this.noteEditorTags,
+            createdAt: saved?.createdAt,
+            updatedAt: saved?.updatedAt
+        });
+        downloadFile(markdown, toMarkdownFileName(this.noteEditorTitle), 'text/markdown');
+    },
+
+    /**
+     * Downloads a saved note as a Markdown file
+     */
+    exportSavedNoteAsMarkdown(noteId) {
+        const note = this.userNotes[noteId];
+        if (!note) {
+            alert('Note not found');
+            return;
+        }
+        downloadFile(noteToMarkdownFile(note), toMarkdownFileName(note.title), 'text/markdown');
+    },
+
+    /**
+     * Downloads every note as a zip of Markdown files, one folder per specification section (an Obsidian vault folder)
+     * A note goes in the section of its first tag.
+     */
+    async exportNotesAsMarkdownFolder() {
+        const notes = Object.values(this.userNotes || {});
+        if (notes.length === 0) {
+            await this.showAlert('You have no notes to export yet.', 'No Notes');
+            return;
+        }
+
+        const usedPaths = new Set();
+        const files = notes.map(note => {
+            const section = this.topicLookup[note.tags?.[0]]?.sectionTitle || 'Untagged';
+            const folder = toMarkdownFileName(section).slice(0, -3);
+            const name = toMarkdownFileName(note.title).slice(0, -3);
+
+            // Two notes with the same title in a section get "Title (2).md"
+            let path = `${folder}/${name}.md`;
+            for (let copy = 2; usedPaths.has(path.toLowerCase()); copy++) path = `${folder}/${name} (${copy}).md`;
+            usedPaths.add(path.toLowerCase());
+
+            return { path, content: noteToMarkdownFile(note) };
+        });
+
+        downloadFile(createZip(files), `physics-notes-${new Date().toISOString().split('T')[0]}.zip`, 'application/zip');
+    },
+
+    /**
+     * Reads the Markdown files picked for import (a folder, single .md files or a zip of them)
+     * @returns {Promise<Array>} [{ name, text }] - name is the file name without its folder
+     * @private
+     */
+    async _readMarkdownFiles(fileList) {
+        const files = [];
+        const decoder = new TextDecoder();
+
+        for (const file of fileList) {
+            if (file.size > MAX_IMPORT_FILE_BYTES) {
+                logger.warn(`Skipping ${file.name}: too large to be a note`);
+            } else if (MARKDOWN_FILE.test(file.name)) {
+                files.push({ name: file.name, text: await file.text() });
+            } else if (/\.zip$/i.test(file.name)) {
+                const bytes = new Uint8Array(await file.arrayBuffer());
+                for (const [path, entry] of readZipEntries(bytes)) {
+                    if (!MARKDOWN_FILE.test(path) || entry.size > MAX_IMPORT_FILE_BYTES) continue;
+                    files.push({ name: path.split('/').pop(), text: decoder.decode(await extractZipEntry(bytes, entry)) });
+                }
+            }
+        }
+
+        return files;
+    },
+
+    /**
+     * Imports Markdown files as notes
+     * Topic tags come from each file's "topics" (or "tags") front matter; files without any are tagged
+     * with topics the user enters, or skipped.
+     */
+    async importMarkdownNotes(event) {
+        const input = event.target;
+        let files;
+        try {
+            files = await this._readMarkdownFiles([...(input.files || [])]);
+        } catch (error) {
+            logger.error('Failed to read Markdown files:', error);
+            await this.showAlert(`Could not read the files: ${error.message}`, 'Import Failed');
+            input.value = '';
+            return;
+        }
+        input.value = '';
+
+        if (files.length === 0) {
+            await this.showAlert('No Markdown (.md) files were found.', 'Nothing to Import');
+            return;
+        }
+
+        const toTopicIds = values => (Array.isArray(values) ? values : [values])
+            .map(value => String(value).trim())
+            .filter(id => this.topicLookup[id]);
+
+        const parsed = files.map(({ name, text }) => {
+            const { properties, body } = parseMarkdownFile(text);
+            const title = typeof properties.title === 'string' && properties.title.trim()
+                ? properties.title.trim()
+                : name.replace(MARKDOWN_FILE, '');
+            const tags = [...new Set([...toTopicIds(properties.topics || []), ...toTopicIds(properties.tags || [])])];
+            return { title, tags, body };
+        });
+
+        const untagged = parsed.filter(note => note.tags.length === 0);
+        let skipped = 0;
+        if (untagged.length > 0) {
+            const answer = await this.showPrompt(
+                `${untagged.length} of ${parsed.length} file(s) have no topic tags. Enter topic IDs to tag them with (e.g. 3.5.1.4, 3.5.1.6), or leave blank to skip them.`,
+                '',
+                'Tag Imported Notes'
+            );
+            const tags = toTopicIds((answer || '').split(/[\s,]+/).filter(Boolean));
+            if (tags.length > 0) {
+                untagged.forEach(note => { note.tags = [...tags]; });
+            } else {
+                skipped = untagged.length;
+            }
+        }
+
+        const timestamp = new Date().toISOString();
+        let imported = 0;
+        parsed.filter(note => note.tags.length > 0).forEach(({ title, tags, body }) => {
+            const content = markdownToNoteHtml(body, markdownOptions());
+            if (!content) {
+                skipped++;
+                return;
+            }
+
+            const noteId = `note_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            const note = { id: noteId, sectionId: null, title, content, tags, createdAt: timestamp, updatedAt: timestamp };
+            this.userNotes[noteId] = note;
+
+            // ⚡ PERFORMANCE: Update search index
+            this._addNoteToIndex(note);
+            imported++;
+        });
+
+        if (imported > 0) this.saveNotes();
+
+        const skippedText = skipped > 0 ? ` ${skipped} file(s) were skipped (no topic tags or no content).` : '';
+        await this.showAlert(`Imported ${imported} note(s).${skippedText}`, 'Import Complete');
+    },
+
+    /**
+     * Switches the note editor between rich text and Markdown source
+     */
+    toggleNoteMarkdownMode() {
+        const editor = document.getElementById('noteContentEditor');
+
+        if (this.noteEditorMarkdownMode) {
+            this._applyMarkdownToEditor();
+            this.noteEditorMarkdownMode = false;
+        } else {
+            this.noteEditorMarkdown = noteHtmlToMarkdown(editor ? editor.innerHTML : this.noteEditorContent);
+            this.noteEditorMarkdownMode = true;
+        }
+
+        this.$nextTick(() => {
+            if (window.lucide) lucide.createIcons();
+        });
+    },
+
+    /**
+     * Puts the Markdown source back into the rich text editor (before saving or leaving Markdown mode)
+     * @private
+     */
+    _applyMarkdownToEditor() {
+        const editor = document.getElementById('noteContentEditor');
+        // All text from the Markdown is escaped by the converter; only links and equations become markup
+        const html = markdownToNoteHtml(this.noteEditorMarkdown, markdownOptions());
+        if (editor) editor.innerHTML = html;
+        this.noteEditorContent = html;
+    },
+
+    /**
+     * Live preview of the Markdown source
+     */
+    renderMarkdownPreview(markdown) {
+        return this.renderContentWithMath(markdownToNoteHtml(markdown));
+    }
+};
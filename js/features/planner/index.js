@@ -0,0 +1,218 @@
+// js/features/planner/index.js - Exam dates, countdown and day-by-day revision planner
+
+import { logger } from '../../utils/logger.js';
+import {
+    EXAM_PAPERS,
+    DEFAULT_TOPICS_PER_DAY,
+    toDayKey,
+    getExamCountdown,
+    getTopicPapers,
+    findMissedTopics,
+    buildRevisionPlan
+} from '../../utils/revision-planner.js';
+
+// Revised topics older than this no longer affect the plan
+const COMPLETED_KEEP_DAYS = 30;
+
+// ⚡ PERFORMANCE: Topic → papers only changes with the Paper 3 option, so it's worked out once per option
+let topicPapersCache = null;
+
+export const plannerMethods = {
+    /**
+     * Opens the revision planner
+     * ⚡ Lazy-loads the template on first use
+     */
+    async openRevisionPlanner() {
+        try {
+            const { loadTemplateLazy } = await import('../../template-loader.js');
+            await loadTemplateLazy('revision-planner-modal-container', './templates/revision-planner-modal.html');
+        } catch (error) {
+            logger.error('❌ Failed to open revision planner:', error);
+            return;
+        }
+
+        if (this.revisionPlan[0]?.date !== toDayKey()) {
+            this.refreshRevisionPlan();
+        }
+        this.showRevisionPlanner = true;
+
+        this.$nextTick(() => {
+            if (window.lucide) {
+                lucide.createIcons();
+            }
+        });
+    },
+
+    closeRevisionPlanner() {
+        this.showRevisionPlanner = false;
+    },
+
+    /**
+     * Gets the papers an exam date can be entered for
+     */
+    getExamPapers() {
+        return EXAM_PAPERS;
+    },
+
+    /**
+     * Gets the countdown to the next exam for the top bar
+     * @returns {Object|null} { paper, date, days, label }
+     */
+    getExamCountdown() {
+        return getExamCountdown(this.examDates, toDayKey());
+    },
+
+    hasExamDates() {
+        return Object.values(this.examDates || {}).some(Boolean);
+    },
+
+    /**
+     * Gets every topic with its current confidence and the papers it's examined on
+     */
+    getPlannerTopics() {
+        if (!topicPapersCache || topicPapersCache.option !== this.paper3Option) {
+            topicPapersCache = {
+                option: this.paper3Option,
+                papers: getTopicPapers(this.paperModeGroups, this.specificationData)
+            };
+        }
+
+        return Object.values(this.topicLookup).map(topic => ({
+            id: topic.topicId,
+            title: topic.topicTitle,
+            confidence: this.confidenceLevels[topic.topicId] || 0,
+            papers: topicPapersCache.papers[topic.topicId] || []
+        }));
+    },
+
+    /**
+     * Rebuilds the plan from today using current confidence levels
+     * Topics planned for earlier days that weren't ticked off are carried over to today.
+     */
+    refreshRevisionPlan() {
+        const today = toDayKey();
+
+        if (!this.hasExamDates()) {
+            this.revisionPlan = [];
+            return;
+        }
+
+        this.calculateAnalytics();
+        const criticalTopicIds = (this.analyticsData?.insights?.criticalTopics || []).map(topic => topic.id);
+
+        this.revisionPlan = buildRevisionPlan({
+            topics: this.getPlannerTopics(),
+            examDates: this.examDates,
+            criticalTopicIds,
+            completed: this.plannerCompleted,
+            carryOver: findMissedTopics(this.revisionPlan, this.plannerCompleted, today),
+            today,
+            topicsPerDay: this.plannerTopicsPerDay
+        });
+
+        this.saveRevisionPlanner();
+    },
+
+    /**
+     * Sets (or clears) a paper's exam date and re-plans
+     */
+    setExamDate(paper, value) {
+        if (!EXAM_PAPERS.includes(paper)) return;
+
+        this.examDates = { ...this.examDates, [paper]: /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : '' };
+        this.refreshRevisionPlan();
+    },
+
+    setPlannerTopicsPerDay(value) {
+        const topicsPerDay = parseInt(value, 10);
+        this.plannerTopicsPerDay = Number.isFinite(topicsPerDay)
+            ? Math.min(10, Math.max(1, topicsPerDay))
+            : DEFAULT_TOPICS_PER_DAY;
+        this.refreshRevisionPlan();
+    },
+
+    isPlannedTopicDone(date, topicId) {
+        return (this.plannerCompleted[date] || []).includes(topicId);
+    },
+
+    /**
+     * Ticks a topic off (or back on) for a day
+     * The plan isn't rebuilt here so the rest of the day's list doesn't shuffle under the student.
+     */
+    togglePlannedTopicDone(date, topicId) {
+        const done = this.plannerCompleted[date] || [];
+        const updated = done.includes(topicId)
+            ? done.filter(id => id !== topicId)
+            : [...done, topicId];
+
+        this.plannerCompleted = { ...this.plannerCompleted, [date]: updated };
+        if (updated.length === 0) {
+            delete this.plannerCompleted[date];
+        }
+        this.saveRevisionPlanner();
+    },
+
+    /**
+     * Opens a planned topic in the audit view
+     */
+    openPlannedTopic(topicId) {
+        const topic = this.topicLookup[topicId];
+        if (!topic) return;
+
+        this.closeRevisionPlanner();
+        this.viewType = 'audit';
+        this.selectSection(topic.sectionName);
+
+        this.$nextTick(() => {
+            setTimeout(() => {
+                const topicElement = document.querySelector(`[data-topic-id="${topicId}"]`);
+                if (topicElement) {
+                    topicElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                }
+            }, 100);
+        });
+    },
+
+    saveRevisionPlanner() {
+        const oldest = toDayKey(new Date(Date.now() - COMPLETED_KEEP_DAYS * 24 * 60 * 60 * 1000));
+        const completed = Object.fromEntries(
+            Object.entries(this.plannerCompleted).filter(([date]) => date >= oldest)
+        );
+
+        this.saveDataType('revisionPlanner', {
+            data: {
+                examDates: this.examDates,
+                topicsPerDay: this.plannerTopicsPerDay,
+                completed,
+                plan: this.revisionPlan
+            },
+            lastUpdated: new Date().toISOString()
+        });
+    },
+
+    /**
+     * Loads exam dates and progress from IndexedDB, then re-plans if a day has passed
+     */
+    async loadRevisionPlanner() {
+        try {
+            const saved = await this.loadDataType('revisionPlanner', { data: {} });
+            const data = saved.data || {};
+
+            EXAM_PAPERS.forEach(paper => {
+                const date = data.examDates?.[paper];
+                this.examDates[paper] = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : '';
+            });
+            if (Number.isInteger(data.topicsPerDay) && data.topicsPerDay >= 1 && data.topicsPerDay <= 10) {
+                this.plannerTopicsPerDay = data.topicsPerDay;
+            }
+            this.plannerCompleted = data.completed && typeof data.completed === 'object' ? data.completed : {};
+            this.revisionPlan = Array.isArray(data.plan) ? data.plan : [];
+
+            if (this.hasExamDates() && this.revisionPlan[0]?.date !== toDayKey()) {
+                this.refreshRevisionPlan();
+            }
+        } catch (error) {
+            logger.error('Failed to load revision planner:', error);
+        }
+    }
+};
@@ -104,6 +104,40 @@ export const revisionResourceMethods = {
         return colors[type] || 'text-gray-600 dark:text-gray-400';
     },
 
+    // Link health comes from the last link audit (tools/audit-links.js)
+    // Only broken and unreachable links are flagged - blocked ones usually work in a browser
+    getFlaggedLinkState(url) {
+        const health = window.getLinkHealth ? window.getLinkHealth(url) : null;
+        return health && (health.state === 'broken' || health.state === 'unreachable') ? health.state : null;
+    },
+
+    getResourceLinkClass(url) {
+        return this.getFlaggedLinkState(url) === 'broken' ? 'opacity-60 grayscale' : '';
+    },
+
+    getLinkHealthLabel(url) {
+        const labels = {
+            broken: 'Link broken',
+            unreachable: 'May be unavailable'
+        };
+        return labels[this.getFlaggedLinkState(url)] || '';
+    },
+
+    getLinkHealthBadgeClass(url) {
+        return this.getFlaggedLinkState(url) === 'broken'
+            ? 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+            : 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-300';
+    },
+
+    getLinkHealthTitle(url) {
+        if (!this.getFlaggedLinkState(url)) return '';
+
+        const health = window.getLinkHealth(url);
+        const checked = new Date(health.lastChecked).toLocaleDateString();
+        const problem = health.status ? `HTTP ${health.status}` : health.error;
+        return `Checked ${checked}: ${problem}`;
+    },
+
     getTopicsForRevision(topicIds) {
         const topics = [];
 
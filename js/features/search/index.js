@@ -2,6 +2,20 @@
 
 import { logger } from '../../utils/logger.js';
 import { paginatedList } from '../../components/paginated-list.js';
+import { getCardSearchText } from '../../utils/card-types.js';
+import { findMatchOffsets } from '../../utils/search-index.js';
+import { parseSearchQuery, hasQueryFilters, matchesSearchQuery, completeSearchQuery, normalizeSavedSearches } from '../../utils/search-query.js';
+import { RESOURCE_KINDS } from '../../utils/resource-search.js';
+
+const ALL_SEARCH_FILTERS = ['audit', 'notes', 'flashcards', 'mindmaps', 'resources'];
+
+// Typos are allowed, so "refraccion" still finds refraction
+const SEARCH_OPTIONS = { fuzzy: true };
+
+const HIGHLIGHT_OPEN = '<mark class="bg-yellow-200 dark:bg-yellow-800 px-1 rounded">';
+
+// Searches finish out of order now they run in the worker - only the latest one may show its results
+let latestSearch = 0;
 
 export const searchMethods = {
     // Helper method to safely set search results
@@ -16,6 +30,8 @@ export const searchMethods = {
     toggleSearch() {
         this.searchVisible = !this.searchVisible;
         if (this.searchVisible) {
+            // Start loading the indexes in the worker while the user types
+            this._ensureSearchIndexes?.();
             this.$nextTick(() => document.getElementById('searchInput')?.focus());
         }
         // Don't clear search state - persist it so user can resume their search
@@ -49,7 +65,7 @@ export const searchMethods = {
     },
 
     selectAllSearchFilters() {
-        this.searchFilters = ['audit', 'notes', 'flashcards', 'mindmaps'];
+        this.searchFilters = [...ALL_SEARCH_FILTERS];
         this.performSearch();
     },
 
@@ -106,12 +122,13 @@ export const searchMethods = {
         this._updateSearchResults([]);
         this._initSearchPagination();
 
-        // Reset all filters to default (all 4 selected)
-        this.searchFilters = ['audit', 'notes', 'flashcards', 'mindmaps'];
+        // Reset all filters to default (all selected)
+        this.searchFilters = [...ALL_SEARCH_FILTERS];
         this.searchSortBy = 'relevance';
         this.searchSortDirection = 'asc';
         this.selectedSearchTags = [];
         this.selectedConfidenceLevels = [];
+        this.searchQueryErrors = [];
 
         // Focus back on search input
         this.$nextTick(() => {
@@ -130,9 +147,82 @@ export const searchMethods = {
         return labels[level] || '';
     },
 
+    /**
+     * Saves the search box and filter buttons under a name, to run again from the sidebar
+     */
+    async saveCurrentSearch() {
+        const query = (this.searchQuery || '').trim();
+        if (!query && this.selectedSearchTags.length === 0 && this.selectedConfidenceLevels.length === 0) {
+            this.showAlert('Type a search or choose some filters first.', 'Nothing to Save');
+            return;
+        }
+
+        const name = await this.showPrompt('Name this search:', query, 'Save Search');
+        if (!name || !name.trim()) return;
+
+        this.savedSearches = [...this.savedSearches, {
+            id: `search_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: name.trim(),
+            query,
+            filters: [...this.searchFilters],
+            tags: [...this.selectedSearchTags],
+            confidenceLevels: [...this.selectedConfidenceLevels],
+            createdAt: new Date().toISOString()
+        }];
+        this.saveSavedSearches();
+
+        // Draw the icons of the new sidebar entry
+        this.$nextTick(() => {
+            if (window.lucide) lucide.createIcons();
+        });
+    },
+
+    runSavedSearch(searchId) {
+        const saved = this.savedSearches.find(search => search.id === searchId);
+        if (!saved) return;
+
+        this.searchQuery = saved.query;
+        this.searchFilters = saved.filters.length > 0 ? [...saved.filters] : [...ALL_SEARCH_FILTERS];
+        this.selectedSearchTags = [...saved.tags];
+        this.selectedConfidenceLevels = [...saved.confidenceLevels];
+
+        if (!this.searchVisible) this.toggleSearch();
+        if (window.innerWidth < 768) this.sidebarVisible = false;
+        this.performSearch();
+    },
+
+    async deleteSavedSearch(searchId) {
+        const saved = this.savedSearches.find(search => search.id === searchId);
+        if (!saved) return;
+
+        const confirmed = await this.showConfirm(`Delete the saved search "${saved.name}"?`, 'Delete Saved Search');
+        if (!confirmed) return;
+
+        this.savedSearches = this.savedSearches.filter(search => search.id !== searchId);
+        this.saveSavedSearches();
+    },
+
+    saveSavedSearches() {
+        this.saveDataType('savedSearches', {
+            data: this.savedSearches,
+            lastUpdated: new Date().toISOString()
+        });
+    },
+
+    async loadSavedSearches() {
+        try {
+            const saved = await this.loadDataType('savedSearches', { data: [] });
+            this.savedSearches = normalizeSavedSearches(saved.data);
+        } catch (error) {
+            logger.error('Failed to load saved searches:', error);
+            this.savedSearches = [];
+        }
+    },
+
     performSearch() {
         // Debounce search
         clearTimeout(this.searchTimer);
+        this._updateSearchCompletions();
 
         // Allow search without query if confidence levels are selected
         if (!this.searchQuery || !this.searchQuery.trim()) {
@@ -142,6 +232,7 @@ export const searchMethods = {
                     this._executeSearch();
                 }, 300);
             } else {
+                latestSearch++; // Drop any search still running
                 this._updateSearchResults([]);
                 this._initSearchPagination();
             }
@@ -153,32 +244,53 @@ export const searchMethods = {
         }, 300); // 300ms debounce
     },
 
-    _executeSearch() {
+    async _executeSearch() {
         // ⚡ PERFORMANCE: Lazy-initialize search indexes on first search
         this._ensureSearchIndexes();
 
-        const query = this.searchQuery.toLowerCase().trim();
-        let results = [];
+        const searchId = ++latestSearch;
+        // key:value filters, "phrases" and -words are taken out, leaving the words to rank by
+        const parsed = parseSearchQuery(this.searchQuery);
+        const query = parsed.text.toLowerCase().trim();
+        const hasFilters = hasQueryFilters(parsed);
+        this.searchQueryErrors = parsed.errors;
+
+        // Nothing to search for yet (e.g. just "type:")
+        if (!query && !hasFilters && this.selectedConfidenceLevels.length === 0) {
+            this._updateSearchResults([]);
+            this._initSearchPagination();
+            return;
+        }
+
+        // type: replaces the filter buttons while it's in the query
+        const types = parsed.types.length > 0 ? parsed.types : this.searchFilters;
+        const searches = [];
 
         // If no query but confidence levels selected, only search audit cards
-        if (!query && this.selectedConfidenceLevels.length > 0) {
-            results = this._searchAuditCards(query);
+        if (!query && !hasFilters) {
+            searches.push(this._searchAuditCards(query, parsed));
         } else {
-            // Search based on active filters
-            if (this.searchFilters.includes('audit')) {
-                results = results.concat(this._searchAuditCards(query));
+            // Search based on active filters (the indexes are searched in parallel in the worker)
+            if (types.includes('audit')) {
+                searches.push(this._searchAuditCards(query, parsed));
+            }
+            if (types.includes('notes')) {
+                searches.push(this._searchNotes(query, parsed));
             }
-            if (this.searchFilters.includes('notes')) {
-                results = results.concat(this._searchNotes(query));
+            if (types.includes('flashcards')) {
+                searches.push(this._searchFlashcards(query, parsed));
             }
-            if (this.searchFilters.includes('flashcards')) {
-                results = results.concat(this._searchFlashcards(query));
+            if (types.includes('mindmaps')) {
+                searches.push(this._searchMindmaps(query, parsed));
             }
-            if (this.searchFilters.includes('mindmaps')) {
-                results = results.concat(this._searchMindmaps(query));
+            if (types.includes('resources')) {
+                searches.push(this._searchResources(query, parsed));
             }
         }
 
+        const results = (await Promise.all(searches)).flat();
+        if (searchId !== latestSearch) return;
+
         logger.debug(`[Search] Query: "${query}", Found ${results.length} results`);
         if (results.length > 0) {
             logger.debug('[Search] First 3 results:', results.slice(0, 3).map(r => ({
@@ -233,8 +345,12 @@ export const searchMethods = {
         results.sort((a, b) => {
             let comparison = 0;
 
-            // Relevance: prioritize title matches when there's a query
+            // Relevance: BM25 score from the search index, then title matches
             if (sortBy === 'relevance' && query) {
+                if (a.score !== b.score) {
+                    comparison = (b.score || 0) - (a.score || 0);
+                    return comparison * multiplier;
+                }
                 const aTitle = (a.title || a.topicTitle || '').toLowerCase();
                 const bTitle = (b.title || b.topicTitle || '').toLowerCase();
                 const aMatches = aTitle.includes(query) ? 1 : 0;
@@ -289,7 +405,60 @@ export const searchMethods = {
         });
     },
 
-    _searchAuditCards(query) {
+    /**
+     * Gets an index's matches for a query, most relevant first
+     * With no query every item is returned unscored.
+     * Ranks the query as typed when it's the same words, since case matters for symbols (Ω is the ohm, ω is omega).
+     *
+     * @returns {Promise<Array>} [{ item, score, terms }] - terms are the indexed words that matched, for highlighting
+     */
+    async _getRankedMatches(index, query) {
+        if (!query) {
+            return Array.from(index.items.values(), item => ({ item, score: 0, terms: [] }));
+        }
+        const typed = parseSearchQuery(this.searchQuery).text.trim();
+        const ranked = await index.searchRanked(typed.toLowerCase() === query ? typed : query, SEARCH_OPTIONS);
+        return ranked
+            .map(({ id, score, terms }) => ({ item: index.items.get(id), score, terms }))
+            .filter(match => match.item !== undefined);
+    },
+
+    /**
+     * Updates searchCompletions (the search box's suggestions) for the word being typed
+     * Query keys and their values (e.g. topic IDs after tag:) come first, then words from the specification.
+     */
+    async _updateSearchCompletions() {
+        const query = this.searchQuery || '';
+        const lastWord = query.split(/\s+/).pop();
+        const before = query.slice(0, query.length - lastWord.length);
+        const completions = completeSearchQuery(lastWord, this.topicLookup || {});
+
+        const word = lastWord.replace(/^-/, '').toLowerCase();
+        if (word.length >= 3 && !word.includes(':')) {
+            const words = await this._getAuditCardsIndex().complete(word, 5);
+            if ((this.searchQuery || '') !== query) return;
+            const dash = lastWord.startsWith('-') ? '-' : '';
+            completions.push(...words.map(completion => ({ value: `${dash}${completion}`, label: '' })));
+        }
+
+        this.searchCompletions = completions.map(({ value, label }) => ({ value: `${before}${value}`, label }));
+    },
+
+    /**
+     * What the paper: and confidence: filters check for an item tagged with topics
+     */
+    _getTopicFacts(topicIds) {
+        const papers = [];
+        const confidences = [];
+        topicIds.forEach(topicId => {
+            const paper = this.topicLookup?.[topicId]?.sectionPaper;
+            if (paper) papers.push(paper);
+            if (this.confidenceLevels[topicId]) confidences.push(this.confidenceLevels[topicId]);
+        });
+        return { topicIds, papers, confidences };
+    },
+
+    async _searchAuditCards(query, parsed = parseSearchQuery('')) {
         const results = [];
 
         // OPTIMIZATION: Convert arrays to Sets for O(1) lookup instead of O(n)
@@ -299,17 +468,8 @@ export const searchMethods = {
         const hasConfidenceLevelFilter = confidenceLevelSet.size > 0;
 
         // ⚡ PERFORMANCE: Use search index for O(1) lookup
-        let matchingTopics;
-        if (query) {
-            // Use index to find matching topics
-            const matchingIds = this._getAuditCardsIndex().search(query);
-            matchingTopics = this._getAuditCardsIndex().getItems(matchingIds);
-        } else {
-            // No query - get all topics from index
-            matchingTopics = Array.from(this._getAuditCardsIndex().items.values());
-        }
-
-        matchingTopics.forEach(topic => {
+        const matches = await this._getRankedMatches(this._getAuditCardsIndex(), query);
+        matches.forEach(({ item: topic, score, terms }) => {
             // Filter by tags if advanced search is active - O(1) lookup with Set
             if (hasTagFilter && !tagSet.has(topic.id)) {
                 return;
@@ -334,6 +494,12 @@ export const searchMethods = {
             // Instead of rebuilding: `${topic.id}...`.toLowerCase() on every search
             const searchText = topic._searchText;
 
+            // Filters typed in the query (topics aren't edited, so updated: never matches them)
+            const facts = { text: searchText, topicIds: [topic.id], papers: [topic.paper], confidences: [topicConfidence] };
+            if (!matchesSearchQuery(parsed, facts)) {
+                return;
+            }
+
             results.push({
                 type: 'audit',
                 topicId: topic.id,
@@ -343,7 +509,8 @@ export const searchMethods = {
                 sectionTitle: topic.sectionTitle,
                 paper: topic.paper,
                 confidence: topicConfidence,
-                snippet: this.createSearchSnippet(searchText, query, topic),
+                score,
+                snippet: this.createSearchSnippet(searchText, query, topic, findMatchOffsets(searchText, terms)),
                 borderClass: 'border-l-green-500 hover:border-green-600',
                 badgeClass: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300'
             });
@@ -352,15 +519,12 @@ export const searchMethods = {
         return results;
     },
 
-    _searchNotes(query) {
+    async _searchNotes(query, parsed = parseSearchQuery('')) {
         const results = [];
 
         // ⚡ PERFORMANCE: Use search index for O(1) lookup
-        const matchingNotes = query
-            ? this._getNotesIndex().searchItems(query)
-            : Array.from(this._getNotesIndex().items.values());
-
-        matchingNotes.forEach(note => {
+        const matches = await this._getRankedMatches(this._getNotesIndex(), query);
+        matches.forEach(({ item: note, score, terms }) => {
             // Filter by tags if advanced search is active
             if (this.selectedSearchTags.length > 0) {
                 const hasMatchingTag = note.tags && note.tags.some(tag => this.selectedSearchTags.includes(tag));
@@ -371,6 +535,12 @@ export const searchMethods = {
 
             const searchText = `${note.title || ''} ${note.content || ''} ${(note.tags || []).join(' ')}`.toLowerCase();
 
+            // Filters typed in the query
+            const facts = { text: searchText, updatedAt: note.updatedAt || note.createdAt, ...this._getTopicFacts(note.tags || []) };
+            if (!matchesSearchQuery(parsed, facts)) {
+                return;
+            }
+
             // Try to get section title from the note's tags via topicLookup
             let sectionTitle = 'Untagged';
             if (note.tags && note.tags.length > 0 && this.topicLookup) {
@@ -390,7 +560,8 @@ export const searchMethods = {
                 tags: note.tags || [],
                 createdAt: note.createdAt,
                 updatedAt: note.updatedAt,
-                snippet: this._createNoteSnippet(searchText, query, note),
+                score,
+                snippet: this._createNoteSnippet(searchText, query, note, findMatchOffsets(searchText, terms)),
                 borderClass: 'border-l-blue-500 hover:border-blue-600',
                 badgeClass: 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300'
             });
@@ -398,15 +569,12 @@ export const searchMethods = {
         return results;
     },
 
-    _searchFlashcards(query) {
+    async _searchFlashcards(query, parsed = parseSearchQuery('')) {
         const results = [];
 
         // ⚡ PERFORMANCE: Use search index for O(1) lookup
-        const matchingDecks = query
-            ? this._getFlashcardsIndex().searchItems(query)
-            : Array.from(this._getFlashcardsIndex().items.values());
-
-        matchingDecks.forEach(deck => {
+        const matches = await this._getRankedMatches(this._getFlashcardsIndex(), query);
+        matches.forEach(({ item: deck, score }) => {
             // Filter by tags if advanced search is active
             if (this.selectedSearchTags.length > 0) {
                 const hasMatchingTag = deck.tags && deck.tags.some(tag => this.selectedSearchTags.includes(tag));
@@ -416,9 +584,15 @@ export const searchMethods = {
             }
 
             const deckText = `${deck.name || ''} ${(deck.tags || []).join(' ')}`.toLowerCase();
-            const cardsText = (deck.cards || []).map(card => `${card.front || ''} ${card.back || ''}`).join(' ').toLowerCase();
+            const cardsText = (deck.cards || []).map(getCardSearchText).join(' ').toLowerCase();
             const searchText = `${deckText} ${cardsText}`;
 
+            // Filters typed in the query
+            const facts = { text: searchText, updatedAt: deck.updatedAt || deck.createdAt, ...this._getTopicFacts(deck.tags || []) };
+            if (!matchesSearchQuery(parsed, facts)) {
+                return;
+            }
+
             // Try to get section title from the deck's tags via topicLookup
             let sectionTitle = 'Untagged';
             if (deck.tags && deck.tags.length > 0 && this.topicLookup) {
@@ -438,6 +612,7 @@ export const searchMethods = {
                 tags: deck.tags || [],
                 createdAt: deck.createdAt,
                 updatedAt: deck.updatedAt,
+                score,
                 snippet: this._createFlashcardSnippet(searchText, query, deck),
                 borderClass: 'border-l-purple-500 hover:border-purple-600',
                 badgeClass: 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300'
@@ -446,15 +621,12 @@ export const searchMethods = {
         return results;
     },
 
-    _searchMindmaps(query) {
+    async _searchMindmaps(query, parsed = parseSearchQuery('')) {
         const results = [];
 
         // ⚡ PERFORMANCE: Use search index for O(1) lookup
-        const matchingMindmaps = query
-            ? this._getMindmapsIndex().searchItems(query)
-            : Array.from(this._getMindmapsIndex().items.values());
-
-        matchingMindmaps.forEach(mindmap => {
+        const matches = await this._getRankedMatches(this._getMindmapsIndex(), query);
+        matches.forEach(({ item: mindmap, score }) => {
             // Filter by tags if advanced search is active
             if (this.selectedSearchTags.length > 0) {
                 const hasMatchingTag = mindmap.tags && mindmap.tags.some(tag => this.selectedSearchTags.includes(tag));
@@ -466,6 +638,12 @@ export const searchMethods = {
             const shapesText = (mindmap.shapes || []).map(shape => shape.text || '').join(' ').toLowerCase();
             const searchText = `${mindmap.title || ''} ${shapesText} ${(mindmap.tags || []).join(' ')}`.toLowerCase();
 
+            // Filters typed in the query
+            const facts = { text: searchText, updatedAt: mindmap.updatedAt || mindmap.createdAt, ...this._getTopicFacts(mindmap.tags || []) };
+            if (!matchesSearchQuery(parsed, facts)) {
+                return;
+            }
+
             // Try to get section title from the mindmap's tags via topicLookup
             let sectionTitle = 'Untagged';
             if (mindmap.tags && mindmap.tags.length > 0 && this.topicLookup) {
@@ -485,6 +663,7 @@ export const searchMethods = {
                 tags: mindmap.tags || [],
                 createdAt: mindmap.createdAt,
                 updatedAt: mindmap.updatedAt,
+                score,
                 snippet: this._createMindmapSnippet(searchText, query, mindmap),
                 borderClass: 'border-l-cyan-500 hover:border-cyan-600',
                 badgeClass: 'bg-cyan-100 dark:bg-cyan-900/30 text-cyan-700 dark:text-cyan-300'
@@ -493,7 +672,49 @@ export const searchMethods = {
         return results;
     },
 
-    _createNoteSnippet(searchText, query, note) {
+    /**
+     * Searches the curated videos, notes, simulations and question banks, and the revision sections' own notes
+     */
+    async _searchResources(query, parsed = parseSearchQuery('')) {
+        const results = [];
+
+        const matches = await this._getRankedMatches(this._getResourcesIndex(), query);
+        matches.forEach(({ item: resource, score, terms }) => {
+            // Filter by tags if advanced search is active (a resource covers its revision section's topics)
+            if (this.selectedSearchTags.length > 0 && !resource.topicIds.some(topicId => this.selectedSearchTags.includes(topicId))) {
+                return;
+            }
+
+            // Filters typed in the query (resources aren't edited, so updated: never matches them)
+            const searchText = resource.searchText;
+            if (!matchesSearchQuery(parsed, { text: searchText, ...this._getTopicFacts(resource.topicIds) })) {
+                return;
+            }
+
+            const kind = RESOURCE_KINDS[resource.kind];
+            results.push({
+                type: 'resource',
+                id: resource.id,
+                resourceKind: resource.kind,
+                typeLabel: kind.label,
+                icon: kind.icon,
+                title: resource.title,
+                url: resource.url,
+                revisionSectionId: resource.sectionId,
+                sectionTitle: resource.sectionTitle,
+                score,
+                snippet: this.createSearchSnippet(searchText, query, { prompt: resource.description, title: resource.title }, findMatchOffsets(searchText, terms)),
+                borderClass: 'border-l-amber-500 hover:border-amber-600',
+                badgeClass: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300'
+            });
+        });
+        return results;
+    },
+
+    _createNoteSnippet(searchText, query, note, offsets = null) {
+        if (offsets && offsets.length > 0) {
+            return this._highlightSnippet(searchText, offsets);
+        }
         const index = searchText.indexOf(query);
         if (index === -1) {
             const fallback = (note.content || note.title || '');
@@ -507,7 +728,7 @@ export const searchMethods = {
         snippet = this.sanitizeHTML(snippet);
         // Highlight matches HERE (not in template)
         const regex = new RegExp(`(${this.escapeRegex(query)})`, 'gi');
-        return snippet.replace(regex, '<mark class="bg-yellow-200 dark:bg-yellow-800 px-1 rounded">$1</mark>');
+        return snippet.replace(regex, `${HIGHLIGHT_OPEN}$1</mark>`);
     },
 
     _createFlashcardSnippet(searchText, query, deck) {
@@ -520,13 +741,21 @@ export const searchMethods = {
         return `${shapeCount} shape${shapeCount !== 1 ? 's' : ''}`;
     },
 
-    createSearchSnippet(searchText, query, topic) {
+    /**
+     * Builds a result snippet with the matches highlighted
+     * offsets (from findMatchOffsets) cover fuzzy and prefix matches; without them the query text itself is highlighted.
+     */
+    createSearchSnippet(searchText, query, topic, offsets = null) {
         // If no query, just show the prompt or title
         if (!query) {
             const fallback = (topic.prompt || topic.title || '');
             return this.sanitizeHTML(fallback.substring(0, 100)) + (fallback.length > 100 ? '...' : '');
         }
 
+        if (offsets && offsets.length > 0) {
+            return this._highlightSnippet(searchText, offsets);
+        }
+
         const index = searchText.indexOf(query);
         if (index === -1) {
             const fallback = (topic.prompt || topic.title || '');
@@ -544,7 +773,25 @@ export const searchMethods = {
 
         // Highlight matches HERE (not in template) to avoid creating regex on every render
         const regex = new RegExp(`(${this.escapeRegex(query)})`, 'gi');
-        return snippet.replace(regex, '<mark class="bg-yellow-200 dark:bg-yellow-800 px-1 rounded">$1</mark>');
+        return snippet.replace(regex, `${HIGHLIGHT_OPEN}$1</mark>`);
+    },
+
+    // Cut the text around the first match and mark every match inside it
+    // Each piece is sanitized separately, so the offsets still line up with the raw text
+    _highlightSnippet(text, offsets) {
+        const start = Math.max(0, offsets[0].start - 30);
+        const end = Math.min(text.length, offsets[0].end + 30);
+
+        let snippet = start > 0 ? '...' : '';
+        let position = start;
+        offsets.filter(offset => offset.end <= end).forEach(offset => {
+            snippet += this.sanitizeHTML(text.substring(position, offset.start));
+            snippet += `${HIGHLIGHT_OPEN}${this.sanitizeHTML(text.substring(offset.start, offset.end))}</mark>`;
+            position = offset.end;
+        });
+        snippet += this.sanitizeHTML(text.substring(position, end));
+
+        return end < text.length ? `${snippet}...` : snippet;
     },
 
     sanitizeHTML(text) {
@@ -582,6 +829,28 @@ export const searchMethods = {
                     }
                 }, 100);
             });
+        } else if (result.type === 'resource') {
+            // Open the resource's revision section (through any of its topics)
+            const topicId = window.revisionMapping?.[result.revisionSectionId]?.[0];
+            if (!topicId) {
+                this.showAlert('Could not find revision section for this resource.', 'Navigation Error');
+                return;
+            }
+
+            this.viewType = 'audit';
+            this.openRevisionForTopic(topicId);
+
+            if (!result.url) return;
+            this.$nextTick(() => {
+                setTimeout(() => {
+                    const resourceElement = document.querySelector(`[data-resource-url="${CSS.escape(result.url)}"]`);
+                    if (resourceElement) {
+                        resourceElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                        resourceElement.style.backgroundColor = 'rgba(59, 130, 246, 0.1)';
+                        setTimeout(() => { resourceElement.style.backgroundColor = ''; }, 2000);
+                    }
+                }, 100);
+            });
         } else if (result.type === 'note' || result.type === 'flashcard' || result.type === 'mindmap') {
             // Navigate to Knowledge Audit revision section for this item
             // Get the first tag to determine which section to open
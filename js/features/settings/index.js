@@ -72,6 +72,32 @@ export const settingsMethods = {
         this.saveToLocalStorage();
     },
 
+    /**
+     * Switches to another board/subject from the registry
+     * Each specification has its own content and saved data, so the app reloads to load it.
+     */
+    async setSpecification(specId) {
+        if (specId === this.activeSpecification.id) return;
+        if (!this.specifications.some(spec => spec.id === specId)) return;
+
+        try {
+            const { idbSet } = await import('../../utils/indexeddb.js');
+            const { SPECIFICATION_STORAGE_KEY } = await import('../../data/specifications.js');
+            await idbSet(SPECIFICATION_STORAGE_KEY, specId);
+            window.location.reload();
+        } catch (error) {
+            logger.error('Failed to switch specification:', error);
+        }
+    },
+
+    /**
+     * Sets the Paper 3 option topic the student is taking ('' to clear)
+     */
+    setPaper3Option(option) {
+        if (option !== '' && !this.paper3Options.some(paperOption => paperOption.id === option)) return;
+        this.paper3Option = option;
+    },
+
     /**
      * Saves current state to localStorage (for persistent preferences)
      */
@@ -81,7 +107,11 @@ export const settingsMethods = {
                 viewMode: this.viewMode,
                 selectedPaper: this.selectedPaper,
                 darkMode: this.darkMode,
-                revisionAreaIndicatorStyle: this.revisionAreaIndicatorStyle
+                revisionAreaIndicatorStyle: this.revisionAreaIndicatorStyle,
+                testAnswerMode: this.testAnswerMode,
+                typedAnswerTolerance: this.typedAnswerTolerance,
+                confidenceSuggestionsEnabled: this.confidenceSuggestionsEnabled,
+                paper3Option: this.paper3Option
             };
             const { idbSet } = await import('../../utils/indexeddb.js');
             await idbSet('physicsAuditPreferences', preferences);
@@ -107,7 +137,7 @@ export const settingsMethods = {
                     this.viewMode = preferences.viewMode;
                 }
 
-                if (preferences.selectedPaper && ['Paper 1', 'Paper 2', 'All Topics'].includes(preferences.selectedPaper)) {
+                if (preferences.selectedPaper && ['Paper 1', 'Paper 2', 'Paper 3', 'All Topics'].includes(preferences.selectedPaper)) {
                     this.selectedPaper = preferences.selectedPaper;
                 }
 
@@ -119,6 +149,22 @@ export const settingsMethods = {
                 if (preferences.revisionAreaIndicatorStyle && ['bar', 'outline', 'none'].includes(preferences.revisionAreaIndicatorStyle)) {
                     this.revisionAreaIndicatorStyle = preferences.revisionAreaIndicatorStyle;
                 }
+
+                if (preferences.testAnswerMode && ['flip', 'typed', 'choice'].includes(preferences.testAnswerMode)) {
+                    this.testAnswerMode = preferences.testAnswerMode;
+                }
+
+                if (typeof preferences.typedAnswerTolerance === 'number' && preferences.typedAnswerTolerance >= 0 && preferences.typedAnswerTolerance <= 50) {
+                    this.typedAnswerTolerance = preferences.typedAnswerTolerance;
+                }
+
+                if (typeof preferences.confidenceSuggestionsEnabled === 'boolean') {
+                    this.confidenceSuggestionsEnabled = preferences.confidenceSuggestionsEnabled;
+                }
+
+                if (this.paper3Options.some(option => option.id === preferences.paper3Option)) {
+                    this.paper3Option = preferences.paper3Option;
+                }
             } else {
                 // Migration: Check for old darkMode key (already loaded in batch)
                 const oldDarkMode = data.darkMode;
@@ -46,6 +46,8 @@ export const tagManagementMethods = {
                 return this.noteEditorTags;
             case 'flashcard':
                 return this.flashcardEditorTags;
+            case 'flashcardImport':
+                return this.flashcardImportTags;
             case 'mindmap':
                 return this.mindmapEditorTags;
             case 'advancedSearch':
@@ -76,6 +78,9 @@ export const tagManagementMethods = {
             case 'flashcard':
                 this.flashcardEditorTags.push(topicId);
                 break;
+            case 'flashcardImport':
+                this.flashcardImportTags.push(topicId);
+                break;
             case 'mindmap':
                 this.mindmapEditorTags.push(topicId);
                 break;
@@ -101,6 +106,9 @@ export const tagManagementMethods = {
             case 'flashcard':
                 this.flashcardEditorTags = this.flashcardEditorTags.filter(t => t !== topicId);
                 break;
+            case 'flashcardImport':
+                this.flashcardImportTags = this.flashcardImportTags.filter(t => t !== topicId);
+                break;
             case 'mindmap':
                 this.mindmapEditorTags = this.mindmapEditorTags.filter(t => t !== topicId);
                 break;
@@ -127,6 +135,9 @@ export const tagManagementMethods = {
             case 'flashcard':
                 this.flashcardEditorTags = this.flashcardEditorTags.filter(t => t !== topicId);
                 break;
+            case 'flashcardImport':
+                this.flashcardImportTags = this.flashcardImportTags.filter(t => t !== topicId);
+                break;
             case 'mindmap':
                 this.mindmapEditorTags = this.mindmapEditorTags.filter(t => t !== topicId);
                 break;
@@ -263,6 +274,9 @@ export const tagManagementMethods = {
                         case 'flashcard':
                             this.flashcardEditorTags = this.flashcardEditorTags.filter(t => t !== topic.topicId);
                             break;
+                        case 'flashcardImport':
+                            this.flashcardImportTags = this.flashcardImportTags.filter(t => t !== topic.topicId);
+                            break;
                         case 'mindmap':
                             this.mindmapEditorTags = this.mindmapEditorTags.filter(t => t !== topic.topicId);
                             break;
@@ -286,6 +300,9 @@ export const tagManagementMethods = {
                         case 'flashcard':
                             this.flashcardEditorTags.push(topic.topicId);
                             break;
+                        case 'flashcardImport':
+                            this.flashcardImportTags.push(topic.topicId);
+                            break;
                         case 'mindmap':
                             this.mindmapEditorTags.push(topic.topicId);
                             break;
@@ -78,6 +78,8 @@ export async function loadTemplates() {
         // - settings-modal-container (57 KB) → loaded when openSettings() called
         // - note-editor-modal-container (40 KB) → loaded when note created
         // - flashcard-editor-modal-container (32 KB) → loaded when flashcard created
+        // - flashcard-import-modal-container → loaded when a deck file is imported
+        // - revision-planner-modal-container → loaded when the planner is opened
         // - mindmap-editor-modal-container (47 KB) → loaded when mindmap created
         // - privacy-notice-modal-container (17 KB) → loaded if user hasn't seen it
     ];
@@ -0,0 +1,274 @@
+// js/utils/answer-matching.js
+// Answer checking for typed-answer tests and distractor generation for multiple choice
+
+// Default accepted difference for numeric answers (percent of the expected value)
+export const DEFAULT_NUMERIC_TOLERANCE = 2;
+
+// Spelled-out unit names → symbol (compared after lowercasing)
+const UNIT_ALIASES = {
+    newtons: 'n', newton: 'n',
+    joules: 'j', joule: 'j',
+    watts: 'w', watt: 'w',
+    volts: 'v', volt: 'v',
+    amperes: 'a', ampere: 'a', amps: 'a', amp: 'a',
+    ohms: 'ω', ohm: 'ω',
+    metres: 'm', metre: 'm', meters: 'm', meter: 'm',
+    seconds: 's', second: 's', secs: 's', sec: 's',
+    kilograms: 'kg', kilogram: 'kg',
+    hertz: 'hz',
+    pascals: 'pa', pascal: 'pa',
+    coulombs: 'c', coulomb: 'c',
+    kelvin: 'k',
+    teslas: 't', tesla: 't',
+    farads: 'f', farad: 'f'
+};
+
+// Unit symbols (after normalizeUnit) a number may be followed by, with or without an SI prefix
+const UNIT_SYMBOLS = new Set([
+    'm', 's', 'g', 'n', 'j', 'w', 'v', 'a', 'ω', 'hz', 'pa', 'c', 'k', 't', 'f', 'h', 'mol', 'cd', 'ev', 'l',
+    'wb', 'bq', 'gy', 'sv', 'rad', 'sr', 'min', 'hr', 'day', 'days', 'year', 'years', 'yr', 'u', 'au', 'ly', 'pc',
+    'db', 'b', '°', '°c', '%'
+]);
+const UNIT_PREFIXES = ['p', 'n', 'μ', 'µ', 'u', 'm', 'c', 'k', 'g', 't'];
+
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-', '⁺': '+' };
+
+const HTML_ENTITIES = { '&nbsp;': ' ', '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+/**
+ * Converts card HTML to plain text
+ */
+export function stripHTML(html) {
+    if (!html) return '';
+    return String(html)
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;|&amp;|&lt;|&gt;|&quot;|&#39;/g, entity => HTML_ENTITIES[entity])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalises a unit string so that equivalent spellings compare equal
+ * Units are rewritten as sorted symbols over a slash, with negative powers moved under it.
+ *
+ * @example
+ * normalizeUnit('m s^-1')  // 'm/s' (as are 'm s -1', 'ms⁻¹' and 'm / s')
+ * normalizeUnit('ms⁻²')    // 'm/s^2'
+ * normalizeUnit('J kg^-1 K^-1') // 'j/k kg' (as is 'J/(kg K)')
+ * normalizeUnit('Newtons') // 'n'
+ */
+export function normalizeUnit(unit) {
+    if (!unit) return '';
+
+    const normalized = String(unit)
+        .toLowerCase()
+        .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻⁺]+/g, match => '^' + [...match].map(c => SUPERSCRIPTS[c]).join(''))
+        .replace(/[−–]/g, '-')
+        .replace(/[a-z]+/g, word => UNIT_ALIASES[word] || word)
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const powers = getUnitPowers(normalized);
+    if (!powers) {
+        return normalized.replace(/\s*\/\s*/g, '/');
+    }
+
+    const format = ([symbol, power]) => Math.abs(power) === 1 ? symbol : `${symbol}^${Math.abs(power)}`;
+    const factors = [...powers].filter(([, power]) => power !== 0).sort(([a], [b]) => a.localeCompare(b));
+    const top = factors.filter(([, power]) => power > 0).map(format).join(' ');
+    const bottom = factors.filter(([, power]) => power < 0).map(format).join(' ');
+    return bottom ? `${top || '1'}/${bottom}` : top;
+}
+
+/**
+ * Splits a unit into symbol → power, e.g. "kg m s^-2" → kg: 1, m: 1, s: -2
+ * Handles "/", one level of brackets after it, and exponents written apart ("m s -1").
+ *
+ * @returns {Map|null} Null if the unit doesn't follow that pattern
+ * @private
+ */
+function getUnitPowers(unit) {
+    const tokenPattern = /\^?\s*[-+]?\d+|[^\s\d^+\-/()·*.]+|[/()]/g;
+    if (unit.replace(tokenPattern, '').replace(/[\s·*.]/g, '') !== '') return null;
+
+    const powers = new Map();
+    const add = (symbol, power) => powers.set(symbol, (powers.get(symbol) || 0) + power);
+
+    let divide = false;   // The next factor (or bracket) is divided by
+    let bracketSign = 0;  // 1 or -1 inside brackets, 0 outside
+    let last = null;      // { symbol, sign } the next exponent applies to
+
+    for (const token of unit.match(tokenPattern) || []) {
+        if (token === '/') {
+            if (divide) return null;
+            divide = true;
+        } else if (token === '(') {
+            if (bracketSign) return null;
+            bracketSign = divide ? -1 : 1;
+            divide = false;
+            last = null;
+        } else if (token === ')') {
+            if (!bracketSign) return null;
+            bracketSign = 0;
+            last = null;
+        } else if (/\d/.test(token)) {
+            if (!last) return null;
+            const power = parseInt(token.replace(/[\s^]/g, ''), 10);
+            if (last.symbol === 'ms' && power < 0) {
+                // "ms^-1" is metres per second, not per millisecond
+                add('ms', -last.sign);
+                add('m', last.sign);
+                add('s', last.sign * power);
+            } else {
+                add(last.symbol, last.sign * (power - 1));
+            }
+            last = null;
+        } else {
+            const sign = bracketSign || (divide ? -1 : 1);
+            divide = false;
+            add(token, sign);
+            last = { symbol: token, sign };
+        }
+    }
+
+    return divide || bracketSign ? null : powers;
+}
+
+/**
+ * Whether a normalised unit is made only of known unit symbols, e.g. "kg m/s^2" or "kj/mol"
+ * @private
+ */
+function isKnownUnit(unit) {
+    const isSymbol = symbol => UNIT_SYMBOLS.has(symbol)
+        || UNIT_PREFIXES.some(prefix => symbol.startsWith(prefix) && UNIT_SYMBOLS.has(symbol.slice(prefix.length)));
+
+    return unit.split(/[\s/·*]+/).filter(Boolean).every(factor => {
+        // An exponent written apart from its unit, e.g. "m s -1" from "m s<sup>-1</sup>"
+        if (/^\^?[-+]?\d+$/.test(factor)) return true;
+        const match = factor.match(/^([^\d^+-]+)(?:\^?[-+]?\d+)?$/);
+        return !!match && isSymbol(match[1]);
+    });
+}
+
+/**
+ * Normalises free-text answers: strips HTML, case, punctuation and extra whitespace
+ */
+export function normalizeAnswer(text) {
+    return stripHTML(text)
+        .toLowerCase()
+        .replace(/[−–]/g, '-')
+        .replace(/^(the|a|an)\s+/, '')
+        .replace(/[.,;:!?'"()]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Parses an answer that starts with a number, e.g. "9.81 m s^-2" or "1.6 x 10^-19 C"
+ * Only a unit may follow the number: "2 protons and 2 neutrons" isn't a numeric answer.
+ *
+ * @returns {Object|null} { value, unit } or null if the answer isn't numeric
+ */
+export function parseNumericAnswer(text) {
+    const plain = stripHTML(text)
+        .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻⁺]/g, c => SUPERSCRIPTS[c])
+        .replace(/[−–]/g, '-')
+        .replace(/,(?=\d{3}\b)/g, '');
+
+    const match = plain.match(/^\s*([-+]?(?:\d+\.?\d*|\.\d+))(?:\s*[x×*]\s*10\s*\^?\s*([-+]?\d+)|[eE]([-+]?\d+))?\s*(.*)$/);
+    if (!match) return null;
+
+    const exponent = match[2] ?? match[3];
+    const value = parseFloat(match[1]) * (exponent !== undefined ? Math.pow(10, parseInt(exponent, 10)) : 1);
+    if (!Number.isFinite(value)) return null;
+
+    const unit = normalizeUnit(match[4]);
+    if (unit && !isKnownUnit(unit)) return null;
+
+    return { value, unit };
+}
+
+/**
+ * Checks a typed answer against the expected card back
+ *
+ * Numeric answers are accepted within `tolerancePercent` of the expected value.
+ * A missing unit is accepted; a different unit is not.
+ *
+ * @param {string} input - What the student typed
+ * @param {string} expected - Card back (may contain HTML)
+ * @param {Object} [options]
+ * @param {number} [options.tolerancePercent] - Accepted numeric difference in percent
+ * @returns {Object} { correct, reason } where reason is 'exact' | 'numeric' | 'unit' | 'mismatch' | 'empty'
+ *
+ * @example
+ * checkTypedAnswer('9.8', '9.81 m s^-2', { tolerancePercent: 1 }) // { correct: true, reason: 'numeric' }
+ */
+export function checkTypedAnswer(input, expected, { tolerancePercent = DEFAULT_NUMERIC_TOLERANCE } = {}) {
+    const given = normalizeAnswer(input);
+    if (!given) {
+        return { correct: false, reason: 'empty' };
+    }
+
+    if (given === normalizeAnswer(expected)) {
+        return { correct: true, reason: 'exact' };
+    }
+
+    const expectedNumber = parseNumericAnswer(expected);
+    const givenNumber = parseNumericAnswer(input);
+
+    if (expectedNumber && givenNumber) {
+        if (givenNumber.unit && expectedNumber.unit && givenNumber.unit !== expectedNumber.unit) {
+            return { correct: false, reason: 'unit' };
+        }
+
+        const difference = Math.abs(givenNumber.value - expectedNumber.value);
+        const allowed = Math.abs(expectedNumber.value) * (tolerancePercent / 100);
+        const withinTolerance = expectedNumber.value === 0 ? difference === 0 : difference <= allowed;
+
+        return { correct: withinTolerance, reason: withinTolerance ? 'numeric' : 'mismatch' };
+    }
+
+    return { correct: false, reason: 'mismatch' };
+}
+
+/**
+ * Builds shuffled multiple-choice options for a card
+ * Distractors are drawn from the first candidate group (e.g. the same deck) and only
+ * fall back to later groups (e.g. decks sharing a topic tag) when there aren't enough
+ *
+ * @param {string} correctAnswer - The card back
+ * @param {Array<Array<string>>} candidateGroups - Backs of other cards, in preference order
+ * @param {number} [count] - Total number of options including the correct answer
+ * @param {Function} [random] - Random number source (injectable for testing)
+ * @returns {Array<{text: string, correct: boolean}>}
+ */
+export function buildMultipleChoiceOptions(correctAnswer, candidateGroups, count = 4, random = Math.random) {
+    const shuffle = items => {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    };
+
+    const seen = new Set([normalizeAnswer(correctAnswer)]);
+    const distractors = [];
+
+    for (const group of candidateGroups || []) {
+        if (distractors.length >= count - 1) break;
+
+        const unique = [];
+        for (const candidate of group || []) {
+            const key = normalizeAnswer(candidate);
+            if (!key || seen.has(key)) continue;
+            seen.add(key);
+            unique.push(candidate);
+        }
+        distractors.push(...shuffle(unique).slice(0, count - 1 - distractors.length));
+    }
+
+    return shuffle([
+        { text: correctAnswer, correct: true },
+        ...distractors.map(text => ({ text, correct: false }))
+    ]);
+}
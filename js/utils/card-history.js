@@ -0,0 +1,75 @@
+// js/utils/card-history.js
+// Per-card answer log helpers (miss rates, difficulty and leech detection)
+
+// Cap per-card log size to keep storage bounded for large decks
+export const MAX_CARD_HISTORY = 50;
+
+// A card is a "leech" when it has been missed this many times within the recent window
+export const LEECH_MIN_MISSES = 4;
+export const LEECH_WINDOW = 8;
+
+/**
+ * Appends an answer to a card's log (newest last), keeping at most MAX_CARD_HISTORY entries
+ *
+ * @param {Array|undefined} entries - Existing log for the card
+ * @param {string} result - 'correct' | 'incorrect'
+ * @param {string} timestamp - ISO timestamp of the answer
+ * @param {number} [timeMs] - How long the answer took (omitted when not measured)
+ * @returns {Array} New log array (input is not mutated)
+ */
+export function appendCardAnswer(entries, result, timestamp, timeMs) {
+    const entry = Number.isFinite(timeMs) ? { result, timestamp, timeMs: Math.round(timeMs) } : { result, timestamp };
+    const log = Array.isArray(entries) ? [...entries, entry] : [entry];
+    return log.length > MAX_CARD_HISTORY ? log.slice(-MAX_CARD_HISTORY) : log;
+}
+
+/**
+ * Summarises a card's answer log
+ *
+ * @param {Array} entries - Card log (newest last)
+ * @param {number} recentWindow - How many recent answers count as "recent"
+ * @returns {Object} { attempts, missed, recentAttempts, recentMissed, lastAnswered }
+ *
+ * @example
+ * summarizeCardHistory(log, 5) // { attempts: 9, missed: 5, recentAttempts: 5, recentMissed: 4, ... }
+ */
+export function summarizeCardHistory(entries, recentWindow = 5) {
+    const log = Array.isArray(entries) ? entries : [];
+    const recent = log.slice(-recentWindow);
+
+    return {
+        attempts: log.length,
+        missed: log.filter(entry => entry.result === 'incorrect').length,
+        recentAttempts: recent.length,
+        recentMissed: recent.filter(entry => entry.result === 'incorrect').length,
+        lastAnswered: log.length > 0 ? log[log.length - 1].timestamp : null
+    };
+}
+
+/**
+ * Scores how difficult a card is from 0 (always right) to 1 (always wrong)
+ * Recent answers weigh more than old ones (each step back counts 80% as much)
+ *
+ * @param {Array} entries - Card log (newest last)
+ * @returns {number|null} Difficulty score, or null if the card has never been answered
+ */
+export function getCardDifficultyScore(entries) {
+    const log = Array.isArray(entries) ? entries : [];
+    if (log.length === 0) return null;
+
+    let weightedMisses = 0;
+    let totalWeight = 0;
+    for (let i = log.length - 1, weight = 1; i >= 0; i--, weight *= 0.8) {
+        if (log[i].result === 'incorrect') weightedMisses += weight;
+        totalWeight += weight;
+    }
+
+    return weightedMisses / totalWeight;
+}
+
+/**
+ * Checks whether a card keeps being failed
+ */
+export function isLeechCard(entries) {
+    return summarizeCardHistory(entries, LEECH_WINDOW).recentMissed >= LEECH_MIN_MISSES;
+}
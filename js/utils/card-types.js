@@ -0,0 +1,167 @@
+// js/utils/card-types.js
+// Flashcard types (basic, cloze deletion, image occlusion) and expansion into review prompts
+//
+// Every card keeps `front`/`back` so older code paths (search, test sets, deduplication) still work:
+// - basic:     front = question, back = answer
+// - cloze:     front = cloze text ("The unit of {{c1::force}} is the {{c2::newton}}"), back = optional extra notes
+// - occlusion: front = prompt, back = optional notes, plus `image` (data URL) and `masks`
+//   (rectangles in percent of the image size: { id, x, y, width, height, label })
+
+export const CARD_TYPES = ['basic', 'cloze', 'occlusion'];
+
+// {{c1::answer}} or {{c1::answer::hint}}
+const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+
+/**
+ * Gets a card's type (cards created before types existed are basic)
+ */
+export function getCardType(card) {
+    return CARD_TYPES.includes(card?.type) ? card.type : 'basic';
+}
+
+/**
+ * Gets the cloze numbers used in a text, in ascending order
+ *
+ * @example
+ * getClozeNumbers('{{c2::b}} {{c1::a}} {{c2::c}}') // [1, 2]
+ */
+export function getClozeNumbers(text) {
+    const numbers = new Set();
+    for (const match of String(text || '').matchAll(CLOZE_PATTERN)) {
+        numbers.add(parseInt(match[1], 10));
+    }
+    return [...numbers].sort((a, b) => a - b);
+}
+
+/**
+ * Renders cloze text for display
+ *
+ * @param {string} text - Cloze source text
+ * @param {number|null} activeNumber - Cloze being tested (null highlights every deletion)
+ * @param {boolean} revealed - Show the active deletion's answer instead of a blank
+ * @returns {string} HTML
+ */
+export function renderCloze(text, activeNumber = null, revealed = false) {
+    return String(text || '').replace(CLOZE_PATTERN, (match, number, answer, hint) => {
+        const isActive = activeNumber === null || parseInt(number, 10) === activeNumber;
+        if (!isActive) return answer;
+        if (revealed || activeNumber === null) return `<span class="cloze-answer">${answer}</span>`;
+        return `<span class="cloze-blank">[${hint || '...'}]</span>`;
+    });
+}
+
+/**
+ * Removes cloze markup, leaving the plain sentence
+ */
+export function stripClozeMarkup(text) {
+    return String(text || '').replace(CLOZE_PATTERN, (match, number, answer) => answer);
+}
+
+/**
+ * Gets the hidden text for one cloze number (several deletions with the same number are joined)
+ */
+export function getClozeAnswer(text, number) {
+    const answers = [];
+    for (const match of String(text || '').matchAll(CLOZE_PATTERN)) {
+        if (parseInt(match[1], 10) === number) answers.push(match[2]);
+    }
+    return answers.join(', ');
+}
+
+/**
+ * Checks an occlusion image source is an inline image (never a remote or script URL)
+ */
+export function isSafeImageSource(src) {
+    return typeof src === 'string' && /^data:image\/(png|jpe?g|gif|webp);base64,/i.test(src);
+}
+
+/**
+ * Gets the IDs of the review prompts a card produces
+ * Prompts already expanded from a card keep their own single ID
+ */
+export function getCardPromptIds(card, cardId) {
+    if (!card || card.parentCardId) return [cardId];
+
+    switch (getCardType(card)) {
+        case 'cloze': {
+            const numbers = getClozeNumbers(card.front);
+            return numbers.length > 0 ? numbers.map(n => `${cardId}::c${n}`) : [cardId];
+        }
+        case 'occlusion': {
+            const masks = Array.isArray(card.masks) ? card.masks : [];
+            return masks.length > 0 ? masks.map(mask => `${cardId}::m${mask.id}`) : [cardId];
+        }
+        default:
+            return [cardId];
+    }
+}
+
+/**
+ * Gets how many review prompts a card produces
+ */
+export function getCardPromptCount(card) {
+    return getCardPromptIds(card, '').length;
+}
+
+/**
+ * Expands a card into the prompts shown during a test
+ * Each prompt gets its own ID (derived from the card ID) so history and schedules are tracked per prompt
+ *
+ * @param {Object} card - Deck card (may already carry deckId/deckName)
+ * @param {string} cardId - Stable ID of the card
+ * @returns {Array} Prompt cards; basic cards are returned as-is
+ */
+export function expandCard(card, cardId) {
+    if (!card || card.parentCardId) return card ? [card] : [];
+
+    const type = getCardType(card);
+
+    if (type === 'cloze') {
+        const numbers = getClozeNumbers(card.front);
+        if (numbers.length === 0) return [card];
+
+        const extra = card.back ? `<hr>${card.back}` : '';
+        return numbers.map(number => ({
+            ...card,
+            id: `${cardId}::c${number}`,
+            parentCardId: cardId,
+            clozeNumber: number,
+            front: renderCloze(card.front, number, false),
+            back: renderCloze(card.front, number, true) + extra,
+            answer: getClozeAnswer(card.front, number)
+        }));
+    }
+
+    if (type === 'occlusion') {
+        const masks = Array.isArray(card.masks) ? card.masks : [];
+        if (masks.length === 0) return [card];
+
+        return masks.map(mask => ({
+            ...card,
+            id: `${cardId}::m${mask.id}`,
+            parentCardId: cardId,
+            activeMaskId: mask.id,
+            answer: mask.label || ''
+        }));
+    }
+
+    return [card];
+}
+
+/**
+ * Gets the plain text used to index a card for search
+ */
+export function getCardSearchText(card) {
+    if (!card) return '';
+
+    switch (getCardType(card)) {
+        case 'cloze':
+            return `${stripClozeMarkup(card.front)} ${card.back || ''}`;
+        case 'occlusion': {
+            const labels = (card.masks || []).map(mask => mask.label || '').join(' ');
+            return `${card.front || ''} ${card.back || ''} ${labels}`;
+        }
+        default:
+            return `${card.front || ''} ${card.back || ''}`;
+    }
+}
@@ -0,0 +1,96 @@
+// js/utils/confidence-history.js
+// Roll-up compaction for the confidence change history
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Changes are kept individually for this long, then rolled up to one entry per topic per day
+export const DAILY_ROLLUP_AFTER_DAYS = 30;
+
+// After this long, daily roll-ups become one entry per topic per week
+export const WEEKLY_ROLLUP_AFTER_DAYS = 365;
+
+function getDayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Weeks start on Monday (UTC), so a week's key is its Monday's date
+function getWeekKey(date) {
+    const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    return getDayKey(monday);
+}
+
+/**
+ * Merges one topic's changes in a period into a single entry
+ * The roll-up goes from the first change's old level to the last change's new level
+ */
+function rollUp(entries, rollup) {
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    const sources = new Set(entries.map(entry => entry.source || 'manual'));
+
+    return {
+        topicId: last.topicId,
+        oldLevel: first.oldLevel,
+        newLevel: last.newLevel,
+        source: sources.size === 1 ? [...sources][0] : 'mixed',
+        timestamp: last.timestamp,
+        date: last.date,
+        time: last.time,
+        dayOfWeek: last.dayOfWeek,
+        studySession: last.studySession,
+        rollup,
+        changeCount: entries.reduce((sum, entry) => sum + (entry.changeCount || 1), 0)
+    };
+}
+
+/**
+ * Compacts a confidence history
+ *
+ * - Changes from the last 30 days are kept as they are
+ * - Older changes become one entry per topic per day
+ * - Changes older than a year become one entry per topic per week
+ *
+ * Compacting an already compacted history gives the same result, so it is safe to run on every load.
+ *
+ * @param {Array} entries - Change records ({ topicId, oldLevel, newLevel, timestamp, ... }) in any order
+ * @param {number} now - Current time in ms
+ * @returns {Array} Compacted records, newest first (the order analyticsHistoryData uses)
+ *
+ * @example
+ * // Three changes to 3.4.1.1 on the same day two months ago...
+ * compactConfidenceHistory(history)
+ * // ...become { topicId: '3.4.1.1', oldLevel: 1, newLevel: 3, rollup: 'daily', changeCount: 3, ... }
+ */
+export function compactConfidenceHistory(entries, now = Date.now()) {
+    const dailyBefore = now - DAILY_ROLLUP_AFTER_DAYS * DAY_MS;
+    const weeklyBefore = now - WEEKLY_ROLLUP_AFTER_DAYS * DAY_MS;
+
+    const kept = [];
+    const buckets = new Map();
+
+    [...(entries || [])]
+        .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+        .forEach(entry => {
+            const time = Date.parse(entry.timestamp);
+            if (!Number.isFinite(time) || time >= dailyBefore) {
+                kept.push(entry);
+                return;
+            }
+
+            const date = new Date(time);
+            const rollup = time < weeklyBefore ? 'weekly' : 'daily';
+            const period = rollup === 'weekly' ? getWeekKey(date) : getDayKey(date);
+            const key = `${rollup}|${period}|${entry.topicId}`;
+
+            if (!buckets.has(key)) {
+                buckets.set(key, { rollup, entries: [] });
+            }
+            buckets.get(key).entries.push(entry);
+        });
+
+    const rolledUp = [...buckets.values()].map(bucket => rollUp(bucket.entries, bucket.rollup));
+
+    return [...rolledUp, ...kept]
+        .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+}
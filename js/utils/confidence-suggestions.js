@@ -0,0 +1,75 @@
+// js/utils/confidence-suggestions.js
+// Suggested topic confidence levels from flashcard answers
+
+// Too few answers say more about luck than understanding
+export const MIN_SUGGESTION_ANSWERS = 5;
+
+// Only the most recent sessions count, so old mistakes stop dragging a topic down
+export const SUGGESTION_SESSIONS = 5;
+
+// Lowest % correct for each level (anything below the last threshold suggests 1)
+const LEVEL_THRESHOLDS = [
+    { level: 5, minPercent: 90 },
+    { level: 4, minPercent: 75 },
+    { level: 3, minPercent: 55 },
+    { level: 2, minPercent: 35 }
+];
+
+/**
+ * Maps a % correct to a confidence level (1-5)
+ */
+export function getSuggestedLevel(percent) {
+    const match = LEVEL_THRESHOLDS.find(threshold => percent >= threshold.minPercent);
+    return match ? match.level : 1;
+}
+
+/**
+ * Summarises answers across the most recent sessions
+ * Answers from one test share a timestamp, so each distinct timestamp is one session
+ *
+ * @param {Array} answers - Answer log entries ({ result, timestamp })
+ * @param {number} sessionLimit - How many recent sessions to include
+ * @returns {Object} { correct, total, percent, sessions }
+ */
+export function summarizeTopicAnswers(answers, sessionLimit = SUGGESTION_SESSIONS) {
+    const sessions = [...new Set((answers || []).map(answer => answer.timestamp))]
+        .sort()
+        .slice(-sessionLimit);
+    const recent = (answers || []).filter(answer => sessions.includes(answer.timestamp));
+    const correct = recent.filter(answer => answer.result === 'correct').length;
+
+    return {
+        correct,
+        total: recent.length,
+        percent: recent.length > 0 ? Math.round((correct / recent.length) * 100) : 0,
+        sessions: sessions.length
+    };
+}
+
+/**
+ * Suggests a confidence level for a topic from the answers on its cards
+ *
+ * @param {Array} answers - Answer log entries for every card tagged with the topic
+ * @param {number} currentLevel - The topic's current confidence (0 if unrated)
+ * @returns {Object|null} { level, percent, total, sessions, explanation }, or null if
+ *   there aren't enough answers or the suggestion matches the current level
+ *
+ * @example
+ * buildConfidenceSuggestion(answers, 2)
+ * // { level: 4, percent: 82, total: 17, sessions: 3, explanation: '82% correct over 3 sessions' }
+ */
+export function buildConfidenceSuggestion(answers, currentLevel = 0) {
+    const summary = summarizeTopicAnswers(answers);
+    if (summary.total < MIN_SUGGESTION_ANSWERS) return null;
+
+    const level = getSuggestedLevel(summary.percent);
+    if (level === currentLevel) return null;
+
+    return {
+        level,
+        percent: summary.percent,
+        total: summary.total,
+        sessions: summary.sessions,
+        explanation: `${summary.percent}% correct over ${summary.sessions} ${summary.sessions === 1 ? 'session' : 'sessions'}`
+    };
+}
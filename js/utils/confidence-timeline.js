@@ -0,0 +1,96 @@
+// js/utils/confidence-timeline.js
+// Weekly confidence levels over time, rebuilt from the confidence change history
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Gets the Monday (UTC midnight) of the week containing a time
+ */
+export function getWeekStart(time) {
+    const date = new Date(time);
+    const monday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    return monday - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+}
+
+/**
+ * Rebuilds each topic's confidence at the end of every week in a range
+ *
+ * Works backwards from the current levels, undoing each change newer than the point in time,
+ * so topics rated before the history began still show their level.
+ *
+ * @param {Array} history - Change records ({ topicId, oldLevel, newLevel, timestamp })
+ * @param {Object} currentLevels - Topic ID → current confidence
+ * @param {Array} topicIds - Topics to include
+ * @param {Object} range - { from, to } in ms
+ * @returns {Object} { labels: ['2025-03-03', ...] (week starts), series: { topicId: [level per week] } }
+ */
+export function buildConfidenceTimeline(history, currentLevels, topicIds, { from, to }) {
+    const weekStarts = [];
+    for (let week = getWeekStart(from); week <= to; week += WEEK_MS) {
+        weekStarts.push(week);
+    }
+
+    const wanted = new Set(topicIds);
+    const changes = (history || [])
+        .filter(change => wanted.has(change.topicId))
+        .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+
+    const levels = {};
+    const series = {};
+    topicIds.forEach(topicId => {
+        levels[topicId] = currentLevels[topicId] || 0;
+        series[topicId] = new Array(weekStarts.length);
+    });
+
+    let next = 0;
+    for (let index = weekStarts.length - 1; index >= 0; index--) {
+        const pointTime = Math.min(weekStarts[index] + WEEK_MS, to);
+        while (next < changes.length && Date.parse(changes[next].timestamp) > pointTime) {
+            levels[changes[next].topicId] = changes[next].oldLevel || 0;
+            next++;
+        }
+        topicIds.forEach(topicId => {
+            series[topicId][index] = levels[topicId];
+        });
+    }
+
+    return {
+        labels: weekStarts.map(week => new Date(week).toISOString().slice(0, 10)),
+        series
+    };
+}
+
+/**
+ * Averages some topics' levels week by week (unrated topics are left out)
+ *
+ * @returns {Array} Average per week (2 decimal places), or null for weeks with no rated topics
+ */
+export function averageTimelineSeries(timeline, topicIds) {
+    return timeline.labels.map((label, index) => {
+        const rated = topicIds
+            .map(topicId => timeline.series[topicId]?.[index] || 0)
+            .filter(level => level > 0);
+        if (rated.length === 0) return null;
+        return Math.round((rated.reduce((sum, level) => sum + level, 0) / rated.length) * 100) / 100;
+    });
+}
+
+/**
+ * Turns levels into SVG polyline points (level 0 at the bottom, 5 at the top)
+ *
+ * @example
+ * getSparklinePoints([1, 3, 5], 60, 20) // '0,16 30,8 60,0'
+ */
+export function getSparklinePoints(values, width, height, maxValue = 5) {
+    if (!values || values.length === 0) return '';
+    const step = values.length > 1 ? width / (values.length - 1) : 0;
+
+    return values
+        .map((value, index) => {
+            const x = Math.round(index * step * 10) / 10;
+            const y = Math.round((height - ((value || 0) / maxValue) * height) * 10) / 10;
+            return `${x},${y}`;
+        })
+        .join(' ');
+}
@@ -0,0 +1,186 @@
+// js/utils/content-linter.js
+// Checks the revision resource CSVs against resource-schema.js
+// Used by: tools/lint-content.js, tools/content-linter.html
+
+import { parseCSV } from './csv-parser.js';
+import { RESOURCE_FIELDS } from './resource-schema.js';
+
+// Values the creators in resource-schema.js read as true/false
+const BOOLEAN_FIELDS = ['has_answers'];
+const BOOLEAN_VALUES = ['TRUE', 'FALSE', 'true', 'false'];
+
+// Revision notes are shown as HTML, so anything that can run script is an error
+const SUSPICIOUS_HTML = [
+    { pattern: /<\s*(script|iframe|object|embed|form|style|link|meta|base)\b/i, label: tag => `a <${tag[1].toLowerCase()}> tag` },
+    { pattern: /\son[a-z]+\s*=/i, label: () => 'an inline event handler (on...=)' },
+    { pattern: /javascript\s*:/i, label: () => 'a javascript: URL' },
+    { pattern: /\bsrcdoc\s*=/i, label: () => 'a srcdoc attribute' }
+];
+
+// Blank-field notes only list the first few lines
+const MAX_LINES_LISTED = 5;
+
+function issue(path, line, severity, rule, message) {
+    return { path, line, severity, rule, message };
+}
+
+/**
+ * Gets the line each parsed row came from
+ * parseCSV skips blank lines, so row N isn't always on line N + 1.
+ */
+function getRowLines(text) {
+    const lines = [];
+    text.split('\n').forEach((line, index) => {
+        if (line.trim()) lines.push(index + 1);
+    });
+    return lines.slice(1);
+}
+
+function checkURL(url) {
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol === 'https:') return null;
+        if (parsed.protocol === 'http:') return { severity: 'warning', message: `url uses http:// (use https:// if the site supports it): ${url}` };
+        return { severity: 'error', message: `url must be a web link: ${url}` };
+    } catch (error) {
+        return { severity: 'error', message: `url isn't a valid link: ${url}` };
+    }
+}
+
+function listLines(lines) {
+    const listed = lines.slice(0, MAX_LINES_LISTED).join(', ');
+    return lines.length > MAX_LINES_LISTED ? `${listed} and ${lines.length - MAX_LINES_LISTED} more` : listed;
+}
+
+/**
+ * Gets the section IDs topics are linked to in the subject CSVs
+ *
+ * @param {Array} subjectRows - Parsed rows from every subject CSV
+ * @returns {Set} Section IDs
+ */
+export function getSectionIds(subjectRows) {
+    return new Set(subjectRows.map(row => row.section_id?.trim()).filter(Boolean));
+}
+
+/**
+ * Lints one revision resource CSV
+ *
+ * @param {string} text - The file's contents
+ * @param {Object} options - { path, type (a RESOURCE_FIELDS key), sectionIds (Set, optional) }
+ * @returns {Array} Issues: [{ path, line, severity: 'error'|'warning'|'info', rule, message }]
+ */
+export function lintResourceCSV(text, { path, type, sectionIds = null }) {
+    const fields = RESOURCE_FIELDS[type];
+    if (!fields) return [issue(path, null, 'error', 'unknown-type', `Unknown resource type "${type}"`)];
+
+    const issues = [];
+    if (text.charCodeAt(0) === 0xFEFF) {
+        issues.push(issue(path, 1, 'warning', 'bom', 'File starts with a byte order mark (save as UTF-8 without BOM)'));
+    }
+
+    const rows = parseCSV(text);
+    if (rows.length === 0) {
+        return [...issues, issue(path, 1, 'error', 'empty-file', 'File has no rows')];
+    }
+
+    // Header checks use the raw names, since parseCSV trims them
+    const rawHeaders = text.replace(/^\uFEFF/, '').split('\n')[0].replace(/\r$/, '').split(',');
+    rawHeaders.forEach(header => {
+        if (header !== header.trim()) {
+            issues.push(issue(path, 1, 'warning', 'header-whitespace', `Column "${header}" has spaces around its name`));
+        }
+    });
+
+    const columns = Object.keys(rows[0]);
+    const known = [...fields.required, ...fields.optional];
+    fields.required.filter(column => !columns.includes(column)).forEach(column => {
+        issues.push(issue(path, 1, 'error', 'missing-column', `Required column "${column}" is missing`));
+    });
+    columns.filter(column => !known.includes(column)).forEach(column => {
+        issues.push(issue(path, 1, 'warning', 'unknown-column', `Column "${column}" isn't read by the app`));
+    });
+
+    const rowLines = getRowLines(text);
+    const blankLines = Object.fromEntries(fields.optional.filter(column => columns.includes(column)).map(column => [column, []]));
+    const urls = new Map();
+
+    rows.forEach((row, index) => {
+        const line = rowLines[index];
+
+        fields.required.filter(column => columns.includes(column) && !row[column]).forEach(column => {
+            issues.push(issue(path, line, 'error', 'required-field', `${column} is blank`));
+        });
+        Object.keys(blankLines).forEach(column => {
+            if (!row[column]) blankLines[column].push(line);
+        });
+
+        const sectionId = row.section_id?.trim();
+        if (sectionId && sectionIds && !sectionIds.has(sectionId)) {
+            issues.push(issue(path, line, 'error', 'unknown-section', `section_id ${sectionId} isn't used by any topic in the specification`));
+        }
+
+        if (sectionId && row.title?.startsWith(`${sectionId} `)) {
+            issues.push(issue(path, line, 'warning', 'title-section-number', `Title starts with its section number: "${row.title}"`));
+        }
+
+        if (row.url) {
+            const problem = checkURL(row.url);
+            if (problem) issues.push(issue(path, line, problem.severity, 'url-format', problem.message));
+
+            if (urls.has(row.url)) {
+                issues.push(issue(path, line, 'warning', 'duplicate-url', `Same url as line ${urls.get(row.url)}: ${row.url}`));
+            } else {
+                urls.set(row.url, line);
+            }
+        }
+
+        BOOLEAN_FIELDS.filter(column => row[column] && !BOOLEAN_VALUES.includes(row[column])).forEach(column => {
+            issues.push(issue(path, line, 'warning', 'boolean-value', `${column} is "${row[column]}" - only TRUE or FALSE are understood (read as FALSE)`));
+        });
+
+        if (row.notes_html) {
+            SUSPICIOUS_HTML.forEach(({ pattern, label }) => {
+                const match = row.notes_html.match(pattern);
+                if (match) {
+                    issues.push(issue(path, line, 'error', 'suspicious-html', `notes_html contains ${label(match)}`));
+                }
+            });
+        }
+    });
+
+    // One note per column rather than one per row
+    Object.entries(blankLines).forEach(([column, lines]) => {
+        if (lines.length === rows.length) {
+            issues.push(issue(path, 1, 'warning', 'empty-column', `Column "${column}" is blank on every row (the app shows its default)`));
+        } else if (lines.length > 0) {
+            issues.push(issue(path, lines[0], 'info', 'blank-field', `${column} is blank on ${lines.length} of ${rows.length} rows (lines ${listLines(lines)})`));
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Counts issues by severity
+ *
+ * @returns {Object} { error, warning, info }
+ */
+export function summarizeLintIssues(issues) {
+    const summary = { error: 0, warning: 0, info: 0 };
+    issues.forEach(item => summary[item.severity]++);
+    return summary;
+}
+
+/**
+ * Formats issues as a plain-text report, one line each, sorted by file and line
+ *
+ * @example
+ * formatLintReport(issues)
+ * // 'resources/revision/notes.csv:1 warning [header-whitespace] Column "difficulty  " has spaces around its name'
+ */
+export function formatLintReport(issues) {
+    return [...issues]
+        .sort((a, b) => a.path.localeCompare(b.path) || (a.line || 0) - (b.line || 0))
+        .map(item => `${item.path}${item.line ? `:${item.line}` : ''} ${item.severity} [${item.rule}] ${item.message}`)
+        .join('\n');
+}
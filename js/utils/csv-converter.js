@@ -2,6 +2,9 @@
 // Shared CSV conversion logic
 // Used by: unified-csv-loader.js, csv-converter.html
 
+// Exam papers that get their own view in paper mode
+export const PAPERS = ['Paper 1', 'Paper 2', 'Paper 3'];
+
 /**
  * Convert subject CSV data to application format
  * Builds sections object and revision mappings from CSV rows
@@ -68,6 +71,8 @@ export function convertSubjectCSV(csvData, revisionMappings) {
 
 /**
  * Convert groups CSV data to application format
+ * Rows with an `option` (e.g. 'astrophysics') belong to a Paper 3 option topic and
+ * keep it on the group, so groups for options the student isn't taking can be hidden
  * @param {Object[]} csvData - Parsed CSV data from groups.csv
  * @returns {Object} - { paperModeGroups, specModeGroups }
  */
@@ -83,22 +88,22 @@ export function convertGroupsCSV(csvData) {
         const groupTitle = row.group_title;
         const icon = row.icon;
         const sectionName = row.section_name;
+        const option = row.option || null;
 
         // Initialize paper array if needed
-        if (paper === 'Paper 1' || paper === 'Paper 2') {
-            if (!paperModeGroups[paper]) paperModeGroups[paper] = [];
-        } else if (paper === 'All Topics') {
-            if (!specModeGroups[paper]) specModeGroups[paper] = [];
-        }
+        const isPaper = PAPERS.includes(paper);
+        if (!isPaper && paper !== 'All Topics') return;
 
-        const targetGroups = (paper === 'Paper 1' || paper === 'Paper 2') ? paperModeGroups : specModeGroups;
+        const targetGroups = isPaper ? paperModeGroups : specModeGroups;
+        if (!targetGroups[paper]) targetGroups[paper] = [];
 
         if (type === 'single') {
             // Single sections
             targetGroups[paper].push({
                 type: 'single',
                 key: sectionName,
-                order: order
+                order: order,
+                ...(option && { option })
             });
         } else if (type === 'group') {
             // Find or create group
@@ -109,7 +114,8 @@ export function convertGroupsCSV(csvData) {
                     title: groupTitle,
                     icon: icon,
                     sections: [],
-                    order: order
+                    order: order,
+                    ...(option && { option })
                 };
                 targetGroups[paper].push(group);
             }
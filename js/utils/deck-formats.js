@@ -0,0 +1,308 @@
+// js/utils/deck-formats.js
+// Flashcard deck import/export formats: Anki packages (.apkg) and delimited text (CSV/TSV, Quizlet exports)
+
+import { readZipEntries, extractZipEntry } from './zip-reader.js';
+import { openSqliteDatabase } from './sqlite-reader.js';
+import { getCardType, expandCard } from './card-types.js';
+import { stripHTML } from './answer-matching.js';
+
+const ANKI_FIELD_SEPARATOR = '\u001f';
+const CLOZE_MARKER = /\{\{c\d+::/;
+
+// Anki writes this placeholder note into collection.anki2 when the real data is in the newer collection.anki21b
+const ANKI_UPGRADE_PLACEHOLDER = 'Please update to the latest Anki version';
+
+// Names Anki accepts in a "#separator:" file header
+const SEPARATOR_NAMES = { comma: ',', semicolon: ';', tab: '\t', space: ' ', pipe: '|', colon: ':' };
+
+/**
+ * Escapes plain text for use as card HTML
+ */
+export function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function looksLikeHTML(text) {
+    return /<\/?[a-z][^>]*>/i.test(text);
+}
+
+function toCardHTML(text, isHTML) {
+    const value = String(text ?? '').trim();
+    const html = isHTML === null ? looksLikeHTML(value) : isHTML;
+    return html ? value : escapeHTML(value).replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Builds a card, detecting Anki-style cloze text
+ */
+function makeCard(front, back) {
+    return { type: CLOZE_MARKER.test(front) ? 'cloze' : 'basic', front, back };
+}
+
+/**
+ * Removes media references from an Anki field (images and sounds aren't imported)
+ */
+function cleanAnkiField(html) {
+    return String(html ?? '')
+        .replace(/<img[^>]*>/gi, '')
+        .replace(/\[sound:[^\]]*\]/g, '')
+        .trim();
+}
+
+/**
+ * Reads decks from an opened Anki collection database
+ *
+ * @param {Object} db - Database from openSqliteDatabase()
+ * @returns {Array} [{ name, cards: [{ type, front, back }], sourceTags: [] }]
+ */
+export function parseAnkiCollection(db) {
+    const deckNames = {};
+
+    if (db.tableNames.includes('decks')) {
+        // Newer schema: one row per deck, nested names separated by \x1f
+        db.readTable('decks').forEach(deck => {
+            deckNames[deck.id] = String(deck.name).split(ANKI_FIELD_SEPARATOR).join('::');
+        });
+    } else if (db.tableNames.includes('col')) {
+        // Older schema: decks stored as JSON on the single collection row
+        const col = db.readTable('col')[0];
+        Object.values(JSON.parse(col?.decks || '{}')).forEach(deck => {
+            deckNames[deck.id] = deck.name;
+        });
+    }
+
+    // A note's deck is the deck of its first card
+    const noteDecks = {};
+    db.readTable('cards').forEach(card => {
+        if (!(card.nid in noteDecks)) noteDecks[card.nid] = card.did;
+    });
+
+    const decks = new Map();
+
+    db.readTable('notes').forEach(note => {
+        const fields = String(note.flds ?? '').split(ANKI_FIELD_SEPARATOR).map(cleanAnkiField);
+        const front = fields[0];
+        if (!front) return;
+
+        if (front.includes(ANKI_UPGRADE_PLACEHOLDER)) {
+            throw new Error('This deck was exported in the newest Anki format. In Anki, export again with "Support older Anki versions" ticked.');
+        }
+
+        const deckId = noteDecks[note.id];
+        const name = deckNames[deckId] || 'Imported Deck';
+        if (!decks.has(name)) {
+            decks.set(name, { name, cards: [], sourceTags: new Set() });
+        }
+
+        const deck = decks.get(name);
+        deck.cards.push(makeCard(front, fields.slice(1).filter(Boolean).join('<hr>')));
+        String(note.tags ?? '').split(/\s+/).filter(Boolean).forEach(tag => deck.sourceTags.add(tag));
+    });
+
+    return [...decks.values()].map(deck => ({ ...deck, sourceTags: [...deck.sourceTags] }));
+}
+
+/**
+ * Reads decks from an Anki package file (.apkg)
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Promise<Array>} Decks as returned by parseAnkiCollection()
+ * @throws {Error} With a user-readable message if the package can't be read
+ */
+export async function parseAnkiPackage(bytes) {
+    const entries = readZipEntries(bytes);
+    const entry = entries.get('collection.anki21') || entries.get('collection.anki2');
+
+    if (!entry) {
+        throw new Error('No Anki collection found in this file.');
+    }
+
+    return parseAnkiCollection(openSqliteDatabase(await extractZipEntry(bytes, entry)));
+}
+
+/**
+ * Splits delimited text into rows, honouring double-quoted fields (RFC 4180)
+ */
+export function parseDelimitedRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Guesses the delimiter of a text export (tab for Quizlet, otherwise comma or semicolon)
+ */
+export function detectDelimiter(text) {
+    const sample = text.split(/\r?\n/).slice(0, 10).join('\n');
+    if (sample.includes('\t')) return '\t';
+
+    const commas = (sample.match(/,/g) || []).length;
+    const semicolons = (sample.match(/;/g) || []).length;
+    return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Parses a CSV/TSV export, including Anki-style "#key:value" header lines
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { rows, delimiter, deckName, isHTML, tagsColumn }
+ *   isHTML is null when the file doesn't say (fields are then checked individually);
+ *   tagsColumn is a 0-based index or -1
+ */
+export function parseDelimitedText(text) {
+    const lines = String(text ?? '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const options = { delimiter: null, deckName: '', isHTML: null, tagsColumn: -1 };
+
+    let bodyStart = 0;
+    while (bodyStart < lines.length) {
+        const match = lines[bodyStart].match(/^#([a-z ]+):(.*)$/i);
+        if (!match) break;
+
+        const key = match[1].trim().toLowerCase();
+        const value = match[2].trim();
+
+        if (key === 'separator') {
+            options.delimiter = SEPARATOR_NAMES[value.toLowerCase()] || value.charAt(0) || null;
+        } else if (key === 'html') {
+            options.isHTML = value.toLowerCase() === 'true';
+        } else if (key === 'deck') {
+            options.deckName = value;
+        } else if (key === 'tags column') {
+            options.tagsColumn = parseInt(value, 10) - 1;
+        }
+        bodyStart++;
+    }
+
+    const body = lines.slice(bodyStart).join('\n');
+    const delimiter = options.delimiter || detectDelimiter(body);
+
+    return { ...options, delimiter, rows: parseDelimitedRows(body, delimiter) };
+}
+
+/**
+ * Converts delimited rows into cards using the chosen column mapping
+ *
+ * @param {Array<Array<string>>} rows - Rows from parseDelimitedText()
+ * @param {Object} mapping - { frontColumn, backColumn, hasHeader, isHTML, tagsColumn }
+ * @returns {Object} { cards, sourceTags }
+ */
+export function rowsToCards(rows, { frontColumn = 0, backColumn = 1, hasHeader = false, isHTML = null, tagsColumn = -1 } = {}) {
+    const cards = [];
+    const sourceTags = new Set();
+
+    (hasHeader ? rows.slice(1) : rows).forEach(row => {
+        const front = toCardHTML(row[frontColumn], isHTML);
+        const back = toCardHTML(row[backColumn], isHTML);
+        if (!front) return;
+
+        const card = makeCard(front, back);
+        // Basic cards need both sides; cloze cards carry their answers in the text
+        if (card.type === 'basic' && !back) return;
+
+        cards.push(card);
+        if (tagsColumn >= 0 && row[tagsColumn]) {
+            row[tagsColumn].split(/\s+/).filter(Boolean).forEach(tag => sourceTags.add(tag));
+        }
+    });
+
+    return { cards, sourceTags: [...sourceTags] };
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialises a deck as CSV with Anki import headers (HTML kept, topic tags in column 3)
+ * Image occlusion cards can't be represented in text and are skipped
+ *
+ * @returns {Object} { content, skipped }
+ */
+export function serializeDeckAsCsv(deck) {
+    const tags = (deck.tags || []).join(' ');
+    const lines = [
+        '#separator:Comma',
+        '#html:true',
+        `#deck:${String(deck.name || '').replace(/[\r\n]+/g, ' ')}`,
+        '#tags column:3'
+    ];
+    let skipped = 0;
+
+    (deck.cards || []).forEach(card => {
+        if (getCardType(card) === 'occlusion') {
+            skipped++;
+            return;
+        }
+        lines.push([card.front, card.back, tags].map(csvField).join(','));
+    });
+
+    return { content: lines.join('\n') + '\n', skipped };
+}
+
+/**
+ * Serialises a deck as Quizlet-style plain text (term<TAB>definition per line)
+ * Cloze cards become one line per deletion; image occlusion cards are skipped
+ *
+ * @returns {Object} { content, skipped }
+ */
+export function serializeDeckAsText(deck) {
+    const plain = html => stripHTML(String(html ?? '').replace(/<br\s*\/?>/gi, ' '));
+    const lines = [];
+    let skipped = 0;
+
+    (deck.cards || []).forEach((card, index) => {
+        const type = getCardType(card);
+        if (type === 'occlusion') {
+            skipped++;
+            return;
+        }
+
+        expandCard(card, `export-${index}`).forEach(prompt => {
+            const answer = type === 'cloze' ? prompt.answer : prompt.back;
+            lines.push(`${plain(prompt.front)}\t${plain(answer)}`);
+        });
+    });
+
+    return { content: lines.join('\n') + '\n', skipped };
+}
@@ -61,6 +61,54 @@ export function generateCardKey(deckId, card, fallbackIndex = 0) {
     return `${deckId}-card-${hash}`;
 }
 
+/**
+ * Assigns a stable ID to every card in a deck that doesn't have one yet
+ * IDs are seeded from generateCardKey() and then stored on the card, so they
+ * survive later edits to the card's front/back text
+ *
+ * WHY: Per-card data (review schedules, answer history) must stay attached to a
+ *      card even when its content is corrected or the deck is reordered.
+ *      Content hashes alone change on every edit; array indexes change on reorder.
+ *
+ * PERFORMANCE: O(n) where n = number of cards
+ * MUTATES: Cards are updated in place (same pattern as deck.pinned migration)
+ *
+ * @param {string} deckId - Parent deck ID
+ * @param {Array} cards - Cards in the deck
+ * @returns {boolean} True if any card was given a new ID
+ *
+ * @example
+ * const cards = [{ front: 'Q', back: 'A' }];
+ * ensureCardIds('deck123', cards); // true
+ * cards[0].id // "deck123-card-12345678"
+ */
+export function ensureCardIds(deckId, cards) {
+    if (!Array.isArray(cards)) {
+        return false;
+    }
+
+    const usedIds = new Set(cards.map(card => card && card.id).filter(Boolean));
+    let changed = false;
+
+    cards.forEach((card, index) => {
+        if (!card || card.id) return;
+
+        // Identical cards in one deck hash to the same key - suffix duplicates
+        const baseId = generateCardKey(deckId, card, index);
+        let id = baseId;
+        let suffix = 2;
+        while (usedIds.has(id)) {
+            id = `${baseId}-${suffix++}`;
+        }
+
+        card.id = id;
+        usedIds.add(id);
+        changed = true;
+    });
+
+    return changed;
+}
+
 /**
  * Deduplicates an array of items by ID
  * Preserves the first occurrence when duplicates are found
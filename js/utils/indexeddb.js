@@ -5,8 +5,9 @@
 import { logger } from './logger.js';
 
 const DB_NAME = 'PhysicsAuditDB';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORE_NAME = 'keyValueStore'; // Simple key-value store
+const HISTORY_STORE_NAME = 'confidenceHistory'; // One record per confidence change (or roll-up)
 
 let dbInstance = null;
 let dbInitPromise = null;
@@ -21,8 +22,8 @@ function initDB() {
     }
 
     dbInitPromise = new Promise((resolve, reject) => {
-        // Check for IndexedDB support
-        if (!('indexedDB' in window)) {
+        // Check for IndexedDB support (no window check, the search worker uses this too)
+        if (typeof indexedDB === 'undefined') {
             reject(new Error('IndexedDB not supported'));
             return;
         }
@@ -63,6 +64,14 @@ function initDB() {
                 // Create index for timestamp (useful for cleanup operations)
                 objectStore.createIndex('timestamp', 'timestamp', { unique: false });
             }
+
+            // v2: confidence history gets its own store so it can grow beyond a single value
+            if (!db.objectStoreNames.contains(HISTORY_STORE_NAME)) {
+                const historyStore = db.createObjectStore(HISTORY_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                historyStore.createIndex('owner', 'owner', { unique: false });
+                historyStore.createIndex('topicId', 'topicId', { unique: false });
+                historyStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
         };
 
         request.onblocked = () => {
@@ -86,11 +95,11 @@ async function getDB() {
 /**
  * Perform a transaction on the object store
  */
-async function performTransaction(mode, operation) {
+async function performTransaction(mode, operation, storeName = STORE_NAME) {
     try {
         const db = await getDB();
-        const transaction = db.transaction([STORE_NAME], mode);
-        const store = transaction.objectStore(STORE_NAME);
+        const transaction = db.transaction([storeName], mode);
+        const store = transaction.objectStore(storeName);
 
         return await operation(store, transaction);
     } catch (error) {
@@ -245,17 +254,20 @@ export async function idbRemove(key) {
 }
 
 /**
- * Clear all values from IndexedDB
+ * Clear all values from IndexedDB (including confidence history)
  */
 export async function idbClear() {
-    return performTransaction('readwrite', (store) => {
+    const clearStore = (store) => {
         return new Promise((resolve, reject) => {
             const request = store.clear();
 
             request.onsuccess = () => resolve(true);
             request.onerror = () => reject(request.error);
         });
-    });
+    };
+
+    await performTransaction('readwrite', clearStore, HISTORY_STORE_NAME);
+    return performTransaction('readwrite', clearStore);
 }
 
 /**
@@ -286,6 +298,81 @@ export async function idbGetAll() {
     });
 }
 
+/**
+ * Add confidence history entries for one user
+ * @param {string} owner - Storage owner (the user's storage prefix, or 'local' for guests)
+ * @param {Array<Object>} entries - Change records ({ topicId, oldLevel, newLevel, timestamp, ... })
+ */
+export async function idbAddHistoryEntries(owner, entries) {
+    if (!entries || entries.length === 0) {
+        return true;
+    }
+
+    return performTransaction('readwrite', (store, transaction) => {
+        return new Promise((resolve, reject) => {
+            for (const entry of entries) {
+                // Let the store assign IDs so replaced entries never collide
+                const { id, ...record } = entry;
+                store.add({ ...record, owner });
+            }
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }, HISTORY_STORE_NAME);
+}
+
+/**
+ * Get confidence history entries, oldest first
+ * @param {string} [owner] - Only this user's entries (all users if omitted)
+ */
+export async function idbGetHistoryEntries(owner) {
+    return performTransaction('readonly', (store) => {
+        return new Promise((resolve, reject) => {
+            const request = owner === undefined
+                ? store.index('timestamp').getAll()
+                : store.index('owner').getAll(owner);
+
+            request.onsuccess = () => {
+                const entries = request.result || [];
+                entries.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+                resolve(entries);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }, HISTORY_STORE_NAME);
+}
+
+/**
+ * Replace all of one user's confidence history in a single transaction
+ * (used by compaction, backup import and clearing data)
+ */
+export async function idbReplaceHistoryEntries(owner, entries) {
+    return performTransaction('readwrite', (store, transaction) => {
+        return new Promise((resolve, reject) => {
+            const request = store.index('owner').openKeyCursor(IDBKeyRange.only(owner));
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                    return;
+                }
+
+                for (const entry of entries || []) {
+                    const { id, ...record } = entry;
+                    store.add({ ...record, owner });
+                }
+            };
+            request.onerror = () => reject(request.error);
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }, HISTORY_STORE_NAME);
+}
+
 /**
  * Calculate storage usage (estimate)
  */
@@ -0,0 +1,198 @@
+// js/utils/link-audit.js
+// Checks the revision resource links and reads the link audit report the app uses to flag broken ones
+// Used by: tools/audit-links.js, js/app-loader.js
+
+import { logger } from './logger.js';
+
+export const LINK_AUDIT_VERSION = 1;
+
+// ok: the page loads | redirected: loads after a redirect (update the CSV to the new URL)
+// broken: 404/410, the domain doesn't exist or redirects loop | unreachable: server error, timeout or network failure
+// blocked: the site refused the checker (401/403/429) - usually fine for students, so not flagged in the app
+export const LINK_STATES = ['ok', 'redirected', 'broken', 'unreachable', 'blocked'];
+
+const LINK_RESOURCE_TYPES = ['videos', 'notes', 'simulations', 'questions'];
+const BROKEN_STATUSES = [404, 410];
+const BLOCKED_STATUSES = [401, 403, 429];
+const DNS_ERRORS = ['ENOTFOUND', 'EAI_NONAME'];
+const MAX_REDIRECTS = 5;
+const DEFAULT_TIMEOUT_MS = 15000;
+
+function getLinkState(status, redirected) {
+    if (status >= 200 && status < 300) return redirected ? 'redirected' : 'ok';
+    if (BROKEN_STATUSES.includes(status)) return 'broken';
+    if (BLOCKED_STATUSES.includes(status)) return 'blocked';
+    return status >= 500 ? 'unreachable' : 'broken';
+}
+
+// Node's fetch puts the network error code on error.cause
+function getErrorState(error) {
+    const code = error.cause?.code || error.code;
+    return DNS_ERRORS.includes(code) ? 'broken' : 'unreachable';
+}
+
+function describeError(error, timeoutMs) {
+    if (error.name === 'AbortError') return `Timed out after ${timeoutMs} ms`;
+    const code = error.cause?.code || error.code;
+    return code ? `${error.message} (${code})` : error.message;
+}
+
+async function request(fetcher, url, method, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetcher(url, { method, redirect: 'manual', signal: controller.signal });
+        // Only the status and headers are needed
+        try {
+            await response.body?.cancel();
+        } catch (error) {
+            // Body already closed
+        }
+        return response;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Lists every link in the revision resources, once per URL
+ *
+ * @param {Object} resources - { videos, notes, simulations, questions } keyed by section ID, as built by loadAllCSVResources()
+ * @returns {Array} [{ url, usedBy: [{ type, sectionId }] }]
+ */
+export function collectResourceLinks(resources) {
+    const links = new Map();
+
+    LINK_RESOURCE_TYPES.forEach(type => {
+        Object.entries(resources[type] || {}).forEach(([sectionId, items]) => {
+            items.filter(item => item.url).forEach(item => {
+                if (!links.has(item.url)) links.set(item.url, { url: item.url, usedBy: [] });
+                links.get(item.url).usedBy.push({ type, sectionId });
+            });
+        });
+    });
+
+    return [...links.values()];
+}
+
+/**
+ * Checks one link, following redirects
+ * Tries HEAD first and falls back to GET, since some servers reject HEAD requests.
+ *
+ * @param {Function} fetcher - Called like fetch(url, { method, redirect: 'manual', signal }), returning { status, headers }
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<Object>} { state, status, redirects: [{ status, url }], finalUrl, error }
+ */
+export async function checkLink(url, fetcher, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const redirects = [];
+    let current = url;
+
+    try {
+        for (;;) {
+            let response = await request(fetcher, current, 'HEAD', timeoutMs);
+            if (response.status >= 400) {
+                response = await request(fetcher, current, 'GET', timeoutMs);
+            }
+
+            const location = response.headers?.get('location');
+            if (response.status >= 300 && response.status < 400 && location) {
+                if (redirects.length === MAX_REDIRECTS) {
+                    return { state: 'broken', status: response.status, redirects, finalUrl: current, error: `More than ${MAX_REDIRECTS} redirects` };
+                }
+                current = new URL(location, current).href;
+                redirects.push({ status: response.status, url: current });
+                continue;
+            }
+
+            return { state: getLinkState(response.status, redirects.length > 0), status: response.status, redirects, finalUrl: current, error: null };
+        }
+    } catch (error) {
+        return { state: getErrorState(error), status: null, redirects, finalUrl: current, error: describeError(error, timeoutMs) };
+    }
+}
+
+/**
+ * Counts links by state
+ *
+ * @returns {Object} { ok, redirected, broken, unreachable, blocked }
+ */
+export function summarizeLinkAudit(links) {
+    const summary = Object.fromEntries(LINK_STATES.map(state => [state, 0]));
+    Object.values(links).forEach(entry => summary[entry.state]++);
+    return summary;
+}
+
+/**
+ * Checks a list of links and builds the link audit report
+ * lastOk carries over from the previous report, so a link that has been down for a while stands out.
+ *
+ * @param {Array} links - From collectResourceLinks()
+ * @param {Function} fetcher - See checkLink()
+ * @param {Object} options - { now, previous (the last report), concurrency, timeoutMs, onResult(link, entry) }
+ * @returns {Promise<Object>} { version, checkedAt, summary, links: { url → { state, status, redirects, finalUrl, error, lastChecked, lastOk, usedBy } } }
+ */
+export async function auditLinks(links, fetcher, { now = new Date(), previous = null, concurrency = 4, timeoutMs = DEFAULT_TIMEOUT_MS, onResult = null } = {}) {
+    const checkedAt = now.toISOString();
+    const results = new Map();
+    let next = 0;
+
+    const worker = async () => {
+        while (next < links.length) {
+            const link = links[next++];
+            const result = await checkLink(link.url, fetcher, { timeoutMs });
+            const working = result.state === 'ok' || result.state === 'redirected';
+
+            const entry = {
+                ...result,
+                lastChecked: checkedAt,
+                lastOk: working ? checkedAt : (previous?.links?.[link.url]?.lastOk || null),
+                usedBy: link.usedBy
+            };
+            results.set(link.url, entry);
+            if (onResult) onResult(link, entry);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, links.length) }, worker));
+
+    // Same order as the CSVs, so the report diffs cleanly between runs
+    const entries = Object.fromEntries(links.map(link => [link.url, results.get(link.url)]));
+    return { version: LINK_AUDIT_VERSION, checkedAt, summary: summarizeLinkAudit(entries), links: entries };
+}
+
+/**
+ * Fetches a specification's link audit report
+ * The report is optional, so a missing or unreadable one just means no links are flagged.
+ *
+ * @returns {Promise<Object|null>} The report, or null
+ */
+export async function loadLinkAudit(path) {
+    if (!path) return null;
+
+    try {
+        const response = await fetch(`./${path}`, { cache: 'no-cache' });
+        if (!response.ok) return null;
+
+        const report = await response.json();
+        if (report?.version !== LINK_AUDIT_VERSION || !report.links) {
+            logger.warn(`Ignoring link audit ${path}: unsupported version ${report?.version}`);
+            return null;
+        }
+        return report;
+    } catch (error) {
+        logger.warn(`Could not load link audit ${path}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Gets what the last audit found for a link
+ *
+ * @returns {Object|null} { state, status, error, lastChecked, lastOk }, or null if it wasn't checked
+ */
+export function getLinkHealth(report, url) {
+    const entry = report?.links?.[url];
+    if (!entry) return null;
+
+    const { state, status, error, lastChecked, lastOk } = entry;
+    return { state, status, error, lastChecked, lastOk };
+}
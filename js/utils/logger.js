@@ -26,6 +26,9 @@
  * Checks both window.DEBUG and localStorage for flexibility
  */
 function isDebugMode() {
+    // Node tools (tools/*.js) have no window
+    if (typeof window === 'undefined') return false;
+
     // Check window.DEBUG first (fastest)
     if (window.DEBUG === true) return true;
     if (window.DEBUG === false) return false;
@@ -45,6 +48,8 @@ function isDebugMode() {
  * Used to determine default logging behavior
  */
 function getEnvironment() {
+    if (typeof window === 'undefined') return 'production';
+
     // Check if running on localhost or file://
     const isLocal = window.location.hostname === 'localhost' ||
                     window.location.hostname === '127.0.0.1' ||
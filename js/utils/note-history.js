@@ -0,0 +1,242 @@
+// js/utils/note-history.js
+// Saved versions of a note (snapshots, retention) and word-level diffs between them
+// Used by: js/features/notes/history.js
+
+// Saves closer together than this are one editing session, so only the first one keeps a version
+export const NOTE_SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+
+// A save that cuts a note to less than this fraction of its text always keeps a version, however soon it follows
+// the last one, so a quick destructive save can't take the good version with it
+export const DESTRUCTIVE_SAVE_RATIO = 0.5;
+
+// Retention: at most MAX_NOTE_VERSIONS per note, dropping versions older than NOTE_VERSION_MAX_AGE_DAYS
+// except for the newest MIN_KEPT_NOTE_VERSIONS, so a note left alone for months still has some history
+export const MAX_NOTE_VERSIONS = 30;
+export const NOTE_VERSION_MAX_AGE_DAYS = 90;
+export const MIN_KEPT_NOTE_VERSIONS = 5;
+
+// Past this many comparisons the diff gives up on lining words up and shows a plain before/after
+const MAX_DIFF_CELLS = 1_000_000;
+
+const BLOCK_TAGS = new Set(['P', 'DIV', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE', 'TR', 'TABLE', 'UL', 'OL']);
+
+/**
+ * Drops versions past the retention policy
+ *
+ * @param {Array} versions - [{ title, content, tags, savedAt }] oldest first
+ * @param {Date} now
+ * @returns {Array} New array (input is not mutated)
+ */
+export function pruneNoteVersions(versions, now = new Date()) {
+    if (!Array.isArray(versions)) return [];
+
+    const oldest = now.getTime() - NOTE_VERSION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const kept = versions.filter((version, index) =>
+        index >= versions.length - MIN_KEPT_NOTE_VERSIONS || Date.parse(version.savedAt) >= oldest
+    );
+    return kept.slice(-MAX_NOTE_VERSIONS);
+}
+
+/**
+ * Whether replacing a note's content with nextContent throws away most of its text
+ * @private
+ */
+function isDestructiveSave(content, nextContent) {
+    if (typeof nextContent !== 'string') return false;
+    const before = noteHtmlToText(content).length;
+    return before > 0 && noteHtmlToText(nextContent).length < before * DESTRUCTIVE_SAVE_RATIO;
+}
+
+/**
+ * Keeps the version of a note that's about to be overwritten
+ * Skipped when it matches the newest version, or when that version was saved less than
+ * NOTE_SNAPSHOT_INTERVAL_MS earlier - unless force is set (e.g. before a restore) or the save
+ * replacing it with nextContent removes most of the note.
+ *
+ * @param {Array|undefined} versions - The note's versions, oldest first
+ * @param {Object} note - The note as it is now { title, content, tags, updatedAt }
+ * @param {Object} options - { force, nextContent, now }
+ * @returns {Array} New array (input is not mutated)
+ */
+export function addNoteVersion(versions, note, { force = false, nextContent, now = new Date() } = {}) {
+    const list = Array.isArray(versions) ? versions : [];
+    const newest = list[list.length - 1];
+    const savedAt = note.updatedAt || note.createdAt || now.toISOString();
+
+    if (newest && newest.content === note.content && newest.title === note.title) {
+        return pruneNoteVersions(list, now);
+    }
+    if (newest && !force && !isDestructiveSave(note.content, nextContent)
+        && Date.parse(savedAt) - Date.parse(newest.savedAt) < NOTE_SNAPSHOT_INTERVAL_MS) {
+        return pruneNoteVersions(list, now);
+    }
+
+    const version = { title: note.title || '', content: note.content || '', tags: [...(note.tags || [])], savedAt };
+    return pruneNoteVersions([...list, version], now);
+}
+
+/**
+ * Turns note HTML into text for diffing, one line per paragraph, with equations as $LaTeX$
+ */
+export function noteHtmlToText(html) {
+    // DOMParser documents are inert, so nothing in the note runs while it's read
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    let text = '';
+
+    const walk = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            // Equations are wrapped in zero-width spaces so the cursor can get past them
+            text += node.textContent.replace(/\u200B/g, '');
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        if (node.classList.contains('katex-container') && node.hasAttribute('data-latex')) {
+            text += `$${node.getAttribute('data-latex')}$`;
+            return;
+        }
+        if (node.tagName === 'BR') {
+            text += '\n';
+            return;
+        }
+
+        const block = BLOCK_TAGS.has(node.tagName);
+        if (block) text += '\n';
+        node.childNodes.forEach(walk);
+        if (block) text += '\n';
+        else if (node.tagName === 'TD' || node.tagName === 'TH') text += ' ';
+    };
+    walk(doc.body);
+
+    return text
+        .split('\n')
+        .map(line => line.replace(/[^\S\n]+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Word-level diff of two texts
+ *
+ * @returns {Array} [{ type: 'same' | 'added' | 'removed', text }] in reading order
+ */
+export function diffText(oldText, newText) {
+    const tokenize = text => (text || '').match(/\n|[^\S\n]+|[^\s]+/g) || [];
+    const a = tokenize(oldText);
+    const b = tokenize(newText);
+
+    // The unchanged start and end don't need the table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = [];
+    const push = (type, token) => {
+        const last = ops[ops.length - 1];
+        if (last && last.type === type) last.text += token;
+        else ops.push({ type, text: token });
+    };
+
+    a.slice(0, start).forEach(token => push('same', token));
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    if (midA.length * midB.length > MAX_DIFF_CELLS) {
+        midA.forEach(token => push('removed', token));
+        midB.forEach(token => push('added', token));
+    } else {
+        // Longest common subsequence, filled from the end so the walk below reads forwards
+        const rows = midA.length + 1;
+        const cols = midB.length + 1;
+        const lengths = new Uint32Array(rows * cols);
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                lengths[i * cols + j] = midA[i] === midB[j]
+                    ? lengths[(i + 1) * cols + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < midA.length && j < midB.length) {
+            if (midA[i] === midB[j]) {
+                push('same', midA[i]);
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+                push('removed', midA[i++]);
+            } else {
+                push('added', midB[j++]);
+            }
+        }
+        midA.slice(i).forEach(token => push('removed', token));
+        midB.slice(j).forEach(token => push('added', token));
+    }
+
+    a.slice(endA).forEach(token => push('same', token));
+    return ops;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Compares two versions of a note's content
+ *
+ * @param {string} oldHtml - Earlier content
+ * @param {string} newHtml - Later content
+ * @returns {Object} { html, added, removed } - html marks changes with <ins>/<del> (all note text escaped);
+ *   added and removed count words
+ */
+export function diffNoteVersions(oldHtml, newHtml) {
+    const ops = diffText(noteHtmlToText(oldHtml), noteHtmlToText(newHtml));
+    const countWords = text => (text.match(/\S+/g) || []).length;
+
+    let added = 0;
+    let removed = 0;
+    const html = ops.map(({ type, text }) => {
+        const escaped = escapeHtml(text).replace(/\n/g, '<br>');
+        if (type === 'added') {
+            added += countWords(text);
+            return `<ins class="bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-200 no-underline">${escaped}</ins>`;
+        }
+        if (type === 'removed') {
+            removed += countWords(text);
+            return `<del class="bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-200">${escaped}</del>`;
+        }
+        return escaped;
+    }).join('');
+
+    return { html, added, removed };
+}
+
+/**
+ * Keeps the well-formed versions from storage or a backup file
+ * @param {Object} history - Note ID -> versions
+ * @returns {Object}
+ */
+export function normalizeNoteHistory(history) {
+    if (!history || typeof history !== 'object' || Array.isArray(history)) return {};
+
+    const normalized = {};
+    Object.entries(history).forEach(([noteId, versions]) => {
+        if (!Array.isArray(versions)) return;
+        const valid = versions.filter(version =>
+            version && typeof version.content === 'string' && typeof version.savedAt === 'string'
+        ).map(version => ({
+            title: typeof version.title === 'string' ? version.title : '',
+            content: version.content,
+            tags: Array.isArray(version.tags) ? version.tags.filter(tag => typeof tag === 'string') : [],
+            savedAt: version.savedAt
+        }));
+        if (valid.length > 0) normalized[noteId] = valid;
+    });
+    return normalized;
+}
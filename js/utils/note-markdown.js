@@ -0,0 +1,547 @@
+// js/utils/note-markdown.js
+// Converts notes between the editor's HTML and Markdown (as used by Obsidian), keeping $...$ / $$...$$ math as LaTeX
+// Used by: js/features/notes/markdown.js
+
+const BLOCK_TAGS = new Set(['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'BLOCKQUOTE', 'PRE', 'TABLE', 'HR']);
+
+// Characters a backslash keeps literal on import
+const ESCAPABLE = '\\`*_{}[]()#+-.!|<>~$';
+
+// Same look as equations inserted with the equation editor (js/features/notes/equation-editor.js)
+const EQUATION_STYLE = 'display: inline-block; padding: 2px 5px; margin: 0 2px; cursor: pointer; background: rgba(168, 85, 247, 0.1); border-radius: 4px;';
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// ---------------------------------------------------------------------------
+// HTML -> Markdown
+// ---------------------------------------------------------------------------
+
+/**
+ * Escapes Markdown syntax in note text, leaving math ($$...$$, \(...\), \[...\]) as it is
+ * @private
+ */
+function escapeMarkdownText(text) {
+    return text
+        .split(/(\$\$[\s\S]+?\$\$|\\\([\s\S]+?\\\)|\\\[[\s\S]+?\\\])/)
+        .map((part, index) => {
+            if (index % 2 === 1) {
+                // Math typed as text is rendered by KaTeX's auto-render, so it's already LaTeX
+                if (part.startsWith('\\(')) return `$${part.slice(2, -2)}$`;
+                if (part.startsWith('\\[')) return `$$${part.slice(2, -2)}$$`;
+                return part;
+            }
+            return part.replace(/[\\`*_[\]<>~|]/g, '\\$&');
+        })
+        .join('');
+}
+
+/**
+ * Moves spaces outside emphasis markers, since "** bold**" isn't bold in Markdown
+ * @private
+ */
+function wrapInline(inner, open, close = open) {
+    const [, before, text, after] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return text ? `${before}${open}${text}${close}${after}` : inner;
+}
+
+/**
+ * Gets the LaTeX source of an equation
+ * @returns {Object|null} { latex, display }
+ * @private
+ */
+function getEquation(element) {
+    if (element.classList.contains('katex-container') && element.hasAttribute('data-latex')) {
+        return { latex: element.getAttribute('data-latex'), display: !!element.querySelector('.katex-display') };
+    }
+    // Math rendered in place by auto-render has no container, but KaTeX keeps the source in its MathML
+    if (element.classList.contains('katex') || element.classList.contains('katex-display')) {
+        const annotation = element.querySelector('annotation[encoding="application/x-tex"]');
+        if (annotation) return { latex: annotation.textContent, display: element.classList.contains('katex-display') };
+    }
+    return null;
+}
+
+function inlineToMarkdown(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return escapeMarkdownText(node.textContent.replace(/\u200B/g, '').replace(/\u00A0/g, ' '));
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const equation = getEquation(node);
+    if (equation) {
+        const latex = equation.latex.trim();
+        return equation.display ? `$$${latex}$$` : `$${latex}$`;
+    }
+
+    const children = () => [...node.childNodes].map(inlineToMarkdown).join('');
+    switch (node.tagName) {
+        case 'BR':
+            return '\n';
+        case 'STRONG':
+        case 'B':
+            return wrapInline(children(), '**');
+        case 'EM':
+        case 'I':
+            return wrapInline(children(), '*');
+        case 'S':
+        case 'STRIKE':
+        case 'DEL':
+            return wrapInline(children(), '~~');
+        case 'U':
+            // Markdown has no underline, but Obsidian shows <u>
+            return wrapInline(children(), '<u>', '</u>');
+        case 'CODE': {
+            const code = node.textContent;
+            const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(longestRun + 1);
+            return code.startsWith('`') || code.endsWith('`') ? `${fence} ${code} ${fence}` : `${fence}${code}${fence}`;
+        }
+        case 'A': {
+            const href = node.getAttribute('href');
+            const text = children();
+            return href ? `[${text}](${href.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)})` : text;
+        }
+        default:
+            return children();
+    }
+}
+
+function indentLines(text, spaces) {
+    return text.split('\n').map(line => (line ? ' '.repeat(spaces) + line : line)).join('\n');
+}
+
+function listToMarkdown(list) {
+    const ordered = list.tagName === 'OL';
+    let number = Number(list.getAttribute('start')) || 1;
+    const items = [];
+
+    [...list.children].forEach(child => {
+        // Indenting in the editor nests a list straight inside the list, not inside an item
+        if (child.tagName === 'UL' || child.tagName === 'OL') {
+            items.push(indentLines(listToMarkdown(child), ordered ? 3 : 2));
+            return;
+        }
+        if (child.tagName !== 'LI') return;
+
+        const marker = ordered ? `${number++}.` : '-';
+        const body = child.cloneNode(true);
+        body.querySelectorAll(':scope > ul, :scope > ol').forEach(nested => nested.remove());
+        const text = blocksToMarkdown(body).join('\n\n');
+        const nested = [...child.children]
+            .filter(nestedList => nestedList.tagName === 'UL' || nestedList.tagName === 'OL')
+            .map(nestedList => `\n${indentLines(listToMarkdown(nestedList), marker.length + 1)}`)
+            .join('');
+        items.push(`${marker} ${indentLines(text, marker.length + 1).trimStart()}${nested}`);
+    });
+
+    return items.join('\n');
+}
+
+function tableToMarkdown(table) {
+    const rows = [...table.querySelectorAll('tr')]
+        .filter(row => row.closest('table') === table)
+        .map(row => [...row.children]
+            .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+            .map(cell => inlineToMarkdown(cell).trim().replace(/\n/g, '<br>')));
+    if (rows.length === 0) return '';
+
+    const columns = Math.max(...rows.map(row => row.length));
+    const line = cells => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+    return [line(rows[0]), line(Array(columns).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
+function blockToMarkdown(element) {
+    const tag = element.tagName;
+    if (/^H[1-6]$/.test(tag)) {
+        const text = inlineToMarkdown(element).replace(/\s*\n\s*/g, ' ').trim();
+        return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+    }
+    switch (tag) {
+        case 'UL':
+        case 'OL':
+            return listToMarkdown(element);
+        case 'TABLE':
+            return tableToMarkdown(element);
+        case 'HR':
+            return '---';
+        case 'PRE': {
+            const code = element.textContent.replace(/\n$/, '');
+            const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(longestRun + 1);
+            return `${fence}\n${code}\n${fence}`;
+        }
+        case 'BLOCKQUOTE':
+            return blocksToMarkdown(element).join('\n\n').split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+        default:
+            return blocksToMarkdown(element).join('\n\n');
+    }
+}
+
+/**
+ * Converts an element's children to Markdown blocks
+ * The editor mixes bare text with <div>s per line, so loose inline content becomes a paragraph of its own.
+ * @private
+ */
+function blocksToMarkdown(parent) {
+    const blocks = [];
+    let inline = '';
+    const flush = () => {
+        const text = inline
+            .split('\n')
+            .map(line => line.trimEnd())
+            .join('\n')
+            .replace(/^\n+|\n+$/g, '')
+            // Markdown would read these at the start of a line as headings, lists or quotes
+            .replace(/^(\s*)(#{1,6}\s|[-+]\s|\d+[.)]\s)/gm, (match, space, marker) => (
+                /^\d/.test(marker) ? `${space}${marker.replace(/[.)]/, '\\$&')}` : `${space}\\${marker}`
+            ));
+        if (text.trim()) blocks.push(text);
+        inline = '';
+    };
+
+    parent.childNodes.forEach(child => {
+        if (child.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(child.tagName) && !getEquation(child)) {
+            flush();
+            const block = blockToMarkdown(child);
+            if (block.trim()) blocks.push(block);
+        } else {
+            inline += inlineToMarkdown(child);
+        }
+    });
+    flush();
+
+    return blocks;
+}
+
+/**
+ * Converts a note's HTML to Markdown
+ * @param {string} html - Note content from the editor
+ * @returns {string}
+ */
+export function noteHtmlToMarkdown(html) {
+    // DOMParser documents are inert, so nothing in the note runs while it's converted
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    const markdown = blocksToMarkdown(doc.body).join('\n\n');
+    return markdown ? `${markdown}\n` : '';
+}
+
+// ---------------------------------------------------------------------------
+// Markdown -> HTML
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds an equation the way the equation editor does, so imported equations can be double-clicked to edit
+ * @private
+ */
+function equationHtml(latex, display, renderMath) {
+    // Without renderMath the delimiters are left for KaTeX's auto-render, which the editor and note views run
+    const rendered = renderMath ? renderMath(latex, display) : escapeHtml(display ? `$$${latex}$$` : `\\(${latex}\\)`);
+    return `<span contenteditable="false" class="katex-container" data-latex="${escapeHtml(latex)}" style="${EQUATION_STYLE}" title="Double-click to edit">${rendered}</span>`;
+}
+
+function safeHref(url) {
+    const href = url.trim();
+    // Only web, mail and relative links; anything else (javascript: etc.) is dropped
+    if (/^(https?:|mailto:)/i.test(href) || !/^[a-z][a-z0-9+.-]*:/i.test(href)) return href;
+    return null;
+}
+
+/**
+ * Converts inline Markdown (emphasis, code, links, math) to HTML, escaping everything else
+ * @private
+ */
+function inlineToHtml(text, renderMath) {
+    let html = '';
+    let i = 0;
+
+    while (i < text.length) {
+        const rest = text.slice(i);
+        const char = text[i];
+        let match;
+
+        if (char === '\\' && i + 1 < text.length && ESCAPABLE.includes(text[i + 1])) {
+            html += escapeHtml(text[i + 1]);
+            i += 2;
+        } else if ((match = rest.match(/^(`+)([\s\S]*?[^`])\1(?!`)/))) {
+            const code = match[2].length > 2 && match[2].startsWith(' ') && match[2].endsWith(' ') ? match[2].slice(1, -1) : match[2];
+            html += `<code>${escapeHtml(code)}</code>`;
+            i += match[0].length;
+        } else if ((match = rest.match(/^\$\$([\s\S]+?)\$\$/))) {
+            html += equationHtml(match[1].trim(), true, renderMath);
+            i += match[0].length;
+        } else if ((match = rest.match(/^\$([^\s$](?:[^$\n]*?[^\s$\\])?)\$(?!\d)/))) {
+            // Like Obsidian and Pandoc: "$5 and $10" isn't math because of the spaces inside the dollars
+            html += equationHtml(match[1], false, renderMath);
+            i += match[0].length;
+        } else if ((match = rest.match(/^!?\[([^\]]*)\]\(\s*<?([^)\s>]*)>?(?:\s+"[^"]*")?\s*\)/))) {
+            const href = safeHref(match[2]);
+            const label = inlineToHtml(match[1] || match[2], renderMath);
+            html += href ? `<a href="${escapeHtml(href)}">${label}</a>` : label;
+            i += match[0].length;
+        } else if ((match = rest.match(/^<br\s*\/?>/i))) {
+            html += '<br>';
+            i += match[0].length;
+        } else if ((match = rest.match(/^<u>([\s\S]*?)<\/u>/i))) {
+            html += `<u>${inlineToHtml(match[1], renderMath)}</u>`;
+            i += match[0].length;
+        } else if ((match = rest.match(/^(\*\*|__)(?=\S)([\s\S]*?\S)\1/))) {
+            html += `<strong>${inlineToHtml(match[2], renderMath)}</strong>`;
+            i += match[0].length;
+        } else if ((match = rest.match(/^~~(?=\S)([\s\S]*?\S)~~/))) {
+            html += `<s>${inlineToHtml(match[1], renderMath)}</s>`;
+            i += match[0].length;
+        } else if ((match = rest.match(/^([*_])(?=\S)([\s\S]*?\S)\1(?!\1)/)) && !(char === '_' && /\w/.test(text[i - 1] || ''))) {
+            // snake_case words aren't emphasis
+            html += `<em>${inlineToHtml(match[2], renderMath)}</em>`;
+            i += match[0].length;
+        } else if (char === '\n') {
+            // Line breaks inside a paragraph are kept, as Obsidian does
+            html += '<br>';
+            i++;
+        } else {
+            html += escapeHtml(char);
+            i++;
+        }
+    }
+
+    return html;
+}
+
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const FENCE = /^\s*(`{3,}|~{3,})/;
+
+const indentOf = line => line.match(/^\s*/)[0].length;
+const isBlank = line => !line.trim();
+
+function isTableStart(lines, i) {
+    return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_SEPARATOR.test(lines[i + 1]);
+}
+
+function startsBlock(lines, i) {
+    const line = lines[i];
+    return FENCE.test(line) || /^\s*#{1,6}\s/.test(line) || /^\s*>/.test(line) || /^\s*\$\$/.test(line)
+        || LIST_ITEM.test(line) || isTableStart(lines, i);
+}
+
+function splitTableRow(line) {
+    const cells = [];
+    let cell = '';
+    const row = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\' && row[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (row[i] === '|') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += row[i];
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * Reads a list starting at lines[start], including lists nested deeper than it
+ * @returns {Object} { html, next } - next is the first line after the list
+ * @private
+ */
+function parseList(lines, start, renderMath) {
+    const baseIndent = indentOf(lines[start]);
+    const ordered = /\d/.test(LIST_ITEM.exec(lines[start])[2]);
+    const startNumber = ordered ? parseInt(LIST_ITEM.exec(lines[start])[2], 10) : 1;
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+        const match = LIST_ITEM.exec(lines[i]);
+        if (!match || indentOf(lines[i]) !== baseIndent || /\d/.test(match[2]) !== ordered) break;
+
+        const text = [match[3]];
+        let nested = '';
+        i++;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (isBlank(line)) {
+                // A blank line only ends the item if nothing indented follows
+                let next = i + 1;
+                while (next < lines.length && isBlank(lines[next])) next++;
+                if (next < lines.length && indentOf(lines[next]) > baseIndent) {
+                    i = next;
+                    continue;
+                }
+                break;
+            }
+            if (LIST_ITEM.test(line) && indentOf(line) > baseIndent) {
+                const list = parseList(lines, i, renderMath);
+                nested += list.html;
+                i = list.next;
+                continue;
+            }
+            if (LIST_ITEM.test(line) || indentOf(line) <= baseIndent) break;
+            text.push(line.trim());
+            i++;
+        }
+
+        items.push(`<li>${inlineToHtml(text.join('\n'), renderMath)}${nested}</li>`);
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+    return { html: `<${tag}${startAttr}>${items.join('')}</${tag}>`, next: i };
+}
+
+function parseBlocks(lines, renderMath) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        let match;
+
+        if (isBlank(line)) {
+            i++;
+        } else if ((match = line.match(FENCE))) {
+            const fence = match[1];
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i++]);
+            i++;
+            html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        } else if (/^\s*\$\$/.test(line) && !/^\s*\$\$[\s\S]+?\$\$\s*\S/.test(line)) {
+            // Display math on its own line(s)
+            const math = [line.trim().slice(2)];
+            while (!math[math.length - 1].includes('$$') && i + 1 < lines.length) math.push(lines[++i]);
+            i++;
+            const latex = math.join('\n').replace(/\$\$[\s\S]*$/, '').trim();
+            if (latex) html.push(`<p>${equationHtml(latex, true, renderMath)}</p>`);
+        } else if ((match = line.match(/^\s*(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/))) {
+            const level = match[1].length;
+            html.push(`<h${level}>${inlineToHtml(match[2], renderMath)}</h${level}>`);
+            i++;
+        } else if (/^\s*(\*\s*){3,}$|^\s*(-\s*){3,}$|^\s*(_\s*){3,}$/.test(line)) {
+            html.push('<hr>');
+            i++;
+        } else if (/^\s*>/.test(line)) {
+            const quoted = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*> ?/, ''));
+            html.push(`<blockquote>${parseBlocks(quoted, renderMath)}</blockquote>`);
+        } else if (isTableStart(lines, i)) {
+            const header = splitTableRow(line);
+            i += 2;
+            const rows = [];
+            while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) rows.push(splitTableRow(lines[i++]));
+            const cells = (row, tag) => header.map((_, col) => `<${tag}>${inlineToHtml(row[col] || '', renderMath)}</${tag}>`).join('');
+            html.push(`<table><thead><tr>${cells(header, 'th')}</tr></thead><tbody>${rows.map(row => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody></table>`);
+        } else if (LIST_ITEM.test(line)) {
+            const list = parseList(lines, i, renderMath);
+            html.push(list.html);
+            i = list.next;
+        } else {
+            const paragraph = [line.trim()];
+            i++;
+            while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) paragraph.push(lines[i++].trim());
+            html.push(`<p>${inlineToHtml(paragraph.join('\n'), renderMath)}</p>`);
+        }
+    }
+
+    return html.join('');
+}
+
+/**
+ * Converts Markdown to note HTML
+ * Raw HTML in the Markdown is shown as text (apart from <br> and <u>), and only web, mail and relative links are kept.
+ *
+ * @param {string} markdown
+ * @param {Object} options - { renderMath(latex, displayMode) } returning an equation's rendered HTML (e.g. katex.renderToString);
+ *   without it equations are written for KaTeX's auto-render (see renderContentWithMath)
+ * @returns {string}
+ */
+export function markdownToNoteHtml(markdown, { renderMath = null } = {}) {
+    const lines = (markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return parseBlocks(lines, renderMath);
+}
+
+// ---------------------------------------------------------------------------
+// Markdown files
+// ---------------------------------------------------------------------------
+
+function yamlValue(value) {
+    const text = value.trim();
+    if (/^".*"$/.test(text)) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text.slice(1, -1);
+        }
+    }
+    return text.replace(/^'(.*)'$/, '$1').replace(/''/g, '\'');
+}
+
+/**
+ * Splits a Markdown file into its front matter and body
+ * Only the simple YAML Obsidian writes is read: key: value, key: [a, b] and "- item" lists.
+ *
+ * @param {string} text - The file's contents
+ * @returns {Object} { properties, body } - properties maps keys to strings or arrays of strings
+ */
+export function parseMarkdownFile(text) {
+    const normalized = (text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const match = normalized.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+    if (!match) return { properties: {}, body: normalized };
+
+    const properties = {};
+    let listKey = null;
+    match[1].split('\n').forEach(line => {
+        const item = line.match(/^\s*-\s+(.*)$/);
+        if (item && listKey) {
+            properties[listKey].push(yamlValue(item[1]));
+            return;
+        }
+        const pair = line.match(/^([\w-]+):\s*(.*)$/);
+        if (!pair) return;
+
+        const [, key, value] = pair;
+        listKey = null;
+        if (!value.trim()) {
+            properties[key] = [];
+            listKey = key;
+        } else if (/^\[.*\]$/.test(value.trim())) {
+            properties[key] = value.trim().slice(1, -1).split(',').map(yamlValue).filter(Boolean);
+        } else {
+            properties[key] = yamlValue(value);
+        }
+    });
+
+    return { properties, body: normalized.slice(match[0].length) };
+}
+
+/**
+ * Writes a note as a Markdown file, with its title, topic tags and dates as front matter
+ * Topic IDs go in "topics" rather than "tags" because Obsidian tags can't contain dots.
+ *
+ * @param {Object} note - { title, content, tags, createdAt, updatedAt }
+ * @returns {string}
+ */
+export function noteToMarkdownFile(note) {
+    const lines = ['---', `title: ${JSON.stringify(note.title || 'Untitled Note')}`];
+    // Quoted, or YAML would read 3.10 as the number 3.1
+    lines.push(`topics: [${(note.tags || []).map(tag => JSON.stringify(tag)).join(', ')}]`);
+    if (note.createdAt) lines.push(`created: ${note.createdAt}`);
+    if (note.updatedAt) lines.push(`updated: ${note.updatedAt}`);
+    lines.push('---', '');
+    return `${lines.join('\n')}\n${noteHtmlToMarkdown(note.content)}`;
+}
+
+/**
+ * Makes a note title safe to use as a file name
+ */
+export function toMarkdownFileName(title) {
+    const name = (title || '').replace(/[\\/:*?"<>|#^[\]\u0000-\u001F]/g, '-').replace(/\s+/g, ' ').trim().slice(0, 100);
+    return `${name || 'Untitled Note'}.md`;
+}
@@ -0,0 +1,56 @@
+// js/utils/paper-options.js
+// Paper 3 option topics (Astrophysics, Medical Physics, ...) - students sit only one
+
+/**
+ * Lists the option topics found in the groups (rows with an `option` in groups.csv)
+ *
+ * @param {Object} groupsByPaper - Paper → groups, as in paperModeGroups
+ * @returns {Array} [{ id: 'astrophysics', title: '3.9 Astrophysics' }]
+ */
+export function getPaperOptions(groupsByPaper) {
+    const options = [];
+    Object.values(groupsByPaper || {}).forEach(items => {
+        (items || []).forEach(item => {
+            if (item.option && !options.some(option => option.id === item.option)) {
+                options.push({ id: item.option, title: item.title || item.key });
+            }
+        });
+    });
+    return options;
+}
+
+/**
+ * Removes the groups for options the student isn't taking
+ * Groups that aren't part of an option are always kept, and every option is
+ * kept until the student has chosen one.
+ *
+ * @param {Object} groupsByPaper - Paper → groups
+ * @param {string} option - The chosen option ID ('' if none chosen yet)
+ * @returns {Object} Paper → groups
+ */
+export function filterGroupsForOption(groupsByPaper, option) {
+    return Object.fromEntries(
+        Object.entries(groupsByPaper || {}).map(([paper, items]) => [
+            paper,
+            (items || []).filter(item => !option || !item.option || item.option === option)
+        ])
+    );
+}
+
+/**
+ * Gets the section keys that belong to options the student isn't taking
+ * Nothing is excluded until an option has been chosen.
+ *
+ * @returns {Set} Section keys
+ */
+export function getExcludedOptionSections(groupsByPaper, option) {
+    const excluded = new Set();
+    if (!option) return excluded;
+    Object.values(groupsByPaper || {}).forEach(items => {
+        (items || []).forEach(item => {
+            if (!item.option || item.option === option) return;
+            (item.type === 'group' ? item.sections : [item.key]).forEach(sectionKey => excluded.add(sectionKey));
+        });
+    });
+    return excluded;
+}
@@ -0,0 +1,312 @@
+// js/utils/physics-terms.js
+// Physics vocabulary for search: symbol names, synonyms and abbreviations, and formula matching
+// Used by: js/utils/search-index.js
+
+// Greek letters and symbols, by the word a student would type
+// Ω is nearly always the ohm in A-level physics, so it isn't read as omega
+export const SYMBOL_NAMES = {
+    'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'Γ': 'gamma', 'δ': 'delta', 'Δ': 'delta',
+    'ε': 'epsilon', 'ϵ': 'epsilon', 'ζ': 'zeta', 'η': 'eta', 'θ': 'theta', 'Θ': 'theta',
+    'κ': 'kappa', 'λ': 'lambda', 'Λ': 'lambda', 'μ': 'mu', 'µ': 'mu', 'ν': 'nu',
+    'ξ': 'xi', 'Ξ': 'xi', 'π': 'pi', 'ρ': 'rho', 'σ': 'sigma', 'Σ': 'sigma',
+    'τ': 'tau', 'φ': 'phi', 'ϕ': 'phi', 'Φ': 'phi', 'χ': 'chi', 'ψ': 'psi', 'Ψ': 'psi',
+    'ω': 'omega', 'Ω': 'ohm', '∝': 'proportional', '°': 'degrees', '℃': 'celsius', 'Å': 'angstrom'
+};
+
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁺': '+', '⁻': '-', 'ⁿ': 'n' };
+const SUBSCRIPTS = {
+    '₀': '0', '₁': '1', '₂': '2', '₃': '3', '₄': '4', '₅': '5', '₆': '6', '₇': '7', '₈': '8', '₉': '9',
+    'ₐ': 'a', 'ₑ': 'e', 'ₒ': 'o', 'ₓ': 'x', 'ₚ': 'p', 'ₛ': 's', 'ₜ': 't', 'ₘ': 'm', 'ₖ': 'k', 'ᵣ': 'r', 'ᵧ': 'y'
+};
+const FRACTIONS = { '½': '1/2', '⅓': '1/3', '¼': '1/4', '¾': '3/4' };
+const OPERATORS = { '×': '*', '⋅': '*', '·': '*', '−': '-', '√': 'sqrt' };
+
+// LaTeX commands whose name isn't the word to search for (other commands are read as their name, e.g. \lambda)
+const LATEX_NAMES = { varepsilon: 'epsilon', vartheta: 'theta', varphi: 'phi', Omega: 'ohm', times: '*', cdot: '*' };
+
+/**
+ * Synonyms and abbreviations that should find each other
+ * Each group is indexed as one key, so "EMF", "e.m.f." and "electromotive force" all match.
+ * Phrases are written as they look after normalizing (lowercase, no apostrophes, punctuation as spaces);
+ * formulas as canonicalFormula() writes them.
+ */
+export const PHYSICS_SYNONYMS = [
+    { key: 'emf', phrases: ['emf', 'e m f', 'electromotive force'], formulas: ['epsilon=i(r+r)'] },
+    { key: 'pd', phrases: ['pd', 'p d', 'potential difference', 'voltage'] },
+    { key: 'ohmslaw', phrases: ['ohms law'], formulas: ['v=ir', 'r=v/i', 'i=v/r'] },
+    { key: 'resistivity', phrases: ['resistivity'], formulas: ['r=rhol/a', 'rho=ra/l'] },
+    { key: 'elecpower', phrases: ['electrical power'], formulas: ['p=iv', 'p=i^2r', 'p=v^2/r'] },
+    { key: 'charge', phrases: ['charge flow'], formulas: ['q=it', 'i=deltaq/deltat'] },
+    { key: 'ac', phrases: ['ac', 'a c', 'alternating current'] },
+    { key: 'dc', phrases: ['dc', 'd c', 'direct current'] },
+    { key: 'ldr', phrases: ['ldr', 'light dependent resistor'] },
+    { key: 'led', phrases: ['led', 'light emitting diode'] },
+    { key: 'cro', phrases: ['cro', 'oscilloscope', 'cathode ray oscilloscope'] },
+    { key: 'kineticenergy', phrases: ['kinetic energy'], formulas: ['ek=1/2mv^2', '1/2mv^2', 'ke=1/2mv^2'] },
+    { key: 'gpe', phrases: ['gpe', 'gravitational potential energy'], formulas: ['ep=mgh', 'deltaep=mgdeltah', 'mgh', 'mgdeltah'] },
+    { key: 'epe', phrases: ['epe', 'elastic potential energy', 'elastic strain energy'], formulas: ['e=1/2fdeltal', 'e=1/2kx^2', 'e=1/2kdeltal^2'] },
+    { key: 'newton2', phrases: ['n2l', 'newtons second law'], formulas: ['f=ma', 'f=deltap/deltat'] },
+    { key: 'momentum', phrases: ['momentum'], formulas: ['p=mv'] },
+    { key: 'workdone', phrases: ['work done'], formulas: ['w=fs', 'w=fscostheta', 'w=pdeltav'] },
+    { key: 'hookeslaw', phrases: ['hookes law'], formulas: ['f=kx', 'f=kdeltal'] },
+    { key: 'suvat', phrases: ['suvat', 'equations of motion', 'kinematic equations'] },
+    { key: 'centripetal', phrases: ['centripetal'], formulas: ['f=mv^2/r', 'a=v^2/r', 'f=momega^2r', 'a=omega^2r'] },
+    { key: 'shm', phrases: ['shm', 's h m', 'simple harmonic motion', 'simple harmonic oscillator'] },
+    { key: 'wavespeed', phrases: ['wave speed', 'wave equation'], formulas: ['v=flambda', 'c=flambda'] },
+    { key: 'snellslaw', phrases: ['snells law'], formulas: ['n1sintheta1=n2sintheta2', 'n=c/cs'] },
+    { key: 'photonenergy', phrases: ['photon energy'], formulas: ['e=hf', 'e=hc/lambda'] },
+    { key: 'debroglie', phrases: ['de broglie'], formulas: ['lambda=h/p', 'lambda=h/mv'] },
+    { key: 'massenergy', phrases: ['mass energy', 'mass energy equivalence'], formulas: ['e=mc^2', 'deltae=deltamc^2'] },
+    { key: 'halflife', phrases: ['half life', 't1 2', 't 1 2'] },
+    { key: 'shc', phrases: ['shc', 'specific heat capacity'], formulas: ['q=mcdeltatheta', 'q=mcdeltat', 'e=mcdeltatheta'] },
+    { key: 'latentheat', phrases: ['specific latent heat'], formulas: ['q=ml', 'e=ml'] },
+    { key: 'idealgas', phrases: ['ideal gas equation', 'ideal gas law'], formulas: ['pv=nrt', 'pv=nkt'] },
+    { key: 'gravitation', phrases: ['newtons law of gravitation', 'universal gravitation'], formulas: ['f=gmm/r^2', 'f=gm1m2/r^2'] },
+    { key: 'capacitance', phrases: ['capacitance'], formulas: ['c=q/v', 'q=cv'] },
+    { key: 'uv', phrases: ['uv', 'ultraviolet', 'ultra violet'] },
+    { key: 'kwh', phrases: ['kwh', 'kilowatt hour', 'kilowatt hours'] }
+];
+
+const SYNONYM_PREFIX = 'syn_';
+const FORMULA_PREFIX = 'eq_';
+
+// Characters that only appear in formulas, so a query word containing one is read as a formula
+const FORMULA_MARKERS = /[=^\\/½⅓¼¾√²³⁰¹⁴-⁹₀-₉]/;
+
+// Math written for KaTeX: the data-latex attribute on rendered equations, $$...$$, \(...\) and \[...\]
+const DATA_LATEX = /data-latex="([^"]*)"/g;
+const DELIMITED_MATH = /\$\$([\s\S]+?)\$\$|\\\(([\s\S]+?)\\\)|\\\[([\s\S]+?)\\\]/g;
+
+// Equations in plain text: terms joined by operators either side of "=", e.g. "V = IR" or "R = ρL/A"
+const TERM = '[\\p{L}\\p{N}½⅓¼¾√()^/.\'_]+';
+const EXPRESSION = `${TERM}(?:\\s*[+\\-−×⋅·*/]\\s*${TERM})*`;
+const EQUATION = new RegExp(`(${EXPRESSION})\\s*=\\s*(${EXPRESSION})`, 'gu');
+
+const ENTITIES = { '&quot;': '"', '&amp;': '&', '&lt;': '<', '&gt;': '>', '&#39;': '\'' };
+
+const synonymsByPhrase = new Map();
+const synonymsByFormula = new Map();
+PHYSICS_SYNONYMS.forEach(group => {
+    group.phrases.forEach(phrase => synonymsByPhrase.set(phrase, group));
+    (group.formulas || []).forEach(formula => synonymsByFormula.set(formula, group));
+});
+// Longest first, so "ideal gas law" is replaced before a shorter phrase inside it
+const PHRASES_LONGEST_FIRST = [...synonymsByPhrase.keys()].sort((a, b) => b.length - a.length);
+
+/**
+ * Replaces Greek letters, super/subscripts, fractions and operator symbols with plain text
+ *
+ * @example
+ * normalizeSymbols('Ek = ½Iω²') // 'Ek = 1/2I omega ^2'
+ */
+export function normalizeSymbols(text) {
+    return text
+        .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻ⁿ]+/g, match => `^${[...match].map(char => SUPERSCRIPTS[char]).join('')}`)
+        .replace(/[₀-₉ₐₑₒₓₚₛₜₘₖᵣᵧ]/g, char => SUBSCRIPTS[char])
+        .replace(/[½⅓¼¾]/g, char => FRACTIONS[char])
+        .replace(/[×⋅·−√]/g, char => OPERATORS[char])
+        .replace(/[α-ωΑ-Ωϵϕµ∝°℃Å]/g, char => SYMBOL_NAMES[char] ? ` ${SYMBOL_NAMES[char]} ` : char);
+}
+
+/**
+ * Converts LaTeX to the plain text a student would type
+ *
+ * @example
+ * latexToPlain('E_k = \\frac{1}{2}mv^{2}') // 'Ek = 1/2mv^2'
+ */
+export function latexToPlain(latex) {
+    const group = part => {
+        const inner = part.replace(/^\{|\}$/g, '');
+        return /^\w+$/.test(inner) ? inner : `(${inner})`;
+    };
+
+    let text = latex
+        .replace(/\\(?:left|right|displaystyle|quad|qquad|[,;!])/g, ' ')
+        .replace(/\\sqrt\s*\{([^{}]*)\}/g, ' sqrt($1)')
+        .replace(/\\(?:text|mathrm|mathbf|mathit|operatorname|vec|hat|bar|overline)\s*\{([^{}]*)\}/g, '$1')
+        .replace(/\\(?![dt]?frac)([a-zA-Z]+)/g, (match, name) => ` ${LATEX_NAMES[name] || name.toLowerCase()} `);
+
+    // \frac{a}{b} and \frac12, innermost first
+    let previous;
+    do {
+        previous = text;
+        text = text.replace(/\\[dt]?frac\s*(\{[^{}]*\}|\w)\s*(\{[^{}]*\}|\w)/g, (match, top, bottom) => `${group(top)}/${group(bottom)}`);
+    } while (text !== previous);
+
+    return text.replace(/[{}_\\]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Writes a formula one way, so "V = IR", "V=I×R" and "$V = IR$" compare equal
+ *
+ * @example
+ * canonicalFormula('Ek = ½mv²') // 'ek=1/2mv^2'
+ */
+export function canonicalFormula(formula) {
+    return normalizeSymbols(formula)
+        .toLowerCase()
+        .replace(/[\s*_{}']/g, '')
+        .replace(/^[.,;:?]+|[.,;:?]+$/g, '');
+}
+
+/**
+ * Turns a canonical formula into a single search word
+ *
+ * @example
+ * formulaKey('v=ir') // 'eq_v_is_ir'
+ */
+export function formulaKey(formula) {
+    const word = formula
+        .replace(/=/g, '_is_')
+        .replace(/\//g, '_over_')
+        .replace(/\^/g, '_pow_')
+        .replace(/\+/g, '_plus_')
+        .replace(/-/g, '_minus_')
+        .replace(/\./g, '_dot_')
+        .replace(/\W/g, '_')
+        .replace(/_+/g, '_')
+        .replace(/^_|_$/g, '');
+    return `${FORMULA_PREFIX}${word}`;
+}
+
+// An equation "a=b" and each side worth searching for on its own (not plain words like "ek")
+function getFormulaParts(canonical) {
+    const sides = canonical.split('=').filter(Boolean);
+    const parts = sides.filter(side => side.length > 1 && /[^a-z]/.test(side));
+    for (let i = 0; i < sides.length - 1; i++) {
+        parts.push(`${sides[i]}=${sides[i + 1]}`);
+    }
+    return parts;
+}
+
+// The search word for a formula: its synonym group if it has one
+function getFormulaWord(formula) {
+    const group = synonymsByFormula.get(formula);
+    return group ? `${SYNONYM_PREFIX}${group.key}` : formulaKey(formula);
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(?:quot|amp|lt|gt|#39);/g, entity => ENTITIES[entity]);
+}
+
+// Lowercase words separated by single spaces, with a space either end for phrase matching
+function toPhraseText(text) {
+    return ` ${normalizeSymbols(text).toLowerCase().replace(/'/g, '').replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim()} `;
+}
+
+/**
+ * Adds physics search words to a piece of indexed text
+ * Symbols become their names, LaTeX becomes plain text, and the text gains a word for each
+ * formula it contains (plus "formula equation") and for each synonym group it mentions.
+ *
+ * @param {string} text - Topic, note or flashcard text (may contain HTML and LaTeX)
+ * @returns {string} Text to tokenize
+ */
+export function expandPhysicsText(text) {
+    if (!text) return '';
+
+    const formulas = new Set();
+    const addMath = math => getFormulaParts(canonicalFormula(math)).forEach(part => formulas.add(part));
+    const rendered = [];
+
+    let plain = String(text).replace(DATA_LATEX, (match, latex) => {
+        const math = latexToPlain(decodeEntities(latex));
+        addMath(math);
+        rendered.push(math);
+        return ' ';
+    });
+    plain = plain.replace(/<[^>]*>/g, ' ');
+    plain = plain.replace(DELIMITED_MATH, (match, display, inline, block) => {
+        const math = latexToPlain(display ?? inline ?? block);
+        addMath(math);
+        return ` ${math} `;
+    });
+    plain = `${plain} ${rendered.join(' ')}`;
+
+    for (const match of plain.matchAll(EQUATION)) {
+        getFormulaParts(canonicalFormula(`${match[1]}=${match[2]}`)).forEach(part => formulas.add(part));
+    }
+
+    const phraseText = toPhraseText(plain);
+    const groups = new Set();
+    PHRASES_LONGEST_FIRST.forEach(phrase => {
+        if (phraseText.includes(` ${phrase} `)) groups.add(synonymsByPhrase.get(phrase).key);
+    });
+    formulas.forEach(formula => {
+        if (synonymsByFormula.has(formula)) groups.add(synonymsByFormula.get(formula).key);
+    });
+
+    const words = [
+        ...[...formulas].map(formulaKey),
+        ...[...groups].map(key => `${SYNONYM_PREFIX}${key}`),
+        ...(formulas.size > 0 ? ['formula', 'equation'] : [])
+    ];
+    return `${normalizeSymbols(plain).replace(/'/g, '')} ${words.join(' ')}`;
+}
+
+/**
+ * Rewrites a search query into the words expandPhysicsText() indexes
+ * Formulas become their formula word, and synonyms and abbreviations become their group's word.
+ *
+ * @example
+ * expandPhysicsQuery('V=IR')            // 'syn_ohmslaw'
+ * expandPhysicsQuery('ohm\'s law')      // 'syn_ohmslaw'
+ * expandPhysicsQuery('\\frac{1}{2}mv^2') // 'syn_kineticenergy'
+ */
+export function expandPhysicsQuery(query) {
+    const words = [];
+
+    let text = String(query).replace(DELIMITED_MATH, (match, display, inline, block) => {
+        const math = canonicalFormula(latexToPlain(display ?? inline ?? block));
+        words.push(...getFormulaParts(math).filter(part => part.includes('=') || !math.includes('=')).map(getFormulaWord));
+        return ' ';
+    });
+    if (/\\[a-zA-Z]/.test(text)) text = latexToPlain(text);
+
+    text = text.replace(EQUATION, (match, left, right) => {
+        words.push(getFormulaWord(canonicalFormula(`${left}=${right}`)));
+        return ' ';
+    });
+
+    // Anything else with formula characters, e.g. \frac{1}{2}mv^2 or ½mv²
+    text = text.split(/\s+/).map(word => {
+        if (!FORMULA_MARKERS.test(word)) return word;
+        const formula = canonicalFormula(latexToPlain(word));
+        return formula ? getFormulaWord(formula) : word;
+    }).join(' ');
+
+    let phraseText = toPhraseText(text);
+    PHRASES_LONGEST_FIRST.forEach(phrase => {
+        if (phraseText.includes(` ${phrase} `)) {
+            phraseText = phraseText.split(` ${phrase} `).join(` ${SYNONYM_PREFIX}${synonymsByPhrase.get(phrase).key} `);
+        }
+    });
+
+    return [...words, phraseText.trim()].filter(Boolean).join(' ');
+}
+
+/**
+ * Whether a search word was made by this module (formula and synonym words aren't shown as completions or matched with typos)
+ */
+export function isGeneratedTerm(term) {
+    return term.startsWith(SYNONYM_PREFIX) || term.startsWith(FORMULA_PREFIX);
+}
+
+/**
+ * Gets the words and phrases to highlight for matched search words
+ * A synonym group's word highlights every phrase in the group; formula words can't be highlighted in text.
+ *
+ * @returns {Array<string>} Words and phrases (phrases have spaces)
+ */
+export function getHighlightTerms(terms) {
+    const highlights = [];
+    terms.forEach(term => {
+        if (term.startsWith(SYNONYM_PREFIX)) {
+            const group = PHYSICS_SYNONYMS.find(item => `${SYNONYM_PREFIX}${item.key}` === term);
+            if (group) highlights.push(...group.phrases);
+        } else if (!term.startsWith(FORMULA_PREFIX)) {
+            highlights.push(term);
+        }
+    });
+    return highlights;
+}
@@ -86,6 +86,33 @@ export function createRevisionSection(section) {
     };
 }
 
+/**
+ * Columns each resource CSV can have - the ones the functions above read
+ * Required columns need a value on every row; the others fall back to a default when blank.
+ */
+export const RESOURCE_FIELDS = {
+    videos: {
+        required: ['section_id', 'title', 'url'],
+        optional: ['description', 'duration', 'difficulty', 'provider']
+    },
+    notes: {
+        required: ['section_id', 'title', 'url'],
+        optional: ['description', 'type', 'pages', 'difficulty']
+    },
+    simulations: {
+        required: ['section_id', 'title', 'url'],
+        optional: ['description', 'provider', 'interactivity', 'difficulty']
+    },
+    questions: {
+        required: ['section_id', 'title', 'url'],
+        optional: ['description', 'type', 'question_count', 'difficulty', 'has_answers']
+    },
+    revisionsections: {
+        required: ['section_id', 'title', 'notes_html'],
+        optional: ['key_formulas', 'common_mistakes']
+    }
+};
+
 /**
  * Get resource creator function by type
  * @param {string} type - Resource type ('videos', 'notes', 'simulations', 'questions')
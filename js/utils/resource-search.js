@@ -0,0 +1,85 @@
+// js/utils/resource-search.js
+// The curated revision resources (videos, notes, simulations, questions) and revision section notes as search items
+// Used by: js/core/app.js, js/features/search/index.js
+
+// How each kind of resource is shown in search results
+export const RESOURCE_KINDS = {
+    videos: { label: 'Video', icon: 'play-circle' },
+    notes: { label: 'Revision Notes', icon: 'file-text' },
+    simulations: { label: 'Simulation', icon: 'zap' },
+    questions: { label: 'Question Bank', icon: 'help-circle' },
+    section: { label: 'Section Notes', icon: 'book-open' }
+};
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': '\'', '&nbsp;': ' ' };
+
+/**
+ * Turns revision section HTML into plain text for searching
+ */
+export function htmlToSearchText(html) {
+    return (html || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(?:amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Collects every revision section's resources and notes as items for the resources search index
+ *
+ * @param {Object} revisionMapping - Revision section ID -> topic IDs
+ * @param {Function} getResourcesForSection - Returns { section, videos, notes, simulations, questions } for a section ID
+ * @param {Object} sectionTitles - Revision section ID -> title
+ * @returns {Array} [{ id, kind, sectionId, sectionTitle, topicIds, title, description, url, content, searchText }]
+ *   kind is a RESOURCE_KINDS key; content is the text searched besides the title and description
+ */
+export function collectResourceItems(revisionMapping = {}, getResourcesForSection = null, sectionTitles = {}) {
+    if (typeof getResourcesForSection !== 'function') return [];
+
+    const items = [];
+    Object.entries(revisionMapping).forEach(([sectionId, topicIds]) => {
+        const resources = getResourcesForSection(sectionId);
+        const sectionTitle = sectionTitles[sectionId] || resources.section?.title || sectionId;
+        const addItem = (item) => {
+            items.push({ ...item, sectionId, sectionTitle, topicIds, searchText: `${item.title} ${item.description} ${item.content}`.trim() });
+        };
+
+        if (resources.section) {
+            const { notes, keyFormulas = [], commonMistakes = [] } = resources.section;
+            addItem({
+                id: `section:${sectionId}`,
+                kind: 'section',
+                title: resources.section.title || sectionTitle,
+                description: '',
+                url: '',
+                content: `${htmlToSearchText(notes)} ${keyFormulas.join(' ')} ${commonMistakes.join(' ')}`.trim()
+            });
+        }
+
+        ['videos', 'notes', 'simulations', 'questions'].forEach(kind => {
+            (resources[kind] || []).forEach((resource, index) => {
+                addItem({
+                    id: `${kind}:${sectionId}:${index}`,
+                    kind,
+                    title: resource.title || '',
+                    description: resource.description || '',
+                    url: resource.url || '',
+                    content: [resource.provider, resource.type, resource.difficulty].filter(Boolean).join(' ')
+                });
+            });
+        });
+    });
+
+    return items;
+}
+
+/**
+ * Weighted fields for the resources search index (see DEFAULT_FIELD_WEIGHTS)
+ */
+export function getResourceSearchFields(item) {
+    return {
+        title: item.title || '',
+        objectives: item.description || '',
+        content: item.content || ''
+    };
+}
@@ -0,0 +1,242 @@
+// js/utils/revision-planner.js
+// Exam countdown and a day-by-day revision schedule leading up to the exams
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const EXAM_PAPERS = ['Paper 1', 'Paper 2', 'Paper 3'];
+
+export const DEFAULT_TOPICS_PER_DAY = 3;
+
+// Plans never run further ahead than this
+export const MAX_PLAN_DAYS = 366;
+
+// A topic revised (or already planned) this recently is less urgent
+const RECENT_REVISION_DAYS = 3;
+
+/**
+ * Gets a local date as 'YYYY-MM-DD' (the format <input type="date"> uses)
+ */
+export function toDayKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function isDayKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && Number.isFinite(Date.parse(`${value}T00:00:00Z`));
+}
+
+function addDays(dayKey, days) {
+    return new Date(Date.parse(`${dayKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Counts whole days from one date to another (negative if the date has passed)
+ */
+export function getDaysUntil(dayKey, todayKey) {
+    return Math.round((Date.parse(`${dayKey}T00:00:00Z`) - Date.parse(`${todayKey}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Lists the exams that haven't happened yet, nearest first
+ *
+ * @param {Object} examDates - Paper → 'YYYY-MM-DD' (or '' if not set)
+ * @returns {Array} [{ paper, date, days }]
+ */
+export function getUpcomingExams(examDates, todayKey) {
+    return Object.entries(examDates || {})
+        .filter(([, date]) => isDayKey(date))
+        .map(([paper, date]) => ({ paper, date, days: getDaysUntil(date, todayKey) }))
+        .filter(exam => exam.days >= 0)
+        .sort((a, b) => a.days - b.days || a.paper.localeCompare(b.paper));
+}
+
+/**
+ * Gets the countdown to the next exam
+ *
+ * @returns {Object|null} { paper, date, days, label }, or null if no exams are coming up
+ *
+ * @example
+ * getExamCountdown({ 'Paper 1': '2026-06-03' }, '2026-05-11')
+ * // { paper: 'Paper 1', date: '2026-06-03', days: 23, label: 'Paper 1 in 23 days' }
+ */
+export function getExamCountdown(examDates, todayKey) {
+    const next = getUpcomingExams(examDates, todayKey)[0];
+    if (!next) return null;
+
+    let label = `${next.paper} in ${next.days} days`;
+    if (next.days === 0) label = `${next.paper} today`;
+    else if (next.days === 1) label = `${next.paper} tomorrow`;
+
+    return { ...next, label };
+}
+
+/**
+ * Works out which papers each topic is examined on
+ *
+ * @param {Object} paperModeGroups - Paper → groups/sections, as in the paper view
+ * @param {Object} specificationData - Section name → { topics }
+ * @returns {Object} Topic ID → ['Paper 1', ...]
+ */
+export function getTopicPapers(paperModeGroups, specificationData) {
+    const topicPapers = {};
+
+    Object.entries(paperModeGroups || {}).forEach(([paper, items]) => {
+        const sectionNames = [];
+        (items || []).forEach(item => {
+            if (item.type === 'group') sectionNames.push(...(item.sections || []));
+            else if (item.type === 'single') sectionNames.push(item.key);
+        });
+
+        sectionNames.forEach(sectionName => {
+            (specificationData?.[sectionName]?.topics || []).forEach(topic => {
+                if (!topicPapers[topic.id]) topicPapers[topic.id] = [];
+                if (!topicPapers[topic.id].includes(paper)) topicPapers[topic.id].push(paper);
+            });
+        });
+    });
+
+    return topicPapers;
+}
+
+/**
+ * Scores how urgently a topic needs revising on a day
+ *
+ * - Lower confidence scores higher (unrated topics sit between 2 and 3)
+ * - Critical topics (confidence 1-2) count double
+ * - Topics on the nearest paper count double
+ * - Topics revised in the last few days count a quarter
+ */
+export function getTopicWeight(topic, { critical, focusPaper, lastRevised, dayKey }) {
+    let weight = topic.confidence ? 6 - topic.confidence : 3.5;
+    if (critical) weight *= 2;
+    if ((topic.papers || []).includes(focusPaper)) weight *= 2;
+    if (lastRevised && getDaysUntil(dayKey, lastRevised) < RECENT_REVISION_DAYS) weight *= 0.25;
+    return weight;
+}
+
+/**
+ * Finds topics planned for days that have passed but were never marked as done
+ *
+ * @param {Array} plan - The previous plan
+ * @param {Object} completed - 'YYYY-MM-DD' → [topic IDs revised that day]
+ * @returns {Array} Topic IDs, oldest day first
+ */
+export function findMissedTopics(plan, completed, todayKey) {
+    const missed = [];
+    (plan || [])
+        .filter(day => day.date < todayKey)
+        .forEach(day => {
+            const done = completed?.[day.date] || [];
+            day.topics.forEach(topic => {
+                if (!done.includes(topic.id) && !missed.includes(topic.id)) missed.push(topic.id);
+            });
+        });
+    return missed;
+}
+
+/**
+ * Builds a day-by-day revision schedule from today to the last exam
+ *
+ * Each day focuses on the nearest paper still to be sat; a paper's topics stop being planned
+ * on the day of its exam. Topics missed on earlier days go to the front of today's list.
+ * Plans are rebuilt rather than edited, so a new plan is all that's needed when confidence
+ * changes or a day is missed.
+ *
+ * @param {Object} options
+ * @param {Array} options.topics - [{ id, title, confidence, papers }]
+ * @param {Object} options.examDates - Paper → 'YYYY-MM-DD'
+ * @param {Array} options.criticalTopicIds - Topics flagged as critical by analytics
+ * @param {Object} options.completed - 'YYYY-MM-DD' → [topic IDs revised that day]
+ * @param {Array} options.carryOver - Missed topic IDs to fit in first
+ * @param {string} options.today - 'YYYY-MM-DD'
+ * @param {number} options.topicsPerDay
+ * @returns {Array} [{ date, exam, focusPaper, topics: [{ id, title, confidence, carriedOver }] }]
+ */
+export function buildRevisionPlan({
+    topics,
+    examDates,
+    criticalTopicIds = [],
+    completed = {},
+    carryOver = [],
+    today,
+    topicsPerDay = DEFAULT_TOPICS_PER_DAY
+}) {
+    const exams = getUpcomingExams(examDates, today);
+    if (exams.length === 0) return [];
+
+    const critical = new Set(criticalTopicIds);
+    const topicById = new Map(topics.map(topic => [topic.id, topic]));
+    const perDay = Math.max(1, Math.floor(topicsPerDay) || DEFAULT_TOPICS_PER_DAY);
+
+    // Latest day each topic was revised, updated as days are planned so topics are spread out
+    const lastRevised = {};
+    Object.entries(completed || {})
+        .sort(([a], [b]) => a.localeCompare(b))
+        .forEach(([dayKey, topicIds]) => {
+            (topicIds || []).forEach(topicId => { lastRevised[topicId] = dayKey; });
+        });
+
+    const plan = [];
+    const lastExamDay = Math.min(exams[exams.length - 1].days, MAX_PLAN_DAYS);
+
+    for (let offset = 0; offset <= lastExamDay; offset++) {
+        const dayKey = addDays(today, offset);
+        const remaining = exams.filter(exam => exam.date > dayKey);
+        if (remaining.length === 0) break;
+
+        const remainingPapers = remaining.map(exam => exam.paper);
+        const focusPaper = remainingPapers[0];
+        const chosen = [];
+
+        const choose = (topic, carriedOver = false) => {
+            chosen.push({ id: topic.id, title: topic.title, confidence: topic.confidence || 0, carriedOver });
+            lastRevised[topic.id] = dayKey;
+        };
+
+        const isEligible = topic => topic
+            && !chosen.some(entry => entry.id === topic.id)
+            && (topic.papers || []).some(paper => remainingPapers.includes(paper));
+
+        if (offset === 0) {
+            // Topics already revised today stay on today's list
+            (completed?.[dayKey] || []).forEach(topicId => {
+                const topic = topicById.get(topicId);
+                if (topic && !chosen.some(entry => entry.id === topicId)) choose(topic);
+            });
+            carryOver.forEach(topicId => {
+                const topic = topicById.get(topicId);
+                if (chosen.length < perDay && isEligible(topic)) choose(topic, true);
+            });
+        }
+
+        while (chosen.length < perDay) {
+            let best = null;
+            let bestWeight = 0;
+            topics.forEach(topic => {
+                if (!isEligible(topic)) return;
+                const weight = getTopicWeight(topic, {
+                    critical: critical.has(topic.id),
+                    focusPaper,
+                    lastRevised: lastRevised[topic.id],
+                    dayKey
+                });
+                if (weight > bestWeight) {
+                    best = topic;
+                    bestWeight = weight;
+                }
+            });
+            if (!best) break;
+            choose(best);
+        }
+
+        plan.push({
+            date: dayKey,
+            exam: exams.find(exam => exam.date === dayKey)?.paper || null,
+            focusPaper,
+            topics: chosen
+        });
+    }
+
+    return plan;
+}
@@ -0,0 +1,205 @@
+// js/utils/search-client.js
+// Main-thread side of the search indexes: items stay here, indexing and searching happen in js/utils/search-worker.js
+// Used by: js/core/app.js
+
+import { idbGet, idbSet, idbRemove } from './indexeddb.js';
+import { SearchStore } from './search-store.js';
+import { logger } from './logger.js';
+
+// ✅ PERFORMANCE: Web Worker so building and searching the indexes never blocks the UI
+let searchWorker = null;
+let workerFailed = false;
+let workerMessageId = 0;
+const workerCallbacks = new Map();
+
+// Without module workers (or if the worker fails) the same store runs on the main thread
+let localStore = null;
+
+// Bumped when the worker fails, so each index knows to send its items again
+let connection = 0;
+
+function initWorker() {
+    if (!searchWorker && !workerFailed && typeof Worker !== 'undefined') {
+        try {
+            searchWorker = new Worker('/js/utils/search-worker.js', { type: 'module' });
+            searchWorker.onmessage = (e) => {
+                const { id, success, result, error } = e.data;
+                const callback = workerCallbacks.get(id);
+                if (callback) {
+                    if (success) {
+                        callback.resolve(result);
+                    } else {
+                        callback.reject(new Error(error));
+                    }
+                    workerCallbacks.delete(id);
+                }
+            };
+            searchWorker.onerror = (e) => {
+                logger.error('Search Worker error, searching on the main thread instead:', e);
+                workerCallbacks.forEach(cb => cb.reject(new Error('Worker error')));
+                workerFailed = true;
+                connection++;
+                terminateWorker();
+            };
+        } catch (e) {
+            logger.warn('Search Worker not available, falling back to main thread');
+            workerFailed = true;
+            searchWorker = null;
+        }
+    }
+    return searchWorker;
+}
+
+/**
+ * Saves index changes that are still waiting on the save delay
+ * Doesn't start the worker if it isn't running.
+ */
+export function flushSearchIndexes() {
+    if (!searchWorker && !localStore) return Promise.resolve();
+
+    return request('flush', {}).catch(error => {
+        logger.warn('[Search Index] Could not save pending changes:', error.message);
+    });
+}
+
+/**
+ * Terminate the search worker
+ * The indexes are saved in IndexedDB, so the next visit picks up where this one left off.
+ */
+function terminateWorker() {
+    if (searchWorker) {
+        try {
+            searchWorker.terminate();
+            logger.log('🧹 Search Worker terminated');
+        } catch (e) {
+            logger.warn('Failed to terminate search worker:', e);
+        }
+        searchWorker = null;
+    }
+    workerCallbacks.clear();
+}
+
+if (typeof window !== 'undefined') {
+    // Pages are often closed without beforeunload firing (e.g. on mobile), but they're hidden first
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushSearchIndexes();
+    });
+    window.addEventListener('beforeunload', () => {
+        flushSearchIndexes().finally(terminateWorker);
+    });
+}
+
+function request(action, args) {
+    const worker = initWorker();
+    if (!worker) {
+        if (!localStore) localStore = new SearchStore({ load: idbGet, save: idbSet, remove: idbRemove });
+        return localStore.handle(action, args);
+    }
+
+    return new Promise((resolve, reject) => {
+        const id = ++workerMessageId;
+        workerCallbacks.set(id, { resolve, reject });
+        worker.postMessage({ action, args, id });
+    });
+}
+
+/**
+ * Deletes saved indexes, e.g. when the user clears their data
+ * @param {Array<string>} names - Index names, as given to WorkerSearchIndex
+ */
+export function clearSavedSearchIndexes(names) {
+    return Promise.all(names.map(name => request('clear', { name })));
+}
+
+/**
+ * A search index that lives in the search worker
+ * Same methods as SearchIndex, except searchRanked() and complete() return promises.
+ */
+export class WorkerSearchIndex {
+    /**
+     * @param {string} name - Which index, including the user's storage prefix (saved in IndexedDB as searchIndex:<name>)
+     * @param {Function} getSearchableText - Returns the item's text, or { title, objectives, content } for weighted fields
+     */
+    constructor(name, getSearchableText) {
+        this.name = name;
+        this.getSearchableText = getSearchableText;
+        this.items = new Map(); // item ID -> item, for turning results back into items
+        this.ready = Promise.resolve();
+        this.connection = null;
+    }
+
+    _toEntry(item) {
+        return { id: item.id, fields: this.getSearchableText(item) };
+    }
+
+    /**
+     * Index a full set of items
+     * The worker restores the saved index and only re-indexes items that changed since.
+     *
+     * @returns {Promise<Object>} { items, words, added, updated, removed, restored }
+     */
+    buildIndex(items) {
+        this.items = new Map(items.filter(item => item.id).map(item => [item.id, item]));
+        return this._sync();
+    }
+
+    _sync() {
+        this.connection = connection;
+        const entries = [...this.items.values()].map(item => this._toEntry(item));
+        this.ready = request('sync', { name: this.name, entries }).catch(error => {
+            logger.error(`[Search Index] Could not build the ${this.name} index:`, error);
+            return null;
+        });
+        return this.ready;
+    }
+
+    async _request(action, args) {
+        if (this.connection !== connection) this._sync();
+        await this.ready;
+        return request(action, { name: this.name, ...args });
+    }
+
+    addItem(item) {
+        if (!item.id) {
+            logger.warn('Item without ID, skipping:', item);
+            return;
+        }
+        this.items.set(item.id, item);
+        request('put', { name: this.name, entry: this._toEntry(item) })
+            .catch(error => logger.error(`[Search Index] Could not index ${item.id}:`, error));
+    }
+
+    updateItem(item) {
+        this.addItem(item);
+    }
+
+    removeItem(itemId) {
+        this.items.delete(itemId);
+        request('remove', { name: this.name, id: itemId })
+            .catch(error => logger.error(`[Search Index] Could not remove ${itemId}:`, error));
+    }
+
+    /**
+     * @returns {Promise<Array>} [{ id, score, terms }], see SearchIndex.searchRanked()
+     */
+    async searchRanked(query, options = {}) {
+        try {
+            return await this._request('search', { query, options });
+        } catch (error) {
+            logger.error(`[Search Index] Search of ${this.name} failed:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * @returns {Promise<Array<string>>} See SearchIndex.complete()
+     */
+    async complete(prefix, limit = 5) {
+        try {
+            return await this._request('complete', { prefix, limit });
+        } catch (error) {
+            logger.error(`[Search Index] Completion from ${this.name} failed:`, error);
+            return [];
+        }
+    }
+}
@@ -1,12 +1,121 @@
 // js/utils/search-index.js
-// Inverted index for O(1) search lookups
+// Inverted index with BM25 relevance scoring, prefix completion and typo-tolerant matching
 
 import { logger } from './logger.js';
+import { SYMBOL_NAMES, expandPhysicsText, expandPhysicsQuery, isGeneratedTerm, getHighlightTerms } from './physics-terms.js';
+
+// Bump when tokenizing or the saved format changes, so saved indexes are rebuilt
+export const SEARCH_INDEX_VERSION = 1;
+
+// Field weights for BM25F scoring - a word in a title counts for more than one in the body
+export const DEFAULT_FIELD_WEIGHTS = {
+    title: 3,
+    objectives: 2,
+    content: 1
+};
+
+// BM25 tuning: K1 limits how much repeating a word helps, B how much long fields are penalized
+const K1 = 1.2;
+const B = 0.75;
+
+// How much each kind of match counts compared with the exact word
+const PREFIX_MATCH = 0.75;
+const FUZZY_MATCH = 0.5;
+
+/**
+ * Gets how many typos a word can have and still match
+ * Short words need to be exact, otherwise "heat" would match "head", "meat", "hear"...
+ */
+function getMaxEdits(word) {
+    if (word.length < 5) return 0;
+    return word.length < 9 ? 1 : 2;
+}
+
+// Padded trigrams, so the start and end of a word count too
+function getTrigrams(word) {
+    const padded = `  ${word} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+        grams.add(padded.slice(i, i + 3));
+    }
+    return grams;
+}
+
+/**
+ * Counts the edits (insert, delete, substitute, swap two letters) between two words
+ * Gives up once the count passes maxEdits.
+ *
+ * @returns {number} The distance, or maxEdits + 1 if it's further
+ */
+export function editDistance(a, b, maxEdits = Infinity) {
+    if (Math.abs(a.length - b.length) > maxEdits) return maxEdits + 1;
+
+    let before = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], before[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxEdits) return maxEdits + 1;
+        before = previous;
+        previous = current;
+    }
+
+    return Math.min(previous[b.length], maxEdits + 1);
+}
+
+// A word as it was indexed: lowercase, no apostrophes, symbols by name ("Ω" -> "ohm")
+function normalizeWord(word) {
+    return SYMBOL_NAMES[word] || word.toLowerCase().replace(/'/g, '');
+}
+
+/**
+ * Finds where matched words appear in a piece of text, for highlighting
+ * Words are found the same way tokenize() splits them, so offsets line up with the index.
+ * Synonym matches highlight each of the group's phrases, e.g. "syn_emf" highlights "electromotive force".
+ *
+ * @param {string} text - The text shown to the user
+ * @param {Iterable<string>} terms - Matched words from searchRanked()
+ * @returns {Array} [{ start, end }] in text order
+ */
+export function findMatchOffsets(text, terms) {
+    const phrases = getHighlightTerms([...terms]).map(term => term.split(' '));
+    const offsets = [];
+    if (!text || phrases.length === 0) return offsets;
+
+    const words = [...text.matchAll(/[\p{L}\p{N}_]+(?:'[\p{L}\p{N}_]+)*/gu)];
+    for (let i = 0; i < words.length; i++) {
+        const phrase = phrases
+            .filter(parts => parts.every((part, j) => words[i + j] && normalizeWord(words[i + j][0]) === part))
+            .sort((a, b) => b.length - a.length)[0];
+        if (!phrase) continue;
+
+        const last = words[i + phrase.length - 1];
+        offsets.push({ start: words[i].index, end: last.index + last[0].length });
+        i += phrase.length - 1;
+    }
+    return offsets;
+}
 
 export class SearchIndex {
-    constructor() {
-        this.index = new Map(); // word -> Set of item IDs
+    /**
+     * @param {Object} options - { fieldWeights } (defaults to DEFAULT_FIELD_WEIGHTS)
+     */
+    constructor({ fieldWeights = DEFAULT_FIELD_WEIGHTS } = {}) {
+        this.index = new Map(); // word -> Map of item ID -> { field: count }
         this.items = new Map(); // item ID -> item data
+        this.fieldWeights = fieldWeights;
+        this.fieldLengths = new Map(); // item ID -> { field: word count }
+        this.totalFieldLengths = {}; // field -> word count across all items
+        this.trigrams = new Map(); // trigram -> Set of words, for finding typos
         this.stopWords = new Set([
             'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from',
             'has', 'he', 'in', 'is', 'it', 'its', 'of', 'on', 'that', 'the',
@@ -17,38 +126,23 @@ export class SearchIndex {
     /**
      * Build index from items array
      * @param {Array} items - Array of items to index
-     * @param {Function} getSearchableText - Function to extract searchable text from item
+     * @param {Function} getSearchableText - Returns the item's text, or { title, objectives, content } for weighted fields
      */
     buildIndex(items, getSearchableText) {
         this.index.clear();
         this.items.clear();
+        this.fieldLengths.clear();
+        this.totalFieldLengths = {};
+        this.trigrams.clear();
 
-        items.forEach(item => {
-            if (!item.id) {
-                logger.warn('Item without ID, skipping:', item);
-                return;
-            }
-
-            this.items.set(item.id, item);
-
-            const text = getSearchableText(item);
-            const words = this.tokenize(text);
-
-            words.forEach(word => {
-                if (!this.index.has(word)) {
-                    this.index.set(word, new Set());
-                }
-                this.index.get(word).add(item.id);
-            });
-        });
+        items.forEach(item => this.addItem(item, getSearchableText));
     }
 
     /**
-     * Tokenize text into searchable words
-     * @param {string} text - Text to tokenize
-     * @returns {Array<string>} Array of normalized tokens
+     * Split text into searchable words, keeping repeats (needed for word counts)
+     * @private
      */
-    tokenize(text) {
+    _splitWords(text) {
         if (!text) return [];
 
         return text
@@ -60,72 +154,168 @@ export class SearchIndex {
             // Split on whitespace
             .split(/\s+/)
             // Remove stop words and short words
-            .filter(word => word.length > 2 && !this.stopWords.has(word))
-            // Remove duplicates
-            .filter((word, index, self) => self.indexOf(word) === index);
+            .filter(word => word.length > 2 && !this.stopWords.has(word));
+    }
+
+    /**
+     * Tokenize text into searchable words
+     * @param {string} text - Text to tokenize
+     * @returns {Array<string>} Array of normalized tokens
+     */
+    tokenize(text) {
+        return [...new Set(this._splitWords(text))];
     }
 
     /**
      * Search for items matching query
      * @param {string} query - Search query
-     * @param {Object} options - Search options
-     * @returns {Set<string>} Set of matching item IDs
+     * @param {Object} options - Search options (see searchRanked)
+     * @returns {Set<string>} Matching item IDs, most relevant first
      */
     search(query, options = {}) {
+        return new Set(this.searchRanked(query, options).map(result => result.id));
+    }
+
+    /**
+     * Search and score items with BM25
+     * Every query word matches by prefix, so the word being typed completes.
+     * Physics synonyms, symbols and formulas in the query are rewritten to match the index (see physics-terms.js).
+     *
+     * @param {string} query - Search query
+     * @param {Object} options - { matchAll (AND vs OR, default true), fuzzy (allow typos, default false) }
+     * @returns {Array} [{ id, score, terms }] most relevant first - terms are the indexed words that matched, for findMatchOffsets()
+     */
+    searchRanked(query, options = {}) {
         const {
-            matchAll = true, // AND vs OR search
-            fuzzy = false     // Future: fuzzy matching
+            matchAll = true,
+            fuzzy = false
         } = options;
 
         // For short queries (1-2 chars), do direct prefix matching without tokenization
-        const rawQuery = query.toLowerCase().trim();
-        if (rawQuery.length > 0 && rawQuery.length <= 2) {
-            return this._searchWord(rawQuery);
-        }
+        const expandedQuery = expandPhysicsQuery(query);
+        const rawQuery = expandedQuery.toLowerCase().trim();
+        const shortQuery = rawQuery.length > 0 && rawQuery.length <= 2;
+        const words = shortQuery ? [rawQuery] : this.tokenize(expandedQuery);
+        if (words.length === 0) return [];
 
-        const words = this.tokenize(query);
-        if (words.length === 0) return new Set();
+        let scores = null;
+        const matchedTerms = new Map();
 
-        // Get results for first word (with prefix matching)
-        let results = this._searchWord(words[0]);
+        for (const word of words) {
+            const wordScores = this._scoreWord(word, fuzzy && !shortQuery, matchedTerms);
 
-        if (matchAll) {
-            // AND search - intersection
-            for (let i = 1; i < words.length; i++) {
-                const wordResults = this._searchWord(words[i]);
-                results = new Set([...results].filter(id => wordResults.has(id)));
-
-                // Early exit if no results
-                if (results.size === 0) break;
-            }
-        } else {
-            // OR search - union
-            for (let i = 1; i < words.length; i++) {
-                const wordResults = this._searchWord(words[i]);
-                wordResults.forEach(id => results.add(id));
+            if (scores === null) {
+                scores = wordScores;
+            } else if (matchAll) {
+                // AND search - intersection
+                scores = new Map([...scores].filter(([id]) => wordScores.has(id)).map(([id, score]) => [id, score + wordScores.get(id)]));
+            } else {
+                // OR search - union
+                wordScores.forEach((score, id) => scores.set(id, (scores.get(id) || 0) + score));
             }
+
+            // Early exit if no results
+            if (matchAll && scores.size === 0) break;
         }
 
-        return results;
+        return [...scores]
+            .map(([id, score]) => ({ id, score, terms: [...matchedTerms.get(id)] }))
+            .sort((a, b) => b.score - a.score);
     }
 
     /**
-     * Search for a single word with prefix matching
-     * @param {string} word - Word to search for
-     * @returns {Set<string>} Set of matching item IDs
+     * Find the indexed words a query word matches, with how much each counts
+     * @returns {Map<string, number>} Indexed word -> match weight
      * @private
      */
-    _searchWord(word) {
-        const results = new Set();
+    _expandWord(word, fuzzy) {
+        const expansions = new Map();
 
-        // Iterate through index and find all words that start with the query word
-        for (const [indexWord, itemIds] of this.index.entries()) {
+        // Exact and prefix matches
+        for (const indexWord of this.index.keys()) {
             if (indexWord.startsWith(word)) {
-                itemIds.forEach(id => results.add(id));
+                expansions.set(indexWord, indexWord === word ? 1 : PREFIX_MATCH);
             }
         }
 
-        return results;
+        // Typos: only words sharing a trigram are worth measuring (formula and synonym words must be exact)
+        const maxEdits = getMaxEdits(word);
+        if (fuzzy && maxEdits > 0 && !isGeneratedTerm(word)) {
+            const candidates = new Set();
+            getTrigrams(word).forEach(gram => {
+                this.trigrams.get(gram)?.forEach(candidate => candidates.add(candidate));
+            });
+
+            candidates.forEach(candidate => {
+                if (expansions.has(candidate) || isGeneratedTerm(candidate)) return;
+                const distance = editDistance(word, candidate, maxEdits);
+                if (distance <= maxEdits) {
+                    expansions.set(candidate, FUZZY_MATCH / distance);
+                }
+            });
+        }
+
+        return expansions;
+    }
+
+    /**
+     * Score every item containing a query word
+     * An item's score is its best match, so a short prefix matching many words doesn't outrank an exact match.
+     * The IDF counts every item the query word matched, so a prefix isn't boosted by rare words it happens to complete.
+     *
+     * @returns {Map<string, number>} Item ID -> score
+     * @private
+     */
+    _scoreWord(word, fuzzy, matchedTerms) {
+        const expansions = this._expandWord(word, fuzzy);
+        const frequencies = new Map();
+
+        expansions.forEach((matchWeight, indexWord) => {
+            this.index.get(indexWord).forEach((counts, id) => {
+                const frequency = matchWeight * this._weightedFrequency(id, counts);
+                if (frequency > (frequencies.get(id) || 0)) frequencies.set(id, frequency);
+
+                if (!matchedTerms.has(id)) matchedTerms.set(id, new Set());
+                matchedTerms.get(id).add(indexWord);
+            });
+        });
+
+        const idf = Math.log(1 + (this.items.size - frequencies.size + 0.5) / (frequencies.size + 0.5));
+        return new Map([...frequencies].map(([id, frequency]) => [id, idf * frequency]));
+    }
+
+    /**
+     * BM25F term frequency: each field's count, weighted and normalized by the field's length
+     * @private
+     */
+    _weightedFrequency(id, counts) {
+        const lengths = this.fieldLengths.get(id);
+        let frequency = 0;
+
+        Object.entries(counts).forEach(([field, count]) => {
+            const averageLength = this.totalFieldLengths[field] / this.items.size;
+            const normalized = count / (1 - B + B * lengths[field] / averageLength);
+            frequency += (this.fieldWeights[field] ?? 1) * normalized;
+        });
+
+        return frequency * (K1 + 1) / (frequency + K1);
+    }
+
+    /**
+     * Suggest indexed words that complete a prefix, most widely used first
+     * @param {string} prefix - The start of a word
+     * @param {number} limit - Maximum suggestions
+     * @returns {Array<string>} Words
+     */
+    complete(prefix, limit = 5) {
+        const start = prefix.toLowerCase().trim();
+        if (start.length < 2) return [];
+
+        return [...this.index.entries()]
+            .filter(([word]) => word.startsWith(start) && word !== start && !isGeneratedTerm(word))
+            .sort((a, b) => b[1].size - a[1].size || a[0].localeCompare(b[0]))
+            .slice(0, limit)
+            .map(([word]) => word);
     }
 
     /**
@@ -143,7 +333,7 @@ export class SearchIndex {
      * Search and return items directly
      * @param {string} query - Search query
      * @param {Object} options - Search options
-     * @returns {Array} Array of matching items
+     * @returns {Array} Array of matching items, most relevant first
      */
     searchItems(query, options = {}) {
         const resultIds = this.search(query, options);
@@ -153,24 +343,47 @@ export class SearchIndex {
     /**
      * Add a single item to index
      * @param {Object} item - Item to add
-     * @param {Function} getSearchableText - Function to extract searchable text
+     * @param {Function} getSearchableText - Returns the item's text, or { title, objectives, content }
      */
     addItem(item, getSearchableText) {
         if (!item.id) {
-            logger.warn('Cannot add item without ID');
+            logger.warn('Item without ID, skipping:', item);
             return;
         }
 
         this.items.set(item.id, item);
 
         const text = getSearchableText(item);
-        const words = this.tokenize(text);
+        const fields = typeof text === 'object' && text !== null ? text : { content: text };
+        const lengths = {};
 
-        words.forEach(word => {
-            if (!this.index.has(word)) {
-                this.index.set(word, new Set());
-            }
-            this.index.get(word).add(item.id);
+        Object.entries(fields).forEach(([field, fieldText]) => {
+            const words = this._splitWords(expandPhysicsText(fieldText));
+            lengths[field] = words.length;
+            this.totalFieldLengths[field] = (this.totalFieldLengths[field] || 0) + words.length;
+
+            words.forEach(word => {
+                if (!this.index.has(word)) {
+                    this.index.set(word, new Map());
+                    this._addTrigrams(word);
+                }
+                const postings = this.index.get(word);
+                if (!postings.has(item.id)) postings.set(item.id, {});
+                const counts = postings.get(item.id);
+                counts[field] = (counts[field] || 0) + 1;
+            });
+        });
+
+        this.fieldLengths.set(item.id, lengths);
+    }
+
+    /**
+     * @private
+     */
+    _addTrigrams(word) {
+        getTrigrams(word).forEach(gram => {
+            if (!this.trigrams.has(gram)) this.trigrams.set(gram, new Set());
+            this.trigrams.get(gram).add(word);
         });
     }
 
@@ -181,12 +394,21 @@ export class SearchIndex {
     removeItem(itemId) {
         this.items.delete(itemId);
 
+        const lengths = this.fieldLengths.get(itemId);
+        if (lengths) {
+            Object.entries(lengths).forEach(([field, length]) => {
+                this.totalFieldLengths[field] -= length;
+            });
+            this.fieldLengths.delete(itemId);
+        }
+
         // Remove from all word indices
-        this.index.forEach((ids, word) => {
-            ids.delete(itemId);
+        this.index.forEach((postings, word) => {
+            postings.delete(itemId);
             // Clean up empty word entries
-            if (ids.size === 0) {
+            if (postings.size === 0) {
                 this.index.delete(word);
+                getTrigrams(word).forEach(gram => this.trigrams.get(gram)?.delete(word));
             }
         });
     }
@@ -201,6 +423,48 @@ export class SearchIndex {
         this.addItem(item, getSearchableText);
     }
 
+    /**
+     * Plain data for saving the index (items are saved by ID only)
+     * @returns {Object} { version, fieldWeights, ids, fieldLengths, words }
+     */
+    toJSON() {
+        return {
+            version: SEARCH_INDEX_VERSION,
+            fieldWeights: this.fieldWeights,
+            ids: [...this.items.keys()],
+            fieldLengths: [...this.fieldLengths],
+            words: [...this.index].map(([word, postings]) => [word, [...postings]])
+        };
+    }
+
+    /**
+     * Restore an index saved with toJSON()
+     * Items come back as { id } - keep the items themselves elsewhere.
+     *
+     * @param {Object} data - From toJSON()
+     * @returns {SearchIndex}
+     * @throws {Error} If it was saved by a different SEARCH_INDEX_VERSION
+     */
+    static fromJSON(data) {
+        if (data?.version !== SEARCH_INDEX_VERSION) {
+            throw new Error(`Unsupported search index version: ${data?.version}`);
+        }
+
+        const index = new SearchIndex({ fieldWeights: data.fieldWeights });
+        data.ids.forEach(id => index.items.set(id, { id }));
+        data.fieldLengths.forEach(([id, lengths]) => {
+            index.fieldLengths.set(id, lengths);
+            Object.entries(lengths).forEach(([field, length]) => {
+                index.totalFieldLengths[field] = (index.totalFieldLengths[field] || 0) + length;
+            });
+        });
+        data.words.forEach(([word, postings]) => {
+            index.index.set(word, new Map(postings));
+            index._addTrigrams(word);
+        });
+        return index;
+    }
+
     /**
      * Get index statistics
      * @returns {Object} Index statistics
@@ -210,7 +474,7 @@ export class SearchIndex {
             itemCount: this.items.size,
             wordCount: this.index.size,
             averageWordsPerItem: this.items.size > 0 ?
-                (Array.from(this.index.values()).reduce((sum, set) => sum + set.size, 0) / this.items.size).toFixed(2) :
+                (Array.from(this.index.values()).reduce((sum, postings) => sum + postings.size, 0) / this.items.size).toFixed(2) :
                 0
         };
     }
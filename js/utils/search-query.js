@@ -0,0 +1,265 @@
+// js/utils/search-query.js
+// The search box's query syntax: type:flashcards tag:3.5.1 confidence:<=2 paper:2 "exact phrase" -word updated:>2026-09-01
+// Used by: js/features/search/index.js
+
+import { toDayKey } from './revision-planner.js';
+
+// What each key does, shown when completing it in the search box
+export const QUERY_KEYS = {
+    type: 'Only audit topics, notes, flashcards, mindmaps or resources',
+    tag: 'Tagged with a topic (3.5.1 includes 3.5.1.4)',
+    confidence: 'Topic confidence, e.g. <=2',
+    paper: 'Topics on an exam paper',
+    updated: 'Last edited, e.g. >2026-09-01'
+};
+
+// The searchFilters value each type: is read as
+const TYPE_NAMES = {
+    audit: 'audit', topic: 'audit', topics: 'audit',
+    note: 'notes', notes: 'notes',
+    flashcard: 'flashcards', flashcards: 'flashcards', deck: 'flashcards', decks: 'flashcards', cards: 'flashcards',
+    mindmap: 'mindmaps', mindmaps: 'mindmaps',
+    resource: 'resources', resources: 'resources'
+};
+
+const CONFIDENCE_LEVELS = [1, 2, 3, 4, 5];
+
+// [-]key:value, [-]key:"quoted value", [-]"phrase" or a plain word
+const TOKEN_PATTERN = /(-)?(?:([a-z]+):)?(?:"([^"]*)(?:"|$)|(\S+))/giu;
+const COMPARISON_PATTERN = /^(<=|>=|<|>|=)?(.+)$/;
+
+function compare(a, op, b) {
+    switch (op) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        default: return a === b;
+    }
+}
+
+function isDayKey(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && Number.isFinite(Date.parse(`${value}T00:00:00Z`));
+}
+
+/**
+ * Reads one key:value filter into the parsed query
+ * @private
+ */
+function addFilter(parsed, key, value) {
+    const values = value.split(',').map(part => part.trim()).filter(Boolean);
+
+    if (key === 'type') {
+        values.forEach(name => {
+            const type = TYPE_NAMES[name.toLowerCase()];
+            if (type) {
+                if (!parsed.types.includes(type)) parsed.types.push(type);
+            } else {
+                parsed.errors.push(`Unknown type "${name}" (try audit, notes, flashcards, mindmaps or resources)`);
+            }
+        });
+    } else if (key === 'tag') {
+        values.forEach(tag => {
+            if (!parsed.tags.includes(tag)) parsed.tags.push(tag);
+        });
+    } else if (key === 'paper') {
+        values.forEach(paper => {
+            const number = paper.match(/^(?:paper\s*)?(\d+)$/i)?.[1];
+            if (number) {
+                parsed.papers.push(`Paper ${number}`);
+            } else {
+                parsed.errors.push(`Unknown paper "${paper}" (try paper:1)`);
+            }
+        });
+    } else if (key === 'confidence') {
+        const [, op = '=', level] = value.match(COMPARISON_PATTERN);
+        const number = Number(level);
+        if (!CONFIDENCE_LEVELS.includes(number)) {
+            parsed.errors.push(`Confidence must be 1 to 5, not "${level}"`);
+            return;
+        }
+        // Each condition narrows the levels down further, like ticking them in the confidence filter
+        const levels = parsed.confidenceLevels || CONFIDENCE_LEVELS;
+        parsed.confidenceLevels = levels.filter(candidate => compare(candidate, op, number));
+    } else if (key === 'updated') {
+        const [, op = '=', date] = value.match(COMPARISON_PATTERN);
+        if (isDayKey(date)) {
+            parsed.updated.push({ op, date });
+        } else {
+            parsed.errors.push(`Dates are written YYYY-MM-DD, not "${date}"`);
+        }
+    }
+}
+
+/**
+ * Splits a search box query into the words to search for and the filters to apply
+ * Unknown keys are searched as ordinary words, so "ratio 1:2" still works.
+ *
+ * @param {string} query - What was typed
+ * @returns {Object} { text, phrases, excluded, types, tags, confidenceLevels, papers, updated, errors }
+ *   text is the words and phrases to search the indexes for; confidenceLevels is null without a confidence: filter
+ */
+export function parseSearchQuery(query) {
+    const parsed = {
+        text: '',
+        phrases: [],
+        excluded: [],
+        types: [],
+        tags: [],
+        confidenceLevels: null,
+        papers: [],
+        updated: [],
+        errors: []
+    };
+    const words = [];
+
+    for (const [token, negated, key, quoted, word] of (query || '').matchAll(TOKEN_PATTERN)) {
+        const value = quoted ?? word;
+        const knownKey = key && Object.hasOwn(QUERY_KEYS, key.toLowerCase()) ? key.toLowerCase() : null;
+
+        if (knownKey) {
+            if (negated) {
+                parsed.errors.push(`${knownKey}: filters can't be excluded with -`);
+            } else if (value.trim()) {
+                addFilter(parsed, knownKey, value.trim());
+            }
+        } else if (key) {
+            words.push(negated ? token.slice(1) : token);
+        } else if (quoted !== undefined) {
+            const phrase = quoted.trim().replace(/\s+/g, ' ');
+            if (!phrase) continue;
+            if (negated) {
+                parsed.excluded.push(phrase.toLowerCase());
+            } else {
+                parsed.phrases.push(phrase.toLowerCase());
+                words.push(phrase);
+            }
+        } else if (Object.hasOwn(QUERY_KEYS, word.slice(0, -1).toLowerCase()) && word.endsWith(':')) {
+            // A key still waiting for its value
+            continue;
+        } else if (negated && /^[\p{L}\p{N}'’]+$/u.test(word)) {
+            parsed.excluded.push(word.toLowerCase());
+        } else {
+            // A lone "-" or a formula like -GM/r is searched as typed
+            words.push(token);
+        }
+    }
+
+    parsed.text = words.join(' ');
+    return parsed;
+}
+
+/**
+ * Whether a parsed query has anything besides words to search for
+ */
+export function hasQueryFilters(parsed) {
+    return parsed.phrases.length > 0 || parsed.excluded.length > 0 || parsed.types.length > 0 || parsed.tags.length > 0
+        || parsed.confidenceLevels !== null || parsed.papers.length > 0 || parsed.updated.length > 0;
+}
+
+/**
+ * Whether a topic ID falls under a tag: filter (the tag itself or one of its subtopics)
+ */
+export function topicMatchesTag(topicId, tag) {
+    return topicId === tag || topicId.startsWith(`${tag}.`);
+}
+
+/**
+ * Checks a search result against a parsed query's filters (type: is applied by choosing which indexes to search)
+ *
+ * @param {Object} parsed - From parseSearchQuery()
+ * @param {Object} item - { text, topicIds, papers, confidences, updatedAt }
+ *   text is the item's searchable text; papers and confidences belong to its topics; updatedAt is when it was last edited
+ * @returns {boolean}
+ */
+export function matchesSearchQuery(parsed, { text = '', topicIds = [], papers = [], confidences = [], updatedAt = null }) {
+    const lowerText = text.toLowerCase().replace(/\s+/g, ' ');
+
+    if (!parsed.phrases.every(phrase => lowerText.includes(phrase))) return false;
+    if (parsed.excluded.some(term => lowerText.includes(term))) return false;
+
+    if (parsed.tags.length > 0 && !topicIds.some(id => parsed.tags.some(tag => topicMatchesTag(id, tag)))) return false;
+    if (parsed.papers.length > 0 && !papers.some(paper => parsed.papers.includes(paper))) return false;
+    if (parsed.confidenceLevels !== null && !confidences.some(level => parsed.confidenceLevels.includes(level))) return false;
+
+    if (parsed.updated.length > 0) {
+        const date = updatedAt ? new Date(updatedAt) : null;
+        if (!date || Number.isNaN(date.getTime())) return false;
+        const day = toDayKey(date);
+        if (!parsed.updated.every(({ op, date: filterDay }) => compare(day, op, filterDay))) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Suggests how to finish the word being typed when it's a key or a key's value
+ *
+ * @param {string} word - The last word in the search box
+ * @param {Object} topicLookup - Topic ID -> topic info, for completing tag: and paper:
+ * @returns {Array} [{ value, label }] - value replaces the word
+ */
+export function completeSearchQuery(word, topicLookup = {}) {
+    const match = (word || '').match(/^([a-z]+):(.*)$/i);
+
+    if (!match) {
+        if (!/^[a-z]+$/i.test(word || '')) return [];
+        const lower = word.toLowerCase();
+        return Object.entries(QUERY_KEYS)
+            .filter(([key]) => key.startsWith(lower) && key !== lower)
+            .map(([key, label]) => ({ value: `${key}:`, label }));
+    }
+
+    const key = match[1].toLowerCase();
+    const prefix = match[2].toLowerCase();
+    let options = [];
+
+    if (key === 'type') {
+        options = ['audit', 'notes', 'flashcards', 'mindmaps', 'resources'].map(type => ({ value: type, label: '' }));
+    } else if (key === 'tag') {
+        options = Object.values(topicLookup).map(topic => ({ value: topic.topicId, label: `${topic.topicId} ${topic.topicTitle}` }));
+    } else if (key === 'paper') {
+        const papers = new Set(Object.values(topicLookup).map(topic => topic.sectionPaper).filter(Boolean));
+        options = [...papers].sort().map(paper => ({ value: paper.replace(/^paper\s*/i, ''), label: paper }));
+    } else if (key === 'confidence') {
+        options = [
+            { value: '<=2', label: 'Not confident yet' },
+            { value: '3', label: 'Moderately confident' },
+            { value: '>=4', label: 'Confident' }
+        ];
+    } else if (key === 'updated') {
+        const lastWeek = new Date();
+        lastWeek.setDate(lastWeek.getDate() - 7);
+        options = [
+            { value: toDayKey(), label: 'Today' },
+            { value: `>=${toDayKey(lastWeek)}`, label: 'In the last week' }
+        ];
+    }
+
+    return options
+        .filter(option => option.value.toLowerCase().startsWith(prefix))
+        .slice(0, 8)
+        .map(option => ({ value: `${match[1]}:${option.value}`, label: option.label }));
+}
+
+/**
+ * Keeps the well-formed saved searches from storage or a backup file
+ * @param {Array} searches - [{ id, name, query, filters, tags, confidenceLevels, createdAt }]
+ * @returns {Array}
+ */
+export function normalizeSavedSearches(searches) {
+    if (!Array.isArray(searches)) return [];
+
+    const strings = list => (Array.isArray(list) ? list.filter(value => typeof value === 'string') : []);
+    return searches
+        .filter(search => search && typeof search.id === 'string' && typeof search.name === 'string' && typeof search.query === 'string')
+        .map(search => ({
+            id: search.id,
+            name: search.name,
+            query: search.query,
+            filters: strings(search.filters).filter(type => Object.values(TYPE_NAMES).includes(type)),
+            tags: strings(search.tags),
+            confidenceLevels: Array.isArray(search.confidenceLevels) ? search.confidenceLevels.filter(level => CONFIDENCE_LEVELS.includes(level)) : [],
+            createdAt: typeof search.createdAt === 'string' ? search.createdAt : null
+        }));
+}
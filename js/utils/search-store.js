@@ -0,0 +1,209 @@
+// js/utils/search-store.js
+// Named search indexes that are kept up to date item by item and saved between visits
+// Used by: js/utils/search-worker.js, js/utils/search-client.js (when workers aren't available)
+
+import { SearchIndex, SEARCH_INDEX_VERSION } from './search-index.js';
+import { logger } from './logger.js';
+
+export const SEARCH_STORE_KEY_PREFIX = 'searchIndex:';
+
+// Saving a big index on every keystroke-save of a note would be wasteful, so changes are batched
+const SAVE_DELAY_MS = 2000;
+
+// Past this share of changed items, building from scratch beats updating one by one
+const REBUILD_RATIO = 0.5;
+
+const getFields = entry => entry.fields;
+
+/**
+ * Hashes an item's searchable fields (FNV-1a), to tell whether it changed since the index was saved
+ */
+function hashFields(fields) {
+    const text = JSON.stringify(fields);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+export class SearchStore {
+    /**
+     * @param {Object} options - { load(key), save(key, value), remove(key) } for the saved indexes
+     *   (e.g. idbGet, idbSet, idbRemove), saveDelayMs
+     */
+    constructor({ load, save, remove, saveDelayMs = SAVE_DELAY_MS }) {
+        this.load = load;
+        this.save = save;
+        this.removeSaved = remove;
+        this.saveDelayMs = saveDelayMs;
+        this.indexes = new Map(); // name -> { index, stamps: Map of item ID -> hash }
+        this.saveTimers = new Map(); // name -> timer
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Runs a message from the search client, one at a time and in the order they were sent
+     * @param {string} action - sync, put, remove, search, complete, clear or flush
+     * @param {Object} args - The action's arguments (all but flush take { name })
+     */
+    handle(action, args) {
+        const run = async () => {
+            switch (action) {
+                case 'sync': return this.sync(args.name, args.entries);
+                case 'put': return this.put(args.name, args.entry);
+                case 'remove': return this.remove(args.name, args.id);
+                case 'search': return this.search(args.name, args.query, args.options);
+                case 'complete': return this.complete(args.name, args.prefix, args.limit);
+                case 'clear': return this.clear(args.name);
+                case 'flush': return this.flush();
+                default: throw new Error('Unknown action: ' + action);
+            }
+        };
+        const result = this.queue.then(run);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Gets an index, restoring the saved copy the first time
+     * @private
+     */
+    async _open(name) {
+        if (this.indexes.has(name)) return this.indexes.get(name);
+
+        let entry = null;
+        try {
+            const saved = await this.load(`${SEARCH_STORE_KEY_PREFIX}${name}`);
+            if (saved?.index?.version === SEARCH_INDEX_VERSION) {
+                entry = { index: SearchIndex.fromJSON(saved.index), stamps: new Map(saved.stamps), restored: true };
+            }
+        } catch (error) {
+            logger.warn(`[Search] Could not restore the ${name} index, rebuilding:`, error.message);
+        }
+
+        if (!entry) entry = { index: new SearchIndex(), stamps: new Map(), restored: false };
+        this.indexes.set(name, entry);
+        return entry;
+    }
+
+    /**
+     * Brings an index in line with the current items
+     * Only items whose fields changed since the index was saved are re-indexed.
+     *
+     * @param {Array} entries - [{ id, fields }] for every item that should be in the index
+     * @returns {Promise<Object>} { items, words, added, updated, removed, restored }
+     */
+    async sync(name, entries) {
+        const entry = await this._open(name);
+        const { index, stamps } = entry;
+        const current = new Map(entries.filter(item => item.id).map(item => [item.id, { item, stamp: hashFields(item.fields) }]));
+
+        const added = [...current.keys()].filter(id => !stamps.has(id));
+        const updated = [...current.keys()].filter(id => stamps.has(id) && stamps.get(id) !== current.get(id).stamp);
+        const removed = [...stamps.keys()].filter(id => !current.has(id));
+        const changes = added.length + updated.length + removed.length;
+
+        if (changes > 0) {
+            if (updated.length + removed.length > REBUILD_RATIO * Math.max(stamps.size, 1)) {
+                index.buildIndex([...current.values()].map(({ item }) => item), getFields);
+            } else {
+                removed.forEach(id => index.removeItem(id));
+                updated.forEach(id => index.updateItem(current.get(id).item, getFields));
+                added.forEach(id => index.addItem(current.get(id).item, getFields));
+            }
+            entry.stamps = new Map([...current].map(([id, { stamp }]) => [id, stamp]));
+            await this._save(name);
+        } else if (!entry.restored) {
+            await this._save(name);
+        }
+
+        const restored = entry.restored;
+        entry.restored = true;
+        return { items: index.items.size, words: index.index.size, added: added.length, updated: updated.length, removed: removed.length, restored };
+    }
+
+    /**
+     * Adds or updates one item
+     * @param {Object} item - { id, fields }
+     */
+    async put(name, item) {
+        const entry = await this._open(name);
+        const stamp = hashFields(item.fields);
+        if (entry.stamps.get(item.id) === stamp) return;
+
+        if (entry.stamps.has(item.id)) {
+            entry.index.updateItem(item, getFields);
+        } else {
+            entry.index.addItem(item, getFields);
+        }
+        entry.stamps.set(item.id, stamp);
+        this._scheduleSave(name);
+    }
+
+    async remove(name, id) {
+        const entry = await this._open(name);
+        if (!entry.stamps.has(id)) return;
+
+        entry.index.removeItem(id);
+        entry.stamps.delete(id);
+        this._scheduleSave(name);
+    }
+
+    /**
+     * @returns {Array} [{ id, score, terms }], see SearchIndex.searchRanked()
+     */
+    search(name, query, options = {}) {
+        return this.indexes.get(name)?.index.searchRanked(query, options) || [];
+    }
+
+    complete(name, prefix, limit) {
+        return this.indexes.get(name)?.index.complete(prefix, limit) || [];
+    }
+
+    /**
+     * Forgets an index and deletes its saved copy (the next sync builds it from scratch)
+     */
+    async clear(name) {
+        clearTimeout(this.saveTimers.get(name));
+        this.saveTimers.delete(name);
+        this.indexes.delete(name);
+        await this.removeSaved(`${SEARCH_STORE_KEY_PREFIX}${name}`);
+    }
+
+    /**
+     * Saves any indexes with changes still waiting
+     */
+    async flush() {
+        const names = [...this.saveTimers.keys()];
+        await Promise.all(names.map(name => this._save(name)));
+    }
+
+    _scheduleSave(name) {
+        clearTimeout(this.saveTimers.get(name));
+        this.saveTimers.set(name, setTimeout(() => this._save(name), this.saveDelayMs));
+    }
+
+    /**
+     * @private
+     */
+    async _save(name) {
+        clearTimeout(this.saveTimers.get(name));
+        this.saveTimers.delete(name);
+
+        const entry = this.indexes.get(name);
+        if (!entry) return;
+
+        try {
+            await this.save(`${SEARCH_STORE_KEY_PREFIX}${name}`, {
+                stamps: [...entry.stamps],
+                index: entry.index.toJSON(),
+                savedAt: Date.now()
+            });
+        } catch (error) {
+            // The index still works, it'll just be rebuilt next visit
+            logger.warn(`[Search] Could not save the ${name} index:`, error.message);
+        }
+    }
+}
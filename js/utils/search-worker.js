@@ -0,0 +1,27 @@
+// js/utils/search-worker.js
+// Web Worker (module) that builds, searches and saves the search indexes off the main thread
+// Used by: js/utils/search-client.js
+
+import { idbGet, idbSet, idbRemove } from './indexeddb.js';
+import { SearchStore } from './search-store.js';
+
+const store = new SearchStore({ load: idbGet, save: idbSet, remove: idbRemove });
+
+self.addEventListener('message', async (e) => {
+    const { action, args, id } = e.data;
+
+    try {
+        const result = await store.handle(action, args);
+        self.postMessage({
+            success: true,
+            result,
+            id
+        });
+    } catch (error) {
+        self.postMessage({
+            success: false,
+            error: error.message,
+            id
+        });
+    }
+});
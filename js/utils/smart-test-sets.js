@@ -0,0 +1,169 @@
+// js/utils/smart-test-sets.js
+// Rule-based ("smart") test sets, resolved against the current decks each time the test starts
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates an empty rule set (matches every card)
+ */
+export function createSmartRules() {
+    return {
+        papers: [],
+        groups: [],
+        maxConfidence: null,
+        missedWithinDays: null,
+        limit: null
+    };
+}
+
+/**
+ * Cleans up rules from the builder inputs: blank or non-positive numbers become null
+ *
+ * @param {Object} rules - Raw rules ({ papers, groups, maxConfidence, missedWithinDays, limit })
+ * @returns {Object} Rules with arrays de-duplicated and numbers rounded
+ */
+export function normalizeSmartRules(rules = {}) {
+    const toNumber = (value, max) => {
+        if (value === '' || value === null || value === undefined) return null;
+        const number = Number(value);
+        if (!Number.isFinite(number) || number <= 0) return null;
+        return Math.min(Math.round(number), max);
+    };
+
+    return {
+        papers: [...new Set(rules.papers || [])],
+        groups: [...new Set(rules.groups || [])],
+        maxConfidence: toNumber(rules.maxConfidence, 5),
+        missedWithinDays: toNumber(rules.missedWithinDays, 365),
+        limit: toNumber(rules.limit, 500)
+    };
+}
+
+/**
+ * Checks whether any rule narrows the topics (papers, groups or confidence)
+ */
+function hasTopicRules(rules) {
+    return rules.papers.length > 0 || rules.groups.length > 0 || rules.maxConfidence !== null;
+}
+
+/**
+ * Calls onMatch(card, deck, index) for each card the rules match, in deck order (see resolveSmartTestSet)
+ * @private
+ */
+function forEachMatchingCard(normalized, context, onMatch) {
+    const {
+        decks = [],
+        topicLookup = {},
+        groupSections = {},
+        confidenceLevels = {},
+        getCardHistory = () => [],
+        now = Date.now()
+    } = context;
+
+    const sections = new Set(normalized.groups.flatMap(title => groupSections[title] || []));
+
+    const topicMatches = topicId => {
+        const topic = topicLookup[topicId];
+        if (!topic) return false;
+        if (normalized.papers.length > 0 && !normalized.papers.includes(topic.sectionPaper)) return false;
+        if (normalized.groups.length > 0 && !sections.has(topic.sectionName)) return false;
+        if (normalized.maxConfidence !== null && (confidenceLevels[topicId] || 0) > normalized.maxConfidence) return false;
+        return true;
+    };
+
+    const missedSince = normalized.missedWithinDays === null ? null : now - normalized.missedWithinDays * DAY_MS;
+    const cardMatches = (card, deckId, index) => {
+        if (missedSince === null) return true;
+        return getCardHistory(card, deckId, index).some(entry =>
+            entry.result === 'incorrect' && Date.parse(entry.timestamp) >= missedSince
+        );
+    };
+
+    const checkTopics = hasTopicRules(normalized);
+
+    decks.forEach(deck => {
+        if (checkTopics && !(deck.tags || []).some(topicMatches)) return;
+
+        (deck.cards || []).forEach((card, index) => {
+            if (cardMatches(card, deck.id, index)) onMatch(card, deck, index);
+        });
+    });
+}
+
+/**
+ * Builds a test from rules
+ *
+ * A card matches when its deck is tagged with at least one topic that passes every
+ * topic rule (paper, group, confidence), and - if set - it was answered incorrectly
+ * within the last N days. Unrated topics count as confidence 0. Matching cards are
+ * expanded into their test prompts before the limit is applied, so a cloze or
+ * occlusion card can't push a test past its limit.
+ *
+ * @param {Object} rules - Rules from normalizeSmartRules()
+ * @param {Object} context
+ * @param {Array} context.decks - Flashcard decks ({ id, name, tags, cards })
+ * @param {Object} context.topicLookup - Topic ID → { sectionName, sectionPaper }
+ * @param {Object} context.groupSections - Group title → specification section keys
+ * @param {Object} context.confidenceLevels - Topic ID → confidence (1-5)
+ * @param {Function} context.getCardHistory - (card, deckId, index) → answer log entries
+ * @param {Function} context.expandCard - (card, deckId, index) → test prompts (default: the card itself)
+ * @param {number} context.now - Current time in ms
+ * @param {Function} context.random - Random number source (for the limit sample)
+ * @returns {Array} Prompts with deckId and deckName, in deck order (or random order if limited)
+ */
+export function resolveSmartTestSet(rules, context) {
+    const { random = Math.random, expandCard = card => [card] } = context;
+    const normalized = normalizeSmartRules(rules);
+
+    const cards = [];
+    forEachMatchingCard(normalized, context, (card, deck, index) => {
+        cards.push(...expandCard({ ...card, deckId: deck.id, deckName: deck.name }, deck.id, index));
+    });
+
+    if (normalized.limit === null || cards.length <= normalized.limit) {
+        return cards;
+    }
+
+    // Fisher-Yates shuffle, then take the first N
+    for (let i = cards.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [cards[i], cards[j]] = [cards[j], cards[i]];
+    }
+    return cards.slice(0, normalized.limit);
+}
+
+/**
+ * Counts the prompts a test from these rules would have, without building it
+ *
+ * @param {Object} rules - Rules from normalizeSmartRules()
+ * @param {Object} context - As for resolveSmartTestSet()
+ * @returns {number} Matching prompts, capped by the rules' limit
+ */
+export function countSmartTestSetCards(rules, context) {
+    const { expandCard = card => [card] } = context;
+    const normalized = normalizeSmartRules(rules);
+
+    let count = 0;
+    forEachMatchingCard(normalized, context, (card, deck, index) => {
+        count += expandCard(card, deck.id, index).length;
+    });
+    return normalized.limit === null ? count : Math.min(count, normalized.limit);
+}
+
+/**
+ * Describes rules in a short line, e.g. "Paper 2 · confidence ≤ 2 · 20 random"
+ */
+export function describeSmartRules(rules) {
+    const normalized = normalizeSmartRules(rules);
+    const parts = [];
+
+    if (normalized.papers.length > 0) parts.push(normalized.papers.join(', '));
+    if (normalized.groups.length > 0) parts.push(normalized.groups.join(', '));
+    if (normalized.maxConfidence !== null) parts.push(`confidence ≤ ${normalized.maxConfidence}`);
+    if (normalized.missedWithinDays !== null) {
+        parts.push(`missed in last ${normalized.missedWithinDays} ${normalized.missedWithinDays === 1 ? 'day' : 'days'}`);
+    }
+    if (normalized.limit !== null) parts.push(`${normalized.limit} random`);
+
+    return parts.length > 0 ? parts.join(' · ') : 'All cards';
+}
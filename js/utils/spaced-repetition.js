@@ -0,0 +1,140 @@
+// js/utils/spaced-repetition.js
+// SM-2 style spaced repetition scheduling for flashcards
+
+export const DEFAULT_EASE = 2.5;
+export const MIN_EASE = 1.3;
+
+/**
+ * Answer grades offered after a card is revealed
+ * Values follow Anki's button order (1 = Again ... 4 = Easy)
+ */
+export const REVIEW_GRADES = {
+    again: 1,
+    hard: 2,
+    good: 3,
+    easy: 4
+};
+
+/**
+ * Creates a fresh schedule for a card that has never been reviewed
+ *
+ * @returns {Object} Schedule with ease factor, interval (days), due date and counters
+ */
+export function createCardSchedule() {
+    return {
+        ease: DEFAULT_EASE,
+        interval: 0,
+        repetitions: 0,
+        lapses: 0,
+        due: null,
+        lastReviewed: null
+    };
+}
+
+/**
+ * Returns midnight (local time) for the given date
+ * Intervals are whole days, so due dates are always aligned to the start of a day
+ */
+export function startOfDay(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+/**
+ * Returns midnight (local time) a number of days after the given date's day
+ * Counts calendar days, so a day with a daylight saving change still ends at midnight
+ */
+export function addDays(date, days) {
+    const d = startOfDay(date);
+    d.setDate(d.getDate() + days);
+    return d;
+}
+
+/**
+ * Applies a graded answer to a schedule and returns the updated schedule
+ *
+ * - Again: lapse, restart repetitions, ease -0.2, due tomorrow
+ * - Hard:  interval x1.2, ease -0.15
+ * - Good:  1 day, then 3 days, then interval x ease
+ * - Easy:  4 days for new cards, then interval x ease x1.3, ease +0.15
+ *
+ * @param {Object|null} schedule - Existing schedule (null/undefined for new cards)
+ * @param {number} grade - One of REVIEW_GRADES
+ * @param {Date} [now] - Review time (injectable for testing)
+ * @returns {Object} New schedule object (input is not mutated)
+ *
+ * @example
+ * const s1 = scheduleCard(null, REVIEW_GRADES.good);   // interval: 1
+ * const s2 = scheduleCard(s1, REVIEW_GRADES.good);     // interval: 3
+ * const s3 = scheduleCard(s2, REVIEW_GRADES.good);     // interval: 8 (3 x 2.5, rounded)
+ */
+export function scheduleCard(schedule, grade, now = new Date()) {
+    if (!Object.values(REVIEW_GRADES).includes(grade)) {
+        throw new Error(`Invalid review grade: ${grade}`);
+    }
+
+    const previous = { ...createCardSchedule(), ...(schedule || {}) };
+    let { ease, interval, repetitions, lapses } = previous;
+
+    switch (grade) {
+        case REVIEW_GRADES.again:
+            lapses += 1;
+            repetitions = 0;
+            interval = 1;
+            ease -= 0.2;
+            break;
+        case REVIEW_GRADES.hard:
+            interval = repetitions === 0 ? 1 : Math.max(interval + 1, Math.round(interval * 1.2));
+            repetitions += 1;
+            ease -= 0.15;
+            break;
+        case REVIEW_GRADES.good:
+            if (repetitions === 0) {
+                interval = 1;
+            } else if (repetitions === 1) {
+                interval = 3;
+            } else {
+                interval = Math.max(interval + 1, Math.round(interval * ease));
+            }
+            repetitions += 1;
+            break;
+        case REVIEW_GRADES.easy:
+            interval = repetitions === 0 ? 4 : Math.max(interval + 1, Math.round(interval * ease * 1.3));
+            repetitions += 1;
+            ease += 0.15;
+            break;
+    }
+
+    ease = Math.max(MIN_EASE, Math.round(ease * 100) / 100);
+
+    return {
+        ease,
+        interval,
+        repetitions,
+        lapses,
+        due: addDays(now, interval).toISOString(),
+        lastReviewed: new Date(now).toISOString()
+    };
+}
+
+/**
+ * Checks whether a scheduled card is due on or before the given day
+ * Cards that have never been reviewed are NOT due (they are "new")
+ *
+ * @param {Object|null} schedule - Card schedule
+ * @param {Date} [now] - Reference time
+ * @returns {boolean}
+ */
+export function isCardDue(schedule, now = new Date()) {
+    if (!schedule || !schedule.due) return false;
+    const endOfToday = addDays(now, 1).getTime();
+    return new Date(schedule.due).getTime() < endOfToday;
+}
+
+/**
+ * Checks whether a card has never been reviewed
+ */
+export function isNewCard(schedule) {
+    return !schedule || !schedule.lastReviewed;
+}
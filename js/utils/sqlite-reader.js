@@ -0,0 +1,235 @@
+// js/utils/sqlite-reader.js
+// Minimal read-only SQLite file reader (enough to pull rows out of an Anki collection)
+// Supports rowid tables with overflow pages; indexes, WITHOUT ROWID tables and WAL files are not supported
+
+const HEADER_MAGIC = 'SQLite format 3\u0000';
+
+const PAGE_LEAF_TABLE = 0x0d;
+const PAGE_INTERIOR_TABLE = 0x05;
+
+/**
+ * Reads a SQLite varint (1-9 bytes, big-endian, 7 bits per byte except the 9th)
+ * @returns {Object} { value, length } - value is a Number (precise up to 2^53)
+ */
+export function readVarint(bytes, offset) {
+    let value = 0;
+    for (let i = 0; i < 8; i++) {
+        const byte = bytes[offset + i];
+        value = value * 128 + (byte & 0x7f);
+        if ((byte & 0x80) === 0) {
+            return { value, length: i + 1 };
+        }
+    }
+    return { value: value * 256 + bytes[offset + 8], length: 9 };
+}
+
+/**
+ * Decodes a record (header of serial types followed by column values)
+ */
+function decodeRecord(bytes, textDecoder) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const { value: headerSize, length } = readVarint(bytes, 0);
+
+    const serialTypes = [];
+    let position = length;
+    while (position < headerSize) {
+        const varint = readVarint(bytes, position);
+        serialTypes.push(varint.value);
+        position += varint.length;
+    }
+
+    const values = [];
+    let dataOffset = headerSize;
+
+    for (const type of serialTypes) {
+        switch (type) {
+            case 0: values.push(null); break;
+            case 1: values.push(view.getInt8(dataOffset)); dataOffset += 1; break;
+            case 2: values.push(view.getInt16(dataOffset)); dataOffset += 2; break;
+            case 3: values.push((view.getInt8(dataOffset) << 16) | view.getUint16(dataOffset + 1)); dataOffset += 3; break;
+            case 4: values.push(view.getInt32(dataOffset)); dataOffset += 4; break;
+            case 5: values.push(view.getInt16(dataOffset) * 0x100000000 + view.getUint32(dataOffset + 2)); dataOffset += 6; break;
+            case 6: values.push(Number(view.getBigInt64(dataOffset))); dataOffset += 8; break;
+            case 7: values.push(view.getFloat64(dataOffset)); dataOffset += 8; break;
+            case 8: values.push(0); break;
+            case 9: values.push(1); break;
+            default: {
+                const size = type >= 12 ? Math.floor((type - (type % 2 === 0 ? 12 : 13)) / 2) : 0;
+                const slice = bytes.subarray(dataOffset, dataOffset + size);
+                values.push(type % 2 === 0 ? slice.slice() : textDecoder.decode(slice));
+                dataOffset += size;
+            }
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Gets column names (and which column aliases the rowid) from a CREATE TABLE statement
+ */
+export function parseCreateTableColumns(sql) {
+    const body = String(sql || '').slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+
+    // Split on top-level commas only (types like DECIMAL(10,2) contain commas)
+    const definitions = [];
+    let depth = 0;
+    let current = '';
+    for (const char of body) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            definitions.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    definitions.push(current);
+
+    const columns = [];
+    let rowidColumn = -1;
+
+    definitions
+        .map(definition => definition.trim())
+        .filter(definition => definition && !/^(primary|unique|check|foreign|constraint)\b/i.test(definition))
+        .forEach(definition => {
+            const name = definition.match(/^["`[]?([^"`\]\s]+)/)[1];
+            if (/^\S+\s+integer\s+primary\s+key/i.test(definition)) {
+                rowidColumn = columns.length;
+            }
+            columns.push(name);
+        });
+
+    return { columns, rowidColumn };
+}
+
+/**
+ * Opens a SQLite database file for reading
+ *
+ * @param {Uint8Array} bytes - Database file contents
+ * @returns {Object} { tableNames, readTable(name) → Array of row objects }
+ * @throws {Error} If the file isn't a SQLite 3 database
+ *
+ * @example
+ * const db = openSqliteDatabase(bytes);
+ * db.readTable('notes') // [{ id: 1, flds: 'Front\x1fBack', ... }]
+ */
+export function openSqliteDatabase(bytes) {
+    const textDecoder = new TextDecoder();
+    if (bytes.length < 100 || textDecoder.decode(bytes.subarray(0, 16)) !== HEADER_MAGIC) {
+        throw new Error('Not a SQLite database');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const rawPageSize = view.getUint16(16);
+    const pageSize = rawPageSize === 1 ? 65536 : rawPageSize;
+    const usableSize = pageSize - bytes[20];
+
+    const encoding = view.getUint32(56);
+    const decoder = encoding === 2 ? new TextDecoder('utf-16le')
+        : encoding === 3 ? new TextDecoder('utf-16be')
+        : textDecoder;
+
+    const pageOffset = pageNumber => (pageNumber - 1) * pageSize;
+
+    /**
+     * Reassembles a cell payload that spills onto overflow pages
+     */
+    const readPayload = (cellOffset, payloadSize) => {
+        const maxLocal = usableSize - 35;
+        if (payloadSize <= maxLocal) {
+            return bytes.subarray(cellOffset, cellOffset + payloadSize);
+        }
+
+        const minLocal = Math.floor(((usableSize - 12) * 32) / 255) - 23;
+        const surplus = minLocal + ((payloadSize - minLocal) % (usableSize - 4));
+        const localSize = surplus <= maxLocal ? surplus : minLocal;
+
+        const payload = new Uint8Array(payloadSize);
+        payload.set(bytes.subarray(cellOffset, cellOffset + localSize), 0);
+
+        let written = localSize;
+        let overflowPage = view.getUint32(cellOffset + localSize);
+        while (overflowPage !== 0 && written < payloadSize) {
+            const start = pageOffset(overflowPage);
+            const chunk = Math.min(usableSize - 4, payloadSize - written);
+            payload.set(bytes.subarray(start + 4, start + 4 + chunk), written);
+            written += chunk;
+            overflowPage = view.getUint32(start);
+        }
+
+        return payload;
+    };
+
+    /**
+     * Walks a table b-tree and yields [rowid, values] for every row
+     */
+    const walkTable = (rootPage, visit) => {
+        const stack = [rootPage];
+        const seen = new Set();
+
+        while (stack.length > 0) {
+            const pageNumber = stack.pop();
+            if (seen.has(pageNumber)) continue; // Guard against corrupt cycles
+            seen.add(pageNumber);
+
+            const base = pageOffset(pageNumber);
+            const headerOffset = pageNumber === 1 ? base + 100 : base;
+            const pageType = bytes[headerOffset];
+            const cellCount = view.getUint16(headerOffset + 3);
+
+            if (pageType === PAGE_INTERIOR_TABLE) {
+                const children = [];
+                for (let i = 0; i < cellCount; i++) {
+                    const cellOffset = base + view.getUint16(headerOffset + 12 + i * 2);
+                    children.push(view.getUint32(cellOffset));
+                }
+                children.push(view.getUint32(headerOffset + 8));
+                // Push in reverse so rows come out in rowid order
+                for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+            } else if (pageType === PAGE_LEAF_TABLE) {
+                for (let i = 0; i < cellCount; i++) {
+                    let cellOffset = base + view.getUint16(headerOffset + 8 + i * 2);
+                    const payloadSize = readVarint(bytes, cellOffset);
+                    cellOffset += payloadSize.length;
+                    const rowid = readVarint(bytes, cellOffset);
+                    cellOffset += rowid.length;
+
+                    visit(rowid.value, decodeRecord(readPayload(cellOffset, payloadSize.value), decoder));
+                }
+            } else {
+                throw new Error(`Unsupported SQLite page type ${pageType} on page ${pageNumber}`);
+            }
+        }
+    };
+
+    // sqlite_schema lives on page 1: (type, name, tbl_name, rootpage, sql)
+    const tables = {};
+    walkTable(1, (rowid, [type, name, , rootpage, sql]) => {
+        if (type === 'table' && rootpage) {
+            tables[name] = { rootpage, ...parseCreateTableColumns(sql) };
+        }
+    });
+
+    return {
+        tableNames: Object.keys(tables),
+
+        readTable(name) {
+            const table = tables[name];
+            if (!table) {
+                throw new Error(`Table not found: ${name}`);
+            }
+
+            const rows = [];
+            walkTable(table.rootpage, (rowid, values) => {
+                const row = {};
+                table.columns.forEach((column, index) => {
+                    row[column] = index === table.rowidColumn ? rowid : (values[index] ?? null);
+                });
+                rows.push(row);
+            });
+            return rows;
+        }
+    };
+}
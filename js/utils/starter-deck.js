@@ -0,0 +1,91 @@
+// js/utils/starter-deck.js
+// Builds starter flashcards from specification content (topic prompts, objectives, examples)
+// and revision section content (key formulas, common mistakes)
+
+import { escapeHTML } from './deck-formats.js';
+
+/**
+ * Splits a "Name: value" entry (e.g. "Perpendicular: R = √(A² + B²)")
+ * @returns {Object|null} { name, value }, or null if the entry has no label
+ */
+export function splitLabelledEntry(entry) {
+    const text = String(entry || '').trim();
+    const colon = text.indexOf(':');
+    if (colon <= 0 || colon === text.length - 1) return null;
+
+    return {
+        name: text.substring(0, colon).trim(),
+        value: text.substring(colon + 1).trim()
+    };
+}
+
+function toList(items) {
+    return `<ul>${items.map(item => `<li>${escapeHTML(item)}</li>`).join('')}</ul>`;
+}
+
+/**
+ * Builds starter cards for a set of topics
+ *
+ * For each topic:
+ * - prompt → examples (or learning objectives if there are no examples)
+ * - "what should you be able to do?" → learning objectives
+ * - formula name → formula, for examples written as "Name: expression = ..."
+ * For each revision section:
+ * - formula name → formula, for every key formula
+ * - one card listing the common mistakes
+ *
+ * @param {Object} source
+ * @param {Array} source.topics - Specification topics ({ id, title, prompt, learningObjectives, examples })
+ * @param {Array} source.sections - Revision sections ({ title, keyFormulas, commonMistakes })
+ * @returns {Array} Basic cards ({ type, front, back })
+ */
+export function buildStarterCards({ topics = [], sections = [] } = {}) {
+    const cards = [];
+    const seenFronts = new Set();
+
+    const addCard = (front, back) => {
+        if (!front || !back || seenFronts.has(front)) return;
+        seenFronts.add(front);
+        cards.push({ type: 'basic', front, back });
+    };
+
+    topics.forEach(topic => {
+        const title = escapeHTML(topic.title || topic.id);
+        const examples = (topic.examples || []).filter(example => example.trim());
+        const objectives = (topic.learningObjectives || []).filter(objective => objective.trim());
+
+        if (topic.prompt) {
+            addCard(escapeHTML(topic.prompt), toList(examples.length > 0 ? examples : objectives));
+        }
+
+        if (objectives.length > 0) {
+            addCard(`<strong>${title}</strong>: what should you be able to do?`, toList(objectives));
+        }
+
+        examples.forEach(example => {
+            const entry = splitLabelledEntry(example);
+            if (entry && entry.value.includes('=')) {
+                addCard(`<strong>${title}</strong>: ${escapeHTML(entry.name)}?`, escapeHTML(entry.value));
+            }
+        });
+    });
+
+    sections.forEach(section => {
+        if (!section) return;
+        const title = escapeHTML(section.title || '');
+
+        (section.keyFormulas || []).forEach(formula => {
+            const entry = splitLabelledEntry(formula);
+            if (entry) {
+                addCard(`<strong>${title}</strong>: ${escapeHTML(entry.name)}?`, escapeHTML(entry.value));
+            }
+        });
+
+        const mistakes = (section.commonMistakes || []).filter(mistake => mistake.trim());
+        if (mistakes.length > 0) {
+            addCard(`<strong>${title}</strong>: what are the common mistakes to avoid?`, toList(mistakes));
+        }
+    });
+
+    return cards;
+}
@@ -69,11 +69,18 @@ export const statisticsMethods = {
 
     // --- START: RESTORED METHODS FOR SIDEBAR PROGRESS BARS ---
 
+    // Sections that count towards progress (leaves out Paper 3 options the student isn't taking)
+    getSectionsInScope() {
+        return Object.entries(this.specificationData)
+            .filter(([sectionKey]) => this.isSectionInScope(sectionKey))
+            .map(([, section]) => section);
+    },
+
     // Overall progress based on the current view mode ('spec' or 'paper')
     getOverallProgress() {
         const sections = (this.viewMode === 'spec')
-            ? Object.values(this.specificationData)
-            : Object.values(this.specificationData).filter(s => s.paper === this.selectedPaper);
+            ? this.getSectionsInScope()
+            : this.getSectionsInScope().filter(s => s.paper === this.selectedPaper);
 
         // ✅ PERFORMANCE FIX: Build Set of valid topic IDs once (O(n) instead of O(n²))
         const validTopicIds = new Set();
@@ -92,8 +99,8 @@ export const statisticsMethods = {
     // Overall average confidence based on the current view mode
     getAverageConfidence() {
         const sections = (this.viewMode === 'spec')
-            ? Object.values(this.specificationData)
-            : Object.values(this.specificationData).filter(s => s.paper === this.selectedPaper);
+            ? this.getSectionsInScope()
+            : this.getSectionsInScope().filter(s => s.paper === this.selectedPaper);
 
         // ✅ PERFORMANCE FIX: Build Set of valid topic IDs once (O(n) instead of O(n²))
         const validTopicIds = new Set();
@@ -111,7 +118,7 @@ export const statisticsMethods = {
 
     // Progress for a specific paper (e.g., 'Paper 1'), regardless of view mode
     getPaperProgress(paper) {
-        const paperSections = Object.values(this.specificationData).filter(section => section.paper === paper);
+        const paperSections = this.getSectionsInScope().filter(section => section.paper === paper);
         const totalTopics = paperSections.reduce((sum, section) => sum + section.topics.length, 0);
         const assessedTopics = Object.keys(this.confidenceLevels).filter(id => 
             this.confidenceLevels[id] > 0 && paperSections.some(s => s.topics.some(t => t.id === id))
@@ -121,7 +128,7 @@ export const statisticsMethods = {
 
     // Average confidence for a specific paper, regardless of view mode
     getPaperAverageConfidence(paper) {
-        const paperSections = Object.values(this.specificationData).filter(section => section.paper === paper);
+        const paperSections = this.getSectionsInScope().filter(section => section.paper === paper);
         const relevantLevels = Object.entries(this.confidenceLevels)
             .filter(([id, level]) => level > 0 && paperSections.some(s => s.topics.some(t => t.id === id)))
             .map(([_, level]) => level);
@@ -132,8 +139,9 @@ export const statisticsMethods = {
 
     // Overall progress across ALL topics, regardless of view mode
     getOverallProgressAllPapers() {
-        const totalTopics = Object.values(this.specificationData).reduce((sum, section) => sum + section.topics.length, 0);
-        const assessedTopics = Object.values(this.confidenceLevels).filter(level => level > 0).length;
+        const sections = this.getSectionsInScope();
+        const totalTopics = sections.reduce((sum, section) => sum + section.topics.length, 0);
+        const assessedTopics = sections.reduce((sum, section) => sum + this.getAssessedCount(section.topics), 0);
         return totalTopics > 0 ? Math.round((assessedTopics / totalTopics) * 100) : 0;
     },
 
@@ -11,8 +11,11 @@ import {
     idbGetAllKeys,
     idbGetSize,
     idbEstimateQuota,
+    idbGetHistoryEntries,
+    idbReplaceHistoryEntries,
     initIndexedDB
 } from './indexeddb.js';
+import { compactConfidenceHistory } from './confidence-history.js';
 import { logger } from './logger.js';
 
 // ✅ PERFORMANCE: Web Worker for large JSON serialization (>100KB)
@@ -169,29 +172,32 @@ export const storageUtils = {
     },
 
     /**
-     * Clean up old analytics data to free storage space
+     * Compact old confidence history to free storage space
+     * @returns {Promise<number>} How many entries were removed by rolling up
      */
     async cleanupOldAnalytics() {
         try {
-            const analyticsKey = 'physics-analytics-history';
-            const analyticsData = await idbGet(analyticsKey);
-            if (!analyticsData) return 0;
-
-            if (!analyticsData || !Array.isArray(analyticsData.data)) return 0;
-
-            // Keep only last 30 days
-            const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
-            const originalCount = analyticsData.data.length;
-
-            analyticsData.data = analyticsData.data.filter(entry => {
-                const timestamp = new Date(entry.timestamp || entry.date).getTime();
-                return timestamp > thirtyDaysAgo;
+            // Roll old confidence changes up into daily/weekly entries rather than deleting them
+            const entries = await idbGetHistoryEntries();
+            if (entries.length === 0) return 0;
+
+            const byOwner = new Map();
+            entries.forEach(entry => {
+                if (!byOwner.has(entry.owner)) byOwner.set(entry.owner, []);
+                byOwner.get(entry.owner).push(entry);
             });
 
-            const cleaned = originalCount - analyticsData.data.length;
+            let cleaned = 0;
+            for (const [owner, ownerEntries] of byOwner) {
+                const compacted = compactConfidenceHistory(ownerEntries);
+                if (compacted.length < ownerEntries.length) {
+                    await idbReplaceHistoryEntries(owner, compacted);
+                    cleaned += ownerEntries.length - compacted.length;
+                }
+            }
+
             if (cleaned > 0) {
-                await idbSet(analyticsKey, analyticsData);
-                logger.log(`🧹 Cleaned up ${cleaned} old analytics entries`);
+                logger.log(`🧹 Compacted ${cleaned} old analytics entries`);
             }
 
             return cleaned;
@@ -0,0 +1,73 @@
+// js/utils/test-timing.js
+// Time limits and response-time summaries for flashcard tests
+
+// Upper bounds keep a mistyped limit from producing a test that never ends
+export const MAX_TEST_MINUTES = 180;
+export const MAX_CARD_SECONDS = 600;
+
+/**
+ * Builds time limits from the test set builder inputs
+ *
+ * @param {number|string} totalMinutes - Overall limit in minutes (blank or 0 for none)
+ * @param {number|string} perCardSeconds - Per-card limit in seconds (blank or 0 for none)
+ * @returns {Object|null} { totalSeconds, perCardSeconds } (either may be null), or null if untimed
+ */
+export function normalizeTimeLimits(totalMinutes, perCardSeconds) {
+    const toLimit = (value, max) => {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number <= 0) return null;
+        return Math.min(number, max);
+    };
+
+    const minutes = toLimit(totalMinutes, MAX_TEST_MINUTES);
+    const seconds = toLimit(perCardSeconds, MAX_CARD_SECONDS);
+    if (minutes === null && seconds === null) return null;
+
+    return {
+        totalSeconds: minutes === null ? null : Math.round(minutes * 60),
+        perCardSeconds: seconds === null ? null : Math.round(seconds)
+    };
+}
+
+/**
+ * Summarises how long each card took
+ *
+ * @param {Object} cardTimes - Card ID → milliseconds spent on the card
+ * @param {number} slowestCount - How many of the slowest cards to return
+ * @returns {Object} { cardCount, totalMs, averageMs, slowest: [{ cardId, ms }] }
+ *
+ * @example
+ * summarizeCardTimes({ c1: 4000, c2: 12000, c3: 5000 }, 1)
+ * // { cardCount: 3, totalMs: 21000, averageMs: 7000, slowest: [{ cardId: 'c2', ms: 12000 }] }
+ */
+export function summarizeCardTimes(cardTimes, slowestCount = 3) {
+    const entries = Object.entries(cardTimes || {})
+        .map(([cardId, ms]) => ({ cardId, ms }))
+        .filter(entry => Number.isFinite(entry.ms) && entry.ms > 0);
+
+    const totalMs = entries.reduce((sum, entry) => sum + entry.ms, 0);
+
+    return {
+        cardCount: entries.length,
+        totalMs,
+        averageMs: entries.length > 0 ? Math.round(totalMs / entries.length) : 0,
+        slowest: [...entries].sort((a, b) => b.ms - a.ms).slice(0, slowestCount)
+    };
+}
+
+/**
+ * Formats a duration as m:ss (or h:mm:ss for an hour or more)
+ *
+ * @example
+ * formatDuration(65000) // '1:05'
+ */
+export function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.ceil((ms || 0) / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+        : `${minutes}:${seconds}`;
+}
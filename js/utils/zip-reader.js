@@ -0,0 +1,96 @@
+// js/utils/zip-reader.js
+// Minimal zip archive reader (stored and deflated entries, no zip64 or encryption)
+// Uses the browser's DecompressionStream so no library is needed
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Lists the files in a zip archive
+ *
+ * @param {Uint8Array} bytes - Archive contents
+ * @returns {Map<string, Object>} File name → { method, compressedSize, size, localHeaderOffset }
+ * @throws {Error} If the archive can't be read
+ */
+export function readZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end record is at most 22 + 65535 (comment) bytes from the end
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('Not a zip archive');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+
+    const decoder = new TextDecoder();
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error('Corrupt zip central directory');
+        }
+
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        entries.set(name, {
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            size: view.getUint32(offset + 24, true),
+            localHeaderOffset: view.getUint32(offset + 42, true)
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Extracts one file from a zip archive
+ *
+ * @param {Uint8Array} bytes - Archive contents
+ * @param {Object} entry - Entry from readZipEntries()
+ * @returns {Promise<Uint8Array>} Uncompressed file contents
+ */
+export async function extractZipEntry(bytes, entry) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const headerOffset = entry.localHeaderOffset;
+
+    if (view.getUint32(headerOffset, true) !== LOCAL_FILE_HEADER) {
+        throw new Error('Corrupt zip file header');
+    }
+
+    const nameLength = view.getUint16(headerOffset + 26, true);
+    const extraLength = view.getUint16(headerOffset + 28, true);
+    const dataOffset = headerOffset + 30 + nameLength + extraLength;
+    const data = bytes.subarray(dataOffset, dataOffset + entry.compressedSize);
+
+    if (entry.method === METHOD_STORED) {
+        return data.slice();
+    }
+
+    if (entry.method === METHOD_DEFLATED) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress zip files');
+        }
+        const stream = new Response(data).body.pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    throw new Error(`Unsupported zip compression method ${entry.method}`);
+}
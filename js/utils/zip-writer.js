@@ -0,0 +1,102 @@
+// js/utils/zip-writer.js
+// Minimal zip archive writer (stored entries, no compression), the counterpart of zip-reader.js
+// Used by: js/features/notes/markdown.js
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// File names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time, as zip stores them
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Packs text files into a zip archive
+ *
+ * @param {Array} files - [{ path, content }] - path may contain folders ("Waves/Stationary waves.md")
+ * @param {Date} date - Modification time for every file
+ * @returns {Uint8Array}
+ */
+export function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ path, content }) => {
+        const name = encoder.encode(path);
+        const data = encoder.encode(content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_FILE_HEADER, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, FLAG_UTF8, true);
+        local.setUint16(8, 0, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, CENTRAL_DIRECTORY_ENTRY, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, FLAG_UTF8, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
@@ -1,4 +1,4 @@
-const BUILD_TIMESTAMP = '20251202-002';
+const BUILD_TIMESTAMP = '20261019-025';
 const CACHE_NAME = `physics-audit-v${BUILD_TIMESTAMP}`;
 const APP_VERSION = BUILD_TIMESTAMP;
 
@@ -12,7 +12,9 @@ const CRITICAL_RESOURCES = [
     './js/template-loader.js',
     './js/data/index.js',
     './js/data/unified-csv-loader.js',
-    './resources/combined-data.json',
+    './js/data/specifications.js',
+    './js/data/manifest.js',
+    './resources/specifications.json',
 
     './js/core/app.js',
     './js/core/state.js',
@@ -21,16 +23,28 @@ const CRITICAL_RESOURCES = [
     './js/features/analytics/calculations.js',
     './js/features/analytics/charts.js',
     './js/features/analytics/insights.js',
+    './js/features/analytics/history.js',
     './js/features/revision/resources.js',
     './js/features/revision/view.js',
     './js/features/revision/index.js',
     './js/features/confidence/rating.js',
+    './js/features/confidence/suggestions.js',
+    './js/features/planner/index.js',
     './js/features/search/index.js',
     './js/features/navigation/index.js',
     './js/features/auth/index.js',
     './js/features/auth/guest.js',
     './js/features/auth/teams.js',
     './js/features/auth/data-management.js',
+    './js/features/flashcards/review.js',
+    './js/features/flashcards/history.js',
+    './js/features/flashcards/timing.js',
+    './js/features/flashcards/answer-modes.js',
+    './js/features/flashcards/card-types.js',
+    './js/features/flashcards/import-export.js',
+    './js/features/flashcards/starter-decks.js',
+    './js/features/notes/history.js',
+    './js/features/notes/markdown.js',
 
     './js/utils/csv-parser.js',
     './js/utils/csv-converter.js',
@@ -41,6 +55,31 @@ const CRITICAL_RESOURCES = [
     './js/utils/date.js',
     './js/utils/statistics.js',
     './js/utils/topic-lookup.js',
+    './js/utils/paper-options.js',
+    './js/utils/spaced-repetition.js',
+    './js/utils/card-history.js',
+    './js/utils/card-types.js',
+    './js/utils/answer-matching.js',
+    './js/utils/test-timing.js',
+    './js/utils/smart-test-sets.js',
+    './js/utils/revision-planner.js',
+    './js/utils/confidence-history.js',
+    './js/utils/confidence-timeline.js',
+    './js/utils/confidence-suggestions.js',
+    './js/utils/search-client.js',
+    './js/utils/search-worker.js',
+    './js/utils/search-store.js',
+    './js/utils/search-query.js',
+    './js/utils/resource-search.js',
+    './js/utils/physics-terms.js',
+    './js/utils/link-audit.js',
+    './js/utils/deck-formats.js',
+    './js/utils/starter-deck.js',
+    './js/utils/sqlite-reader.js',
+    './js/utils/zip-reader.js',
+    './js/utils/zip-writer.js',
+    './js/utils/note-history.js',
+    './js/utils/note-markdown.js',
 
     './templates/search-results.html',
     './templates/analytics-dashboard.html',
@@ -48,6 +87,8 @@ const CRITICAL_RESOURCES = [
     './templates/main-menu.html',
     './templates/section-cards.html',
     './templates/topic-detail.html',
+    './templates/revision-planner-modal.html',
+    './templates/flashcard-import-modal.html',
 
     './templates/sidebar.html',
     './templates/top-bar.html',
@@ -61,11 +102,46 @@ const CRITICAL_RESOURCES = [
     'https://cdn.jsdelivr.net/npm/dompurify@3.0.6/dist/purify.min.js'
 ];
 
+/**
+ * Lists each specification's content manifest, bundle and CSV files
+ * These come from the manifests (resources/manifest.json) so adding a CSV file doesn't mean editing this script.
+ */
+async function getContentResources() {
+    try {
+        const registry = await fetch('./resources/specifications.json').then(response => response.json());
+        const manifestPaths = [...new Set((registry.specifications || []).map(spec => spec.manifest).filter(Boolean))];
+
+        const paths = new Set();
+        await Promise.all(manifestPaths.map(async manifestPath => {
+            try {
+                const response = await fetch(`./${manifestPath}`);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const manifest = await response.json();
+
+                paths.add(manifestPath);
+                if (manifest.bundle) paths.add(manifest.bundle);
+                if (manifest.linkAudit) paths.add(manifest.linkAudit);
+                [...(manifest.subjects || []), manifest.groups, ...(manifest.resources || [])].forEach(entry => {
+                    if (entry?.path) paths.add(entry.path);
+                });
+            } catch (error) {
+                console.warn('SW: Could not read content manifest:', manifestPath, error.message);
+            }
+        }));
+
+        return [...paths].map(path => `./${path}`);
+    } catch (error) {
+        console.warn('SW: Could not read specification registry:', error.message);
+        return [];
+    }
+}
+
 self.addEventListener('install', event => {
     event.waitUntil(
         caches.open(CACHE_NAME)
-            .then(cache => {
-                const cachePromises = CRITICAL_RESOURCES.map(url =>
+            .then(async cache => {
+                const urls = [...CRITICAL_RESOURCES, ...await getContentResources()];
+                const cachePromises = urls.map(url =>
                     fetch(url)
                         .then(response => {
                             if (response.ok) {
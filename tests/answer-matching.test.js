@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+    normalizeUnit,
+    parseNumericAnswer,
+    checkTypedAnswer,
+    buildMultipleChoiceOptions
+} from '../js/utils/answer-matching.js';
+
+describe('Typed Answer Checking', () => {
+    it('should ignore case, punctuation and HTML in text answers', () => {
+        expect(checkTypedAnswer('the newton', '<b>Newton.</b>').correct).toBe(true);
+        expect(checkTypedAnswer('joule', 'Newton').correct).toBe(false);
+    });
+
+    it('should treat equivalent unit spellings as equal', () => {
+        expect(normalizeUnit('m s^-1')).toBe(normalizeUnit('m/s'));
+        expect(normalizeUnit('ms⁻²')).toBe(normalizeUnit('m/s^2'));
+        expect(normalizeUnit('Newtons')).toBe('n');
+    });
+
+    it('should write every spelling of a unit the same way', () => {
+        ['m s^-1', 'm s -1', 'm s-1', 'ms^-1', 'ms⁻¹', 'm/s', 'm / s', 'metres/second'].forEach(unit => {
+            expect(normalizeUnit(unit)).toBe('m/s');
+        });
+        ['kg m s^-2', 'kg m/s^2', 'm kg s⁻²'].forEach(unit => {
+            expect(normalizeUnit(unit)).toBe('kg m/s^2');
+        });
+        expect(normalizeUnit('J kg^-1 K^-1')).toBe(normalizeUnit('J/(kg K)'));
+        expect(normalizeUnit('kg m^-3')).toBe(normalizeUnit('kg/m^3'));
+        expect(normalizeUnit('s^-1')).toBe('1/s');
+        expect(normalizeUnit('ms')).toBe('ms');
+    });
+
+    it('should parse scientific notation', () => {
+        expect(parseNumericAnswer('1.6 x 10^-19 C').value).toBeCloseTo(1.6e-19);
+        expect(parseNumericAnswer('1.6e-19').value).toBeCloseTo(1.6e-19);
+        expect(parseNumericAnswer('Newton')).toBeNull();
+    });
+
+    it('should accept numeric answers within the tolerance', () => {
+        expect(checkTypedAnswer('9.8', '9.81 m s^-2', { tolerancePercent: 1 })).toEqual({ correct: true, reason: 'numeric' });
+        expect(checkTypedAnswer('9.0', '9.81 m s^-2', { tolerancePercent: 1 }).correct).toBe(false);
+    });
+
+    it('should reject numeric answers with the wrong unit', () => {
+        expect(checkTypedAnswer('9.81 N', '9.81 m/s^2')).toEqual({ correct: false, reason: 'unit' });
+        expect(checkTypedAnswer('9.81 m s⁻²', '9.81 m/s^2').correct).toBe(true);
+        expect(checkTypedAnswer('3.0 x 10^8 m s -1', '3.0 × 10⁸ m/s').correct).toBe(true);
+    });
+
+    it('should only match numerically when the number is followed by a unit', () => {
+        expect(checkTypedAnswer('2', '2 protons and 2 neutrons')).toEqual({ correct: false, reason: 'mismatch' });
+        expect(parseNumericAnswer('2 protons and 2 neutrons')).toBeNull();
+        expect(parseNumericAnswer('3.0 x 10^8 m s -1').unit).toBe('m/s');
+        expect(checkTypedAnswer('4.2', '4.2 kJ/mol').correct).toBe(true);
+        expect(checkTypedAnswer('1.5 MeV', '1.5 MeV').correct).toBe(true);
+    });
+});
+
+describe('Multiple Choice Options', () => {
+    it('should include the correct answer once with unique distractors', () => {
+        const options = buildMultipleChoiceOptions('Newton', [['Joule', 'joule', 'Watt', 'Newton'], ['Pascal']]);
+
+        expect(options).toHaveLength(4);
+        expect(options.filter(option => option.correct)).toHaveLength(1);
+        expect(new Set(options.map(option => option.text.toLowerCase())).size).toBe(4);
+    });
+
+    it('should prefer distractors from earlier candidate groups', () => {
+        const options = buildMultipleChoiceOptions('A', [['B', 'C', 'D'], ['E', 'F']]);
+        const texts = options.map(option => option.text);
+
+        expect(texts).not.toContain('E');
+        expect(texts).not.toContain('F');
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { buildCombinedData, validateCombinedData } from '../js/data/bundle-builder.js';
+
+const topic = (sectionId, topicId, sectionName) => ({
+    section_id: sectionId,
+    topic_id: topicId,
+    section_name: sectionName,
+    section_title: sectionName,
+    section_paper: 'Paper 1',
+    section_icon: 'waves',
+    revision_section_title: '',
+    topic_title: `Topic ${topicId}`,
+    topic_prompt: '',
+    learning_objectives: '',
+    examples: ''
+});
+
+function makeFiles({ subjects, groups, videos = [] }) {
+    return [
+        { kind: 'subject', path: 'waves.csv', rows: subjects },
+        { kind: 'groups', path: 'groups.csv', rows: groups },
+        { kind: 'resource', type: 'videos', path: 'videos.csv', rows: videos }
+    ];
+}
+
+const validFiles = makeFiles({
+    subjects: [topic('3.3.1', '3.3.1.1', 'waves'), topic('3.3.1', '3.3.1.2', 'waves')],
+    groups: [{ paper: 'Paper 1', order: '1', type: 'single', group_title: '', icon: '', section_name: 'waves' }],
+    videos: [{ section_id: '3.3.1', title: 'Progressive waves', url: 'https://example.com/waves' }]
+});
+
+describe('Combined Data Builder', () => {
+    it('should build the same bundle from the same files', () => {
+        const options = { sources: { 'waves.csv': 'abc' }, buildTime: '2026-01-01T00:00:00.000Z' };
+        const bundle = buildCombinedData(validFiles, options);
+
+        expect(Object.keys(bundle.specificationData)).toEqual(['waves']);
+        expect(bundle.revisionMappings.revisionMapping).toEqual({ '3.3.1': ['3.3.1.1', '3.3.1.2'] });
+        expect(bundle.resourceData.videos).toHaveLength(1);
+        expect(bundle.paperModeGroups['Paper 1']).toEqual([{ type: 'single', key: 'waves' }]);
+        expect(bundle.meta.sources).toEqual({ 'waves.csv': 'abc' });
+        expect(JSON.stringify(buildCombinedData(validFiles, options))).toBe(JSON.stringify(bundle));
+    });
+
+    it('should pass valid content', () => {
+        expect(validateCombinedData(validFiles, buildCombinedData(validFiles))).toEqual({ errors: [], warnings: [] });
+    });
+
+    it('should report duplicate topic IDs, orphan resources and broken groups', () => {
+        const files = makeFiles({
+            subjects: [topic('3.3.1', '3.3.1.1', 'waves'), topic('3.3.2', '3.3.1.1', 'refraction')],
+            groups: [
+                { paper: 'Paper 1', order: '1', type: 'single', section_name: 'waves' },
+                { paper: 'Paper 4', order: 'x', type: 'group', group_title: '', section_name: 'optics' }
+            ],
+            videos: [{ section_id: '3.3.9', title: 'Lenses', url: '' }]
+        });
+
+        const { errors, warnings } = validateCombinedData(files, buildCombinedData(files));
+
+        expect(errors).toEqual([
+            'waves.csv row 2: duplicate topic_id 3.3.1.1 (also in waves.csv)',
+            'videos.csv row 1: section_id 3.3.9 isn\'t used by any topic',
+            'videos.csv row 1: "Lenses" has no url',
+            'groups.csv row 2: unknown paper "Paper 4"',
+            'groups.csv row 2: group has no group_title',
+            'groups.csv row 2: order must be a whole number (not "x")',
+            'groups.csv row 2: section optics isn\'t in any subject CSV'
+        ]);
+        expect(warnings).toEqual(['Section refraction isn\'t in groups.csv, so it won\'t be shown']);
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ensureCardIds, generateCardKey } from '../js/utils/deduplication.js';
+import {
+    MAX_CARD_HISTORY,
+    appendCardAnswer,
+    summarizeCardHistory,
+    getCardDifficultyScore,
+    isLeechCard
+} from '../js/utils/card-history.js';
+import { flashcardTestMethods } from '../js/features/flashcards/test.js';
+import { flashcardHistoryMethods } from '../js/features/flashcards/history.js';
+import { flashcardTimingMethods } from '../js/features/flashcards/timing.js';
+import { flashcardAnswerModeMethods } from '../js/features/flashcards/answer-modes.js';
+
+const logOf = (...results) => results.map((result, i) => ({ result, timestamp: `2026-01-0${i + 1}T10:00:00.000Z` }));
+
+describe('Card Identity', () => {
+    it('should seed missing IDs from the card content key', () => {
+        const cards = [{ front: 'Unit of force', back: 'Newton' }];
+
+        expect(ensureCardIds('deck1', cards)).toBe(true);
+        expect(cards[0].id).toBe(generateCardKey('deck1', { front: 'Unit of force', back: 'Newton' }));
+    });
+
+    it('should keep existing IDs when card content changes', () => {
+        const cards = [{ id: 'deck1-card-1', front: 'Edited', back: 'Text' }];
+
+        expect(ensureCardIds('deck1', cards)).toBe(false);
+        expect(cards[0].id).toBe('deck1-card-1');
+    });
+
+    it('should give identical cards distinct IDs', () => {
+        const cards = [{ front: 'Q', back: 'A' }, { front: 'Q', back: 'A' }];
+        ensureCardIds('deck1', cards);
+
+        expect(cards[0].id).not.toBe(cards[1].id);
+    });
+});
+
+describe('Card Answer History', () => {
+    it('should cap the log at the maximum size, keeping the newest answers', () => {
+        let log = [];
+        for (let i = 0; i < MAX_CARD_HISTORY + 5; i++) {
+            log = appendCardAnswer(log, i % 2 ? 'correct' : 'incorrect', `t${i}`);
+        }
+
+        expect(log).toHaveLength(MAX_CARD_HISTORY);
+        expect(log[log.length - 1].timestamp).toBe(`t${MAX_CARD_HISTORY + 4}`);
+    });
+
+    it('should summarise misses in the recent window', () => {
+        const summary = summarizeCardHistory(logOf('correct', 'incorrect', 'incorrect', 'correct', 'incorrect', 'incorrect'), 5);
+
+        expect(summary.attempts).toBe(6);
+        expect(summary.missed).toBe(4);
+        expect(summary.recentAttempts).toBe(5);
+        expect(summary.recentMissed).toBe(4);
+    });
+
+    it('should weight recent answers more heavily when scoring difficulty', () => {
+        const improving = getCardDifficultyScore(logOf('incorrect', 'incorrect', 'correct', 'correct'));
+        const worsening = getCardDifficultyScore(logOf('correct', 'correct', 'incorrect', 'incorrect'));
+
+        expect(getCardDifficultyScore([])).toBeNull();
+        expect(worsening).toBeGreaterThan(improving);
+    });
+
+    it('should flag cards missed repeatedly as leeches', () => {
+        expect(isLeechCard(logOf('incorrect', 'incorrect', 'correct', 'incorrect', 'incorrect'))).toBe(true);
+        expect(isLeechCard(logOf('incorrect', 'correct', 'correct', 'incorrect'))).toBe(false);
+    });
+});
+
+describe('Recording Test Answers', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    const createTest = () => ({
+        ...flashcardTestMethods,
+        ...flashcardHistoryMethods,
+        ...flashcardTimingMethods,
+        ...flashcardAnswerModeMethods,
+        testFlashcards: [
+            { id: 'c1', front: 'Unit of force', back: 'Newton', deckId: 'deck1' },
+            { id: 'c2', front: 'Unit of energy', back: 'Joule', deckId: 'deck1' },
+            { id: 'c3', front: 'Unit of power', back: 'Watt', deckId: 'deck1' }
+        ],
+        currentTestCardIndex: 0,
+        testAnswers: {},
+        testAnswerFeedback: {},
+        testCardTimes: {},
+        flashcardCardHistory: {},
+        saveFlashcardCardHistory: vi.fn()
+    });
+
+    it('should record answers against the right cards after a mid-test shuffle', () => {
+        const test = createTest();
+        test.testAnswers[0] = 'incorrect';
+        test.testAnswerFeedback[0] = { correct: false, reason: 'mismatch' };
+
+        // With Math.random() at 0 the cards end up as c2, c3, c1
+        vi.spyOn(Math, 'random').mockReturnValue(0);
+        test.shuffleTestCards();
+        expect(test.testFlashcards.map(card => card.id)).toEqual(['c2', 'c3', 'c1']);
+        expect(test.testAnswers).toEqual({ 2: 'incorrect' });
+        expect(test.testAnswerFeedback[2]).toMatchObject({ reason: 'mismatch' });
+
+        test.testAnswers[0] = 'correct';
+        test.recordTestAnswersToHistory('2026-01-05T10:00:00.000Z');
+
+        expect(test.flashcardCardHistory.c1.map(entry => entry.result)).toEqual(['incorrect']);
+        expect(test.flashcardCardHistory.c2.map(entry => entry.result)).toEqual(['correct']);
+        expect(test.flashcardCardHistory.c3).toBeUndefined();
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import {
+    getCardType,
+    getClozeNumbers,
+    renderCloze,
+    getClozeAnswer,
+    expandCard,
+    getCardPromptIds,
+    getCardSearchText,
+    isSafeImageSource
+} from '../js/utils/card-types.js';
+
+const clozeCard = { id: 'deck1-card-1', type: 'cloze', front: 'The unit of {{c1::force}} is the {{c2::newton::N...}}', back: '' };
+
+const occlusionCard = {
+    id: 'deck1-card-2',
+    type: 'occlusion',
+    front: 'Name the component',
+    back: '',
+    image: 'data:image/png;base64,iVBORw0KGgo=',
+    masks: [
+        { id: 1, x: 10, y: 10, width: 20, height: 20, label: 'Ammeter' },
+        { id: 2, x: 50, y: 50, width: 20, height: 20, label: 'Voltmeter' }
+    ]
+};
+
+describe('Card Types', () => {
+    it('should treat cards without a type as basic', () => {
+        expect(getCardType({ front: 'Q', back: 'A' })).toBe('basic');
+        expect(getCardType(clozeCard)).toBe('cloze');
+    });
+
+    it('should find cloze numbers and answers', () => {
+        expect(getClozeNumbers(clozeCard.front)).toEqual([1, 2]);
+        expect(getClozeAnswer(clozeCard.front, 2)).toBe('newton');
+    });
+
+    it('should blank only the active deletion and show hints', () => {
+        const prompt = renderCloze(clozeCard.front, 2, false);
+
+        expect(prompt).toContain('force');
+        expect(prompt).toContain('[N...]');
+        expect(prompt).not.toContain('newton');
+        expect(renderCloze(clozeCard.front, 2, true)).toContain('<span class="cloze-answer">newton</span>');
+    });
+
+    it('should expand a cloze card into one prompt per deletion', () => {
+        const prompts = expandCard(clozeCard, clozeCard.id);
+
+        expect(prompts.map(prompt => prompt.id)).toEqual(['deck1-card-1::c1', 'deck1-card-1::c2']);
+        expect(prompts[0].answer).toBe('force');
+        expect(prompts[0].parentCardId).toBe('deck1-card-1');
+    });
+
+    it('should expand an occlusion card into one prompt per mask', () => {
+        const prompts = expandCard(occlusionCard, occlusionCard.id);
+
+        expect(prompts).toHaveLength(2);
+        expect(prompts[1].activeMaskId).toBe(2);
+        expect(prompts[1].answer).toBe('Voltmeter');
+        expect(getCardPromptIds(occlusionCard, occlusionCard.id)).toEqual(prompts.map(prompt => prompt.id));
+    });
+
+    it('should leave basic cards and already-expanded prompts unchanged', () => {
+        const basic = { id: 'deck1-card-3', front: 'Q', back: 'A' };
+        const [prompt] = expandCard(clozeCard, clozeCard.id);
+
+        expect(expandCard(basic, basic.id)).toEqual([basic]);
+        expect(expandCard(prompt, prompt.id)).toEqual([prompt]);
+    });
+
+    it('should index cloze text without markup and occlusion labels', () => {
+        expect(getCardSearchText(clozeCard)).toContain('The unit of force is the newton');
+        expect(getCardSearchText(occlusionCard)).toContain('Ammeter');
+    });
+
+    it('should only accept inline image sources', () => {
+        expect(isSafeImageSource(occlusionCard.image)).toBe(true);
+        expect(isSafeImageSource('javascript:alert(1)')).toBe(false);
+        expect(isSafeImageSource('https://example.com/a.png')).toBe(false);
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { compactConfidenceHistory } from '../js/utils/confidence-history.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+
+const change = (topicId, daysAgo, oldLevel, newLevel, extra = {}) => ({
+    topicId,
+    oldLevel,
+    newLevel,
+    timestamp: new Date(NOW - daysAgo * DAY_MS).toISOString(),
+    ...extra
+});
+
+describe('Confidence History Compaction', () => {
+    it('should keep changes from the last 30 days as they are, newest first', () => {
+        const history = [change('3.1.1', 10, 0, 2), change('3.1.1', 2, 2, 3)];
+        const compacted = compactConfidenceHistory(history, NOW);
+        expect(compacted).toEqual([history[1], history[0]]);
+    });
+
+    it('should roll older changes up to one entry per topic per day', () => {
+        const history = [
+            change('3.1.1', 60, 1, 2),
+            change('3.1.1', 60, 2, 3, { source: 'flashcards' }),
+            change('3.2.1', 60, 0, 4)
+        ];
+        const compacted = compactConfidenceHistory(history, NOW);
+        expect(compacted).toHaveLength(2);
+
+        const topic = compacted.find(entry => entry.topicId === '3.1.1');
+        expect(topic).toMatchObject({ oldLevel: 1, newLevel: 3, rollup: 'daily', changeCount: 2, source: 'mixed' });
+    });
+
+    it('should roll changes older than a year up to one entry per topic per week', () => {
+        // 2024-04-01 is a Monday; these days are all in that week
+        const monday = Date.parse('2024-04-01T09:00:00Z');
+        const daysAgo = offset => (NOW - monday) / DAY_MS - offset;
+        const history = [
+            change('3.1.1', daysAgo(0), 0, 1),
+            change('3.1.1', daysAgo(2), 1, 2),
+            change('3.1.1', daysAgo(6), 2, 4),
+            change('3.1.1', daysAgo(7), 4, 5)
+        ];
+        const compacted = compactConfidenceHistory(history, NOW);
+        expect(compacted.map(entry => [entry.oldLevel, entry.newLevel, entry.changeCount, entry.rollup])).toEqual([
+            [4, 5, 1, 'weekly'],
+            [0, 4, 3, 'weekly']
+        ]);
+    });
+
+    it('should give the same result when run again', () => {
+        const history = [
+            change('3.1.1', 400, 0, 1),
+            change('3.1.1', 400, 1, 2),
+            change('3.1.1', 45, 2, 3),
+            change('3.1.1', 45, 3, 4),
+            change('3.1.1', 1, 4, 5)
+        ];
+        const once = compactConfidenceHistory(history, NOW);
+        expect(compactConfidenceHistory(once, NOW)).toEqual(once);
+        expect(once.reduce((sum, entry) => sum + (entry.changeCount || 1), 0)).toBe(5);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { getSuggestedLevel, summarizeTopicAnswers, buildConfidenceSuggestion } from '../js/utils/confidence-suggestions.js';
+import { confidenceSuggestionMethods } from '../js/features/confidence/suggestions.js';
+import { flashcardTestMethods } from '../js/features/flashcards/test.js';
+import { flashcardAnswerModeMethods } from '../js/features/flashcards/answer-modes.js';
+
+const session = (day, results) => results.map(result => ({ result, timestamp: `2025-05-0${day}T10:00:00.000Z` }));
+
+describe('Confidence Suggestions', () => {
+    it('should map % correct to a confidence level', () => {
+        expect(getSuggestedLevel(95)).toBe(5);
+        expect(getSuggestedLevel(82)).toBe(4);
+        expect(getSuggestedLevel(55)).toBe(3);
+        expect(getSuggestedLevel(40)).toBe(2);
+        expect(getSuggestedLevel(10)).toBe(1);
+    });
+
+    it('should count each distinct timestamp as a session and keep only recent sessions', () => {
+        const answers = [
+            ...session(1, ['incorrect', 'incorrect']),
+            ...session(2, ['correct', 'correct']),
+            ...session(3, ['correct', 'incorrect'])
+        ];
+        expect(summarizeTopicAnswers(answers)).toEqual({ correct: 3, total: 6, percent: 50, sessions: 3 });
+        expect(summarizeTopicAnswers(answers, 2)).toEqual({ correct: 3, total: 4, percent: 75, sessions: 2 });
+    });
+
+    it('should suggest a level with an explanation', () => {
+        const answers = [
+            ...session(1, ['correct', 'correct', 'incorrect', 'correct']),
+            ...session(2, ['correct', 'correct', 'correct']),
+            ...session(3, ['correct', 'correct', 'incorrect', 'correct'])
+        ];
+        expect(buildConfidenceSuggestion(answers, 2)).toEqual({
+            level: 4,
+            percent: 82,
+            total: 11,
+            sessions: 3,
+            explanation: '82% correct over 3 sessions'
+        });
+    });
+
+    it('should not suggest with too few answers or when the level already matches', () => {
+        expect(buildConfidenceSuggestion(session(1, ['correct', 'correct']), 0)).toBeNull();
+        expect(buildConfidenceSuggestion(session(1, ['correct', 'correct', 'correct', 'correct', 'correct']), 5)).toBeNull();
+    });
+});
+
+describe('Test Confidence Suggestions', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    const deck = (id, topicId) => ({
+        id,
+        name: id,
+        tags: [topicId],
+        cards: Array.from({ length: 5 }, (_, i) => ({ id: `${id}-${i}`, front: `${id} ${i}`, back: 'answer' }))
+    });
+
+    it('should count answers against the topics of the cards answered, after a shuffle', () => {
+        const decks = { waves: deck('waves', '3.3.1.1'), fields: deck('fields', '3.7.2.1') };
+        const app = {
+            ...confidenceSuggestionMethods,
+            ...flashcardTestMethods,
+            ...flashcardAnswerModeMethods,
+            flashcardDecks: decks,
+            topicLookup: { '3.3.1.1': { topicTitle: 'Progressive waves' }, '3.7.2.1': { topicTitle: 'Newton\'s law' } },
+            confidenceLevels: {},
+            getCardHistory: () => [],
+            testFlashcards: Object.values(decks).flatMap(d => d.cards.map(card => ({ ...card, deckId: d.id }))),
+            testAnswers: {},
+            testAnswerFeedback: {}
+        };
+
+        // Every waves card right, then shuffle before answering the fields cards wrong
+        app.testFlashcards.forEach((card, index) => {
+            if (card.deckId === 'waves') app.testAnswers[index] = 'correct';
+        });
+        vi.spyOn(Math, 'random').mockReturnValue(0.3);
+        app.shuffleTestCards();
+        app.testFlashcards.forEach((card, index) => {
+            if (card.deckId === 'fields') app.testAnswers[index] = 'incorrect';
+        });
+
+        const levels = Object.fromEntries(app.buildTestConfidenceSuggestions().map(suggestion => [suggestion.topicId, suggestion.level]));
+        expect(levels).toEqual({ '3.3.1.1': 5, '3.7.2.1': 1 });
+    });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { getWeekStart, buildConfidenceTimeline, averageTimelineSeries, getSparklinePoints } from '../js/utils/confidence-timeline.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Monday 3 March 2025
+const MONDAY = Date.parse('2025-03-03T00:00:00Z');
+
+const change = (topicId, day, oldLevel, newLevel) => ({
+    topicId,
+    oldLevel,
+    newLevel,
+    timestamp: new Date(MONDAY + day * DAY_MS + 10 * 60 * 60 * 1000).toISOString()
+});
+
+describe('Confidence Timeline', () => {
+    it('should find the Monday of a week', () => {
+        expect(getWeekStart(MONDAY + 4 * DAY_MS)).toBe(MONDAY);
+        expect(getWeekStart(MONDAY - DAY_MS)).toBe(MONDAY - 7 * DAY_MS);
+    });
+
+    it('should rebuild weekly levels backwards from the current levels', () => {
+        const history = [change('a', 1, 0, 2), change('a', 9, 2, 4), change('b', 15, 3, 1)];
+        const timeline = buildConfidenceTimeline(history, { a: 4, b: 1 }, ['a', 'b'], {
+            from: MONDAY,
+            to: MONDAY + 20 * DAY_MS
+        });
+
+        expect(timeline.labels).toEqual(['2025-03-03', '2025-03-10', '2025-03-17']);
+        expect(timeline.series.a).toEqual([2, 4, 4]);
+        // 'b' was rated 3 before the history began
+        expect(timeline.series.b).toEqual([3, 3, 1]);
+    });
+
+    it('should average rated topics per week', () => {
+        const timeline = { labels: ['w1', 'w2'], series: { a: [0, 2], b: [0, 5] } };
+        expect(averageTimelineSeries(timeline, ['a', 'b'])).toEqual([null, 3.5]);
+    });
+
+    it('should build sparkline points', () => {
+        expect(getSparklinePoints([1, 3, 5], 60, 20)).toBe('0,16 30,8 60,0');
+        expect(getSparklinePoints([], 60, 20)).toBe('');
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { getSectionIds, lintResourceCSV, summarizeLintIssues, formatLintReport } from '../js/utils/content-linter.js';
+
+const sectionIds = getSectionIds([{ section_id: '3.1.1' }, { section_id: '3.1.2 ' }, { section_id: '' }]);
+
+const rules = issues => issues.map(item => `${item.line} ${item.severity} ${item.rule}`);
+
+describe('Content Linter', () => {
+    it('should collect the section IDs used by topics', () => {
+        expect([...sectionIds]).toEqual(['3.1.1', '3.1.2']);
+    });
+
+    it('should pass a clean file', () => {
+        const csv = 'section_id,title,description,url,duration,difficulty,provider\n' +
+            '3.1.1,SI Units,Intro,https://example.com/si,5:00,Foundation,YouTube\n';
+
+        expect(lintResourceCSV(csv, { path: 'videos.csv', type: 'videos', sectionIds })).toEqual([]);
+    });
+
+    it('should report header problems and empty columns on line 1', () => {
+        const csv = '\uFEFFsection_id,title,url,pages,difficulty  ,rating\r\n' +
+            '3.1.1,SI Units,https://example.com/si,,,5\r\n';
+
+        expect(rules(lintResourceCSV(csv, { path: 'notes.csv', type: 'notes', sectionIds }))).toEqual([
+            '1 warning bom',
+            '1 warning header-whitespace',
+            '1 warning unknown-column',
+            '1 warning empty-column',
+            '1 warning empty-column'
+        ]);
+    });
+
+    it('should report row problems with their line numbers', () => {
+        const csv = 'section_id,title,url,has_answers\n' +
+            '3.1.1,3.1.1 SI Units,https://example.com/si,Yes\n' +
+            '\n' +
+            '3.9.9,Prefixes,https://example.com/si,TRUE\n' +
+            '3.1.2,,not a link,\n' +
+            '3.1.2,Errors,http://example.com/errors,FALSE\n';
+
+        const issues = lintResourceCSV(csv, { path: 'questions.csv', type: 'questions', sectionIds });
+
+        expect(rules(issues)).toEqual([
+            '2 warning title-section-number',
+            '2 warning boolean-value',
+            '4 error unknown-section',
+            '4 warning duplicate-url',
+            '5 error required-field',
+            '5 error url-format',
+            '6 warning url-format',
+            '5 info blank-field'
+        ]);
+        expect(issues.find(item => item.rule === 'duplicate-url').message).toContain('Same url as line 2');
+        expect(summarizeLintIssues(issues)).toEqual({ error: 3, warning: 4, info: 1 });
+    });
+
+    it('should flag HTML in revision notes that could run script', () => {
+        const csv = 'section_id,title,notes_html\n' +
+            '3.1.1,SI Units,"<p>Base units</p><img src=x onerror=alert(1)>"\n' +
+            '3.1.2,Errors,<script>alert(1)</script>\n';
+
+        const issues = lintResourceCSV(csv, { path: 'revisionsections.csv', type: 'revisionsections', sectionIds })
+            .filter(item => item.rule === 'suspicious-html');
+
+        expect(issues.map(item => `${item.line} ${item.message}`)).toEqual([
+            '2 notes_html contains an inline event handler (on...=)',
+            '3 notes_html contains a <script> tag'
+        ]);
+    });
+
+    it('should format a report sorted by file and line', () => {
+        const report = formatLintReport([
+            { path: 'videos.csv', line: 4, severity: 'error', rule: 'url-format', message: 'Bad url' },
+            { path: 'notes.csv', line: 1, severity: 'warning', rule: 'bom', message: 'BOM' }
+        ]);
+
+        expect(report).toBe('notes.csv:1 warning [bom] BOM\nvideos.csv:4 error [url-format] Bad url');
+    });
+});
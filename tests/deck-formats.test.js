@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import {
+    parseAnkiPackage,
+    parseDelimitedText,
+    rowsToCards,
+    serializeDeckAsCsv,
+    serializeDeckAsText
+} from '../js/utils/deck-formats.js';
+import { readVarint, parseCreateTableColumns } from '../js/utils/sqlite-reader.js';
+
+const loadFixture = name => new Uint8Array(readFileSync(resolve(__dirname, 'fixtures', name)));
+
+describe('Deck Formats', () => {
+    describe('parseAnkiPackage', () => {
+        it('should read decks, cards and tags from an .apkg file', async () => {
+            const decks = await parseAnkiPackage(loadFixture('anki-sample.apkg'));
+            const forces = decks.find(deck => deck.name === 'Physics::Forces');
+
+            expect(forces.cards).toHaveLength(2);
+            expect(forces.cards[0]).toEqual({ type: 'basic', front: 'Unit of force', back: 'newton' });
+            expect(forces.cards[1].type).toBe('cloze');
+            expect(forces.sourceTags).toEqual(['3.4.1.1', 'forces']);
+        });
+
+        it('should reassemble fields stored on overflow pages and skip empty notes', async () => {
+            const decks = await parseAnkiPackage(loadFixture('anki-sample.apkg'));
+            const fallback = decks.find(deck => deck.name === 'Default');
+
+            expect(fallback.cards).toHaveLength(1);
+            expect(fallback.cards[0].back).toBe('x'.repeat(3000));
+        });
+
+        it('should reject files that are not zip archives', async () => {
+            await expect(parseAnkiPackage(new TextEncoder().encode('front,back'))).rejects.toThrow('Not a zip archive');
+        });
+    });
+
+    describe('SQLite reader', () => {
+        it('should decode multi-byte varints', () => {
+            expect(readVarint(new Uint8Array([0x81, 0x00]), 0)).toEqual({ value: 128, length: 2 });
+        });
+
+        it('should find the rowid alias column', () => {
+            const { columns, rowidColumn } = parseCreateTableColumns('CREATE TABLE notes (id integer primary key, flds text not null, price DECIMAL(10,2))');
+            expect(columns).toEqual(['id', 'flds', 'price']);
+            expect(rowidColumn).toBe(0);
+        });
+    });
+
+    describe('parseDelimitedText', () => {
+        it('should detect tab-separated Quizlet exports', () => {
+            const parsed = parseDelimitedText('Newton\tUnit of force\nJoule\tUnit of energy');
+            expect(parsed.delimiter).toBe('\t');
+            expect(parsed.rows).toEqual([['Newton', 'Unit of force'], ['Joule', 'Unit of energy']]);
+        });
+
+        it('should handle quoted CSV fields and Anki file headers', () => {
+            const parsed = parseDelimitedText('#separator:Comma\n#html:true\n#deck:Waves\n#tags column:3\n"a, b","say ""hi""\nthere",3.3.1.1\n');
+            expect(parsed.deckName).toBe('Waves');
+            expect(parsed.isHTML).toBe(true);
+            expect(parsed.tagsColumn).toBe(2);
+            expect(parsed.rows).toEqual([['a, b', 'say "hi"\nthere', '3.3.1.1']]);
+        });
+    });
+
+    describe('rowsToCards', () => {
+        it('should map columns, skip the header row and escape plain text', () => {
+            const rows = [['Term', 'Definition'], ['F < ma?', 'No\nF = ma']];
+            const { cards } = rowsToCards(rows, { frontColumn: 0, backColumn: 1, hasHeader: true });
+            expect(cards).toEqual([{ type: 'basic', front: 'F &lt; ma?', back: 'No<br>F = ma' }]);
+        });
+
+        it('should keep cloze cards without a back and drop incomplete basic cards', () => {
+            const { cards } = rowsToCards([['{{c1::Newton}} is the unit'], ['Front only']]);
+            expect(cards).toHaveLength(1);
+            expect(cards[0].type).toBe('cloze');
+        });
+    });
+
+    describe('Deck serialisation', () => {
+        const deck = {
+            name: 'Forces',
+            tags: ['3.4.1.1'],
+            cards: [
+                { type: 'basic', front: 'Unit of <b>force</b>, in SI', back: 'newton' },
+                { type: 'cloze', front: '{{c1::Force}} = mass x {{c2::acceleration}}', back: '' },
+                { type: 'occlusion', front: 'Label', back: '', image: 'data:image/png;base64,AA==', masks: [{ id: 1 }] }
+            ]
+        };
+
+        it('should write CSV that parses back to the same cards', () => {
+            const { content, skipped } = serializeDeckAsCsv(deck);
+            const parsed = parseDelimitedText(content);
+
+            expect(skipped).toBe(1);
+            expect(parsed.deckName).toBe('Forces');
+            const { cards, sourceTags } = rowsToCards(parsed.rows, { isHTML: parsed.isHTML, tagsColumn: parsed.tagsColumn });
+            expect(cards.map(card => card.front)).toEqual([deck.cards[0].front, deck.cards[1].front]);
+            expect(sourceTags).toEqual(['3.4.1.1']);
+        });
+
+        it('should write one plain-text line per cloze deletion', () => {
+            const { content, skipped } = serializeDeckAsText(deck);
+            const lines = content.trim().split('\n');
+
+            expect(skipped).toBe(1);
+            expect(lines).toHaveLength(3);
+            expect(lines[1]).toBe('[...] = mass x acceleration\tForce');
+        });
+    });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { loadAllCSVResources, getAllResources } from '../js/data/unified-csv-loader.js';
+import { collectResourceLinks, checkLink, auditLinks, getLinkHealth } from '../js/utils/link-audit.js';
+
+// Stand-in for fetch: local paths return file contents, web links return the listed response
+function createFetcher(files, sites) {
+    const requests = [];
+    const fetcher = async (url, options = {}) => {
+        requests.push(`${options.method || 'GET'} ${url}`);
+        if (url in files) {
+            return { ok: true, status: 200, arrayBuffer: async () => new TextEncoder().encode(files[url]) };
+        }
+        const site = sites[url];
+        if (!site) throw Object.assign(new TypeError('fetch failed'), { cause: { code: 'ENOTFOUND' } });
+        if (site instanceof Error) throw site;
+        const status = site[options.method] || site.status;
+        return { status, headers: new Map(site.location ? [['location', site.location]] : []) };
+    };
+    return { fetcher, requests };
+}
+
+const manifest = {
+    version: 1,
+    subjects: [{ path: 'resources/subject-cards/measurements.csv' }],
+    groups: { path: 'resources/groups.csv' },
+    resources: [
+        { type: 'videos', path: 'resources/revision/videos.csv' },
+        { type: 'questions', path: 'resources/revision/questions.csv' }
+    ]
+};
+
+const files = {
+    './resources/revision/videos.csv': 'section_id,title,url\n' +
+        '3.1.1,SI Units,https://example.com/si\n' +
+        '3.1.2,Errors,https://example.com/old-errors\n',
+    './resources/revision/questions.csv': 'section_id,title,url\n' +
+        '3.1.1,SI Units questions,https://example.com/si\n' +
+        '3.1.2,Errors questions,https://gone.example.com/errors.pdf\n'
+};
+
+describe('Link Audit', () => {
+    it('should collect each link from loadAllCSVResources once, with where it is used', async () => {
+        const { fetcher } = createFetcher(files, {});
+        await loadAllCSVResources(manifest, fetcher);
+
+        expect(collectResourceLinks(getAllResources())).toEqual([
+            { url: 'https://example.com/si', usedBy: [{ type: 'videos', sectionId: '3.1.1' }, { type: 'questions', sectionId: '3.1.1' }] },
+            { url: 'https://example.com/old-errors', usedBy: [{ type: 'videos', sectionId: '3.1.2' }] },
+            { url: 'https://gone.example.com/errors.pdf', usedBy: [{ type: 'questions', sectionId: '3.1.2' }] }
+        ]);
+    });
+
+    it('should follow redirects and record each hop', async () => {
+        const { fetcher } = createFetcher({}, {
+            'https://example.com/old': { status: 301, location: '/new' },
+            'https://example.com/new': { status: 302, location: 'https://www.example.com/new' },
+            'https://www.example.com/new': { status: 200 }
+        });
+
+        expect(await checkLink('https://example.com/old', fetcher)).toEqual({
+            state: 'redirected',
+            status: 200,
+            redirects: [{ status: 301, url: 'https://example.com/new' }, { status: 302, url: 'https://www.example.com/new' }],
+            finalUrl: 'https://www.example.com/new',
+            error: null
+        });
+    });
+
+    it('should retry with GET when a server rejects HEAD', async () => {
+        const { fetcher, requests } = createFetcher({}, { 'https://example.com/pdf': { HEAD: 405, GET: 200 } });
+
+        expect((await checkLink('https://example.com/pdf', fetcher)).state).toBe('ok');
+        expect(requests).toEqual(['HEAD https://example.com/pdf', 'GET https://example.com/pdf']);
+    });
+
+    it('should tell broken links from unreachable and blocked ones', async () => {
+        const timeout = Object.assign(new Error('aborted'), { name: 'AbortError' });
+        const { fetcher } = createFetcher({}, {
+            'https://example.com/missing': { status: 404 },
+            'https://example.com/down': { status: 503 },
+            'https://example.com/slow': timeout,
+            'https://example.com/members': { status: 403 },
+            'https://example.com/loop': { status: 302, location: 'https://example.com/loop' }
+        });
+        const check = async url => {
+            const { state, status, error } = await checkLink(url, fetcher, { timeoutMs: 50 });
+            return { state, status, error };
+        };
+
+        expect(await check('https://example.com/missing')).toEqual({ state: 'broken', status: 404, error: null });
+        expect(await check('https://gone.example.com/')).toEqual({ state: 'broken', status: null, error: 'fetch failed (ENOTFOUND)' });
+        expect(await check('https://example.com/down')).toEqual({ state: 'unreachable', status: 503, error: null });
+        expect(await check('https://example.com/slow')).toEqual({ state: 'unreachable', status: null, error: 'Timed out after 50 ms' });
+        expect(await check('https://example.com/members')).toEqual({ state: 'blocked', status: 403, error: null });
+        expect(await check('https://example.com/loop')).toEqual({ state: 'broken', status: 302, error: 'More than 5 redirects' });
+    });
+
+    it('should build a report that keeps when each link last worked', async () => {
+        const { fetcher } = createFetcher(files, {
+            'https://example.com/si': { status: 200 },
+            'https://example.com/old-errors': { status: 301, location: 'https://example.com/errors' },
+            'https://example.com/errors': { status: 200 }
+        });
+        await loadAllCSVResources(manifest, fetcher);
+        const previous = { links: { 'https://gone.example.com/errors.pdf': { lastOk: '2026-01-05T09:00:00.000Z' } } };
+
+        const report = await auditLinks(collectResourceLinks(getAllResources()), fetcher, {
+            now: new Date('2026-03-01T12:00:00Z'),
+            previous,
+            concurrency: 2
+        });
+
+        expect(report.checkedAt).toBe('2026-03-01T12:00:00.000Z');
+        expect(report.summary).toEqual({ ok: 1, redirected: 1, broken: 1, unreachable: 0, blocked: 0 });
+        expect(Object.keys(report.links)).toEqual([
+            'https://example.com/si',
+            'https://example.com/old-errors',
+            'https://gone.example.com/errors.pdf'
+        ]);
+        expect(getLinkHealth(report, 'https://example.com/si').lastOk).toBe('2026-03-01T12:00:00.000Z');
+        expect(getLinkHealth(report, 'https://gone.example.com/errors.pdf')).toEqual({
+            state: 'broken',
+            status: null,
+            error: 'fetch failed (ENOTFOUND)',
+            lastChecked: '2026-03-01T12:00:00.000Z',
+            lastOk: '2026-01-05T09:00:00.000Z'
+        });
+        expect(getLinkHealth(report, 'https://example.com/not-listed')).toBeNull();
+        expect(getLinkHealth(null, 'https://example.com/si')).toBeNull();
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+    validateManifest,
+    getManifestFiles,
+    readManifestFile,
+    getStaleBundleFiles,
+    sha256Hex
+} from '../js/data/manifest.js';
+
+const manifest = {
+    version: 1,
+    bundle: 'resources/combined-data.json',
+    subjects: [{ path: 'resources/subject-cards/waves.csv', sha256: 'aaa' }],
+    groups: { path: 'resources/groups.csv', sha256: 'bbb' },
+    resources: [{ type: 'videos', path: 'resources/revision/videos.csv', sha256: 'ccc' }]
+};
+
+const encode = text => new TextEncoder().encode(text);
+
+describe('Content Manifest', () => {
+    it('should accept a complete manifest and list its files', () => {
+        expect(validateManifest(manifest)).toEqual([]);
+        expect(getManifestFiles(manifest).map(file => `${file.kind}:${file.path}`)).toEqual([
+            'subject:resources/subject-cards/waves.csv',
+            'groups:resources/groups.csv',
+            'resource:resources/revision/videos.csv'
+        ]);
+    });
+
+    it('should report missing paths, unknown resource types and duplicates', () => {
+        const errors = validateManifest({
+            ...manifest,
+            subjects: [...manifest.subjects, { path: 'resources/subject-cards/waves.csv' }, {}],
+            resources: [{ type: 'podcasts', path: 'resources/revision/podcasts.csv' }]
+        });
+
+        expect(errors).toEqual([
+            'subjects[2] has no path',
+            'resources/revision/podcasts.csv: unknown resource type "podcasts"',
+            'resources/subject-cards/waves.csv is listed more than once'
+        ]);
+        expect(validateManifest({ version: 1 })).toContain('groups must have a path');
+    });
+
+    it('should warn when a file has changed since its hash was recorded', async () => {
+        const csv = 'section_id,title\n1,Wave speed\n';
+        const file = { kind: 'resource', path: 'resources/revision/videos.csv', sha256: await sha256Hex(csv) };
+
+        const unchanged = await readManifestFile(file, encode(csv));
+        expect(unchanged.rows).toHaveLength(1);
+        expect(unchanged.warnings).toEqual([]);
+
+        const edited = await readManifestFile(file, encode(csv + '2,Standing waves\n'));
+        expect(edited.rows).toHaveLength(2);
+        expect(edited.warnings[0]).toContain('has changed since the manifest was updated');
+    });
+
+    it('should reject files that are empty or missing required columns', async () => {
+        const file = { kind: 'resource', path: 'resources/revision/videos.csv' };
+
+        const empty = await readManifestFile(file, encode(''));
+        expect(empty.errors).toEqual(['resources/revision/videos.csv is empty or not a CSV file']);
+
+        const malformed = await readManifestFile(file, encode('name,url\nWaves,https://example.com\n'));
+        expect(malformed.rows).toEqual([]);
+        expect(malformed.errors).toEqual(['resources/revision/videos.csv is missing column(s): section_id, title']);
+    });
+
+    it('should find files that changed after the bundle was built', () => {
+        const sources = {
+            'resources/subject-cards/waves.csv': 'aaa',
+            'resources/groups.csv': 'old',
+            'resources/revision/videos.csv': 'ccc'
+        };
+
+        expect(getStaleBundleFiles(manifest, sources)).toEqual(['resources/groups.csv']);
+        expect(getStaleBundleFiles(manifest, undefined)).toHaveLength(3);
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+    addNoteVersion,
+    pruneNoteVersions,
+    noteHtmlToText,
+    diffText,
+    diffNoteVersions,
+    normalizeNoteHistory,
+    MAX_NOTE_VERSIONS,
+    MIN_KEPT_NOTE_VERSIONS
+} from '../js/utils/note-history.js';
+
+const note = (content, updatedAt, title = 'Capacitors') => ({ id: 'note_1', title, content, tags: ['3.7.4'], updatedAt });
+
+describe('Note History', () => {
+    it('should keep the previous version on save, at most once per snapshot interval', () => {
+        let versions = addNoteVersion(undefined, note('<p>v1</p>', '2026-10-01T10:00:00.000Z'));
+        expect(versions).toEqual([{ title: 'Capacitors', content: '<p>v1</p>', tags: ['3.7.4'], savedAt: '2026-10-01T10:00:00.000Z' }]);
+
+        // Two minutes later: same editing session
+        versions = addNoteVersion(versions, note('<p>v2</p>', '2026-10-01T10:02:00.000Z'));
+        expect(versions).toHaveLength(1);
+
+        // Unless forced, e.g. before a restore
+        expect(addNoteVersion(versions, note('<p>v2</p>', '2026-10-01T10:02:00.000Z'), { force: true })).toHaveLength(2);
+
+        versions = addNoteVersion(versions, note('<p>v3</p>', '2026-10-01T10:30:00.000Z'));
+        expect(versions.map(version => version.content)).toEqual(['<p>v1</p>', '<p>v3</p>']);
+
+        // Nothing changed since the newest version
+        expect(addNoteVersion(versions, note('<p>v3</p>', '2026-10-02T10:00:00.000Z'), { force: true })).toHaveLength(2);
+    });
+
+    it('should keep the good version when a quick destructive save follows it', () => {
+        const good = '<p>Capacitance is the charge stored per unit potential difference, C = Q/V, measured in farads.</p>';
+
+        // The original note is kept when the good edit is saved
+        let versions = addNoteVersion(undefined, note('<p>Draft</p>', '2026-10-01T10:00:00.000Z'), { nextContent: good });
+
+        // A minute later most of the good edit is deleted and saved
+        versions = addNoteVersion(versions, note(good, '2026-10-01T10:01:00.000Z'), { nextContent: '<p>C</p>' });
+        expect(versions.map(version => version.content)).toEqual(['<p>Draft</p>', good]);
+
+        // Restoring the newest version brings the good edit back
+        expect(versions[versions.length - 1].content).toBe(good);
+
+        // Small edits in the same session are still throttled
+        expect(addNoteVersion(versions, note(good, '2026-10-01T10:02:00.000Z'), { nextContent: `${good}<p>More</p>` })).toHaveLength(2);
+    });
+
+    it('should drop old versions but always keep the newest few', () => {
+        const now = new Date('2026-10-19T12:00:00.000Z');
+        const old = Array.from({ length: 8 }, (_, i) => ({ title: '', content: `${i}`, tags: [], savedAt: `2026-01-0${i + 1}T00:00:00.000Z` }));
+        const pruned = pruneNoteVersions(old, now);
+        expect(pruned).toHaveLength(MIN_KEPT_NOTE_VERSIONS);
+        expect(pruned[pruned.length - 1].content).toBe('7');
+
+        const recent = Array.from({ length: MAX_NOTE_VERSIONS + 5 }, (_, i) => ({ title: '', content: `${i}`, tags: [], savedAt: '2026-10-18T00:00:00.000Z' }));
+        expect(pruneNoteVersions(recent, now)).toHaveLength(MAX_NOTE_VERSIONS);
+    });
+
+    it('should read note HTML as lines of text with equations as LaTeX', () => {
+        const html = '<h2>Energy</h2><p>Stored: ​<span class="katex-container" data-latex="E = \\frac{1}{2}QV"><span class="katex">E=½QV</span></span>​ joules</p><ul><li>one</li><li>two</li></ul>';
+        expect(noteHtmlToText(html)).toBe('Energy\nStored: $E = \\frac{1}{2}QV$ joules\none\ntwo');
+    });
+
+    it('should diff word by word', () => {
+        expect(diffText('the charge decays slowly', 'the charge decays exponentially')).toEqual([
+            { type: 'same', text: 'the charge decays ' },
+            { type: 'removed', text: 'slowly' },
+            { type: 'added', text: 'exponentially' }
+        ]);
+        expect(diffText('a b c', 'a x b c')).toEqual([
+            { type: 'same', text: 'a ' },
+            { type: 'added', text: 'x ' },
+            { type: 'same', text: 'b c' }
+        ]);
+    });
+
+    it('should mark changes and escape note text in the diff HTML', () => {
+        const diff = diffNoteVersions('<p>Use &lt;script&gt; tags</p>', '<p>Use &lt;script&gt; carefully</p>');
+        expect(diff.html).toContain('&lt;script&gt;');
+        expect(diff.html).not.toContain('<script>');
+        expect(diff.html).toContain('<del');
+        expect(diff.html).toContain('<ins');
+        expect(diff).toMatchObject({ added: 1, removed: 1 });
+    });
+
+    it('should keep only well-formed versions from storage', () => {
+        expect(normalizeNoteHistory({
+            note_1: [{ title: 'T', content: '<p>x</p>', tags: ['3.1', 2], savedAt: '2026-10-01T00:00:00.000Z' }, { content: 5 }],
+            note_2: 'broken',
+            note_3: []
+        })).toEqual({ note_1: [{ title: 'T', content: '<p>x</p>', tags: ['3.1'], savedAt: '2026-10-01T00:00:00.000Z' }] });
+        expect(normalizeNoteHistory(null)).toEqual({});
+    });
+});
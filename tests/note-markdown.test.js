@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+    noteHtmlToMarkdown,
+    markdownToNoteHtml,
+    parseMarkdownFile,
+    noteToMarkdownFile,
+    toMarkdownFileName
+} from '../js/utils/note-markdown.js';
+import { createZip } from '../js/utils/zip-writer.js';
+import { readZipEntries, extractZipEntry } from '../js/utils/zip-reader.js';
+
+// Stands in for katex.renderToString
+const renderMath = (latex, displayMode) => (displayMode
+    ? `<span class="katex-display"><span class="katex">${latex}</span></span>`
+    : `<span class="katex">${latex}</span>`);
+
+const equation = latex => `<span contenteditable="false" class="katex-container" data-latex="${latex}"><span class="katex">rendered</span></span>`;
+
+describe('Note Markdown', () => {
+    it('should convert note HTML to Markdown', () => {
+        const html = `<h2>Capacitors</h2><div>Energy stored: \u200B${equation('E = \\frac{1}{2}QV')}\u200B in J</div>`
+            + '<div><b>Bold</b>, <i>italic</i> and 5*3 snake_case</div><div><br></div>'
+            + '<ul><li>one</li><li>two<ul><li>nested</li></ul></li></ul><ol><li>first</li><li>second</li></ol>'
+            + '<table><tbody><tr><td>Q</td><td>V</td></tr><tr><td>1 | 2</td><td>$$x^2$$</td></tr></tbody></table>'
+            + '<blockquote>Quote<br>second line</blockquote><pre>code\n  block</pre><p>1. not a list</p>';
+
+        expect(noteHtmlToMarkdown(html)).toBe([
+            '## Capacitors',
+            'Energy stored: $E = \\frac{1}{2}QV$ in J',
+            '**Bold**, *italic* and 5\\*3 snake\\_case',
+            '- one\n- two\n  - nested',
+            '1. first\n2. second',
+            '| Q | V |\n| --- | --- |\n| 1 \\| 2 | $$x^2$$ |',
+            '> Quote\n> second line',
+            '```\ncode\n  block\n```',
+            '1\\. not a list'
+        ].join('\n\n') + '\n');
+    });
+
+    it('should convert Markdown to note HTML with equations the equation editor can edit', () => {
+        const html = markdownToNoteHtml('# Title\n\nCosts $5 and $10, but $x^2$ is math and `$y$` is code\n\n$$\na = b\n$$', { renderMath });
+
+        expect(html).toContain('<h1>Title</h1>');
+        expect(html).toContain('Costs $5 and $10, but <span contenteditable="false" class="katex-container" data-latex="x^2"');
+        expect(html).toContain('<code>$y$</code>');
+        expect(html).toContain('data-latex="a = b"');
+        expect(html).toContain('katex-display');
+    });
+
+    it('should leave equations for auto-render without a renderer', () => {
+        expect(markdownToNoteHtml('$v = f\\lambda$')).toContain('\\(v = f\\lambda\\)');
+    });
+
+    it('should escape raw HTML and drop unsafe links', () => {
+        const html = markdownToNoteHtml('<img src=x onerror=alert(1)>\n\n[bad](javascript:alert) [good](https://example.com)');
+        expect(html).not.toContain('<img');
+        expect(html).toContain('&lt;img');
+        expect(html).not.toContain('javascript:');
+        expect(html).toContain('<a href="https://example.com">good</a>');
+    });
+
+    it('should give the same Markdown after a round trip', () => {
+        const markdown = [
+            '## Waves',
+            'A **stationary** wave has *nodes* and ~~no~~ antinodes: $f = \\frac{1}{2L}\\sqrt{\\frac{T}{\\mu}}$',
+            '- first\n- second\n  1. nested',
+            '3. three\n4. four',
+            '| a | b |\n| --- | --- |\n| 1 | 2 |',
+            '> quoted',
+            '```\nx = 1\n```',
+            '$$\\lambda = \\frac{2L}{n}$$'
+        ].join('\n\n') + '\n';
+
+        expect(noteHtmlToMarkdown(markdownToNoteHtml(markdown, { renderMath }))).toBe(markdown);
+    });
+
+    it('should write and read front matter', () => {
+        const file = noteToMarkdownFile({ title: 'Say "hi"', tags: ['3.10.1', '3.5.1.4'], content: '<p>Body</p>', createdAt: '2026-10-01T00:00:00.000Z' });
+        const { properties, body } = parseMarkdownFile(file);
+
+        expect(properties).toEqual({ title: 'Say "hi"', topics: ['3.10.1', '3.5.1.4'], created: '2026-10-01T00:00:00.000Z' });
+        expect(body.trim()).toBe('Body');
+
+        expect(parseMarkdownFile('---\r\ntags:\r\n  - a\r\n  - "b"\r\n---\r\nText').properties).toEqual({ tags: ['a', 'b'] });
+        expect(parseMarkdownFile('No front matter')).toEqual({ properties: {}, body: 'No front matter' });
+        expect(toMarkdownFileName('Forces: F/m?')).toBe('Forces- F-m-.md');
+    });
+
+    it('should zip files so the zip reader can read them back', async () => {
+        const zip = createZip([{ path: 'Waves/Stationary wavés.md', content: '# Nodes\n' }]);
+        const entries = readZipEntries(zip);
+        const entry = entries.get('Waves/Stationary wavés.md');
+
+        expect(entries.size).toBe(1);
+        expect(new TextDecoder().decode(await extractZipEntry(zip, entry))).toBe('# Nodes\n');
+    });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { convertGroupsCSV } from '../js/utils/csv-converter.js';
+import { getPaperOptions, filterGroupsForOption, getExcludedOptionSections } from '../js/utils/paper-options.js';
+
+const rows = [
+    { paper: 'Paper 3', order: '1', type: 'group', group_title: 'Required Practicals', icon: 'flask-conical', section_name: 'required_practicals_1', option: '' },
+    { paper: 'Paper 3', order: '3', type: 'group', group_title: '3.9 Astrophysics', icon: 'telescope', section_name: 'astro_stars', option: 'astrophysics' },
+    { paper: 'Paper 3', order: '3', type: 'group', group_title: '3.9 Astrophysics', icon: 'telescope', section_name: 'astro_cosmology', option: 'astrophysics' },
+    { paper: 'Paper 3', order: '3', type: 'group', group_title: '3.10 Medical Physics', icon: 'heart-pulse', section_name: 'medical_imaging', option: 'medical_physics' },
+    { paper: 'All Topics', order: '13', type: 'group', group_title: '3.10 Medical Physics', icon: 'heart-pulse', section_name: 'medical_imaging', option: 'medical_physics' }
+];
+
+describe('Paper 3 Options', () => {
+    it('should keep the option column when converting groups', () => {
+        const { paperModeGroups, specModeGroups } = convertGroupsCSV(rows);
+
+        expect(paperModeGroups['Paper 3']).toEqual([
+            { type: 'group', title: 'Required Practicals', icon: 'flask-conical', sections: ['required_practicals_1'] },
+            { type: 'group', title: '3.9 Astrophysics', icon: 'telescope', sections: ['astro_stars', 'astro_cosmology'], option: 'astrophysics' },
+            { type: 'group', title: '3.10 Medical Physics', icon: 'heart-pulse', sections: ['medical_imaging'], option: 'medical_physics' }
+        ]);
+        expect(specModeGroups['All Topics'][0].option).toBe('medical_physics');
+    });
+
+    it('should list each option once', () => {
+        const { paperModeGroups, specModeGroups } = convertGroupsCSV(rows);
+
+        expect(getPaperOptions({ ...paperModeGroups, ...specModeGroups })).toEqual([
+            { id: 'astrophysics', title: '3.9 Astrophysics' },
+            { id: 'medical_physics', title: '3.10 Medical Physics' }
+        ]);
+    });
+
+    it('should only keep the chosen option', () => {
+        const { paperModeGroups } = convertGroupsCSV(rows);
+
+        const filtered = filterGroupsForOption(paperModeGroups, 'astrophysics');
+        expect(filtered['Paper 3'].map(group => group.title)).toEqual(['Required Practicals', '3.9 Astrophysics']);
+        expect([...getExcludedOptionSections(paperModeGroups, 'astrophysics')]).toEqual(['medical_imaging']);
+    });
+
+    it('should show every option until one is chosen', () => {
+        const { paperModeGroups } = convertGroupsCSV(rows);
+
+        expect(filterGroupsForOption(paperModeGroups, '')['Paper 3'].map(group => group.title))
+            .toEqual(['Required Practicals', '3.9 Astrophysics', '3.10 Medical Physics']);
+        expect(getExcludedOptionSections(paperModeGroups, '').size).toBe(0);
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SearchIndex, findMatchOffsets } from '../js/utils/search-index.js';
+import { latexToPlain, canonicalFormula, expandPhysicsQuery } from '../js/utils/physics-terms.js';
+
+const topics = [
+    { id: '3.5.1.4', title: 'Circuits', objectives: 'Ohm\'s law and series circuits', content: 'V = IR relates current to potential difference. Resistance is measured in Ω.' },
+    { id: '3.5.1.6', title: 'Electromotive force and internal resistance', objectives: 'Terminal pd', content: 'ε = I(R + r)' },
+    { id: '3.4.1.8', title: 'Conservation of energy', objectives: 'Energy stores', content: 'Ek = ½mv² and ΔEp = mgΔh' },
+    { id: '3.6.1.1', title: 'Periodic motion', objectives: 'Angular speed', content: 'ω = 2πf' }
+];
+
+const getFields = topic => ({ title: topic.title, objectives: topic.objectives, content: topic.content });
+const ids = results => results.map(result => result.id);
+
+describe('Physics search terms', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new SearchIndex();
+        index.buildIndex(topics, getFields);
+    });
+
+    it('should match abbreviations, symbols and formulas with the words they stand for', () => {
+        expect(ids(index.searchRanked('EMF'))).toEqual(['3.5.1.6']);
+        expect(ids(index.searchRanked('e.m.f.'))).toEqual(['3.5.1.6']);
+        expect(ids(index.searchRanked('ε'))).toEqual(['3.5.1.6']);
+        expect(ids(index.searchRanked('ω'))).toEqual(['3.6.1.1']);
+        expect(ids(index.searchRanked('Ω'))).toEqual(['3.5.1.4']);
+        expect(ids(index.searchRanked('ohms law'))).toEqual(['3.5.1.4']);
+        expect(ids(index.searchRanked('V=IR'))).toEqual(['3.5.1.4']);
+        expect(ids(index.searchRanked('voltage')).sort()).toEqual(['3.5.1.4', '3.5.1.6']);
+    });
+
+    it('should find formulas however they are written', () => {
+        expect(ids(index.searchRanked('½mv²'))).toEqual(['3.4.1.8']);
+        expect(ids(index.searchRanked('\\frac{1}{2}mv^2'))).toEqual(['3.4.1.8']);
+        expect(ids(index.searchRanked('kinetic energy formula'))).toEqual(['3.4.1.8']);
+        expect(ids(index.searchRanked('E = I(R+r)'))).toEqual([]);
+        expect(ids(index.searchRanked('\\varepsilon = I(R + r)'))).toEqual(['3.5.1.6']);
+    });
+
+    it('should search LaTeX in notes rendered with KaTeX and in flashcards', () => {
+        index.buildIndex([
+            { id: 'note', content: '<p>Moving objects: <span class="katex-container" data-latex="E_k = \\frac{1}{2}mv^{2}"><span class="katex">E</span></span></p>' },
+            { id: 'card', content: 'Photon energy? $$E = \\frac{hc}{\\lambda}$$' }
+        ], item => item.content);
+
+        expect(ids(index.searchRanked('\\frac{1}{2}mv^2'))).toEqual(['note']);
+        expect(ids(index.searchRanked('kinetic energy formula'))).toEqual(['note']);
+        expect(ids(index.searchRanked('E=hc/λ'))).toEqual(['card']);
+        expect(ids(index.searchRanked('lambda'))).toEqual(['card']);
+    });
+
+    it('should not suggest or fuzzy-match the words it generates', () => {
+        expect(index.complete('syn')).toEqual([]);
+        expect(index.complete('eq_')).toEqual([]);
+        expect(index.searchRanked('syn_emg', { fuzzy: true })).toEqual([]);
+    });
+
+    it('should highlight the phrases a synonym matched', () => {
+        const [result] = index.searchRanked('EMF');
+        const text = 'Electromotive force and internal resistance';
+
+        expect(findMatchOffsets(text, result.terms)).toEqual([{ start: 0, end: 19 }]);
+        expect(findMatchOffsets('ε = I(R + r)', ['epsilon'])).toEqual([{ start: 0, end: 1 }]);
+    });
+});
+
+describe('Formula normalizing', () => {
+    it('should convert LaTeX to plain text', () => {
+        expect(latexToPlain('E_k = \\frac{1}{2}mv^{2}')).toBe('Ek = 1/2mv^2');
+        expect(latexToPlain('f = \\frac{1}{2\\pi\\sqrt{LC}}')).toBe('f = 1/(2 pi sqrt(LC))');
+        expect(latexToPlain('\\text{speed} = \\frac{d}{t}')).toBe('speed = d/t');
+    });
+
+    it('should write the same formula the same way', () => {
+        expect(canonicalFormula('V = I × R')).toBe('v=ir');
+        expect(canonicalFormula('R = ρL/A')).toBe('r=rhol/a');
+        expect(canonicalFormula(latexToPlain('R = \\rho L / A'))).toBe('r=rhol/a');
+    });
+
+    it('should rewrite queries into synonym and formula words', () => {
+        expect(expandPhysicsQuery('ohm\'s law')).toBe('syn_ohmslaw');
+        expect(expandPhysicsQuery('V = IR')).toBe('syn_ohmslaw');
+        expect(expandPhysicsQuery('f₀ = 1/(2π√(LC))')).toBe('eq_f0_is_1_over_2pisqrt_lc');
+        expect(expandPhysicsQuery('refraction')).toBe('refraction');
+    });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { collectResourceItems, getResourceSearchFields, htmlToSearchText } from '../js/utils/resource-search.js';
+import { SearchIndex } from '../js/utils/search-index.js';
+
+const revisionMapping = { '3.5.1': ['3.5.1.4', '3.5.1.6'], '3.7.4': ['3.7.4.1'] };
+const sectionTitles = { '3.5.1': 'Current Electricity', '3.7.4': 'Capacitors' };
+
+const resourcesBySection = {
+    '3.5.1': {
+        section: {
+            title: 'Current Electricity',
+            notes: '<h3>Key Concepts</h3><p>A real cell has <strong>internal resistance</strong> &amp; loses energy as heat.</p>',
+            keyFormulas: ['ε = I(R + r)'],
+            commonMistakes: ['Forgetting the lost volts']
+        },
+        videos: [{ title: 'EMF explained', description: 'Terminal pd and lost volts', url: 'https://example.com/emf', provider: 'YouTube' }],
+        notes: [],
+        simulations: [{ title: 'Circuit Construction Kit', description: 'Build circuits', url: 'https://example.com/cck', provider: 'PhET' }],
+        questions: []
+    },
+    '3.7.4': {
+        section: null,
+        videos: [],
+        notes: [],
+        simulations: [],
+        questions: [{ title: 'Capacitor discharge questions', description: 'Exponential decay', url: 'https://example.com/caps', type: 'Exam Style' }]
+    }
+};
+
+const getResourcesForSection = sectionId => resourcesBySection[sectionId];
+
+describe('Resource search items', () => {
+    it('should turn section HTML into plain text', () => {
+        expect(htmlToSearchText('<p>Ohm&#39;s law: <em>V = IR</em></p>&nbsp;')).toBe('Ohm\'s law: V = IR');
+    });
+
+    it('should collect section notes and every resource with its section\'s topics', () => {
+        const items = collectResourceItems(revisionMapping, getResourcesForSection, sectionTitles);
+
+        expect(items.map(item => item.id)).toEqual(['section:3.5.1', 'videos:3.5.1:0', 'simulations:3.5.1:0', 'questions:3.7.4:0']);
+        expect(items[0].content).toBe('Key Concepts A real cell has internal resistance & loses energy as heat. ε = I(R + r) Forgetting the lost volts');
+        expect(items[3]).toMatchObject({ kind: 'questions', sectionTitle: 'Capacitors', topicIds: ['3.7.4.1'], url: 'https://example.com/caps' });
+        expect(collectResourceItems(revisionMapping, undefined, sectionTitles)).toEqual([]);
+    });
+
+    it('should find resources by their title, description and section notes', () => {
+        const index = new SearchIndex();
+        index.buildIndex(collectResourceItems(revisionMapping, getResourcesForSection, sectionTitles), getResourceSearchFields);
+        const ids = query => index.searchRanked(query).map(result => result.id);
+
+        expect(ids('lost volts')).toEqual(['videos:3.5.1:0', 'section:3.5.1']);
+        expect(ids('phet')).toEqual(['simulations:3.5.1:0']);
+        expect(ids('emf')).toContain('section:3.5.1');
+        expect(ids('exponential')).toEqual(['questions:3.7.4:0']);
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { getExamCountdown, getTopicPapers, findMissedTopics, buildRevisionPlan } from '../js/utils/revision-planner.js';
+
+const topics = [
+    { id: '3.1.1', title: 'Units', confidence: 5, papers: ['Paper 1'] },
+    { id: '3.1.2', title: 'Errors', confidence: 1, papers: ['Paper 1'] },
+    { id: '3.2.1', title: 'Particles', confidence: 3, papers: ['Paper 1'] },
+    { id: '3.7.1', title: 'Fields', confidence: 2, papers: ['Paper 2'] },
+    { id: '3.7.2', title: 'Gravity', confidence: 0, papers: ['Paper 2'] }
+];
+
+describe('Revision Planner', () => {
+    it('should count down to the nearest upcoming exam', () => {
+        const examDates = { 'Paper 1': '2026-06-03', 'Paper 2': '2026-06-10', 'Paper 3': '' };
+
+        expect(getExamCountdown(examDates, '2026-05-11')).toMatchObject({ paper: 'Paper 1', days: 23, label: 'Paper 1 in 23 days' });
+        expect(getExamCountdown(examDates, '2026-06-09').label).toBe('Paper 2 tomorrow');
+        expect(getExamCountdown(examDates, '2026-06-11')).toBeNull();
+    });
+
+    it('should map topics to papers from paper mode groups', () => {
+        const paperModeGroups = {
+            'Paper 1': [{ type: 'group', title: 'Basics', icon: 'x', sections: ['a'] }],
+            'Paper 2': [{ type: 'single', key: 'b' }]
+        };
+        const specificationData = {
+            a: { topics: [{ id: '3.1.1' }] },
+            b: { topics: [{ id: '3.7.1' }] }
+        };
+
+        expect(getTopicPapers(paperModeGroups, specificationData)).toEqual({ '3.1.1': ['Paper 1'], '3.7.1': ['Paper 2'] });
+    });
+
+    it('should put low-confidence topics on the nearest paper first and stop each paper on its exam day', () => {
+        const plan = buildRevisionPlan({
+            topics,
+            examDates: { 'Paper 1': '2026-05-04', 'Paper 2': '2026-05-06' },
+            criticalTopicIds: ['3.1.2', '3.7.1'],
+            today: '2026-05-01',
+            topicsPerDay: 2
+        });
+
+        expect(plan.map(day => day.date)).toEqual(['2026-05-01', '2026-05-02', '2026-05-03', '2026-05-04', '2026-05-05']);
+        expect(plan[0].focusPaper).toBe('Paper 1');
+        expect(plan[0].topics[0].id).toBe('3.1.2');
+        expect(plan[3]).toMatchObject({ exam: 'Paper 1', focusPaper: 'Paper 2' });
+        expect(plan[3].topics.every(topic => topic.id.startsWith('3.7'))).toBe(true);
+    });
+
+    it('should carry topics from missed days over to today', () => {
+        const previousPlan = [
+            { date: '2026-05-01', topics: [{ id: '3.1.1' }, { id: '3.2.1' }] },
+            { date: '2026-05-02', topics: [{ id: '3.1.2' }] }
+        ];
+        const completed = { '2026-05-01': ['3.2.1'] };
+        const carryOver = findMissedTopics(previousPlan, completed, '2026-05-02');
+
+        expect(carryOver).toEqual(['3.1.1']);
+
+        const plan = buildRevisionPlan({
+            topics,
+            examDates: { 'Paper 1': '2026-05-10' },
+            completed,
+            carryOver,
+            today: '2026-05-02',
+            topicsPerDay: 2
+        });
+
+        expect(plan[0].topics[0]).toMatchObject({ id: '3.1.1', carriedOver: true });
+        expect(plan[0].topics[1].id).toBe('3.1.2');
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SearchIndex, editDistance, findMatchOffsets } from '../js/utils/search-index.js';
+
+const topics = [
+    { id: '3.6.1a', title: 'Refraction at a plane surface', objectives: 'Refractive index and Snell\'s law', content: 'Light bends when it enters glass' },
+    { id: '3.6.1b', title: 'Total internal reflection', objectives: 'Critical angle and optical fibres', content: 'Refraction stops above the critical angle' },
+    { id: '3.4.1a', title: 'Scalars and vectors', objectives: 'Resolving vectors', content: 'Displacement, velocity and force are vectors' },
+    { id: '3.4.2a', title: 'Moments', objectives: 'Principle of moments', content: 'A force applied at a distance from a pivot' }
+];
+
+const getFields = topic => ({ title: topic.title, objectives: topic.objectives, content: topic.content });
+
+describe('SearchIndex', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new SearchIndex();
+        index.buildIndex(topics, getFields);
+    });
+
+    it('should rank a title match above the same word in the content', () => {
+        const results = index.searchRanked('refraction');
+
+        expect(results.map(result => result.id)).toEqual(['3.6.1a', '3.6.1b']);
+        expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    it('should keep search() returning IDs in relevance order', () => {
+        expect([...index.search('vectors')]).toEqual(['3.4.1a']);
+        expect([...index.search('force vectors', { matchAll: false })][0]).toBe('3.4.1a');
+    });
+
+    it('should find words with typos only when fuzzy is on', () => {
+        expect(index.searchRanked('refraccion')).toEqual([]);
+
+        const results = index.searchRanked('refraccion', { fuzzy: true });
+        expect(results.map(result => result.id)).toEqual(['3.6.1a', '3.6.1b']);
+        expect(results[0].terms).toContain('refraction');
+
+        expect(index.searchRanked('momants', { fuzzy: true }).map(result => result.id)).toEqual(['3.4.2a']);
+
+        // Short words must be exact
+        expect(index.searchRanked('form', { fuzzy: true })).toEqual([]);
+    });
+
+    it('should complete the word being typed', () => {
+        expect(index.searchRanked('refrac').map(result => result.id)).toEqual(['3.6.1a', '3.6.1b']);
+        expect(index.complete('ref')).toEqual(['refraction', 'reflection', 'refractive']);
+        expect(index.complete('r')).toEqual([]);
+    });
+
+    it('should score an exact word above a prefix match', () => {
+        index.buildIndex([
+            { id: 'a', title: 'Forces in equilibrium' },
+            { id: 'b', title: 'Force and momentum' }
+        ], item => ({ title: item.title }));
+
+        expect(index.searchRanked('force').map(result => result.id)).toEqual(['b', 'a']);
+    });
+
+    it('should forget removed items', () => {
+        index.removeItem('3.6.1a');
+
+        expect(index.searchRanked('refraction').map(result => result.id)).toEqual(['3.6.1b']);
+        expect(index.complete('refracti')).toEqual(['refraction']);
+        expect(index.searchRanked('snell')).toEqual([]);
+    });
+});
+
+describe('editDistance', () => {
+    it('should count insertions, substitutions and swapped letters', () => {
+        expect(editDistance('refraccion', 'refraction')).toBe(1);
+        expect(editDistance('momnet', 'moment')).toBe(1);
+        expect(editDistance('vector', 'vectors')).toBe(1);
+        expect(editDistance('force', 'field', 2)).toBe(3);
+    });
+});
+
+describe('findMatchOffsets', () => {
+    it('should find whole matched words in the original text', () => {
+        const text = 'Refraction stops above the critical angle';
+
+        expect(findMatchOffsets(text, ['refraction', 'angle'])).toEqual([
+            { start: 0, end: 10 },
+            { start: 36, end: 41 }
+        ]);
+        expect(findMatchOffsets(text, [])).toEqual([]);
+    });
+});
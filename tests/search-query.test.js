@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { parseSearchQuery, matchesSearchQuery, completeSearchQuery, normalizeSavedSearches } from '../js/utils/search-query.js';
+
+const topicLookup = {
+    '3.5.1.4': { topicId: '3.5.1.4', topicTitle: 'Circuits', sectionPaper: 'Paper 1' },
+    '3.5.1.6': { topicId: '3.5.1.6', topicTitle: 'Electromotive force and internal resistance', sectionPaper: 'Paper 1' },
+    '3.7.4.1': { topicId: '3.7.4.1', topicTitle: 'Capacitance', sectionPaper: 'Paper 2' }
+};
+
+describe('Search query syntax', () => {
+    it('should split a query into filters, phrases and words', () => {
+        const parsed = parseSearchQuery('type:flashcards tag:3.5.1 confidence:<=2 paper:2 "internal resistance" -capacitor updated:>2026-09-01 emf');
+
+        expect(parsed.text).toBe('internal resistance emf');
+        expect(parsed.types).toEqual(['flashcards']);
+        expect(parsed.tags).toEqual(['3.5.1']);
+        expect(parsed.confidenceLevels).toEqual([1, 2]);
+        expect(parsed.papers).toEqual(['Paper 2']);
+        expect(parsed.phrases).toEqual(['internal resistance']);
+        expect(parsed.excluded).toEqual(['capacitor']);
+        expect(parsed.updated).toEqual([{ op: '>', date: '2026-09-01' }]);
+        expect(parsed.errors).toEqual([]);
+    });
+
+    it('should search unknown keys, formulas and half-typed keys as words', () => {
+        expect(parseSearchQuery('ratio 1:2').text).toBe('ratio 1:2');
+        expect(parseSearchQuery('note:cells').text).toBe('note:cells');
+        expect(parseSearchQuery('E = -GM/r').text).toBe('E = -GM/r');
+        expect(parseSearchQuery('refraction type:').text).toBe('refraction');
+    });
+
+    it('should combine confidence conditions and report mistakes', () => {
+        expect(parseSearchQuery('confidence:>=2 confidence:<4').confidenceLevels).toEqual([2, 3]);
+        expect(parseSearchQuery('confidence:3').confidenceLevels).toEqual([3]);
+
+        const parsed = parseSearchQuery('type:videos confidence:9 updated:yesterday -tag:3.5');
+        expect(parsed.errors).toHaveLength(4);
+        expect(parsed.types).toEqual([]);
+        expect(parsed.confidenceLevels).toBeNull();
+    });
+});
+
+describe('Search query matching', () => {
+    const deck = {
+        text: 'EMF and internal resistance: the terminal pd drops as current rises',
+        topicIds: ['3.5.1.6'],
+        papers: ['Paper 1'],
+        confidences: [2],
+        updatedAt: '2026-09-14T10:00:00.000Z'
+    };
+
+    it('should match tags by topic and subtopic', () => {
+        expect(matchesSearchQuery(parseSearchQuery('tag:3.5.1'), deck)).toBe(true);
+        expect(matchesSearchQuery(parseSearchQuery('tag:3.5.1.6'), deck)).toBe(true);
+        expect(matchesSearchQuery(parseSearchQuery('tag:3.5.1.4'), deck)).toBe(false);
+        expect(matchesSearchQuery(parseSearchQuery('tag:3.5.1.61'), { ...deck, topicIds: ['3.5.1.6'] })).toBe(false);
+    });
+
+    it('should check phrases, excluded words, papers, confidence and dates', () => {
+        expect(matchesSearchQuery(parseSearchQuery('"internal resistance"'), deck)).toBe(true);
+        expect(matchesSearchQuery(parseSearchQuery('"resistance internal"'), deck)).toBe(false);
+        expect(matchesSearchQuery(parseSearchQuery('-capacitor'), deck)).toBe(true);
+        expect(matchesSearchQuery(parseSearchQuery('-terminal'), deck)).toBe(false);
+        expect(matchesSearchQuery(parseSearchQuery('paper:1 confidence:<=2'), deck)).toBe(true);
+        expect(matchesSearchQuery(parseSearchQuery('paper:2'), deck)).toBe(false);
+        expect(matchesSearchQuery(parseSearchQuery('confidence:>=4'), deck)).toBe(false);
+        expect(matchesSearchQuery(parseSearchQuery('updated:>2026-09-01'), deck)).toBe(true);
+        expect(matchesSearchQuery(parseSearchQuery('updated:<2026-09-01'), deck)).toBe(false);
+        expect(matchesSearchQuery(parseSearchQuery('updated:>2026-09-01'), { ...deck, updatedAt: null })).toBe(false);
+    });
+});
+
+describe('Search query completion', () => {
+    it('should complete keys and their values', () => {
+        expect(completeSearchQuery('ty').map(c => c.value)).toEqual(['type:']);
+        expect(completeSearchQuery('type:fl').map(c => c.value)).toEqual(['type:flashcards']);
+        expect(completeSearchQuery('tag:3.5', topicLookup)).toEqual([
+            { value: 'tag:3.5.1.4', label: '3.5.1.4 Circuits' },
+            { value: 'tag:3.5.1.6', label: '3.5.1.6 Electromotive force and internal resistance' }
+        ]);
+        expect(completeSearchQuery('paper:', topicLookup).map(c => c.value)).toEqual(['paper:1', 'paper:2']);
+        expect(completeSearchQuery('refraction')).toEqual([]);
+    });
+});
+
+describe('Saved searches', () => {
+    it('should keep only well-formed saved searches', () => {
+        const saved = normalizeSavedSearches([
+            { id: 'search_1', name: 'Weak circuits', query: 'tag:3.5.1 confidence:<=2', filters: ['notes', 'videos'], tags: ['3.5.1.4', 7], confidenceLevels: [1, 9], createdAt: '2026-10-01T00:00:00.000Z' },
+            { id: 'search_2', name: 'No query' },
+            null
+        ]);
+
+        expect(saved).toEqual([
+            { id: 'search_1', name: 'Weak circuits', query: 'tag:3.5.1 confidence:<=2', filters: ['notes'], tags: ['3.5.1.4'], confidenceLevels: [1], createdAt: '2026-10-01T00:00:00.000Z' }
+        ]);
+        expect(normalizeSavedSearches('not a list')).toEqual([]);
+    });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SearchStore, SEARCH_STORE_KEY_PREFIX } from '../js/utils/search-store.js';
+import { SearchIndex } from '../js/utils/search-index.js';
+import { WorkerSearchIndex } from '../js/utils/search-client.js';
+import { idbSet } from '../js/utils/indexeddb.js';
+
+vi.mock('../js/utils/indexeddb.js', () => ({
+    idbGet: vi.fn(async () => null),
+    idbSet: vi.fn(async () => {}),
+    idbRemove: vi.fn(async () => {})
+}));
+
+const notes = [
+    { id: 'n1', fields: { title: 'Refraction', content: 'Light bends entering glass' } },
+    { id: 'n2', fields: { title: 'Moments', content: 'Principle of moments about a pivot' } },
+    { id: 'n3', fields: { title: 'Momentum', content: 'Conserved in collisions' } }
+];
+
+// Stand-in for idbGet/idbSet/idbRemove
+function createStorage() {
+    const saved = new Map();
+    return {
+        saved,
+        load: vi.fn(async key => saved.get(key) ?? null),
+        save: vi.fn(async (key, value) => { saved.set(key, JSON.parse(JSON.stringify(value))); }),
+        remove: vi.fn(async key => { saved.delete(key); })
+    };
+}
+
+const ids = results => results.map(result => result.id);
+
+describe('SearchStore', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createStorage();
+    });
+
+    it('should build an index on first sync and save it', async () => {
+        const store = new SearchStore(storage);
+
+        expect(await store.handle('sync', { name: 'notes', entries: notes })).toMatchObject({ items: 3, added: 3, restored: false });
+        expect(ids(await store.handle('search', { name: 'notes', query: 'refraction' }))).toEqual(['n1']);
+        expect(storage.saved.has(`${SEARCH_STORE_KEY_PREFIX}notes`)).toBe(true);
+    });
+
+    it('should restore the saved index next visit and only re-index what changed', async () => {
+        await new SearchStore(storage).sync('notes', notes);
+        storage.save.mockClear();
+
+        const store = new SearchStore(storage);
+        const unchanged = await store.sync('notes', notes);
+        expect(unchanged).toMatchObject({ items: 3, added: 0, updated: 0, removed: 0, restored: true });
+        expect(storage.save).not.toHaveBeenCalled();
+
+        const edited = [
+            { id: 'n1', fields: { title: 'Refraction', content: 'Snell\'s law at a boundary' } },
+            notes[1],
+            { id: 'n4', fields: { title: 'Diffraction', content: 'Waves spread through a gap' } }
+        ];
+        expect(await new SearchStore(storage).sync('notes', edited)).toMatchObject({ items: 3, added: 1, updated: 1, removed: 1 });
+
+        const restored = new SearchStore(storage);
+        await restored.sync('notes', edited);
+        expect(ids(restored.search('notes', 'snell'))).toEqual(['n1']);
+        expect(restored.search('notes', 'collisions')).toEqual([]);
+        expect(ids(restored.search('notes', 'diffraction'))).toEqual(['n4']);
+    });
+
+    it('should apply single changes in order and save them together', async () => {
+        vi.useFakeTimers();
+        try {
+            const store = new SearchStore(storage);
+            await store.handle('sync', { name: 'notes', entries: notes });
+            storage.save.mockClear();
+
+            store.handle('put', { name: 'notes', entry: { id: 'n5', fields: { title: 'Capacitors', content: 'Charge stored' } } });
+            store.handle('remove', { name: 'notes', id: 'n2' });
+            const results = await store.handle('search', { name: 'notes', query: 'capacitors moments', options: { matchAll: false } });
+
+            expect(ids(results)).toEqual(['n5']);
+            expect(storage.save).not.toHaveBeenCalled();
+
+            await vi.runAllTimersAsync();
+            expect(storage.save).toHaveBeenCalledTimes(1);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it('should write pending changes straight away when flushed', async () => {
+        vi.useFakeTimers();
+        try {
+            const store = new SearchStore(storage);
+            await store.handle('sync', { name: 'notes', entries: notes });
+            storage.save.mockClear();
+
+            store.handle('put', { name: 'notes', entry: { id: 'n5', fields: { title: 'Capacitors', content: 'Charge stored' } } });
+            await store.handle('flush');
+
+            expect(storage.save).toHaveBeenCalledTimes(1);
+            expect(storage.saved.get(`${SEARCH_STORE_KEY_PREFIX}notes`).stamps.map(([id]) => id)).toContain('n5');
+
+            await vi.runAllTimersAsync();
+            expect(storage.save).toHaveBeenCalledTimes(1);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it('should rebuild when the saved index is from another version or unreadable', async () => {
+        storage.saved.set(`${SEARCH_STORE_KEY_PREFIX}notes`, { stamps: [['n1', 'x']], index: { version: 0 } });
+        expect(await new SearchStore(storage).sync('notes', notes)).toMatchObject({ added: 3, restored: false });
+
+        storage.load.mockRejectedValueOnce(new Error('IndexedDB not supported'));
+        const store = new SearchStore(storage);
+        expect(await store.sync('notes', notes)).toMatchObject({ added: 3, restored: false });
+        await expect(store.handle('rename', { name: 'notes' })).rejects.toThrow('Unknown action: rename');
+    });
+
+    it('should keep each user\'s indexes apart and delete them on clear', async () => {
+        const store = new SearchStore(storage);
+        await store.handle('sync', { name: 'teams_u1_notes', entries: notes });
+        await store.handle('sync', { name: 'teams_u2_notes', entries: [notes[0]] });
+
+        await store.handle('clear', { name: 'teams_u1_notes' });
+        expect(storage.saved.has(`${SEARCH_STORE_KEY_PREFIX}teams_u1_notes`)).toBe(false);
+        expect(storage.saved.has(`${SEARCH_STORE_KEY_PREFIX}teams_u2_notes`)).toBe(true);
+        expect(await store.handle('search', { name: 'teams_u1_notes', query: 'refraction' })).toEqual([]);
+        expect(await store.handle('sync', { name: 'teams_u1_notes', entries: [] })).toMatchObject({ items: 0, restored: false });
+    });
+});
+
+describe('SearchIndex saving', () => {
+    it('should rank the same after a round trip through JSON', () => {
+        const index = new SearchIndex();
+        index.buildIndex(notes, note => note.fields);
+
+        const restored = SearchIndex.fromJSON(JSON.parse(JSON.stringify(index)));
+
+        expect(restored.searchRanked('moment')).toEqual(index.searchRanked('moment'));
+        expect(restored.searchRanked('refracton', { fuzzy: true })).toEqual(index.searchRanked('refracton', { fuzzy: true }));
+        expect(() => SearchIndex.fromJSON({ version: 0 })).toThrow('Unsupported search index version');
+    });
+});
+
+describe('Search client', () => {
+    it('should save pending index changes when the page is hidden', async () => {
+        const index = new WorkerSearchIndex('notes', note => ({ title: note.title }));
+        await index.buildIndex([{ id: 'n1', title: 'Refraction' }]);
+        idbSet.mockClear();
+
+        index.addItem({ id: 'n2', title: 'Moments' });
+        Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+        try {
+            document.dispatchEvent(new Event('visibilitychange'));
+            await vi.waitFor(() => expect(idbSet).toHaveBeenCalledTimes(1));
+        } finally {
+            delete document.visibilityState;
+        }
+
+        const [key, value] = idbSet.mock.calls[0];
+        expect(key).toBe(`${SEARCH_STORE_KEY_PREFIX}notes`);
+        expect(value.stamps.map(([id]) => id)).toEqual(['n1', 'n2']);
+    });
+});
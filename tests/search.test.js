@@ -45,6 +45,13 @@ describe('Search Functionality', () => {
         expect(result).toContain('&lt;script&gt;');
     });
 
+    it('should highlight matches at the offsets the index found', () => {
+        const text = 'light bends <b>towards</b> the normal on refraction into glass';
+        const result = mockContext.createSearchSnippet(text, 'refraccion', { title: 'Refraction' }, [{ start: 41, end: 51 }]);
+
+        expect(result).toBe('... &lt;b&gt;towards&lt;/b&gt; the normal on <mark class="bg-yellow-200 dark:bg-yellow-800 px-1 rounded">refraction</mark> into glass');
+    });
+
     it('should escape regex characters in search query', () => {
         const result = mockContext.escapeRegex('test.*query');
         expect(result).toBe('test\\.\\*query');
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi } from 'vitest';
+import { normalizeSmartRules, resolveSmartTestSet, countSmartTestSetCards, describeSmartRules } from '../js/utils/smart-test-sets.js';
+import { expandCard as expandCardPrompts } from '../js/utils/card-types.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-05-10T12:00:00Z');
+
+const topicLookup = {
+    '3.4.1.1': { sectionName: 'mechanics', sectionPaper: 'Paper 1' },
+    '3.7.2.1': { sectionName: 'gravitational_fields', sectionPaper: 'Paper 2' },
+    '3.8.1.1': { sectionName: 'nuclear_physics', sectionPaper: 'Paper 2' }
+};
+
+const decks = [
+    { id: 'd1', name: 'Forces', tags: ['3.4.1.1'], cards: [{ id: 'c1', front: 'F?', back: 'ma' }] },
+    { id: 'd2', name: 'Gravity', tags: ['3.7.2.1'], cards: [{ id: 'c2', front: 'g?', back: 'GM/r²' }, { id: 'c3', front: 'V?', back: '-GM/r' }] },
+    { id: 'd3', name: 'Decay', tags: ['3.8.1.1'], cards: [{ id: 'c4', front: 'λ?', back: 'ln2/t½' }] }
+];
+
+const context = (overrides = {}) => ({
+    decks,
+    topicLookup,
+    groupSections: { 'Fields': ['gravitational_fields'], 'Nuclear': ['nuclear_physics'] },
+    confidenceLevels: { '3.7.2.1': 2, '3.8.1.1': 4 },
+    now: NOW,
+    ...overrides
+});
+
+const ids = cards => cards.map(card => card.id);
+
+describe('Smart Test Sets', () => {
+    it('should clean up builder inputs', () => {
+        expect(normalizeSmartRules({ papers: ['Paper 2', 'Paper 2'], maxConfidence: '2', missedWithinDays: '', limit: '0' }))
+            .toEqual({ papers: ['Paper 2'], groups: [], maxConfidence: 2, missedWithinDays: null, limit: null });
+    });
+
+    it('should match every card when there are no rules', () => {
+        const cards = resolveSmartTestSet({}, context());
+        expect(ids(cards)).toEqual(['c1', 'c2', 'c3', 'c4']);
+        expect(cards[1]).toMatchObject({ deckId: 'd2', deckName: 'Gravity' });
+    });
+
+    it('should filter by paper and confidence (unrated topics count as 0)', () => {
+        expect(ids(resolveSmartTestSet({ papers: ['Paper 2'], maxConfidence: 2 }, context()))).toEqual(['c2', 'c3']);
+        expect(ids(resolveSmartTestSet({ maxConfidence: 1 }, context()))).toEqual(['c1']);
+    });
+
+    it('should filter by group', () => {
+        expect(ids(resolveSmartTestSet({ groups: ['Nuclear'] }, context()))).toEqual(['c4']);
+    });
+
+    it('should keep only cards missed within the window', () => {
+        const history = {
+            c1: [{ result: 'incorrect', timestamp: new Date(NOW - 10 * DAY_MS).toISOString() }],
+            c3: [{ result: 'incorrect', timestamp: new Date(NOW - 2 * DAY_MS).toISOString() }],
+            c4: [{ result: 'correct', timestamp: new Date(NOW - DAY_MS).toISOString() }]
+        };
+        const cards = resolveSmartTestSet({ missedWithinDays: 7 }, context({ getCardHistory: card => history[card.id] || [] }));
+        expect(ids(cards)).toEqual(['c3']);
+    });
+
+    it('should take a random sample when limited', () => {
+        const cards = resolveSmartTestSet({ limit: 2 }, context({ random: () => 0 }));
+        expect(cards).toHaveLength(2);
+        expect(new Set(ids(cards)).size).toBe(2);
+    });
+
+    it('should count matching cards up to the limit without sampling', () => {
+        const random = vi.fn(() => 0);
+        expect(countSmartTestSetCards({ limit: 2 }, context({ random }))).toBe(2);
+        expect(countSmartTestSetCards({}, context({ random }))).toBe(resolveSmartTestSet({}, context()).length);
+        expect(random).not.toHaveBeenCalled();
+    });
+
+    it('should apply the limit to prompts, not cards', () => {
+        const clozeDecks = [...decks, { id: 'd4', name: 'Waves', tags: ['3.4.1.1'], cards: [{ id: 'c5', type: 'cloze', front: '{{c1::v}} = {{c2::f}}{{c3::λ}}' }] }];
+        const expandCard = (card, deckId, index) => expandCardPrompts(card, card.id || `${deckId}-${index}`);
+
+        const prompts = resolveSmartTestSet({}, context({ decks: clozeDecks, expandCard }));
+        expect(ids(prompts)).toEqual(['c1', 'c2', 'c3', 'c4', 'c5::c1', 'c5::c2', 'c5::c3']);
+        expect(countSmartTestSetCards({}, context({ decks: clozeDecks, expandCard }))).toBe(7);
+
+        const limited = resolveSmartTestSet({ papers: ['Paper 1'], limit: 2 }, context({ decks: clozeDecks, expandCard, random: () => 0 }));
+        expect(limited).toHaveLength(2);
+        expect(countSmartTestSetCards({ papers: ['Paper 1'], limit: 2 }, context({ decks: clozeDecks, expandCard }))).toBe(2);
+    });
+
+    it('should describe rules', () => {
+        expect(describeSmartRules({ papers: ['Paper 2'], maxConfidence: 2, limit: 20 })).toBe('Paper 2 · confidence ≤ 2 · 20 random');
+        expect(describeSmartRules({})).toBe('All cards');
+    });
+});
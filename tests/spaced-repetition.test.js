@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import {
+    REVIEW_GRADES,
+    DEFAULT_EASE,
+    MIN_EASE,
+    scheduleCard,
+    isCardDue,
+    isNewCard
+} from '../js/utils/spaced-repetition.js';
+
+describe('Spaced Repetition Scheduler', () => {
+    const now = new Date('2026-03-02T10:00:00');
+
+    it('should schedule new cards using the starting intervals', () => {
+        expect(scheduleCard(null, REVIEW_GRADES.again, now).interval).toBe(1);
+        expect(scheduleCard(null, REVIEW_GRADES.hard, now).interval).toBe(1);
+        expect(scheduleCard(null, REVIEW_GRADES.good, now).interval).toBe(1);
+        expect(scheduleCard(null, REVIEW_GRADES.easy, now).interval).toBe(4);
+    });
+
+    it('should grow intervals by the ease factor on repeated good answers', () => {
+        const first = scheduleCard(null, REVIEW_GRADES.good, now);
+        const second = scheduleCard(first, REVIEW_GRADES.good, now);
+        const third = scheduleCard(second, REVIEW_GRADES.good, now);
+
+        expect(second.interval).toBe(3);
+        expect(third.interval).toBe(Math.round(3 * DEFAULT_EASE));
+        expect(third.repetitions).toBe(3);
+    });
+
+    it('should record a lapse and reset repetitions on again', () => {
+        const learned = scheduleCard(scheduleCard(null, REVIEW_GRADES.good, now), REVIEW_GRADES.good, now);
+        const lapsed = scheduleCard(learned, REVIEW_GRADES.again, now);
+
+        expect(lapsed.lapses).toBe(1);
+        expect(lapsed.repetitions).toBe(0);
+        expect(lapsed.interval).toBe(1);
+        expect(lapsed.ease).toBeCloseTo(DEFAULT_EASE - 0.2);
+    });
+
+    it('should never drop the ease factor below the minimum', () => {
+        let schedule = null;
+        for (let i = 0; i < 20; i++) {
+            schedule = scheduleCard(schedule, REVIEW_GRADES.again, now);
+        }
+        expect(schedule.ease).toBe(MIN_EASE);
+    });
+
+    it('should set the due date to the start of the day plus the interval', () => {
+        const schedule = scheduleCard(null, REVIEW_GRADES.easy, now);
+        const due = new Date(schedule.due);
+
+        expect(due.getDate()).toBe(6);
+        expect(due.getHours()).toBe(0);
+    });
+
+    it('should keep due dates at midnight across a daylight saving change', () => {
+        // From 2 March, a 30 day interval crosses the spring clock change in Europe and North America
+        const schedule = scheduleCard({ ease: DEFAULT_EASE, interval: 12, repetitions: 2, lapses: 0 }, REVIEW_GRADES.good, now);
+
+        expect(schedule.interval).toBe(30);
+        expect(new Date(schedule.due).getTime()).toBe(new Date(2026, 3, 1).getTime());
+        expect(isCardDue(schedule, new Date(2026, 2, 31, 23, 30))).toBe(false);
+        expect(isCardDue(schedule, new Date(2026, 3, 1, 0, 30))).toBe(true);
+    });
+
+    it('should treat cards as due from the start of their due day', () => {
+        const schedule = scheduleCard(null, REVIEW_GRADES.good, now);
+
+        expect(isCardDue(schedule, now)).toBe(false);
+        expect(isCardDue(schedule, new Date('2026-03-03T08:00:00'))).toBe(true);
+    });
+
+    it('should identify cards that have never been reviewed', () => {
+        expect(isNewCard(null)).toBe(true);
+        expect(isCardDue(null, now)).toBe(false);
+        expect(isNewCard(scheduleCard(null, REVIEW_GRADES.good, now))).toBe(false);
+    });
+
+    it('should reject unknown grades', () => {
+        expect(() => scheduleCard(null, 7, now)).toThrow('Invalid review grade');
+    });
+});
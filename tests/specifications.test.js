@@ -0,0 +1,80 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+    DEFAULT_SPECIFICATION,
+    parseSpecificationRegistry,
+    getSpecification,
+    getSpecificationStoragePrefix
+} from '../js/data/specifications.js';
+import { enhancedDataManagement } from '../js/features/auth/data-management.js';
+
+// Stand-in for IndexedDB
+const saved = new Map();
+vi.mock('../js/utils/storage.js', () => ({
+    storageUtils: {
+        save: async (key, data) => { saved.set(key, JSON.parse(JSON.stringify(data))); return { success: true }; },
+        load: async key => saved.get(key) ?? null,
+        remove: async key => { saved.delete(key); }
+    }
+}));
+
+const ocrPhysics = {
+    id: 'ocr-a-physics',
+    title: 'OCR A A-Level Physics',
+    manifest: 'resources/specs/ocr-a-physics/manifest.json'
+};
+
+describe('Specification Registry', () => {
+    it('should keep valid entries and skip broken or duplicate ones', () => {
+        const registry = parseSpecificationRegistry({
+            defaultSpecification: 'aqa-physics',
+            specifications: [
+                DEFAULT_SPECIFICATION,
+                ocrPhysics,
+                { ...ocrPhysics },
+                { id: 'Maths!', title: 'Maths' }
+            ]
+        });
+
+        expect(registry.defaultId).toBe('aqa-physics');
+        expect(registry.specifications.map(spec => spec.id)).toEqual(['aqa-physics', 'ocr-a-physics']);
+    });
+
+    it('should fall back to AQA Physics when the registry is missing', () => {
+        const registry = parseSpecificationRegistry(null);
+
+        expect(registry.specifications).toEqual([DEFAULT_SPECIFICATION]);
+        expect(getSpecification(registry, 'ocr-a-physics').id).toBe('aqa-physics');
+    });
+
+    it('should find the chosen specification, or the default if it is no longer registered', () => {
+        const registry = parseSpecificationRegistry({ defaultSpecification: 'ocr-a-physics', specifications: [DEFAULT_SPECIFICATION, ocrPhysics] });
+
+        expect(getSpecification(registry, 'aqa-physics').id).toBe('aqa-physics');
+        expect(getSpecification(registry, 'edexcel-physics').id).toBe('ocr-a-physics');
+        expect(getSpecification(registry, null).id).toBe('ocr-a-physics');
+    });
+
+    it('should only namespace storage for specifications other than AQA Physics', () => {
+        expect(getSpecificationStoragePrefix('aqa-physics')).toBe('');
+        expect(getSpecificationStoragePrefix(undefined)).toBe('');
+        expect(getSpecificationStoragePrefix('ocr-a-physics')).toBe('spec_ocr-a-physics_');
+    });
+
+    it('should keep each specification\'s data when switching to another and back', async () => {
+        const app = { ...enhancedDataManagement, authMethod: 'guest', activeSpecification: DEFAULT_SPECIFICATION };
+        const note = title => ({ data: { note_1: { id: 'note_1', title } } });
+
+        await app.saveDataType('notes', note('Capacitors'));
+
+        app.activeSpecification = ocrPhysics;
+        expect(await app.loadDataType('notes', { data: {} })).toEqual({ data: {} });
+        await app.saveDataType('notes', note('Circular motion'));
+
+        app.activeSpecification = DEFAULT_SPECIFICATION;
+        expect((await app.loadDataType('notes')).data.note_1.title).toBe('Capacitors');
+
+        app.activeSpecification = ocrPhysics;
+        expect((await app.loadDataType('notes')).data.note_1.title).toBe('Circular motion');
+        expect([...saved.keys()]).toEqual(['physics-user-notes', 'spec_ocr-a-physics_physics-user-notes']);
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { buildStarterCards, splitLabelledEntry } from '../js/utils/starter-deck.js';
+
+describe('Starter Decks', () => {
+    const topic = {
+        id: '3.4.1.1b',
+        title: 'Vector addition',
+        prompt: 'Are you able to add two or more vectors?',
+        learningObjectives: ['Use tip-to-tail method', 'Resolve vectors into components'],
+        examples: ['Tip-to-tail: place vectors end-to-end', 'Perpendicular: R = √(A² + B²)']
+    };
+
+    it('should split labelled entries on the first colon', () => {
+        expect(splitLabelledEntry('Angle: tan(θ) = B/A')).toEqual({ name: 'Angle', value: 'tan(θ) = B/A' });
+        expect(splitLabelledEntry('No label here')).toBeNull();
+    });
+
+    it('should build prompt, objective and formula cards for a topic', () => {
+        const cards = buildStarterCards({ topics: [topic] });
+
+        expect(cards).toHaveLength(3);
+        expect(cards[0].front).toBe('Are you able to add two or more vectors?');
+        expect(cards[0].back).toContain('<li>Tip-to-tail: place vectors end-to-end</li>');
+        expect(cards[1].back).toContain('<li>Resolve vectors into components</li>');
+        expect(cards[2]).toEqual({
+            type: 'basic',
+            front: '<strong>Vector addition</strong>: Perpendicular?',
+            back: 'R = √(A² + B²)'
+        });
+    });
+
+    it('should add key formula and common mistake cards for revision sections', () => {
+        const cards = buildStarterCards({
+            sections: [{
+                title: 'SI Units',
+                keyFormulas: ['Standard form: a × 10ⁿ where 1 ≤ a < 10'],
+                commonMistakes: ['Confusing mass (kg) with weight (N)']
+            }]
+        });
+
+        expect(cards.map(card => card.front)).toEqual([
+            '<strong>SI Units</strong>: Standard form?',
+            '<strong>SI Units</strong>: what are the common mistakes to avoid?'
+        ]);
+        expect(cards[0].back).toBe('a × 10ⁿ where 1 ≤ a &lt; 10');
+    });
+
+    it('should skip topics without content and duplicate cards', () => {
+        const cards = buildStarterCards({ topics: [{ id: '3.1.1a', title: 'Empty' }, topic, topic] });
+        expect(cards).toHaveLength(3);
+    });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeTimeLimits, summarizeCardTimes, formatDuration } from '../js/utils/test-timing.js';
+
+describe('Test Timing', () => {
+    it('should build time limits from builder inputs', () => {
+        expect(normalizeTimeLimits('20', '30')).toEqual({ totalSeconds: 1200, perCardSeconds: 30 });
+        expect(normalizeTimeLimits('', '45')).toEqual({ totalSeconds: null, perCardSeconds: 45 });
+        expect(normalizeTimeLimits('', '0')).toBeNull();
+        expect(normalizeTimeLimits('-5', 'abc')).toBeNull();
+    });
+
+    it('should cap limits at the maximum', () => {
+        expect(normalizeTimeLimits('9999', '9999')).toEqual({ totalSeconds: 180 * 60, perCardSeconds: 600 });
+    });
+
+    it('should summarise average time and slowest cards', () => {
+        const summary = summarizeCardTimes({ c1: 4000, c2: 12000, c3: 5000, c4: 0 }, 2);
+        expect(summary.cardCount).toBe(3);
+        expect(summary.averageMs).toBe(7000);
+        expect(summary.slowest).toEqual([{ cardId: 'c2', ms: 12000 }, { cardId: 'c3', ms: 5000 }]);
+    });
+
+    it('should handle tests with no timed cards', () => {
+        expect(summarizeCardTimes({})).toEqual({ cardCount: 0, totalMs: 0, averageMs: 0, slowest: [] });
+    });
+
+    it('should format durations', () => {
+        expect(formatDuration(65000)).toBe('1:05');
+        expect(formatDuration(400)).toBe('0:01');
+        expect(formatDuration(3725000)).toBe('1:02:05');
+    });
+});
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Audit the Revision Resource Links
+ *
+ * Loads each specification's revision resources the same way the app does
+ * (loadAllCSVResources, reading the CSVs from disk), checks every link, and writes the
+ * results to the link audit report named by the manifest's "linkAudit" entry
+ * (resources/link-audit.json for AQA Physics). The app reads the report to grey out
+ * broken links and flag ones that were unreachable.
+ *
+ * Each link records its state, HTTP status, any redirects, when it was checked and
+ * when it last worked. Links that redirect still work, but the CSV should be updated
+ * to the final URL.
+ *
+ * Usage:
+ *   node tools/audit-links.js                       # Audit every specification
+ *   node tools/audit-links.js --spec ocr-a-physics  # Audit one specification
+ *   node tools/audit-links.js --timeout 30000       # Wait longer for slow sites (ms, default 15000)
+ *
+ * Needs network access. Exits with code 0 even if links are broken (sites go down
+ * for a while), and code 1 if the resources or manifest can't be read or no link
+ * answered at all (the report isn't saved then, since it would flag every link).
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { REGISTRY_PATH, parseSpecificationRegistry } from '../js/data/specifications.js';
+import { validateManifest } from '../js/data/manifest.js';
+import { loadAllCSVResources, getAllResources, getContentProblems } from '../js/data/unified-csv-loader.js';
+import { collectResourceLinks, auditLinks } from '../js/utils/link-audit.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const args = process.argv.slice(2);
+const onlySpec = args.includes('--spec') ? args[args.indexOf('--spec') + 1] : null;
+const timeoutMs = args.includes('--timeout') ? Number(args[args.indexOf('--timeout') + 1]) : undefined;
+
+// Some sites turn away requests without a browser-like user agent
+const USER_AGENT = 'Mozilla/5.0 (compatible; PhysRev link audit; +https://github.com/Joshd667/PhysRev)';
+
+async function readText(relativePath) {
+    return readFile(path.join(ROOT, relativePath), 'utf8');
+}
+
+// Reads the app's own files from disk and sends everything else to the web
+async function fetcher(url, options = {}) {
+    if (url.startsWith('./')) {
+        return new Response(await readFile(path.join(ROOT, url)));
+    }
+    return fetch(url, { ...options, headers: { 'User-Agent': USER_AGENT } });
+}
+
+async function getSpecifications() {
+    let registry = null;
+    try {
+        registry = JSON.parse(await readText(REGISTRY_PATH));
+    } catch (error) {
+        console.warn(`⚠️  Could not read ${REGISTRY_PATH} (${error.message}), using the default specification`);
+    }
+    return parseSpecificationRegistry(registry).specifications;
+}
+
+async function readPreviousReport(reportPath) {
+    try {
+        return JSON.parse(await readText(reportPath));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Audits one specification's links and writes its report
+ *
+ * @returns {Promise<boolean>} Whether the audit ran
+ */
+async function auditSpecification(spec) {
+    const manifest = JSON.parse(await readText(spec.manifest));
+    const manifestErrors = validateManifest(manifest);
+    if (manifestErrors.length > 0) {
+        console.error(`❌ ${spec.manifest} is invalid: ${manifestErrors.join('; ')}`);
+        return false;
+    }
+
+    // The loader keeps problems from every load, so only look at this one's
+    const knownErrors = getContentProblems().errors.length;
+    await loadAllCSVResources(manifest, fetcher);
+    const errors = getContentProblems().errors.slice(knownErrors);
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`❌ ${error}`));
+        return false;
+    }
+
+    const links = collectResourceLinks(getAllResources());
+    const previous = manifest.linkAudit ? await readPreviousReport(manifest.linkAudit) : null;
+    console.log(`   Checking ${links.length} links...`);
+
+    const report = await auditLinks(links, fetcher, {
+        previous,
+        timeoutMs,
+        onResult: (link, entry) => {
+            if (entry.state === 'ok') return;
+            const detail = entry.status ? `HTTP ${entry.status}` : entry.error;
+            const moved = entry.state === 'redirected' ? ` → ${entry.finalUrl}` : '';
+            const where = entry.usedBy.map(use => `${use.type} ${use.sectionId}`).join(', ');
+            console.log(`   ${entry.state.padEnd(11)} ${link.url}${moved} (${detail}; ${where})`);
+        }
+    });
+
+    const { summary } = report;
+    console.log(`   ${summary.ok} ok, ${summary.redirected} redirected, ${summary.broken} broken, ${summary.unreachable} unreachable, ${summary.blocked} blocked`);
+
+    // Without a single HTTP response the checker is probably offline, and saving would flag every link
+    if (links.length > 0 && Object.values(report.links).every(entry => entry.status === null)) {
+        console.error('   ❌ No link answered - check the network connection. The report wasn\'t saved');
+        return false;
+    }
+
+    if (!manifest.linkAudit) {
+        console.log(`   ⚠️  ${spec.manifest} has no "linkAudit" path, so the report wasn't saved`);
+        return true;
+    }
+    await writeFile(path.join(ROOT, manifest.linkAudit), JSON.stringify(report, null, 2) + '\n');
+    console.log(`   ✅ Wrote ${manifest.linkAudit}`);
+    return true;
+}
+
+async function main() {
+    const specifications = (await getSpecifications()).filter(spec => !onlySpec || spec.id === onlySpec);
+    if (specifications.length === 0) {
+        console.error(`❌ No specification with id "${onlySpec}"`);
+        process.exit(1);
+    }
+
+    let failed = false;
+    for (const spec of specifications) {
+        console.log(`\n🔗 ${spec.title} (${spec.manifest})`);
+        try {
+            if (!await auditSpecification(spec)) failed = true;
+        } catch (error) {
+            console.error(`❌ Could not audit ${spec.title}: ${error.message}`);
+            failed = true;
+        }
+    }
+
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Build combined-data.json from the CSV files
+ *
+ * Reads each specification's content manifest (resources/manifest.json for AQA Physics),
+ * converts the CSVs with the same code the app uses, checks the content and writes the
+ * manifest's bundle. The headless equivalent of tools/csv-converter.html.
+ *
+ * Usage:
+ *   node tools/build-data.js                       # Build every specification's bundle
+ *   node tools/build-data.js --spec ocr-a-physics  # Build one specification
+ *   node tools/build-data.js --check               # Only check (exits 1 if a bundle is out of date)
+ *
+ * Checks:
+ *   - Listed files exist, have the required columns and match their manifest hash
+ *   - Topic IDs are unique across the subject CSVs
+ *   - Every revision resource row uses a section_id from the subject CSVs
+ *   - groups.csv rows are valid and point at real sections
+ *
+ * Output is deterministic: unchanged CSVs give a byte-identical bundle (buildTime is kept
+ * unless the content changes, or set from SOURCE_DATE_EPOCH).
+ *
+ * Exits with code 1 if any check fails - the bundle is not written.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { REGISTRY_PATH, parseSpecificationRegistry } from '../js/data/specifications.js';
+import { validateManifest, getManifestFiles, readManifestFile, sha256Hex } from '../js/data/manifest.js';
+import { buildCombinedData, validateCombinedData } from '../js/data/bundle-builder.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const args = process.argv.slice(2);
+const checkOnly = args.includes('--check');
+const onlySpec = args.includes('--spec') ? args[args.indexOf('--spec') + 1] : null;
+
+async function readJSON(relativePath) {
+    return JSON.parse(await readFile(path.join(ROOT, relativePath), 'utf8'));
+}
+
+async function getSpecifications() {
+    let registry = null;
+    try {
+        registry = await readJSON(REGISTRY_PATH);
+    } catch (error) {
+        console.warn(`⚠️  Could not read ${REGISTRY_PATH} (${error.message}), using the default specification`);
+    }
+    return parseSpecificationRegistry(registry).specifications;
+}
+
+/**
+ * Reads and parses every file in a manifest
+ *
+ * @returns {Promise<Object>} { files (with rows), sources, errors }
+ */
+async function readFiles(manifest) {
+    const files = [];
+    const sources = {};
+    const errors = [];
+
+    for (const file of getManifestFiles(manifest)) {
+        let bytes;
+        try {
+            bytes = await readFile(path.join(ROOT, file.path));
+        } catch (error) {
+            errors.push(`${file.path} is listed in the manifest but could not be read (${error.code || error.message})`);
+            continue;
+        }
+
+        // The app ignores a bundle whose sources don't match the manifest, so a stale hash fails the build
+        sources[file.path] = await sha256Hex(bytes);
+        if (sources[file.path] !== file.sha256) {
+            errors.push(`${file.path} has changed since the manifest was updated (run node tools/update-manifest.js)`);
+        }
+
+        const result = await readManifestFile({ ...file, sha256: null }, bytes);
+        errors.push(...result.errors);
+        files.push({ ...file, rows: result.rows });
+    }
+
+    return { files, sources, errors };
+}
+
+/**
+ * Gets the buildTime for the new bundle
+ * Keeps the previous bundle's time if nothing else changed, so rebuilding doesn't create a diff.
+ */
+function getBuildTime(bundle, previous) {
+    if (previous && JSON.stringify({ ...previous, buildTime: null }) === JSON.stringify(bundle)) {
+        return previous.buildTime;
+    }
+    const epoch = parseInt(process.env.SOURCE_DATE_EPOCH, 10);
+    return (Number.isFinite(epoch) ? new Date(epoch * 1000) : new Date()).toISOString();
+}
+
+/**
+ * Builds one specification's bundle
+ *
+ * @returns {Promise<Object>} { errors, warnings, status }
+ */
+async function buildSpecification(spec) {
+    const manifest = await readJSON(spec.manifest);
+    const manifestErrors = validateManifest(manifest);
+    if (manifestErrors.length > 0) return { errors: manifestErrors, warnings: [] };
+    if (!manifest.bundle) return { errors: [], warnings: [], status: 'No bundle listed in the manifest - skipped' };
+
+    const { files, sources, errors } = await readFiles(manifest);
+    if (errors.length > 0) return { errors, warnings: [] };
+
+    const bundle = buildCombinedData(files, { sources });
+    const validation = validateCombinedData(files, bundle);
+    if (validation.errors.length > 0) return validation;
+
+    let previous = null;
+    try {
+        previous = await readJSON(manifest.bundle);
+    } catch (error) {
+        // No bundle yet
+    }
+
+    bundle.buildTime = getBuildTime(bundle, previous);
+    const upToDate = previous?.buildTime === bundle.buildTime;
+    const summary = `${bundle.meta.totalSections} sections, ${bundle.meta.revisionSections} revision sections, ${files.length} files`;
+
+    if (upToDate) {
+        return { ...validation, status: `✅ ${manifest.bundle} is up to date (${summary})` };
+    }
+    if (checkOnly) {
+        return { ...validation, errors: [`${manifest.bundle} is out of date - run node tools/build-data.js`] };
+    }
+
+    await writeFile(path.join(ROOT, manifest.bundle), JSON.stringify(bundle));
+    return { ...validation, status: `✏️  Wrote ${manifest.bundle} (${summary})` };
+}
+
+async function main() {
+    const specifications = (await getSpecifications()).filter(spec => !onlySpec || spec.id === onlySpec);
+    if (specifications.length === 0) {
+        console.error(`❌ No specification with id "${onlySpec}"`);
+        process.exit(1);
+    }
+
+    let failed = false;
+    for (const spec of specifications) {
+        console.log(`\n📦 ${spec.title} (${spec.manifest})`);
+
+        let result;
+        try {
+            result = await buildSpecification(spec);
+        } catch (error) {
+            result = { errors: [`Build failed: ${error.message}`], warnings: [] };
+        }
+
+        result.warnings.forEach(warning => console.warn(`   ⚠️  ${warning}`));
+        result.errors.forEach(error => console.error(`   ❌ ${error}`));
+
+        if (result.errors.length > 0) {
+            failed = true;
+            console.error(`   ${result.errors.length} problem(s) found - bundle not written`);
+        } else if (result.status) {
+            console.log(`   ${result.status}`);
+        }
+    }
+
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Lint the Revision Resource CSVs
+ *
+ * Checks every resource CSV listed in each specification's content manifest against
+ * resource-schema.js: required fields, URL format, duplicate URLs, section IDs that no
+ * topic uses, unsafe HTML in notes_html, and formatting problems (BOM, header spaces).
+ * The same checks run in the browser in tools/content-linter.html.
+ *
+ * Usage:
+ *   node tools/lint-content.js                       # Lint every specification
+ *   node tools/lint-content.js --spec ocr-a-physics  # Lint one specification
+ *   node tools/lint-content.js --errors              # Only show errors
+ *
+ * Exits with code 1 if any errors are found (warnings and notes don't fail).
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { REGISTRY_PATH, parseSpecificationRegistry } from '../js/data/specifications.js';
+import { validateManifest, getManifestFiles } from '../js/data/manifest.js';
+import { parseCSV } from '../js/utils/csv-parser.js';
+import { getSectionIds, lintResourceCSV, summarizeLintIssues, formatLintReport } from '../js/utils/content-linter.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const args = process.argv.slice(2);
+const errorsOnly = args.includes('--errors');
+const onlySpec = args.includes('--spec') ? args[args.indexOf('--spec') + 1] : null;
+
+async function readText(relativePath) {
+    return readFile(path.join(ROOT, relativePath), 'utf8');
+}
+
+async function getSpecifications() {
+    let registry = null;
+    try {
+        registry = JSON.parse(await readText(REGISTRY_PATH));
+    } catch (error) {
+        console.warn(`⚠️  Could not read ${REGISTRY_PATH} (${error.message}), using the default specification`);
+    }
+    return parseSpecificationRegistry(registry).specifications;
+}
+
+/**
+ * Lints one specification's resource CSVs
+ *
+ * @returns {Promise<Array>} Issues
+ */
+async function lintSpecification(spec) {
+    const manifest = JSON.parse(await readText(spec.manifest));
+    const manifestErrors = validateManifest(manifest);
+    if (manifestErrors.length > 0) {
+        return manifestErrors.map(message => ({ path: spec.manifest, line: null, severity: 'error', rule: 'manifest', message }));
+    }
+
+    const files = getManifestFiles(manifest);
+    const issues = [];
+    const readListed = async file => {
+        try {
+            return await readText(file.path);
+        } catch (error) {
+            issues.push({ path: file.path, line: null, severity: 'error', rule: 'missing-file', message: `Listed in the manifest but could not be read (${error.code || error.message})` });
+            return null;
+        }
+    };
+
+    const subjectRows = [];
+    for (const file of files.filter(file => file.kind === 'subject')) {
+        const text = await readListed(file);
+        if (text !== null) subjectRows.push(...parseCSV(text));
+    }
+    const sectionIds = getSectionIds(subjectRows);
+
+    for (const file of files.filter(file => file.kind === 'resource')) {
+        const text = await readListed(file);
+        if (text !== null) issues.push(...lintResourceCSV(text, { path: file.path, type: file.type, sectionIds }));
+    }
+
+    return issues;
+}
+
+async function main() {
+    const specifications = (await getSpecifications()).filter(spec => !onlySpec || spec.id === onlySpec);
+    if (specifications.length === 0) {
+        console.error(`❌ No specification with id "${onlySpec}"`);
+        process.exit(1);
+    }
+
+    let failed = false;
+    for (const spec of specifications) {
+        console.log(`\n🔎 ${spec.title} (${spec.manifest})`);
+
+        let issues;
+        try {
+            issues = await lintSpecification(spec);
+        } catch (error) {
+            issues = [{ path: spec.manifest, line: null, severity: 'error', rule: 'manifest', message: `Could not read manifest: ${error.message}` }];
+        }
+
+        const summary = summarizeLintIssues(issues);
+        const shown = errorsOnly ? issues.filter(item => item.severity === 'error') : issues;
+        if (shown.length > 0) console.log(formatLintReport(shown));
+
+        console.log(`   ${summary.error} error(s), ${summary.warning} warning(s), ${summary.info} note(s)`);
+        if (summary.error > 0) failed = true;
+    }
+
+    process.exit(failed ? 1 : 0);
+}
+
+main();
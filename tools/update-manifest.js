@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Update Content Manifest Hashes
+ *
+ * Recomputes the SHA-256 hash of every CSV file listed in each specification's
+ * content manifest (resources/manifest.json for AQA Physics) and checks the files
+ * can be loaded. Run this whenever you add, remove or edit a CSV file.
+ *
+ * Usage:
+ *   node tools/update-manifest.js           # Check files and write new hashes
+ *   node tools/update-manifest.js --check   # Only report (exits 1 if hashes are out of date)
+ *
+ * Exits with code 1 if a listed file is missing or malformed.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { REGISTRY_PATH, parseSpecificationRegistry } from '../js/data/specifications.js';
+import { validateManifest, getManifestFiles, readManifestFile, sha256Hex } from '../js/data/manifest.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const checkOnly = process.argv.includes('--check');
+
+async function readJSON(relativePath) {
+    return JSON.parse(await readFile(path.join(ROOT, relativePath), 'utf8'));
+}
+
+/**
+ * Lists the manifests used by the registered specifications
+ */
+async function getManifestPaths() {
+    let registry = null;
+    try {
+        registry = await readJSON(REGISTRY_PATH);
+    } catch (error) {
+        console.warn(`⚠️  Could not read ${REGISTRY_PATH} (${error.message}), using the default manifest`);
+    }
+    const { specifications } = parseSpecificationRegistry(registry);
+    return [...new Set(specifications.map(spec => spec.manifest))];
+}
+
+/**
+ * Checks one manifest's files and brings its hashes up to date
+ *
+ * @returns {Promise<Object>} { errors, changed }
+ */
+async function updateManifest(manifestPath) {
+    const manifest = await readJSON(manifestPath);
+    const errors = validateManifest(manifest);
+    if (errors.length > 0) return { errors, changed: [] };
+
+    const hashes = {};
+    for (const file of getManifestFiles(manifest)) {
+        let bytes;
+        try {
+            bytes = await readFile(path.join(ROOT, file.path));
+        } catch (error) {
+            errors.push(`${file.path} is listed in the manifest but could not be read (${error.code || error.message})`);
+            continue;
+        }
+        // Hash checked separately below, so readManifestFile only checks the contents
+        const result = await readManifestFile({ ...file, sha256: null }, bytes);
+        errors.push(...result.errors);
+        hashes[file.path] = await sha256Hex(bytes);
+    }
+
+    const changed = [];
+    [...manifest.subjects, manifest.groups, ...(manifest.resources || [])].forEach(entry => {
+        const hash = hashes[entry.path];
+        if (hash && hash !== entry.sha256) {
+            changed.push(entry.path);
+            entry.sha256 = hash;
+        }
+    });
+
+    if (!checkOnly && errors.length === 0 && changed.length > 0) {
+        await writeFile(path.join(ROOT, manifestPath), JSON.stringify(manifest, null, 2) + '\n');
+    }
+    return { errors, changed };
+}
+
+async function main() {
+    let failed = false;
+
+    for (const manifestPath of await getManifestPaths()) {
+        console.log(`\n📋 ${manifestPath}`);
+
+        let result;
+        try {
+            result = await updateManifest(manifestPath);
+        } catch (error) {
+            result = { errors: [`Could not read manifest: ${error.message}`], changed: [] };
+        }
+
+        result.errors.forEach(error => console.error(`   ❌ ${error}`));
+        result.changed.forEach(file => console.log(`   ${checkOnly ? '⚠️  Out of date' : '✏️  Updated'}: ${file}`));
+
+        if (result.errors.length > 0) {
+            failed = true;
+            console.error('   Manifest not updated - fix the problems above and run again');
+        } else if (result.changed.length === 0) {
+            console.log('   ✅ All hashes up to date');
+        } else if (checkOnly) {
+            failed = true;
+        }
+    }
+
+    if (!checkOnly) {
+        console.log('\nIf you changed any CSV files, rebuild resources/combined-data.json too (node tools/build-data.js).');
+    }
+    process.exit(failed ? 1 : 0);
+}
+
+main();